@@ -25,7 +25,10 @@ module.exports = (options = {}) => {
     public: path.resolve(__dirname, 'dist'),
     vfs: {
       root: tempPath,
-      watch: true
+      watch: true,
+      uploads: {
+        root: path.join(tempPath, '.uploads')
+      }
     },
     mime: {
       filenames: {
@@ -0,0 +1,62 @@
+const stream = require('stream');
+const createCore = require('./core.js');
+
+/*
+ * Creates a readable stream of given chunks
+ */
+const createStream = (...chunks) => {
+  const s = new stream.Readable();
+  s._read = () => {};
+  chunks.forEach(chunk => s.push(chunk));
+  s.push(null);
+  return s;
+};
+
+/*
+ * Reads a stream into a string
+ */
+const readStream = s => new Promise((resolve, reject) => {
+  const chunks = [];
+  s.on('data', c => chunks.push(c));
+  s.on('error', reject);
+  s.on('end', () => resolve(Buffer.concat(chunks).toString()));
+});
+
+/*
+ * Creates VFS options with a user session
+ */
+const createOptions = (options = {}, username = 'jest', groups = []) => ({
+  ...options,
+  session: {user: {username, groups}, ...options.session || {}}
+});
+
+/*
+ * Boots a core before the tests of a suite and destroys it afterwards
+ */
+const useCore = (setup = () => {}) => {
+  let core;
+
+  beforeAll(() => createCore().then(c => {
+    core = c;
+    return setup(c);
+  }));
+
+  afterAll(() => core.destroy());
+};
+
+/*
+ * Creates a core that uses given configuration over its own
+ */
+const withConfig = (core, config) => Object.assign(Object.create(core), {
+  config: (key, defaultValue) => Object.prototype.hasOwnProperty.call(config, key)
+    ? config[key]
+    : core.config(key, defaultValue)
+});
+
+module.exports = {
+  createStream,
+  readStream,
+  createOptions,
+  useCore,
+  withConfig
+};
@@ -0,0 +1,191 @@
+/*
+ * A minimal S3 compatible stand-in server for tests
+ */
+const http = require('http');
+const crypto = require('crypto');
+const {URL} = require('url');
+
+const escapeXml = str => String(str)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const md5 = data => '"' + crypto.createHash('md5').update(data).digest('hex') + '"';
+
+const readBody = req => new Promise(resolve => {
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+module.exports = ({accessKeyId = 'jest'} = {}) => {
+  const buckets = new Map();
+  const uploads = new Map();
+  const requests = [];
+
+  const getBucket = name => {
+    if (!buckets.has(name)) {
+      buckets.set(name, new Map());
+    }
+    return buckets.get(name);
+  };
+
+  const sendError = (res, status, code) => {
+    res.writeHead(status, {'content-type': 'application/xml'});
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+  };
+
+  const sendXml = (res, xml) => {
+    res.writeHead(200, {'content-type': 'application/xml'});
+    res.end('<?xml version="1.0" encoding="UTF-8"?>' + xml);
+  };
+
+  const list = (res, bucket, query) => {
+    const prefix = query.get('prefix') || '';
+    const delimiter = query.get('delimiter');
+    // NOTE: Small default page size to exercise pagination
+    const maxKeys = parseInt(query.get('max-keys') || '2', 10);
+    const start = parseInt(query.get('continuation-token') || '0', 10);
+    const contents = [];
+    const prefixes = new Set();
+
+    Array.from(bucket.keys()).sort()
+      .filter(k => k.startsWith(prefix))
+      .forEach(k => {
+        const rest = k.substr(prefix.length);
+        const index = delimiter ? rest.indexOf(delimiter) : -1;
+
+        if (index !== -1) {
+          prefixes.add(prefix + rest.substr(0, index + 1));
+        } else {
+          contents.push(k);
+        }
+      });
+
+    const entries = [
+      ...contents.map(k => ({k, prefix: false})),
+      ...Array.from(prefixes).map(k => ({k, prefix: true}))
+    ];
+
+    const page = entries.slice(start, start + maxKeys);
+    const truncated = start + maxKeys < entries.length;
+
+    sendXml(res, '<ListBucketResult>' +
+      `<Prefix>${escapeXml(prefix)}</Prefix>` +
+      `<IsTruncated>${truncated}</IsTruncated>` +
+      (truncated ? `<NextContinuationToken>${start + maxKeys}</NextContinuationToken>` : '') +
+      page.filter(e => !e.prefix).map(({k}) => '<Contents>' +
+        `<Key>${escapeXml(k)}</Key>` +
+        `<LastModified>${bucket.get(k).mtime.toISOString()}</LastModified>` +
+        `<ETag>${escapeXml(bucket.get(k).etag)}</ETag>` +
+        `<Size>${bucket.get(k).body.length}</Size>` +
+        '</Contents>').join('') +
+      page.filter(e => e.prefix).map(({k}) => `<CommonPrefixes><Prefix>${escapeXml(k)}</Prefix></CommonPrefixes>`).join('') +
+      '</ListBucketResult>');
+  };
+
+  const store = (bucket, key, body, contentType) => bucket.set(key, {
+    body,
+    contentType: contentType || 'application/octet-stream',
+    etag: md5(body),
+    mtime: new Date()
+  });
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, bucketName, ...rest] = url.pathname.split('/');
+    const key = decodeURIComponent(rest.join('/'));
+    const bucket = getBucket(decodeURIComponent(bucketName));
+    const query = url.searchParams;
+    const body = await readBody(req);
+
+    requests.push({method: req.method, key, query: url.search, headers: req.headers});
+
+    if (!String(req.headers.authorization).startsWith(`AWS4-HMAC-SHA256 Credential=${accessKeyId}/`)) {
+      return sendError(res, 403, 'AccessDenied');
+    }
+
+    if (req.method === 'GET' && !key) {
+      return list(res, bucket, query);
+    } else if (req.method === 'POST' && query.has('delete')) {
+      const keys = (body.toString().match(/<Key>(.*?)<\/Key>/g) || [])
+        .map(s => s.replace(/<\/?Key>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&'));
+      keys.forEach(k => bucket.delete(k));
+      return sendXml(res, '<DeleteResult></DeleteResult>');
+    } else if (req.method === 'POST' && query.has('uploads')) {
+      const uploadId = crypto.randomBytes(8).toString('hex');
+      uploads.set(uploadId, {parts: new Map(), contentType: req.headers['content-type']});
+      return sendXml(res, `<InitiateMultipartUploadResult><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+    } else if (req.method === 'POST' && query.has('uploadId')) {
+      const upload = uploads.get(query.get('uploadId'));
+      const numbers = (body.toString().match(/<PartNumber>(\d+)<\/PartNumber>/g) || [])
+        .map(s => parseInt(s.replace(/\D/g, ''), 10));
+      store(bucket, key, Buffer.concat(numbers.map(n => upload.parts.get(n))), upload.contentType);
+      uploads.delete(query.get('uploadId'));
+      return sendXml(res, `<CompleteMultipartUploadResult><Key>${escapeXml(key)}</Key></CompleteMultipartUploadResult>`);
+    } else if (req.method === 'PUT' && query.has('uploadId')) {
+      const upload = uploads.get(query.get('uploadId'));
+      upload.parts.set(parseInt(query.get('partNumber'), 10), body);
+      res.writeHead(200, {etag: md5(body)});
+      return res.end();
+    } else if (req.method === 'DELETE' && query.has('uploadId')) {
+      uploads.delete(query.get('uploadId'));
+      res.writeHead(204);
+      return res.end();
+    } else if (req.method === 'PUT' && req.headers['x-amz-copy-source']) {
+      const [, srcBucket, ...srcKey] = req.headers['x-amz-copy-source'].split('/');
+      const found = getBucket(decodeURIComponent(srcBucket)).get(decodeURIComponent(srcKey.join('/')));
+      if (!found) {
+        return sendError(res, 404, 'NoSuchKey');
+      }
+      store(bucket, key, Buffer.from(found.body), found.contentType);
+      return sendXml(res, '<CopyObjectResult></CopyObjectResult>');
+    } else if (req.method === 'PUT') {
+      store(bucket, key, body, req.headers['content-type']);
+      res.writeHead(200, {etag: bucket.get(key).etag});
+      return res.end();
+    } else if (req.method === 'DELETE') {
+      bucket.delete(key);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    const found = bucket.get(key);
+    if (!found) {
+      return req.method === 'HEAD'
+        ? (res.writeHead(404), res.end())
+        : sendError(res, 404, 'NoSuchKey');
+    }
+
+    const headers = {
+      'content-type': found.contentType,
+      'last-modified': found.mtime.toUTCString(),
+      'etag': found.etag
+    };
+
+    const range = (req.headers.range || '').match(/bytes=(\d+)-(\d*)/);
+    if (range) {
+      const start = parseInt(range[1], 10);
+      const end = range[2] ? parseInt(range[2], 10) : found.body.length - 1;
+      const chunk = found.body.slice(start, end + 1);
+      res.writeHead(206, {...headers, 'content-length': chunk.length});
+      return res.end(chunk);
+    }
+
+    res.writeHead(200, {...headers, 'content-length': found.body.length});
+    return res.end(req.method === 'HEAD' ? undefined : found.body);
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => sendError(res, 500, error.message));
+  });
+
+  return {
+    buckets,
+    requests,
+    listen: () => new Promise(resolve => {
+      server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
@@ -0,0 +1,201 @@
+/*
+ * A minimal SFTP stand-in server for tests, backed by a local directory
+ */
+const fs = require('fs');
+const path = require('path');
+const {Server, utils} = require('ssh2');
+
+const {STATUS_CODE, flagsToString} = utils.sftp;
+
+// NOTE: Keepalive timers rely on Timeout#refresh(), which is not available in jsdom
+Server.KEEPALIVE_CLIENT_INTERVAL = -1;
+
+const toAttrs = stats => ({
+  mode: stats.mode,
+  uid: stats.uid,
+  gid: stats.gid,
+  size: stats.size,
+  atime: Math.floor(stats.atimeMs / 1000),
+  mtime: Math.floor(stats.mtimeMs / 1000)
+});
+
+const toStatus = error => ({
+  ENOENT: STATUS_CODE.NO_SUCH_FILE,
+  EACCES: STATUS_CODE.PERMISSION_DENIED
+})[error.code] || STATUS_CODE.FAILURE;
+
+module.exports = ({root, username = 'jest', password = 'jest', publicKey} = {}) => {
+  const hostKey = utils.generateKeyPairSync('ed25519');
+  const allowedKey = publicKey ? utils.parseKey(publicKey) : null;
+  const connections = new Set();
+  const stats = {connections: 0, sessions: 0};
+
+  const resolve = filename => path.join(root, path.posix.normalize('/' + filename));
+
+  const authenticate = ctx => {
+    if (ctx.username !== username) {
+      return ctx.reject();
+    } else if (ctx.method === 'password' && ctx.password === password) {
+      return ctx.accept();
+    } else if (ctx.method === 'publickey' && allowedKey &&
+      ctx.key.algo === allowedKey.type &&
+      ctx.key.data.equals(allowedKey.getPublicSSH())) {
+      if (!ctx.signature || allowedKey.verify(ctx.blob, ctx.signature, ctx.hashAlgo)) {
+        return ctx.accept();
+      }
+    }
+
+    return ctx.reject();
+  };
+
+  const createSftp = sftp => {
+    const handles = new Map();
+    let handleCount = 0;
+
+    const createHandle = value => {
+      const handle = Buffer.alloc(4);
+      handle.writeUInt32BE(handleCount, 0);
+      handles.set(handleCount++, value);
+      return handle;
+    };
+
+    const getHandle = handle => handle.length === 4
+      ? handles.get(handle.readUInt32BE(0))
+      : undefined;
+
+    const run = (reqid, fn) => {
+      try {
+        fn();
+      } catch (error) {
+        sftp.status(reqid, toStatus(error));
+      }
+    };
+
+    const ok = reqid => sftp.status(reqid, STATUS_CODE.OK);
+
+    sftp.on('OPEN', (reqid, filename, flags) => run(reqid, () => {
+      const fd = fs.openSync(resolve(filename), flagsToString(flags));
+      sftp.handle(reqid, createHandle({fd}));
+    }));
+
+    sftp.on('OPENDIR', (reqid, filename) => run(reqid, () => {
+      const dirname = resolve(filename);
+      const names = fs.readdirSync(dirname);
+      sftp.handle(reqid, createHandle({dirname, names}));
+    }));
+
+    sftp.on('READ', (reqid, handle, offset, length) => run(reqid, () => {
+      const {fd} = getHandle(handle) || {};
+      const buffer = Buffer.alloc(length);
+      const read = fs.readSync(fd, buffer, 0, length, offset);
+
+      if (read === 0) {
+        sftp.status(reqid, STATUS_CODE.EOF);
+      } else {
+        sftp.data(reqid, buffer.slice(0, read));
+      }
+    }));
+
+    sftp.on('WRITE', (reqid, handle, offset, data) => run(reqid, () => {
+      const {fd} = getHandle(handle) || {};
+      fs.writeSync(fd, data, 0, data.length, offset);
+      ok(reqid);
+    }));
+
+    sftp.on('READDIR', (reqid, handle) => run(reqid, () => {
+      const entry = getHandle(handle);
+      if (!entry || !entry.names) {
+        sftp.status(reqid, STATUS_CODE.FAILURE);
+      } else if (entry.names.length === 0) {
+        sftp.status(reqid, STATUS_CODE.EOF);
+      } else {
+        const names = entry.names.splice(0, entry.names.length);
+        sftp.name(reqid, names.map(filename => ({
+          filename,
+          longname: filename,
+          attrs: toAttrs(fs.lstatSync(path.join(entry.dirname, filename)))
+        })));
+      }
+    }));
+
+    sftp.on('CLOSE', (reqid, handle) => run(reqid, () => {
+      const entry = getHandle(handle);
+      if (entry && typeof entry.fd === 'number') {
+        fs.closeSync(entry.fd);
+      }
+
+      handles.delete(handle.readUInt32BE(0));
+      ok(reqid);
+    }));
+
+    sftp.on('FSTAT', (reqid, handle) => run(reqid, () => {
+      sftp.attrs(reqid, toAttrs(fs.fstatSync(getHandle(handle).fd)));
+    }));
+
+    sftp.on('STAT', (reqid, filename) => run(reqid, () => {
+      sftp.attrs(reqid, toAttrs(fs.statSync(resolve(filename))));
+    }));
+
+    sftp.on('LSTAT', (reqid, filename) => run(reqid, () => {
+      sftp.attrs(reqid, toAttrs(fs.lstatSync(resolve(filename))));
+    }));
+
+    sftp.on('MKDIR', (reqid, filename) => run(reqid, () => {
+      fs.mkdirSync(resolve(filename));
+      ok(reqid);
+    }));
+
+    sftp.on('RMDIR', (reqid, filename) => run(reqid, () => {
+      fs.rmdirSync(resolve(filename));
+      ok(reqid);
+    }));
+
+    sftp.on('REMOVE', (reqid, filename) => run(reqid, () => {
+      fs.unlinkSync(resolve(filename));
+      ok(reqid);
+    }));
+
+    sftp.on('RENAME', (reqid, oldPath, newPath) => run(reqid, () => {
+      // NOTE: SFTP v3 servers refuse to overwrite
+      if (fs.existsSync(resolve(newPath))) {
+        sftp.status(reqid, STATUS_CODE.FAILURE);
+      } else {
+        fs.renameSync(resolve(oldPath), resolve(newPath));
+        ok(reqid);
+      }
+    }));
+
+    sftp.on('SETSTAT', reqid => ok(reqid));
+    sftp.on('FSETSTAT', reqid => ok(reqid));
+
+    sftp.on('REALPATH', (reqid, filename) => run(reqid, () => {
+      const name = path.posix.normalize('/' + filename);
+      sftp.name(reqid, [{filename: name, longname: name, attrs: {}}]);
+    }));
+  };
+
+  const server = new Server({hostKeys: [hostKey.private]}, client => {
+    connections.add(client);
+    stats.connections++;
+
+    client.on('close', () => connections.delete(client));
+    client.on('error', () => {});
+    client.on('authentication', authenticate);
+    client.on('ready', () => client.on('session', accept => {
+      accept().on('sftp', accept => {
+        stats.sessions++;
+        createSftp(accept());
+      });
+    }));
+  });
+
+  return {
+    stats,
+    connections,
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port))),
+    close: () => new Promise(resolve => {
+      connections.forEach(client => client.end());
+      server.close(() => resolve());
+    })
+  };
+};
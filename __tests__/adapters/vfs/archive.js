@@ -0,0 +1,138 @@
+const fs = require('fs-extra');
+const path = require('path');
+const archiveAdapter = require('../../../src/adapters/vfs/archive.js');
+const {readStream, useCore, createOptions} = require('../../../__mocks__/helpers.js');
+
+describe('VFS Archive adapter', () => {
+  let core;
+  let adapter;
+
+  useCore(c => {
+    core = c;
+    adapter = archiveAdapter(core);
+
+    const dest = path.join(core.configuration.tempPath, 'jest/archives');
+    fs.copySync(path.resolve(__dirname, '../../../__mocks__/archives'), dest);
+  });
+
+  const vfs = {
+    mount: {
+      name: 'archive',
+      root: 'archive:/',
+      attributes: {
+        readOnly: true
+      }
+    }
+  };
+
+  const request = (name, ...args) => adapter[name](vfs, vfs)(...args);
+
+  describe.each([
+    ['zip', 'archive:/home/archives/test.zip'],
+    ['tar.gz', 'archive:/home/archives/test.tar.gz']
+  ])('%s', (type, root) => {
+    test('#readdir - root', async () => {
+      const result = await request('readdir', root, createOptions());
+
+      expect(result.map(r => r.filename).sort()).toEqual(['README.txt', 'folder']);
+      expect(result).toEqual(expect.arrayContaining([
+        expect.objectContaining({
+          filename: 'folder',
+          path: `${root}/folder`,
+          isDirectory: true
+        }),
+        expect.objectContaining({
+          filename: 'README.txt',
+          path: `${root}/README.txt`,
+          isFile: true,
+          size: 12,
+          mime: 'text/plain'
+        })
+      ]));
+    });
+
+    test('#readdir - implicit directory', () => {
+      return expect(request('readdir', `${root}/folder/sub`, createOptions()))
+        .resolves
+        .toEqual([
+          expect.objectContaining({
+            filename: 'deep.txt',
+            path: `${root}/folder/sub/deep.txt`,
+            size: 260
+          })
+        ]);
+    });
+
+    test('#stat', () => {
+      return expect(request('stat', `${root}/folder/data.txt`, createOptions()))
+        .resolves
+        .toMatchObject({
+          filename: 'data.txt',
+          isFile: true,
+          size: 10
+        });
+    });
+
+    test('#exists', async () => {
+      await expect(request('exists', `${root}/folder`, createOptions()))
+        .resolves
+        .toBe(true);
+
+      await expect(request('exists', `${root}/missing`, createOptions()))
+        .resolves
+        .toBe(false);
+
+      await expect(request('exists', 'archive:/home/archives/missing.zip', createOptions()))
+        .resolves
+        .toBe(false);
+    });
+
+    test('#readfile', async () => {
+      const result = await request('readfile', `${root}/README.txt`, createOptions());
+
+      await expect(readStream(result)).resolves.toBe('Hello World\n');
+    });
+
+    test('#readfile - ranges', async () => {
+      const stored = await request('readfile', `${root}/folder/data.txt`, createOptions({range: [2, 5]}));
+      await expect(readStream(stored)).resolves.toBe('2345');
+
+      const compressed = await request('readfile', `${root}/folder/sub/deep.txt`, createOptions({range: [13, 16]}));
+      await expect(readStream(compressed)).resolves.toBe('deep');
+    });
+
+    test('#readfile - directory', () => {
+      return expect(request('readfile', `${root}/folder`, createOptions()))
+        .resolves
+        .toBe(false);
+    });
+
+    test('#search', () => {
+      return expect(request('search', root, '*.txt', createOptions()))
+        .resolves
+        .toEqual(expect.arrayContaining([
+          expect.objectContaining({path: `${root}/README.txt`}),
+          expect.objectContaining({path: `${root}/folder/data.txt`}),
+          expect.objectContaining({path: `${root}/folder/sub/deep.txt`})
+        ]));
+    });
+  });
+
+  test('#readdir - not an archive', () => {
+    return expect(request('readdir', 'archive:/home/archives', createOptions()))
+      .rejects
+      .toMatchObject({code: 'ENOENT'});
+  });
+
+  test('#writefile - read only', () => {
+    return expect(request('writefile', 'archive:/home/archives/test.zip/foo', null, createOptions()))
+      .rejects
+      .toMatchObject({code: 403});
+  });
+
+  test('#realpath', () => {
+    return expect(request('realpath', 'archive:/home/archives/test.zip/foo/../README.txt', createOptions()))
+      .resolves
+      .toBe('archive:/home/archives/test.zip/README.txt');
+  });
+});
@@ -0,0 +1,136 @@
+const fs = require('fs-extra');
+const path = require('path');
+const temp = require('temp');
+const gitAdapter = require('../../../src/adapters/vfs/git.js');
+const {createStream, readStream, useCore} = require('../../../__mocks__/helpers.js');
+
+describe('VFS Git adapter', () => {
+  let core;
+  let adapter;
+  let vfs;
+  let root;
+
+  const options = {session: {user: {username: 'jest', name: 'Jest', groups: []}}};
+
+  useCore(c => {
+    core = c;
+    root = temp.mkdirSync('osjs-git');
+    adapter = gitAdapter(core);
+    vfs = {
+      mount: {
+        name: 'docs',
+        root: 'docs:/',
+        attributes: {
+          root: path.join(root, '{username}'),
+          emailDomain: 'example.com'
+        }
+      }
+    };
+  });
+
+  afterAll(() => temp.cleanupSync());
+
+  const request = (name, ...args) => adapter[name](vfs, vfs)(...args);
+  const messages = file => request('log', file, options)
+    .then(list => list.map(entry => entry.message));
+
+  test('#readdir - creates repository', async () => {
+    await expect(request('readdir', 'docs:/', options))
+      .resolves
+      .toEqual([]);
+
+    expect(fs.existsSync(path.join(root, 'jest/.git'))).toBe(true);
+  });
+
+  test('#writefile - commits as the user', async () => {
+    await expect(request('writefile', 'docs:/index.md', createStream('first\n'), options))
+      .resolves
+      .toBe(true);
+
+    await request('writefile', 'docs:/index.md', createStream('second\n'), options);
+
+    const list = await request('log', 'docs:/index.md', options);
+    expect(list).toMatchObject([
+      {message: 'Update index.md', author: {name: 'Jest', email: 'jest@example.com'}},
+      {message: 'Add index.md', author: {name: 'Jest', email: 'jest@example.com'}}
+    ]);
+  });
+
+  test('#mkdir and #touch', async () => {
+    await expect(request('mkdir', 'docs:/guide', options)).resolves.toBe(true);
+    await expect(request('touch', 'docs:/guide/intro.md', options)).resolves.toBe(true);
+
+    await expect(messages('docs:/guide')).resolves.toEqual(['Add guide/intro.md']);
+  });
+
+  test('#rename', async () => {
+    await expect(request('rename', 'docs:/guide/intro.md', 'docs:/guide/start.md', options))
+      .resolves
+      .toBe(true);
+
+    await expect(messages('docs:/guide')).resolves.toEqual([
+      'Rename guide/intro.md to guide/start.md',
+      'Add guide/intro.md'
+    ]);
+  });
+
+  test('#copy', async () => {
+    await expect(request('copy', 'docs:/index.md', 'docs:/guide/index.md', options))
+      .resolves
+      .toBe(true);
+
+    await expect(messages('docs:/guide/index.md')).resolves.toEqual(['Copy index.md to guide/index.md']);
+  });
+
+  test('#unlink', async () => {
+    await expect(request('unlink', 'docs:/guide', options)).resolves.toBe(true);
+
+    const [latest] = await messages('docs:/');
+    expect(latest).toBe('Remove guide');
+    await expect(request('exists', 'docs:/guide', options)).resolves.toBe(false);
+  });
+
+  test('#diff', async () => {
+    const [latest, first] = await request('log', 'docs:/index.md', options);
+    const diff = await request('diff', 'docs:/index.md', first.id, latest.id, options);
+
+    expect(diff).toContain('-first');
+    expect(diff).toContain('+second');
+
+    await expect(request('diff', 'docs:/index.md', '--output=/tmp/x', undefined, options))
+      .rejects
+      .toMatchObject({code: 400});
+  });
+
+  test('#show', async () => {
+    const [, first] = await request('log', 'docs:/index.md', options);
+    const {size, stream} = await request('show', 'docs:/index.md', first.id, options);
+
+    expect(size).toBe(6);
+    await expect(readStream(stream)).resolves.toBe('first\n');
+
+    await expect(request('show', 'docs:/index.md', 'HEAD:../x', options))
+      .rejects
+      .toMatchObject({code: 400});
+  });
+
+  test('repository is hidden', async () => {
+    await expect(request('readdir', 'docs:/', options)
+      .then(list => list.map(entry => entry.filename)))
+      .resolves
+      .toEqual(['index.md']);
+
+    await expect(request('search', 'docs:/', '*', options)
+      .then(list => list.map(entry => entry.path)))
+      .resolves
+      .toEqual(['docs:/index.md']);
+
+    await expect(request('readfile', 'docs:/.git/config', options))
+      .rejects
+      .toMatchObject({code: 'EACCES'});
+
+    await expect(request('unlink', 'docs:/.git', options))
+      .rejects
+      .toMatchObject({code: 'EACCES'});
+  });
+});
@@ -0,0 +1,263 @@
+const stream = require('stream');
+const memoryAdapter = require('../../../src/adapters/vfs/memory.js');
+const {createStream, readStream, useCore, createOptions} = require('../../../__mocks__/helpers.js');
+
+describe('VFS Memory adapter', () => {
+  let core;
+  let adapter;
+
+  useCore(c => {
+    core = c;
+    adapter = memoryAdapter(core);
+  });
+
+  const vfs = {
+    mount: {
+      name: 'tmp',
+      root: 'tmp:/',
+      attributes: {
+        root: '{username}'
+      }
+    }
+  };
+
+  const request = (name, ...args) => adapter[name](vfs, vfs)(...args);
+
+  test('#watch', async () => {
+    const cb = jest.fn();
+    const watch = adapter.watch(vfs.mount, cb);
+
+    await request('touch', 'tmp:/watched', createOptions());
+    await request('unlink', 'tmp:/watched', createOptions());
+    await watch.close();
+    await request('touch', 'tmp:/watched', createOptions());
+
+    expect(cb).toHaveBeenCalledTimes(2);
+    expect(cb).toHaveBeenCalledWith({username: 'jest'}, 'watched', 'add');
+    expect(cb).toHaveBeenCalledWith({username: 'jest'}, 'watched', 'unlink');
+
+    await request('unlink', 'tmp:/watched', createOptions());
+  });
+
+  test('#touch', () => {
+    return expect(request('touch', 'tmp:/test', createOptions()))
+      .resolves
+      .toBe(true);
+  });
+
+  test('#stat', () => {
+    return expect(request('stat', 'tmp:/test', createOptions()))
+      .resolves
+      .toMatchObject({
+        filename: 'test',
+        path: 'tmp:/test',
+        size: 0,
+        isFile: true,
+        isDirectory: false,
+        mime: 'application/octet-stream'
+      });
+  });
+
+  test('#stat - non existing file', () => {
+    return expect(request('stat', 'tmp:/missing', createOptions()))
+      .rejects
+      .toMatchObject({code: 'ENOENT'});
+  });
+
+  test('#writefile', () => {
+    return expect(request('writefile', 'tmp:/test', createStream('jest'), createOptions()))
+      .resolves
+      .toBe(true);
+  });
+
+  test('#writefile - missing directory', () => {
+    return expect(request('writefile', 'tmp:/missing/test', createStream('jest'), createOptions()))
+      .rejects
+      .toMatchObject({code: 'ENOENT'});
+  });
+
+  test('#readfile', async () => {
+    const result = await request('readfile', 'tmp:/test', createOptions());
+
+    expect(result).toBeInstanceOf(stream.Readable);
+    await expect(readStream(result)).resolves.toBe('jest');
+  });
+
+  test('#readfile - ranges', async () => {
+    const result = await request('readfile', 'tmp:/test', createOptions({range: [1, 2]}));
+
+    await expect(readStream(result)).resolves.toBe('es');
+  });
+
+  test('#copy', () => {
+    return expect(request('copy', 'tmp:/test', 'tmp:/test-copy', createOptions()))
+      .resolves
+      .toBe(true);
+  });
+
+  test('#rename', () => {
+    return expect(request('rename', 'tmp:/test-copy', 'tmp:/test-rename', createOptions()))
+      .resolves
+      .toBe(true);
+  });
+
+  test('#copy - non existing parent', () => {
+    return expect(request('copy', 'tmp:/test', 'tmp:/missing/test-copy', createOptions()))
+      .rejects
+      .toMatchObject({code: 'ENOENT'});
+  });
+
+  test('#rename - non existing file', () => {
+    return expect(request('rename', 'tmp:/test-copy', 'tmp:/test-rename', createOptions()))
+      .rejects
+      .toMatchObject({code: 'ENOENT'});
+  });
+
+  test('#mkdir', () => {
+    return expect(request('mkdir', 'tmp:/test-directory', createOptions()))
+      .resolves
+      .toBe(true);
+  });
+
+  test('#mkdir - existing directory', () => {
+    return expect(request('mkdir', 'tmp:/test-directory', createOptions()))
+      .rejects
+      .toThrowError();
+  });
+
+  test('#mkdir - ensure', () => {
+    return expect(request('mkdir', 'tmp:/test-directory', createOptions({ensure: true})))
+      .resolves
+      .toBe(true);
+  });
+
+  test('#copy - directory', async () => {
+    await request('touch', 'tmp:/test-directory/sub/file', createOptions());
+
+    await expect(request('copy', 'tmp:/test-directory', 'tmp:/test-directory-copy', createOptions()))
+      .resolves
+      .toBe(true);
+
+    await expect(request('exists', 'tmp:/test-directory-copy/sub/file', createOptions()))
+      .resolves
+      .toBe(true);
+
+    await expect(request('copy', 'tmp:/test-directory', 'tmp:/test-directory/inside', createOptions()))
+      .rejects
+      .toMatchObject({code: 'EINVAL'});
+  });
+
+  test('#exists - existing file', () => {
+    return expect(request('exists', 'tmp:/test-rename', createOptions()))
+      .resolves
+      .toBe(true);
+  });
+
+  test('#exists - existing directory', () => {
+    return expect(request('exists', 'tmp:/test-directory', createOptions()))
+      .resolves
+      .toBe(true);
+  });
+
+  test('#exists - non existing file', () => {
+    return expect(request('exists', 'tmp:/test-copy', createOptions()))
+      .resolves
+      .toBe(false);
+  });
+
+  test('#exists - other user', () => {
+    return expect(request('exists', 'tmp:/test', createOptions({}, 'other')))
+      .resolves
+      .toBe(false);
+  });
+
+  test('#search', () => {
+    return expect(request('search', 'tmp:/', '*', createOptions()))
+      .resolves
+      .toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({
+            filename: 'test',
+            isFile: true
+          }),
+          expect.objectContaining({
+            filename: 'test-rename',
+            isFile: true
+          }),
+          expect.objectContaining({
+            filename: 'file',
+            path: 'tmp:/test-directory/sub/file'
+          })
+        ])
+      );
+  });
+
+  test('#readdir', async () => {
+    const result = await request('readdir', 'tmp:/', createOptions());
+
+    expect(result).toHaveLength(4);
+    expect(result).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          filename: 'test-directory',
+          isDirectory: true
+        }),
+        expect.objectContaining({
+          filename: 'test',
+          path: 'tmp:/test',
+          isFile: true,
+          size: 4
+        }),
+        expect.objectContaining({
+          filename: 'test-rename',
+          isFile: true
+        })
+      ])
+    );
+  });
+
+  test('#unlink', () => {
+    const files = ['tmp:/test', 'tmp:/test-directory', 'tmp:/test-rename'];
+
+    return Promise.all(files.map(f => {
+      return expect(request('unlink', f, createOptions()))
+        .resolves
+        .toBe(true);
+    }));
+  });
+
+  test('#unlink - non existing file', () => {
+    return expect(request('unlink', 'tmp:/test-directory', createOptions()))
+      .resolves
+      .toBe(true);
+  });
+
+  test('removes trees of a user on logout', async () => {
+    await request('touch', 'tmp:/logout', createOptions());
+    await request('touch', 'tmp:/logout', createOptions({}, 'other'));
+
+    core.emit('osjs/core:logging-out', {user: {username: 'jest'}});
+
+    await expect(request('exists', 'tmp:/logout', createOptions()))
+      .resolves
+      .toBe(false);
+
+    await expect(request('exists', 'tmp:/logout', createOptions({}, 'other')))
+      .resolves
+      .toBe(true);
+  });
+
+  test('removes trees on unmount', async () => {
+    core.emit('osjs/vfs:unmount', vfs.mount);
+
+    await expect(request('exists', 'tmp:/logout', createOptions({}, 'other')))
+      .resolves
+      .toBe(false);
+  });
+
+  test('#realpath', () => {
+    return expect(request('realpath', 'tmp:/foo/../test', createOptions()))
+      .resolves
+      .toBe('tmp:/test');
+  });
+});
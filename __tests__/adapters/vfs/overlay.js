@@ -0,0 +1,191 @@
+const overlayAdapter = require('../../../src/adapters/vfs/overlay.js');
+const {createStream, readStream, createOptions, useCore} = require('../../../__mocks__/helpers.js');
+
+describe('VFS Overlay adapter', () => {
+  let core;
+  let adapter;
+  let vfs;
+  let call;
+
+  const options = createOptions();
+
+  useCore(async c => {
+    core = c;
+
+    const fs = core.make('osjs/fs');
+    await fs.mount({name: 'overlay-upper', adapter: 'memory'});
+    await fs.mount({name: 'overlay-base', adapter: 'memory'});
+    await fs.mount({name: 'overlay-extra', adapter: 'memory', attributes: {ranges: false}});
+
+    const vfsCall = (method, ...args) => fs.adapters.memory[method]({
+      mount: fs.mountpoints.find(m => m.name === args[0].split(':')[0])
+    })(...args);
+
+    await vfsCall('mkdir', 'overlay-base:/templates', options);
+    await vfsCall('writefile', 'overlay-base:/templates/a.txt', createStream('base a'), options);
+    await vfsCall('writefile', 'overlay-base:/templates/b.txt', createStream('base b'), options);
+    await vfsCall('mkdir', 'overlay-base:/templates/dir', options);
+    await vfsCall('writefile', 'overlay-base:/templates/dir/c.txt', createStream('base c'), options);
+    await vfsCall('writefile', 'overlay-extra:/b.txt', createStream('extra b'), options);
+    await vfsCall('writefile', 'overlay-extra:/d.txt', createStream('extra d'), options);
+
+    call = vfsCall;
+    adapter = overlayAdapter(core);
+    vfs = {
+      mount: {
+        name: 'overlay',
+        root: 'overlay:/',
+        attributes: {
+          upper: 'overlay-upper:/{username}',
+          lower: ['overlay-base:/templates', 'overlay-extra:/']
+        }
+      }
+    };
+  });
+
+  const request = (name, ...args) => adapter[name](vfs, vfs)(...args);
+  const list = file => request('readdir', file, options)
+    .then(entries => entries.map(entry => entry.filename).sort());
+  const read = file => request('readfile', file, options).then(readStream);
+
+  test('#readdir - merges layers', async () => {
+    await expect(list('overlay:/')).resolves.toEqual(['a.txt', 'b.txt', 'd.txt', 'dir']);
+
+    const entries = await request('readdir', 'overlay:/', options);
+    expect(entries.find(entry => entry.filename === 'dir'))
+      .toMatchObject({path: 'overlay:/dir', isDirectory: true});
+  });
+
+  test('#readfile - falls through', async () => {
+    await expect(read('overlay:/a.txt')).resolves.toBe('base a');
+    await expect(read('overlay:/b.txt')).resolves.toBe('base b');
+    await expect(read('overlay:/d.txt')).resolves.toBe('extra d');
+
+    await expect(request('readfile', 'overlay:/missing.txt', options))
+      .rejects
+      .toMatchObject({code: 'ENOENT'});
+  });
+
+  test('#readfile - ranges on layers without range support', async () => {
+    const result = await request('readfile', 'overlay:/d.txt', {...options, range: [1, 3]});
+
+    await expect(readStream(result)).resolves.toBe('xtr');
+  });
+
+  test('#stat', () => {
+    return expect(request('stat', 'overlay:/dir/c.txt', options))
+      .resolves
+      .toMatchObject({
+        filename: 'c.txt',
+        path: 'overlay:/dir/c.txt',
+        isFile: true,
+        size: 6
+      });
+  });
+
+  test('#writefile - copies up', async () => {
+    await expect(request('writefile', 'overlay:/dir/c.txt', createStream('upper c'), options))
+      .resolves
+      .toBe(true);
+
+    await expect(read('overlay:/dir/c.txt')).resolves.toBe('upper c');
+    await expect(readStream(await call('readfile', 'overlay-base:/templates/dir/c.txt', options)))
+      .resolves
+      .toBe('base c');
+
+    await expect(call('exists', 'overlay-upper:/jest/dir/c.txt', options))
+      .resolves
+      .toBe(true);
+
+    await expect(request('writefile', 'overlay:/missing/file.txt', createStream('x'), options))
+      .rejects
+      .toMatchObject({code: 'ENOENT'});
+  });
+
+  test('#touch - copies up existing files', async () => {
+    await expect(request('touch', 'overlay:/a.txt', options)).resolves.toBe(true);
+    await expect(readStream(await call('readfile', 'overlay-upper:/jest/a.txt', options)))
+      .resolves
+      .toBe('base a');
+  });
+
+  test('#unlink - creates whiteouts', async () => {
+    await expect(request('unlink', 'overlay:/b.txt', options)).resolves.toBe(true);
+
+    await expect(list('overlay:/')).resolves.toEqual(['a.txt', 'd.txt', 'dir']);
+    await expect(request('exists', 'overlay:/b.txt', options)).resolves.toBe(false);
+    await expect(call('exists', 'overlay-base:/templates/b.txt', options)).resolves.toBe(true);
+
+    await expect(request('unlink', 'overlay:/b.txt', options))
+      .rejects
+      .toMatchObject({code: 'ENOENT'});
+  });
+
+  test('#writefile - replaces whiteouts', async () => {
+    await request('writefile', 'overlay:/b.txt', createStream('new b'), options);
+
+    await expect(read('overlay:/b.txt')).resolves.toBe('new b');
+    await expect(list('overlay:/')).resolves.toEqual(['a.txt', 'b.txt', 'd.txt', 'dir']);
+  });
+
+  test('#mkdir - recreated directories hide lower entries', async () => {
+    await request('unlink', 'overlay:/dir', options);
+    await expect(request('exists', 'overlay:/dir/c.txt', options)).resolves.toBe(false);
+
+    await expect(request('mkdir', 'overlay:/dir', options)).resolves.toBe(true);
+    await expect(list('overlay:/dir')).resolves.toEqual([]);
+
+    await expect(request('mkdir', 'overlay:/dir', options))
+      .rejects
+      .toMatchObject({code: 'EEXIST'});
+
+    await expect(request('mkdir', 'overlay:/x/y', options))
+      .rejects
+      .toMatchObject({code: 'ENOENT'});
+
+    await expect(request('mkdir', 'overlay:/x/y', {...options, ensure: true}))
+      .resolves
+      .toBe(true);
+  });
+
+  test('#mkdir - reserved names', () => {
+    return expect(request('mkdir', 'overlay:/.wh.test', options))
+      .rejects
+      .toMatchObject({code: 400});
+  });
+
+  test('#copy and #rename', async () => {
+    await expect(request('copy', 'overlay:/d.txt', 'overlay:/x/d.txt', options)).resolves.toBe(true);
+    await expect(request('rename', 'overlay:/x', 'overlay:/z', options)).resolves.toBe(true);
+
+    await expect(read('overlay:/z/d.txt')).resolves.toBe('extra d');
+    await expect(request('exists', 'overlay:/x', options)).resolves.toBe(false);
+    await expect(list('overlay:/')).resolves.toEqual(['a.txt', 'b.txt', 'd.txt', 'dir', 'z']);
+  });
+
+  test('#search', async () => {
+    const result = await request('search', 'overlay:/', '*.txt', options);
+
+    expect(result.map(entry => entry.path).sort()).toEqual([
+      'overlay:/a.txt',
+      'overlay:/b.txt',
+      'overlay:/d.txt',
+      'overlay:/z/d.txt'
+    ]);
+  });
+
+  test('#realpath', async () => {
+    await expect(request('realpath', 'overlay:/d.txt', options))
+      .resolves
+      .toBe(await call('realpath', 'overlay-extra:/d.txt', options));
+  });
+
+  test('layers can not include the mountpoint itself', async () => {
+    const self = {mount: {...vfs.mount, attributes: {upper: 'overlay:/upper', lower: []}}};
+    await core.make('osjs/fs').mount({name: 'overlay', adapter: 'overlay', attributes: self.mount.attributes});
+
+    await expect(adapter.exists(self)('overlay:/', options))
+      .rejects
+      .toMatchObject({code: 400});
+  });
+});
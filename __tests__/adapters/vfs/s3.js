@@ -0,0 +1,210 @@
+const stream = require('stream');
+const s3Server = require('../../../__mocks__/s3-server.js');
+const s3Adapter = require('../../../src/adapters/vfs/s3.js');
+const {createStream, readStream, createOptions, useCore} = require('../../../__mocks__/helpers.js');
+
+describe('VFS S3 adapter', () => {
+  let core;
+  let adapter;
+  let server;
+  let vfs;
+
+  useCore(async c => {
+    core = c;
+    server = s3Server({accessKeyId: 'jest'});
+    const endpoint = await server.listen();
+
+    vfs = {
+      mount: {
+        name: 'bucket',
+        root: 'bucket:/',
+        attributes: {
+          bucket: 'osjs',
+          prefix: 'users/{username}',
+          partSize: 8,
+          connection: {
+            endpoint,
+            accessKeyId: 'jest',
+            secretAccessKey: 'jest'
+          }
+        }
+      }
+    };
+
+    adapter = s3Adapter(core);
+  });
+
+  afterAll(() => server.close());
+
+  const request = (name, ...args) => adapter[name](vfs, vfs)(...args);
+  const objects = () => Array.from(server.buckets.get('osjs').keys()).sort();
+
+  test('#touch', async () => {
+    await expect(request('touch', 'bucket:/test', createOptions()))
+      .resolves
+      .toBe(true);
+
+    expect(objects()).toEqual(['users/jest/test']);
+  });
+
+  test('#stat', () => {
+    return expect(request('stat', 'bucket:/test', createOptions()))
+      .resolves
+      .toMatchObject({
+        filename: 'test',
+        path: 'bucket:/test',
+        size: 0,
+        isFile: true,
+        isDirectory: false,
+        mime: 'application/octet-stream',
+        stat: {
+          etag: expect.stringMatching(/^"[0-9a-f]{32}"$/)
+        }
+      });
+  });
+
+  test('#stat - non existing file', () => {
+    return expect(request('stat', 'bucket:/missing', createOptions()))
+      .rejects
+      .toMatchObject({code: 'ENOENT'});
+  });
+
+  test('#writefile', () => {
+    return expect(request('writefile', 'bucket:/test', createStream('jest'), createOptions()))
+      .resolves
+      .toBe(true);
+  });
+
+  test('#writefile - multipart', async () => {
+    await expect(request('writefile', 'bucket:/large.txt', createStream('abcdefghij', 'klmnopqrst', 'uvwxyz'), createOptions()))
+      .resolves
+      .toBe(true);
+
+    const uploads = server.requests.filter(r => r.key === 'users/jest/large.txt' && r.query.match(/partNumber/));
+    expect(uploads).toHaveLength(3);
+
+    const result = await request('readfile', 'bucket:/large.txt', createOptions());
+    await expect(readStream(result)).resolves.toBe('abcdefghijklmnopqrstuvwxyz');
+  });
+
+  test('#readfile', async () => {
+    const result = await request('readfile', 'bucket:/test', createOptions());
+
+    expect(result).toBeInstanceOf(stream.Readable);
+    await expect(readStream(result)).resolves.toBe('jest');
+  });
+
+  test('#readfile - ranges', async () => {
+    const result = await request('readfile', 'bucket:/test', createOptions({range: [1, 2]}));
+
+    await expect(readStream(result)).resolves.toBe('es');
+  });
+
+  test('#mkdir', async () => {
+    await expect(request('mkdir', 'bucket:/test-directory', createOptions()))
+      .resolves
+      .toBe(true);
+
+    await expect(request('mkdir', 'bucket:/test-directory', createOptions()))
+      .rejects
+      .toMatchObject({code: 'EEXIST'});
+
+    await expect(request('mkdir', 'bucket:/test-directory', createOptions({ensure: true})))
+      .resolves
+      .toBe(true);
+  });
+
+  test('#writefile - directory', () => {
+    return expect(request('writefile', 'bucket:/test-directory', createStream('jest'), createOptions()))
+      .resolves
+      .toBe(false);
+  });
+
+  test('#copy', async () => {
+    await request('writefile', 'bucket:/test-directory/sub/file.txt', createStream('jest'), createOptions());
+
+    await expect(request('copy', 'bucket:/test', 'bucket:/test-copy', createOptions()))
+      .resolves
+      .toBe(true);
+
+    await expect(request('copy', 'bucket:/test-directory', 'bucket:/test-directory-copy', createOptions()))
+      .resolves
+      .toBe(true);
+
+    expect(objects()).toEqual(expect.arrayContaining([
+      'users/jest/test-copy',
+      'users/jest/test-directory-copy/',
+      'users/jest/test-directory-copy/sub/file.txt'
+    ]));
+  });
+
+  test('#rename', async () => {
+    await expect(request('rename', 'bucket:/test-copy', 'bucket:/test-rename', createOptions()))
+      .resolves
+      .toBe(true);
+
+    await expect(request('exists', 'bucket:/test-copy', createOptions()))
+      .resolves
+      .toBe(false);
+  });
+
+  test('#exists', async () => {
+    await expect(request('exists', 'bucket:/test-rename', createOptions()))
+      .resolves
+      .toBe(true);
+
+    await expect(request('exists', 'bucket:/test-directory-copy/sub', createOptions()))
+      .resolves
+      .toBe(true);
+  });
+
+  test('#readdir', async () => {
+    const result = await request('readdir', 'bucket:/', createOptions());
+
+    expect(result.map(r => r.filename).sort()).toEqual([
+      'large.txt',
+      'test',
+      'test-directory',
+      'test-directory-copy',
+      'test-rename'
+    ]);
+
+    expect(result).toEqual(expect.arrayContaining([
+      expect.objectContaining({
+        filename: 'test-directory',
+        path: 'bucket:/test-directory',
+        isDirectory: true
+      }),
+      expect.objectContaining({
+        filename: 'test',
+        path: 'bucket:/test',
+        isFile: true,
+        size: 4
+      })
+    ]));
+  });
+
+  test('#search', () => {
+    return expect(request('search', 'bucket:/', '*.txt', createOptions()))
+      .resolves
+      .toEqual([
+        expect.objectContaining({filename: 'large.txt', path: 'bucket:/large.txt'}),
+        expect.objectContaining({filename: 'file.txt', path: 'bucket:/test-directory-copy/sub/file.txt'}),
+        expect.objectContaining({filename: 'file.txt', path: 'bucket:/test-directory/sub/file.txt'})
+      ]);
+  });
+
+  test('#unlink', async () => {
+    await expect(request('unlink', 'bucket:/test-directory-copy', createOptions()))
+      .resolves
+      .toBe(true);
+
+    expect(objects().filter(k => k.match(/test-directory-copy/))).toEqual([]);
+  });
+
+  test('#realpath', () => {
+    return expect(request('realpath', 'bucket:/test', createOptions()))
+      .resolves
+      .toBe('s3://osjs/users/jest/test');
+  });
+});
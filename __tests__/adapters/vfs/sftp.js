@@ -0,0 +1,247 @@
+const fs = require('fs-extra');
+const path = require('path');
+const temp = require('temp');
+const stream = require('stream');
+const {utils} = require('ssh2');
+const sftpServer = require('../../../__mocks__/sftp-server.js');
+const sftpAdapter = require('../../../src/adapters/vfs/sftp.js');
+const {createStream, readStream, createOptions, useCore} = require('../../../__mocks__/helpers.js');
+
+describe('VFS SFTP adapter', () => {
+  let core;
+  let adapter;
+  let server;
+  let root;
+  let vfs;
+  let clientKey;
+
+  useCore(async c => {
+    core = c;
+    root = temp.mkdirSync('osjs-sftp');
+    fs.ensureDirSync(path.join(root, 'home/jest'));
+
+    clientKey = utils.generateKeyPairSync('ed25519');
+    server = sftpServer({root, publicKey: clientKey.public});
+    const port = await server.listen();
+
+    vfs = {
+      mount: {
+        name: 'server',
+        root: 'server:/',
+        attributes: {
+          root: '/home/{username}',
+          connection: {
+            host: '127.0.0.1',
+            port,
+            password: 'jest'
+          }
+        }
+      }
+    };
+
+    adapter = sftpAdapter(core);
+  });
+
+  afterAll(async () => {
+    await server.close();
+    temp.cleanupSync();
+  });
+
+  const request = (name, ...args) => adapter[name](vfs, vfs)(...args);
+  const realPath = file => path.join(root, 'home/jest', file);
+
+  test('#touch', async () => {
+    await expect(request('touch', 'server:/test', createOptions()))
+      .resolves
+      .toBe(true);
+
+    expect(fs.existsSync(realPath('test'))).toBe(true);
+  });
+
+  test('#stat', () => {
+    return expect(request('stat', 'server:/test', createOptions()))
+      .resolves
+      .toMatchObject({
+        filename: 'test',
+        path: 'server:/test',
+        size: 0,
+        isFile: true,
+        isDirectory: false,
+        mime: 'application/octet-stream'
+      });
+  });
+
+  test('#stat - non existing file', () => {
+    return expect(request('stat', 'server:/missing', createOptions()))
+      .rejects
+      .toMatchObject({code: 'ENOENT'});
+  });
+
+  test('#writefile', async () => {
+    await expect(request('writefile', 'server:/test', createStream('je', 'st'), createOptions()))
+      .resolves
+      .toBe(true);
+
+    expect(fs.readFileSync(realPath('test'), 'utf8')).toBe('jest');
+  });
+
+  test('#readfile', async () => {
+    const result = await request('readfile', 'server:/test', createOptions());
+
+    expect(result).toBeInstanceOf(stream.Readable);
+    await expect(readStream(result)).resolves.toBe('jest');
+  });
+
+  test('#readfile - ranges', async () => {
+    const result = await request('readfile', 'server:/test', createOptions({range: [1, 2]}));
+
+    await expect(readStream(result)).resolves.toBe('es');
+  });
+
+  test('#mkdir', async () => {
+    await expect(request('mkdir', 'server:/test-directory', createOptions()))
+      .resolves
+      .toBe(true);
+
+    await expect(request('mkdir', 'server:/test-directory', createOptions()))
+      .rejects
+      .toMatchObject({code: 'EEXIST'});
+
+    await expect(request('mkdir', 'server:/test-directory', createOptions({ensure: true})))
+      .resolves
+      .toBe(true);
+
+    await expect(request('mkdir', 'server:/a/b/c', createOptions({ensure: true})))
+      .resolves
+      .toBe(true);
+
+    expect(fs.statSync(realPath('a/b/c')).isDirectory()).toBe(true);
+  });
+
+  test('#writefile - directory', () => {
+    return expect(request('writefile', 'server:/test-directory', createStream('jest'), createOptions()))
+      .resolves
+      .toBe(false);
+  });
+
+  test('#copy', async () => {
+    fs.outputFileSync(realPath('test-directory/sub/file.txt'), 'jest');
+
+    await expect(request('copy', 'server:/test', 'server:/test-copy', createOptions()))
+      .resolves
+      .toBe(true);
+
+    await expect(request('copy', 'server:/test-directory', 'server:/test-directory-copy', createOptions()))
+      .resolves
+      .toBe(true);
+
+    expect(fs.readFileSync(realPath('test-directory-copy/sub/file.txt'), 'utf8')).toBe('jest');
+  });
+
+  test('#rename', async () => {
+    await expect(request('rename', 'server:/test-copy', 'server:/test-rename', createOptions()))
+      .resolves
+      .toBe(true);
+
+    await expect(request('exists', 'server:/test-copy', createOptions()))
+      .resolves
+      .toBe(false);
+
+    await request('touch', 'server:/test-copy', createOptions());
+
+    await expect(request('rename', 'server:/test-rename', 'server:/test-copy', createOptions()))
+      .resolves
+      .toBe(true);
+
+    expect(fs.readFileSync(realPath('test-copy'), 'utf8')).toBe('jest');
+  });
+
+  test('#readdir', async () => {
+    const result = await request('readdir', 'server:/', createOptions());
+
+    expect(result.map(r => r.filename)).toEqual([
+      'a',
+      'test',
+      'test-copy',
+      'test-directory',
+      'test-directory-copy'
+    ]);
+
+    expect(result).toEqual(expect.arrayContaining([
+      expect.objectContaining({
+        filename: 'test-directory',
+        path: 'server:/test-directory',
+        isDirectory: true
+      }),
+      expect.objectContaining({
+        filename: 'test',
+        path: 'server:/test',
+        isFile: true,
+        size: 4
+      })
+    ]));
+  });
+
+  test('#search', async () => {
+    const result = await request('search', 'server:/', '*.txt', createOptions());
+
+    expect(result.map(r => r.path).sort()).toEqual([
+      'server:/test-directory-copy/sub/file.txt',
+      'server:/test-directory/sub/file.txt'
+    ]);
+  });
+
+  test('#unlink', async () => {
+    await expect(request('unlink', 'server:/test-directory-copy', createOptions()))
+      .resolves
+      .toBe(true);
+
+    expect(fs.existsSync(realPath('test-directory-copy'))).toBe(false);
+  });
+
+  test('#realpath', () => {
+    return expect(request('realpath', 'server:/test', createOptions()))
+      .resolves
+      .toBe(`sftp://jest@127.0.0.1:${vfs.mount.attributes.connection.port}/home/jest/test`);
+  });
+
+  test('connection pooling', async () => {
+    const before = server.stats.connections;
+
+    await Promise.all([1, 2, 3, 4].map(() => request('stat', 'server:/test', createOptions())));
+
+    expect(server.stats.connections - before).toBeLessThanOrEqual(1);
+  });
+
+  test('private key authentication', async () => {
+    const keyed = {
+      mount: {
+        ...vfs.mount,
+        name: 'keyed',
+        root: 'keyed:/',
+        attributes: {
+          ...vfs.mount.attributes,
+          connection: {
+            host: '127.0.0.1',
+            port: vfs.mount.attributes.connection.port,
+            privateKey: clientKey.private
+          }
+        }
+      }
+    };
+
+    await expect(adapter.exists(keyed)('keyed:/test', createOptions()))
+      .resolves
+      .toBe(true);
+  });
+
+  test('closes connections on logout', async () => {
+    await request('exists', 'server:/test', createOptions());
+    expect(server.connections.size).toBeGreaterThan(0);
+
+    core.emit('osjs/core:logging-out', {user: {username: 'jest'}});
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(server.connections.size).toBe(0);
+  });
+});
@@ -1,3 +1,4 @@
+const fs = require('fs-extra');
 const osjs = require('osjs');
 const path = require('path');
 const stream = require('stream');
@@ -103,6 +104,22 @@ describe('VFS System adapter', () => {
       .toBe(true);
   });
 
+  test('#writefile - temporary file', async () => {
+    const tmp = path.join(core.configuration.tempPath, 'upload.tmp');
+    fs.writeFileSync(tmp, 'temporary');
+
+    const s = fs.createReadStream(tmp);
+    s.temporary = true;
+
+    await expect(request('writefile', 'home:/test-temporary', s, createOptions()))
+      .resolves
+      .toBe(true);
+
+    expect(fs.existsSync(tmp)).toBe(false);
+    expect(fs.readFileSync(path.join(core.configuration.tempPath, 'jest/test-temporary'), 'utf8'))
+      .toBe('temporary');
+  });
+
   test('#exists - existing file', () => {
     return expect(request('exists', 'home:/test-rename', createOptions()))
       .resolves
@@ -159,6 +176,58 @@ describe('VFS System adapter', () => {
       );
   });
 
+  test('#readdir - listing', async () => {
+    const root = path.join(core.configuration.tempPath, 'jest/listing');
+    fs.outputFileSync(path.join(root, 'b.txt'), 'bb');
+    fs.outputFileSync(path.join(root, 'a10.txt'), 'aaaaaa');
+    fs.outputFileSync(path.join(root, 'a2.txt'), 'a');
+    fs.outputFileSync(path.join(root, '.hidden'), '');
+    fs.ensureDirSync(path.join(root, 'dir'));
+
+    const listing = (options) => request('readdir', 'home:/listing', createOptions({
+      listing: {offset: 0, limit: null, cursor: null, sortBy: 'name', sortDir: 'asc', showHiddenFiles: true, stat: true, ...options}
+    }));
+
+    const names = page => page.entries.map(entry => entry.filename);
+
+    const first = await listing({limit: 2, showHiddenFiles: false});
+    expect(first).toMatchObject({total: 4, offset: 0, limit: 2});
+    expect(names(first)).toEqual(['a2.txt', 'a10.txt']);
+    expect(first.entries[0]).toMatchObject({size: 1, mime: 'text/plain', stat: expect.any(Object)});
+
+    const second = await listing({limit: 2, showHiddenFiles: false, cursor: first.cursor});
+    expect(second).toMatchObject({total: 4, offset: 2, cursor: null});
+    expect(names(second)).toEqual(['b.txt', 'dir']);
+
+    await expect(listing({sortBy: 'size', sortDir: 'desc'}).then(names))
+      .resolves
+      .toEqual(['a10.txt', 'b.txt', 'a2.txt', 'dir', '.hidden']);
+
+    await expect(listing({sortBy: 'type', stat: false}))
+      .resolves
+      .toMatchObject({
+        total: 5,
+        entries: [
+          {filename: 'dir', isDirectory: true},
+          {filename: '.hidden', mime: 'application/octet-stream'},
+          {filename: 'a2.txt', mime: 'text/plain'},
+          {filename: 'a10.txt'},
+          {filename: 'b.txt'}
+        ]
+      });
+
+    const light = await listing({stat: false, offset: 4});
+    expect(light.entries).toEqual([{
+      isDirectory: true,
+      isFile: false,
+      mime: null,
+      path: 'home:/listing/dir',
+      filename: 'dir'
+    }]);
+
+    fs.removeSync(root);
+  });
+
   test('#unlink', () => {
     const files = ['home:/test', 'home:/test-directory', 'home:/test-rename'];
 
@@ -0,0 +1,294 @@
+const fs = require('fs-extra');
+const path = require('path');
+const stream = require('stream');
+const createWebdav = require('../../../src/webdav.js');
+const webdavAdapter = require('../../../src/adapters/vfs/webdav.js');
+const {createStream, readStream, createOptions, useCore} = require('../../../__mocks__/helpers.js');
+
+describe('VFS WebDAV adapter', () => {
+  let core;
+  let adapter;
+  let vfs;
+  let davPath;
+
+  useCore(async c => {
+    core = c;
+    core.app.use('/webdav', createWebdav(core));
+
+    davPath = path.join(core.configuration.tempPath, 'jest/dav-adapter');
+    fs.removeSync(davPath);
+    fs.ensureDirSync(davPath);
+
+    vfs = {
+      mount: {
+        name: 'cloud',
+        root: 'cloud:/',
+        attributes: {
+          prefix: 'dav-adapter',
+          connection: {
+            url: `http://localhost:${core.httpServer.address().port}/webdav/home`,
+            username: '{username}',
+            password: 'jest'
+          }
+        }
+      }
+    };
+
+    adapter = webdavAdapter(core);
+  });
+
+  const request = (name, ...args) => adapter[name](vfs, vfs)(...args);
+
+  test('#touch', async () => {
+    await expect(request('touch', 'cloud:/test', createOptions()))
+      .resolves
+      .toBe(true);
+
+    expect(fs.existsSync(path.join(davPath, 'test'))).toBe(true);
+  });
+
+  test('#stat', () => {
+    return expect(request('stat', 'cloud:/test', createOptions()))
+      .resolves
+      .toMatchObject({
+        filename: 'test',
+        path: 'cloud:/test',
+        size: 0,
+        isFile: true,
+        isDirectory: false,
+        mime: 'application/octet-stream'
+      });
+  });
+
+  test('#stat - non existing file', () => {
+    return expect(request('stat', 'cloud:/missing', createOptions()))
+      .rejects
+      .toMatchObject({code: 'ENOENT'});
+  });
+
+  test('#writefile', async () => {
+    await expect(request('writefile', 'cloud:/test', createStream('je', 'st'), createOptions()))
+      .resolves
+      .toBe(true);
+
+    expect(fs.readFileSync(path.join(davPath, 'test'), 'utf8')).toBe('jest');
+  });
+
+  test('#readfile', async () => {
+    const result = await request('readfile', 'cloud:/test', createOptions());
+
+    expect(result).toBeInstanceOf(stream.Readable);
+    await expect(readStream(result)).resolves.toBe('jest');
+  });
+
+  test('#readfile - ranges', async () => {
+    const result = await request('readfile', 'cloud:/test', createOptions({range: [1, 2]}));
+
+    await expect(readStream(result)).resolves.toBe('es');
+  });
+
+  test('#mkdir', async () => {
+    await expect(request('mkdir', 'cloud:/test directory', createOptions()))
+      .resolves
+      .toBe(true);
+
+    await expect(request('mkdir', 'cloud:/test directory', createOptions()))
+      .rejects
+      .toMatchObject({code: 'EEXIST'});
+
+    await expect(request('mkdir', 'cloud:/test directory', createOptions({ensure: true})))
+      .resolves
+      .toBe(true);
+
+    await expect(request('mkdir', 'cloud:/test directory/sub', createOptions()))
+      .resolves
+      .toBe(true);
+  });
+
+  test('#mkdir - ensure parents', async () => {
+    await expect(request('mkdir', 'cloud:/a/b/c', createOptions({ensure: true})))
+      .resolves
+      .toBe(true);
+
+    expect(fs.statSync(path.join(davPath, 'a/b/c')).isDirectory()).toBe(true);
+  });
+
+  test('#writefile - directory', () => {
+    return expect(request('writefile', 'cloud:/test directory', createStream('jest'), createOptions()))
+      .resolves
+      .toBe(false);
+  });
+
+  test('#copy', async () => {
+    await request('writefile', 'cloud:/test directory/sub/file.txt', createStream('jest'), createOptions());
+
+    await expect(request('copy', 'cloud:/test', 'cloud:/test-copy', createOptions()))
+      .resolves
+      .toBe(true);
+
+    await expect(request('copy', 'cloud:/test directory', 'cloud:/test-directory-copy', createOptions()))
+      .resolves
+      .toBe(true);
+
+    expect(fs.readFileSync(path.join(davPath, 'test-directory-copy/sub/file.txt'), 'utf8')).toBe('jest');
+  });
+
+  test('#copy - between shares', async () => {
+    const other = {
+      mount: {
+        ...vfs.mount,
+        name: 'other',
+        root: 'other:/',
+        attributes: {
+          ...vfs.mount.attributes,
+          prefix: 'dav-adapter/other',
+          connection: {
+            ...vfs.mount.attributes.connection,
+            url: vfs.mount.attributes.connection.url + '/'
+          }
+        }
+      }
+    };
+
+    await request('mkdir', 'cloud:/other', createOptions());
+
+    await expect(adapter.copy(vfs, other)('cloud:/test directory', 'other:/copy', createOptions()))
+      .resolves
+      .toBe(true);
+
+    expect(fs.readFileSync(path.join(davPath, 'other/copy/sub/file.txt'), 'utf8')).toBe('jest');
+  });
+
+  test('#rename', async () => {
+    await expect(request('rename', 'cloud:/test-copy', 'cloud:/test-rename', createOptions()))
+      .resolves
+      .toBe(true);
+
+    await expect(request('exists', 'cloud:/test-copy', createOptions()))
+      .resolves
+      .toBe(false);
+
+    await expect(request('exists', 'cloud:/test-rename', createOptions()))
+      .resolves
+      .toBe(true);
+  });
+
+  test('#readdir', async () => {
+    const result = await request('readdir', 'cloud:/', createOptions());
+
+    expect(result.map(r => r.filename).sort()).toEqual([
+      'a',
+      'other',
+      'test',
+      'test directory',
+      'test-directory-copy',
+      'test-rename'
+    ]);
+
+    expect(result).toEqual(expect.arrayContaining([
+      expect.objectContaining({
+        filename: 'test directory',
+        path: 'cloud:/test directory',
+        isDirectory: true
+      }),
+      expect.objectContaining({
+        filename: 'test',
+        path: 'cloud:/test',
+        isFile: true,
+        size: 4
+      })
+    ]));
+  });
+
+  test('#search', async () => {
+    const result = await request('search', 'cloud:/', '*.txt', createOptions());
+
+    expect(result.map(r => r.path).sort()).toEqual([
+      'cloud:/other/copy/sub/file.txt',
+      'cloud:/test directory/sub/file.txt',
+      'cloud:/test-directory-copy/sub/file.txt'
+    ]);
+  });
+
+  test('#unlink', async () => {
+    await expect(request('unlink', 'cloud:/test-directory-copy', createOptions()))
+      .resolves
+      .toBe(true);
+
+    expect(fs.existsSync(path.join(davPath, 'test-directory-copy'))).toBe(false);
+  });
+
+  test('#realpath', () => {
+    return expect(request('realpath', 'cloud:/test directory', createOptions()))
+      .resolves
+      .toBe(vfs.mount.attributes.connection.url + '/dav-adapter/test%20directory');
+  });
+
+  test('credentials - from session', async () => {
+    const {connection} = vfs.mount.attributes;
+    vfs.mount.attributes.connection = {url: connection.url};
+
+    try {
+      await expect(request('exists', 'cloud:/test', createOptions()))
+        .rejects
+        .toMatchObject({code: 'EACCES'});
+
+      await expect(request('exists', 'cloud:/test', createOptions({
+        session: {webdav: {cloud: {username: 'jest', password: 'jest'}}}
+      })))
+        .resolves
+        .toBe(true);
+    } finally {
+      vfs.mount.attributes.connection = connection;
+    }
+  });
+
+  test('credentials - from settings', async () => {
+    const {connection} = vfs.mount.attributes;
+    const settings = core.make('osjs/settings');
+    const load = jest.spyOn(settings.adapter, 'load')
+      .mockImplementation(async () => ({'osjs/webdav': {cloud: {username: 'jest', password: 'jest'}}}));
+
+    vfs.mount.attributes.connection = {url: connection.url};
+
+    try {
+      await expect(request('exists', 'cloud:/test', createOptions()))
+        .resolves
+        .toBe(true);
+
+      expect(load).toBeCalledWith(expect.objectContaining({
+        session: expect.objectContaining({user: expect.objectContaining({username: 'jest'})})
+      }));
+    } finally {
+      load.mockRestore();
+      vfs.mount.attributes.connection = connection;
+    }
+  });
+
+  test('credentials - only username and password from users', async () => {
+    const {connection} = vfs.mount.attributes;
+    const credentials = webdav => createOptions({session: {webdav: {cloud: webdav}}});
+
+    await expect(request('exists', 'cloud:/test', credentials({
+      url: 'http://localhost:1/webdav',
+      username: 'jest',
+      password: 'jest'
+    })))
+      .resolves
+      .toBe(true);
+
+    const {adapter: auth} = core.make('osjs/auth');
+    const login = jest.spyOn(auth, 'login')
+      .mockImplementation(async req => req.body.password === 'jest');
+
+    try {
+      await expect(request('exists', 'cloud:/test', credentials({username: 'jest'})))
+        .rejects
+        .toMatchObject({code: 'EACCES'});
+
+      expect(login).not.toBeCalledWith(expect.objectContaining({body: {username: 'jest', password: connection.password}}), expect.anything());
+    } finally {
+      login.mockRestore();
+    }
+  });
+});
@@ -101,6 +101,36 @@ describe('Authentication', () => {
     });
   });
 
+  test('#authenticate', async () => {
+    auth.options.requiredGroups = [];
+
+    const basic = credentials => ({
+      headers: {authorization: 'Basic ' + Buffer.from(credentials).toString('base64')}
+    });
+
+    await expect(auth.authenticate(basic('jest:jest')))
+      .resolves
+      .toEqual(profile);
+
+    await expect(auth.authenticate(basic('jestdeny:jest')))
+      .resolves
+      .toBe(false);
+
+    await expect(auth.authenticate(basic('invalid')))
+      .resolves
+      .toBe(false);
+
+    await expect(auth.authenticate({headers: {authorization: 'Bearer token'}}))
+      .resolves
+      .toBe(false);
+
+    auth.adapter.token = async token => token === 'secret' ? {id: 1, username: 'token'} : false;
+
+    await expect(auth.authenticate({headers: {authorization: 'Bearer secret'}}))
+      .resolves
+      .toMatchObject({id: 1, username: 'token'});
+  });
+
   test('#logout', async () => {
     await auth.logout(request, response);
 
@@ -1,9 +1,12 @@
 const fs = require('fs-extra');
 const osjs = require('osjs');
 const path = require('path');
+const stream = require('stream');
+const yauzl = require('yauzl');
 const Filesystem = require('../src/filesystem.js');
 const {Response} = require('jest-express/lib/response');
 const {Request} = require('jest-express/lib/request');
+const {createStream, readStream} = require('../__mocks__/helpers.js');
 
 describe('Filesystem', () => {
   let core;
@@ -81,6 +84,797 @@ describe('Filesystem', () => {
     expect(result).toBe(false);
   });
 
+  test('#call - memory adapter', async () => {
+    const memory = await filesystem.mount({
+      name: 'jest-memory',
+      adapter: 'memory',
+      attributes: {
+        root: '{username}'
+      }
+    });
+
+    const call = (method, username, ...args) => filesystem.call({
+      method,
+      user: {username, groups: []}
+    }, ...args);
+
+    await expect(call('touch', 'jest', 'jest-memory:/test')).resolves.toBe(true);
+    await expect(call('exists', 'jest', 'jest-memory:/test')).resolves.toBe(true);
+    await expect(call('exists', 'other', 'jest-memory:/test')).resolves.toBe(false);
+
+    await filesystem.unmount(memory);
+  });
+
+  test('#call - cross adapter copy and move', async () => {
+    const memory = await filesystem.mount({
+      name: 'jest-cross',
+      adapter: 'memory'
+    });
+
+    const call = (method, ...args) => filesystem.call({
+      method,
+      user: {username: 'jest', groups: []}
+    }, ...args);
+
+    const root = path.join(core.configuration.tempPath, 'jest/cross');
+    fs.ensureDirSync(path.join(root, 'sub'));
+    fs.writeFileSync(path.join(root, 'sub/file.txt'), 'cross');
+
+    await expect(call('copy', 'home:/cross', 'jest-cross:/cross'))
+      .resolves
+      .toBe(true);
+
+    await expect(call('copy', 'home:/cross', 'jest-cross:/cross', {conflict: 'rename'}))
+      .resolves
+      .toBe(true);
+
+    await expect(call('exists', 'jest-cross:/cross (1)/sub/file.txt'))
+      .resolves
+      .toBe(true);
+
+    await expect(call('rename', 'jest-cross:/cross', 'home:/cross-moved'))
+      .resolves
+      .toBe(true);
+
+    expect(fs.readFileSync(path.join(core.configuration.tempPath, 'jest/cross-moved/sub/file.txt'), 'utf8'))
+      .toBe('cross');
+
+    await expect(call('exists', 'jest-cross:/cross'))
+      .resolves
+      .toBe(false);
+
+    await filesystem.unmount(memory);
+  });
+
+  test('#call - quotas', async () => {
+    const memory = await filesystem.mount({
+      name: 'jest-quota',
+      adapter: 'memory',
+      attributes: {
+        root: '{username}',
+        quota: {files: 1, users: {admin: {files: null}}}
+      }
+    });
+
+    const call = (method, username, ...args) => filesystem.call({
+      method,
+      user: {username, groups: []}
+    }, ...args);
+
+    await expect(call('touch', 'jest', 'jest-quota:/a'))
+      .resolves
+      .toBe(true);
+
+    await expect(call('touch', 'jest', 'jest-quota:/b'))
+      .rejects
+      .toMatchObject({code: 507});
+
+    await expect(call('touch', 'admin', 'jest-quota:/b'))
+      .resolves
+      .toBe(true);
+
+    await expect(call('quota', 'jest', 'jest-quota:/'))
+      .resolves
+      .toEqual({
+        mountpoint: 'jest-quota',
+        bytes: {used: 0, limit: null},
+        files: {used: 1, limit: 1}
+      });
+
+    await expect(call('quota', 'jest'))
+      .resolves
+      .toEqual([expect.objectContaining({mountpoint: 'jest-quota'})]);
+
+    await filesystem.unmount(memory);
+  });
+
+  test('#call - quotas with a stream over the limit', async () => {
+    const root = path.join(core.configuration.tempPath, 'jest/quota-system');
+    const mount = await filesystem.mount({
+      name: 'jest-quota-system',
+      attributes: {
+        root: '{vfs}/{username}/quota-system',
+        quota: {bytes: 20}
+      }
+    });
+
+    const call = (method, ...args) => filesystem.call({
+      method,
+      user: {username: 'jest', groups: []}
+    }, ...args);
+
+    fs.ensureDirSync(root);
+    fs.writeFileSync(path.join(root, 'doc.txt'), 'original');
+
+    await expect(call('writefile', 'jest-quota-system:/doc.txt', createStream(Buffer.alloc(64 * 1024))))
+      .rejects
+      .toMatchObject({code: 507});
+
+    await expect(call('writefile', 'jest-quota-system:/new.txt', createStream(Buffer.alloc(64 * 1024))))
+      .rejects
+      .toMatchObject({code: 507});
+
+    expect(fs.readdirSync(root)).toEqual(['doc.txt']);
+    expect(fs.readFileSync(path.join(root, 'doc.txt'), 'utf8')).toBe('original');
+
+    await filesystem.unmount(mount);
+  });
+
+  test('#call - trash', async () => {
+    const call = (method, ...args) => filesystem.call({
+      method,
+      user: {username: 'jest', groups: []}
+    }, ...args);
+
+    const mount = await filesystem.mount({
+      name: 'jest-trash',
+      attributes: {
+        root: '{vfs}/{username}',
+        trash: true
+      }
+    });
+
+    const realPath = path.join(core.configuration.tempPath, 'jest/trashed.txt');
+    fs.writeFileSync(realPath, 'trashed');
+    await call('metadataSet', 'jest-trash:/trashed.txt', {tags: ['kept']});
+
+    await expect(call('unlink', 'jest-trash:/trashed.txt'))
+      .resolves
+      .toBe(true);
+
+    expect(fs.existsSync(realPath)).toBe(false);
+
+    const [item] = await call('trash');
+    expect(item).toMatchObject({path: 'jest-trash:/trashed.txt', size: 7});
+
+    await expect(call('trashRestore', item.id))
+      .resolves
+      .toBe('jest-trash:/trashed.txt');
+
+    expect(fs.readFileSync(realPath, 'utf8')).toBe('trashed');
+
+    await expect(call('metadata', 'jest-trash:/trashed.txt'))
+      .resolves
+      .toMatchObject({tags: ['kept']});
+
+    await expect(call('unlink', 'jest-trash:/trashed.txt', {permanent: true}))
+      .resolves
+      .toBe(true);
+
+    await expect(call('trash'))
+      .resolves
+      .toEqual([]);
+
+    // The trash is only used when enabled
+    fs.writeFileSync(realPath, 'removed');
+    await call('unlink', 'home:/trashed.txt');
+
+    expect(fs.existsSync(realPath)).toBe(false);
+    await expect(call('trash'))
+      .resolves
+      .toEqual([]);
+
+    await filesystem.unmount(mount);
+  });
+
+  test('#call - versions', async () => {
+    const memory = await filesystem.mount({
+      name: 'jest-versions',
+      adapter: 'memory',
+      attributes: {
+        versions: true
+      }
+    });
+
+    const call = (method, ...args) => filesystem.call({
+      method,
+      user: {username: 'jest', groups: []}
+    }, ...args);
+
+    const write = str => {
+      return call('writefile', 'jest-versions:/file.txt', createStream(str));
+    };
+
+    await write('first');
+    await write('second');
+
+    const [version] = await call('versions', 'jest-versions:/file.txt');
+    expect(version).toMatchObject({path: 'jest-versions:/file.txt', size: 5});
+
+    const response = new Response();
+    const request = new Request();
+    request.session = {user: {username: 'jest', groups: []}};
+    request.fields = {path: 'jest-versions:/file.txt', id: version.id};
+
+    const result = await filesystem.request('versionReadfile', request, response);
+    expect(response.append).toHaveBeenCalledWith('Content-Length', '5');
+    await expect(new Promise(resolve => {
+      const chunks = [];
+      result.on('data', c => chunks.push(c));
+      result.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    })).resolves.toBe('first');
+
+    await expect(call('versionRestore', 'jest-versions:/file.txt', version.id))
+      .resolves
+      .toBe(true);
+
+    await expect(call('versions', 'jest-versions:/file.txt'))
+      .resolves
+      .toEqual([expect.objectContaining({size: 6}), version]);
+
+    await expect(call('versions', 'home:/file.txt'))
+      .rejects
+      .toMatchObject({code: 400});
+
+    await filesystem.unmount(memory);
+  });
+
+  test('#call - full-text search', async () => {
+    const memory = await filesystem.mount({
+      name: 'jest-search',
+      adapter: 'memory',
+      attributes: {
+        index: true
+      }
+    });
+
+    const call = (method, ...args) => filesystem.call({
+      method,
+      user: {username: 'jest', groups: []}
+    }, ...args);
+
+    const write = (file, str) => {
+      return call('writefile', file, createStream(str));
+    };
+
+    await write('jest-search:/a.txt', 'hello search');
+    await expect(call('search', 'jest-search:/', 'hello', {fulltext: true}))
+      .resolves
+      .toMatchObject({total: 1, entries: [{path: 'jest-search:/a.txt'}]});
+
+    await write('jest-search:/b.txt', 'hello again');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    await expect(call('search', 'jest-search:/', 'hello', {fulltext: true, limit: 1}))
+      .resolves
+      .toMatchObject({total: 2, limit: 1, entries: [expect.any(Object)]});
+
+    await expect(call('search', 'home:/', 'hello', {fulltext: true}))
+      .rejects
+      .toMatchObject({code: 400});
+
+    await filesystem.unmount(memory);
+  });
+
+  test('#call - tree and du', async () => {
+    const root = path.join(core.configuration.tempPath, 'jest/tree');
+    fs.outputFileSync(path.join(root, 'a.txt'), 'aa');
+    fs.outputFileSync(path.join(root, 'dir/b.txt'), 'bbb');
+
+    const call = (method, ...args) => filesystem.call({
+      method,
+      user: {username: 'jest', groups: []}
+    }, ...args);
+
+    const tree = await call('tree', 'home:/tree', 2);
+    expect(tree).toMatchObject({
+      filename: 'tree',
+      children: expect.arrayContaining([
+        expect.objectContaining({filename: 'a.txt'}),
+        expect.objectContaining({filename: 'dir', children: [expect.objectContaining({filename: 'b.txt'})]})
+      ])
+    });
+
+    await expect(call('du', 'home:/tree'))
+      .resolves
+      .toEqual({path: 'home:/tree', size: 5, files: 2, directories: 1});
+
+    await call('writefile', 'home:/tree/dir/c.txt', createStream('c'));
+
+    await expect(call('du', 'home:/tree'))
+      .resolves
+      .toEqual({path: 'home:/tree', size: 6, files: 3, directories: 1});
+
+    await expect(call('tree', 'home:/tree', 100))
+      .rejects
+      .toMatchObject({code: 400});
+
+    fs.removeSync(root);
+  });
+
+  test('#call - metadata', async () => {
+    const root = path.join(core.configuration.tempPath, 'jest/metadata');
+    fs.outputFileSync(path.join(root, 'a.txt'), 'a');
+
+    const call = (method, ...args) => filesystem.call({
+      method,
+      user: {username: 'jest', groups: []}
+    }, ...args);
+
+    await expect(call('metadataSet', 'home:/metadata/a.txt', {tags: ['work'], starred: true}))
+      .resolves
+      .toMatchObject({tags: ['work'], starred: true});
+
+    await expect(call('metadataSet', 'home:/metadata/a.txt', JSON.stringify({color: 'red'})))
+      .resolves
+      .toMatchObject({tags: ['work'], color: 'red'});
+
+    await expect(call('stat', 'home:/metadata/a.txt'))
+      .resolves
+      .toMatchObject({metadata: {tags: ['work'], color: 'red', starred: true}});
+
+    await call('rename', 'home:/metadata/a.txt', 'home:/metadata/b.txt');
+    await call('copy', 'home:/metadata/b.txt', 'home:/metadata/c.txt');
+
+    await expect(call('metadata', 'home:/metadata/a.txt'))
+      .rejects
+      .toMatchObject({code: 'ENOENT'});
+
+    await expect(call('metadataSearch', 'home:/metadata', 'work')
+      .then(results => results.map(result => result.path)))
+      .resolves
+      .toEqual(['home:/metadata/b.txt', 'home:/metadata/c.txt']);
+
+    await call('unlink', 'home:/metadata/b.txt', {permanent: true});
+    await expect(call('metadataRemove', 'home:/metadata/c.txt')).resolves.toBe(true);
+
+    await expect(call('metadataSearch', 'home:/metadata', 'work'))
+      .resolves
+      .toEqual([]);
+
+    await expect(call('metadataSet', 'home:/metadata/c.txt', {owner: 'jest'}))
+      .rejects
+      .toMatchObject({code: 400});
+
+    fs.removeSync(root);
+  });
+
+  test('#call - history', async () => {
+    const mount = await filesystem.mount({
+      name: 'jest-git',
+      adapter: 'git',
+      attributes: {
+        root: path.join(core.configuration.tempPath, 'jest-git')
+      }
+    });
+
+    const call = (method, ...args) => filesystem.call({
+      method,
+      user: {username: 'jest', groups: []}
+    }, ...args);
+
+    const write = str => {
+      return call('writefile', 'jest-git:/file.txt', createStream(str));
+    };
+
+    await write('first');
+    await write('second');
+
+    const [latest, first] = await call('history', 'jest-git:/file.txt');
+    expect(latest).toMatchObject({message: 'Update file.txt', author: {name: 'jest', email: 'jest@localhost'}});
+    await expect(call('history', 'jest-git:/file.txt', 1)).resolves.toEqual([latest]);
+
+    await expect(call('historyDiff', 'jest-git:/file.txt', first.id, latest.id))
+      .resolves
+      .toMatchObject({from: first.id, to: latest.id, diff: expect.stringContaining('+second')});
+
+    const response = new Response();
+    const request = new Request();
+    request.session = {user: {username: 'jest', groups: []}};
+    request.fields = {path: 'jest-git:/file.txt', revision: first.id};
+
+    const result = await filesystem.request('historyReadfile', request, response);
+    expect(response.append).toHaveBeenCalledWith('Content-Length', '5');
+    await expect(new Promise(resolve => {
+      const chunks = [];
+      result.on('data', c => chunks.push(c));
+      result.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    })).resolves.toBe('first');
+
+    await expect(call('history', 'home:/file.txt'))
+      .rejects
+      .toMatchObject({code: 400});
+
+    await filesystem.unmount(mount);
+    fs.removeSync(path.join(core.configuration.tempPath, 'jest-git'));
+  });
+
+  test('#request - share links', async () => {
+    const root = path.join(core.configuration.tempPath, 'jest/shared');
+    fs.outputFileSync(path.join(root, 'file.txt'), 'shared');
+
+    const call = (method, ...args) => filesystem.call({
+      method,
+      user: {username: 'jest', groups: []}
+    }, ...args);
+
+    const publicRequest = (name, token, fields, files = {}) => {
+      const request = new Request();
+      request.params = {token};
+      request.fields = fields;
+      request.files = files;
+
+      return filesystem.request(name, request, new Response());
+    };
+
+    const share = await call('share', 'home:/shared', {maxDownloads: 1});
+    expect(share).toMatchObject({path: 'home:/shared', mode: 'read', downloads: 0});
+    await expect(call('shares')).resolves.toEqual([share]);
+
+    await expect(publicRequest('publicRead', share.token, {}))
+      .resolves
+      .toEqual([expect.objectContaining({filename: 'file.txt', path: 'file.txt', size: 6})]);
+
+    await expect(readStream(await publicRequest('publicRead', share.token, {path: 'file.txt'})))
+      .resolves
+      .toBe('shared');
+
+    await expect(publicRequest('publicRead', share.token, {path: 'file.txt'}))
+      .rejects
+      .toMatchObject({code: 410});
+
+    await expect(publicRequest('publicUpload', share.token, {path: 'new.txt'}))
+      .rejects
+      .toMatchObject({code: 403});
+
+    const upload = await call('share', 'home:/shared', {mode: 'upload', password: 'secret'});
+    await expect(publicRequest('publicUpload', upload.token, {path: 'file.txt'}, {upload: createStream('uploaded')}))
+      .rejects
+      .toMatchObject({code: 401});
+
+    await expect(publicRequest('publicUpload', upload.token, {path: 'file.txt', password: 'secret'}, {upload: createStream('uploaded')}))
+      .resolves
+      .toEqual({filename: 'file (1).txt'});
+
+    expect(fs.readFileSync(path.join(root, 'file (1).txt'), 'utf8')).toBe('uploaded');
+    expect(fs.readFileSync(path.join(root, 'file.txt'), 'utf8')).toBe('shared');
+
+    await expect(call('shareRemove', share.token)).resolves.toBe(true);
+    await expect(publicRequest('publicRead', share.token, {}))
+      .rejects
+      .toMatchObject({code: 404});
+  });
+
+  test('#call - cancel unknown operation', () => {
+    return expect(filesystem.call({
+      method: 'cancel',
+      user: {username: 'jest', groups: []}
+    }, 'unknown'))
+      .resolves
+      .toBe(false);
+  });
+
+  test('#request - conditional requests', async () => {
+    const filename = path.join(core.configuration.tempPath, 'jest/conditional.txt');
+    fs.writeFileSync(filename, 'conditional');
+
+    const createRequest = (fields, headers = {}) => {
+      const request = new Request();
+      request.session = {user: {username: 'jest', groups: []}};
+      request.fields = fields;
+      request.headers = headers;
+      return request;
+    };
+
+    const stat = await filesystem.request('stat', createRequest({path: 'home:/conditional.txt'}));
+    expect(stat.etag).toMatch(/^"[0-9a-f]+-[0-9a-f]+"$/);
+
+    const response = new Response();
+    const result = await filesystem.request('readfile', createRequest({path: 'home:/conditional.txt'}, {
+      'if-none-match': stat.etag
+    }), response);
+
+    expect(result).toBe(null);
+    expect(response.status).toHaveBeenCalledWith(304);
+    expect(response.append).toHaveBeenCalledWith('ETag', stat.etag);
+
+    const modified = await filesystem.request('readfile', createRequest({path: 'home:/conditional.txt'}, {
+      'if-none-match': '"other"'
+    }), new Response());
+
+    expect(modified).toBeInstanceOf(stream.Readable);
+    modified.destroy();
+
+    const upload = new stream.Readable({read() {}});
+    upload.push('changed');
+    upload.push(null);
+
+    const writeRequest = createRequest({
+      path: 'home:/conditional.txt',
+      options: {ifMatch: '"other"'}
+    });
+    writeRequest.files = {upload};
+
+    await expect(filesystem.request('writefile', writeRequest, new Response()))
+      .rejects
+      .toMatchObject({code: 412});
+
+    await expect(filesystem.request('unlink', createRequest({
+      path: 'home:/conditional.txt',
+      options: {expectedMtime: 0}
+    }), new Response()))
+      .rejects
+      .toThrowError('Precondition failed: the file has been modified');
+
+    await expect(filesystem.request('rename', createRequest({
+      from: 'home:/conditional.txt',
+      to: 'home:/conditional-renamed.txt'
+    }, {'if-match': '"other"'}), new Response()))
+      .rejects
+      .toMatchObject({code: 412});
+
+    await expect(filesystem.request('unlink', createRequest({
+      path: 'home:/conditional.txt',
+      options: {expectedMtime: stat.stat.mtime}
+    }, {'if-match': stat.etag}), new Response()))
+      .resolves
+      .toBe(true);
+  });
+
+  describe('#request - readfile ranges', () => {
+    const readfile = (headers, method = 'GET', file = 'home:/ranges.txt') => {
+      const request = new Request();
+      const response = new Response();
+      request.method = method;
+      request.session = {user: {username: 'jest', groups: []}};
+      request.fields = {path: file};
+      request.headers = headers;
+
+      return filesystem.request('readfile', request, response)
+        .then(result => ({result, response}));
+    };
+
+    beforeAll(() => {
+      fs.writeFileSync(path.join(core.configuration.tempPath, 'jest/ranges.txt'), '0123456789');
+    });
+
+    test('full', async () => {
+      const {result, response} = await readfile({});
+
+      await expect(readStream(result)).resolves.toBe('0123456789');
+      expect(response.status).not.toHaveBeenCalled();
+      expect(response.append).toHaveBeenCalledWith('Accept-Ranges', 'bytes');
+      expect(response.append).toHaveBeenCalledWith('Content-Length', '10');
+    });
+
+    test('HEAD', async () => {
+      const {result, response} = await readfile({}, 'HEAD');
+
+      await expect(readStream(result)).resolves.toBe('');
+      expect(response.append).toHaveBeenCalledWith('Content-Length', '10');
+      expect(response.append).toHaveBeenCalledWith('Content-Type', 'text/plain');
+    });
+
+    test('single and suffix range', async () => {
+      const single = await readfile({range: 'bytes=2-4'});
+      await expect(readStream(single.result)).resolves.toBe('234');
+      expect(single.response.status).toHaveBeenCalledWith(206);
+      expect(single.response.append).toHaveBeenCalledWith('Content-Range', 'bytes 2-4/10');
+      expect(single.response.append).toHaveBeenCalledWith('Content-Length', '3');
+
+      const suffix = await readfile({range: 'bytes=-3'});
+      await expect(readStream(suffix.result)).resolves.toBe('789');
+      expect(suffix.response.append).toHaveBeenCalledWith('Content-Range', 'bytes 7-9/10');
+    });
+
+    test('multiple ranges', async () => {
+      const {result, response} = await readfile({range: 'bytes=0-1,8-'});
+      const body = await readStream(result);
+
+      expect(response.status).toHaveBeenCalledWith(206);
+      expect(response.append).toHaveBeenCalledWith('Content-Type', expect.stringMatching(/^multipart\/byteranges; boundary=/));
+      expect(body).toContain('Content-Range: bytes 0-1/10\r\n\r\n01\r\n');
+      expect(body).toContain('Content-Range: bytes 8-9/10\r\n\r\n89\r\n');
+    });
+
+    test('not satisfiable', async () => {
+      const request = readfile({range: 'bytes=20-'});
+
+      await expect(request).rejects.toMatchObject({code: 416});
+    });
+
+    test('stale If-Range sends the whole file', async () => {
+      const {result, response} = await readfile({range: 'bytes=0-1', 'if-range': '"stale"'});
+
+      await expect(readStream(result)).resolves.toBe('0123456789');
+      expect(response.status).not.toHaveBeenCalled();
+    });
+
+    test('adapter capability', async () => {
+      const memory = await filesystem.mount({name: 'jest-ranges', adapter: 'memory'});
+      const upload = new stream.Readable({read() {}});
+      upload.push('abcdef');
+      upload.push(null);
+
+      await filesystem.call({method: 'writefile', user: {username: 'jest', groups: []}}, 'jest-ranges:/file.txt', upload);
+
+      const {result, response} = await readfile({range: 'bytes=1-2'}, 'GET', 'jest-ranges:/file.txt');
+      await expect(readStream(result)).resolves.toBe('bc');
+      expect(response.status).toHaveBeenCalledWith(206);
+
+      await filesystem.unmount(memory);
+    });
+  });
+
+  test('#request - resumable upload', async () => {
+    const session = {user: {username: 'jest', groups: []}};
+    const createRequest = (fields, headers = {}) => {
+      const request = new Request();
+      request.session = session;
+      request.fields = fields;
+      request.headers = headers;
+      return request;
+    };
+
+    const createChunk = (str, offset) => {
+      return Object.assign(createStream(str), {
+        session,
+        fields: {},
+        params: {id: upload.id},
+        headers: {'upload-offset': String(offset)}
+      });
+    };
+
+    const upload = await filesystem.request('upload', createRequest({path: 'home:/uploaded.txt', size: '11'}), new Response());
+    expect(upload).toMatchObject({offset: 0, size: 11});
+
+    await expect(filesystem.request('uploadAppend', createChunk('hello ', 0), new Response()))
+      .resolves
+      .toMatchObject({offset: 6});
+
+    await expect(filesystem.request('uploadFinalize', createRequest({id: upload.id}), new Response()))
+      .rejects
+      .toThrowError('Upload is not complete');
+
+    await expect(filesystem.request('uploadAppend', createChunk('world', 6), new Response()))
+      .resolves
+      .toMatchObject({offset: 11});
+
+    await expect(filesystem.request('uploadStatus', createRequest({id: upload.id}), new Response()))
+      .resolves
+      .toMatchObject({offset: 11, size: 11});
+
+    await expect(filesystem.request('uploadFinalize', createRequest({id: upload.id}), new Response()))
+      .resolves
+      .toBe(11);
+
+    expect(fs.readFileSync(path.join(core.configuration.tempPath, 'jest/uploaded.txt'), 'utf8'))
+      .toBe('hello world');
+
+    await expect(filesystem.request('uploadStatus', createRequest({id: upload.id}), new Response()))
+      .rejects
+      .toThrowError('was not found');
+
+    await expect(filesystem.request('upload', createRequest({path: 'osjs:/uploaded.txt', size: '1'}), new Response()))
+      .rejects
+      .toThrowError('Mountpoint \'osjs\' is read-only');
+  });
+
+  describe.each([
+    ['zip', 'home:/archive.zip'],
+    ['tar.gz', 'home:/archive.tar.gz']
+  ])('#call - archive and extract (%s)', (type, archive) => {
+    const call = (method, ...args) => filesystem.call({
+      method,
+      user: {username: 'jest', groups: []}
+    }, ...args);
+
+    beforeAll(() => {
+      const root = path.join(core.configuration.tempPath, 'jest/archive-source');
+      fs.ensureDirSync(path.join(root, 'sub/empty'));
+      fs.writeFileSync(path.join(root, 'a.txt'), 'a');
+      fs.writeFileSync(path.join(root, 'sub/b.txt'), 'b');
+      fs.writeFileSync(path.join(core.configuration.tempPath, 'jest/c.txt'), 'c');
+    });
+
+    test('#archive', async () => {
+      await expect(call('archive', ['home:/archive-source', 'home:/c.txt'], archive))
+        .resolves
+        .toBe(true);
+
+      await expect(call('exists', archive))
+        .resolves
+        .toBe(true);
+    });
+
+    test('#extract', async () => {
+      const dest = path.join(core.configuration.tempPath, `jest/extracted-${type}`);
+
+      await expect(call('extract', archive, `home:/extracted-${type}`))
+        .resolves
+        .toBe(true);
+
+      expect(fs.readFileSync(path.join(dest, 'archive-source/a.txt'), 'utf8')).toBe('a');
+      expect(fs.readFileSync(path.join(dest, 'archive-source/sub/b.txt'), 'utf8')).toBe('b');
+      expect(fs.readFileSync(path.join(dest, 'c.txt'), 'utf8')).toBe('c');
+      expect(fs.statSync(path.join(dest, 'archive-source/sub/empty')).isDirectory()).toBe(true);
+    });
+
+    test('#archive - explicit type', async () => {
+      const file = archive.replace(/\.[a-z.]+$/, '.bin');
+      const options = {type: type === 'zip' ? 'zip' : 'tgz'};
+
+      await expect(call('archive', ['home:/c.txt'], file, options))
+        .resolves
+        .toBe(true);
+
+      await expect(call('extract', file, `home:/extracted-bin-${type}`, options))
+        .resolves
+        .toBe(true);
+
+      expect(fs.readFileSync(path.join(core.configuration.tempPath, `jest/extracted-bin-${type}/c.txt`), 'utf8'))
+        .toBe('c');
+    });
+
+    test('#archive - inside source', () => {
+      return expect(call('archive', ['home:/archive-source'], 'home:/archive-source/archive.zip'))
+        .rejects
+        .toThrowError('Can not create an archive inside a source directory');
+    });
+
+    test('#extract - read only destination', () => {
+      return expect(call('extract', archive, 'osjs:/extracted'))
+        .rejects
+        .toThrowError('Mountpoint \'osjs\' is read-only');
+    });
+  });
+
+  test('#request - readfile directory download', async () => {
+    const root = path.join(core.configuration.tempPath, 'jest/download');
+    fs.ensureDirSync(path.join(root, 'sub'));
+    fs.writeFileSync(path.join(root, 'sub/file.txt'), 'jest');
+
+    const request = new Request();
+    const response = new Response();
+    request.session = {user: {username: 'jest', groups: []}};
+    request.fields = {path: 'home:/download', options: {download: true}};
+
+    const result = await filesystem.request('readfile', request, response);
+    const buffer = await new Promise((resolve, reject) => {
+      const chunks = [];
+      result.on('data', c => chunks.push(c));
+      result.on('error', reject);
+      result.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+
+    const names = await new Promise((resolve, reject) => {
+      yauzl.fromBuffer(buffer, (err, zipfile) => {
+        const list = [];
+        if (err) {
+          return reject(err);
+        }
+
+        zipfile.on('entry', entry => list.push(entry.fileName));
+        zipfile.on('end', () => resolve(list));
+        return undefined;
+      });
+    });
+
+    expect(response.append).toHaveBeenCalledWith('Content-Type', 'application/zip');
+    expect(response.append).toHaveBeenCalledWith('Content-Disposition', 'attachment; filename*=utf-8\'\'download.zip');
+    expect(names).toEqual(['download/', 'download/sub/', 'download/sub/file.txt']);
+  });
+
   test('#request', async () => {
     const request = new Request();
 
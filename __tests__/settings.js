@@ -56,6 +56,12 @@ describe('Settings', () => {
     expect(response.json).toBeCalledWith({});
   });
 
+  test('#read', () => {
+    return expect(settings.read(request))
+      .resolves
+      .toEqual({});
+  });
+
   test('#destroy', async () => {
     await settings.destroy();
     settings = undefined;
@@ -0,0 +1,67 @@
+const conditional = require('../../src/utils/conditional.js');
+
+describe('Conditional Utils', () => {
+  const mtime = new Date('2020-01-01T00:00:00.500Z');
+  const file = {size: 255, stat: {mtime}};
+  const etag = `"ff-${mtime.getTime().toString(16)}"`;
+
+  test('createEtag', () => {
+    expect(conditional.createEtag(file)).toBe(etag);
+    expect(conditional.createEtag({size: 1, stat: {etag: 'abc'}})).toBe('"abc"');
+    expect(conditional.createEtag({size: 1, stat: {etag: '"abc"'}})).toBe('"abc"');
+    expect(conditional.createEtag({size: 1, stat: {}})).toBe(null);
+  });
+
+  test('getConditions', () => {
+    expect(conditional.getConditions({
+      headers: {'if-match': '"a"'}
+    }, {expectedMtime: 1, ifNoneMatch: '*'})).toEqual({
+      ifMatch: '"a"',
+      ifNoneMatch: '*',
+      ifModifiedSince: undefined,
+      ifUnmodifiedSince: undefined,
+      expectedMtime: 1
+    });
+  });
+
+  test('isNotModified', () => {
+    expect(conditional.isNotModified(file, {ifNoneMatch: etag})).toBe(true);
+    expect(conditional.isNotModified(file, {ifNoneMatch: `"other", W/${etag}`})).toBe(true);
+    expect(conditional.isNotModified(file, {ifNoneMatch: '"other"'})).toBe(false);
+    expect(conditional.isNotModified(file, {ifModifiedSince: mtime.toUTCString()})).toBe(true);
+    expect(conditional.isNotModified(file, {ifModifiedSince: new Date(mtime.getTime() - 1000).toUTCString()})).toBe(false);
+    expect(conditional.isNotModified(file, {})).toBe(false);
+  });
+
+  test('assertPreconditions', () => {
+    const check = (f, conditions) => () => conditional.assertPreconditions(f, conditions);
+
+    expect(check(file, {ifMatch: etag})).not.toThrow();
+    expect(check(file, {ifMatch: '*'})).not.toThrow();
+    expect(check(file, {ifMatch: '"other"'})).toThrowError('Precondition failed: the file has been modified');
+    expect(check(file, {ifMatch: `W/${etag}`})).toThrowError('Precondition failed');
+    expect(check(null, {ifMatch: '*'})).toThrowError('Precondition failed');
+
+    expect(check(null, {ifNoneMatch: '*'})).not.toThrow();
+    expect(check(file, {ifNoneMatch: '*'})).toThrowError('Precondition failed: the file already exists');
+
+    expect(check(file, {ifUnmodifiedSince: mtime.toUTCString()})).not.toThrow();
+    expect(check(file, {ifUnmodifiedSince: new Date(mtime.getTime() - 1000).toUTCString()})).toThrowError('Precondition failed');
+
+    expect(check(file, {expectedMtime: mtime.toISOString()})).not.toThrow();
+    expect(check(file, {expectedMtime: mtime.getTime() + 1})).toThrowError('Precondition failed');
+    expect(check(null, {expectedMtime: mtime.getTime()})).toThrowError('Precondition failed');
+
+    try {
+      conditional.assertPreconditions(file, {ifMatch: '"other"'});
+    } catch (e) {
+      expect(e.code).toBe(412);
+    }
+  });
+
+  test('hasPreconditions', () => {
+    expect(conditional.hasPreconditions({})).toBe(false);
+    expect(conditional.hasPreconditions({expectedMtime: 0})).toBe(true);
+    expect(conditional.hasPreconditions({ifMatch: '*'})).toBe(true);
+  });
+});
@@ -0,0 +1,92 @@
+const fs = require('fs-extra');
+const path = require('path');
+const temp = require('temp');
+const {isRevision, createRepository} = require('../../src/utils/git.js');
+const {readStream} = require('../../__mocks__/helpers.js');
+
+describe('Git Utils', () => {
+  let dir;
+  let repository;
+
+  const author = {name: 'Jest', email: 'jest@localhost'};
+
+  beforeAll(() => {
+    dir = path.join(temp.mkdirSync('osjs-git'), 'repository');
+    repository = createRepository(dir);
+  });
+
+  afterAll(() => temp.cleanupSync());
+
+  test('isRevision', () => {
+    expect(isRevision('HEAD')).toBe(true);
+    expect(isRevision('HEAD~1')).toBe(true);
+    expect(isRevision('a1b2c3d')).toBe(true);
+    expect(isRevision('feature/docs')).toBe(true);
+    expect(isRevision('--output=/tmp/x')).toBe(false);
+    expect(isRevision('HEAD..main')).toBe(false);
+    expect(isRevision('')).toBe(false);
+    expect(isRevision(undefined)).toBe(false);
+  });
+
+  test('init', async () => {
+    await expect(repository.init()).resolves.toBe(true);
+    expect(fs.existsSync(path.join(dir, '.git'))).toBe(true);
+
+    await expect(repository.log('')).resolves.toEqual([]);
+  });
+
+  test('commit', async () => {
+    fs.outputFileSync(path.join(dir, 'docs/a.md'), 'first\n');
+
+    const id = await repository.commit(['docs/a.md'], 'Add docs/a.md', author);
+    expect(id).toMatch(/^[0-9a-f]{40}$/);
+
+    await expect(repository.commit(['docs/a.md'], 'Nothing', author))
+      .resolves
+      .toBe(null);
+
+    await expect(repository.commit(['missing.md'], 'Nothing', author))
+      .resolves
+      .toBe(null);
+
+    fs.outputFileSync(path.join(dir, 'docs/a.md'), 'second\n');
+    fs.outputFileSync(path.join(dir, 'b.md'), 'other\n');
+
+    await repository.commit(['docs/a.md'], 'Update docs/a.md', author);
+
+    const [latest, first] = await repository.log('docs/a.md');
+    expect(latest).toMatchObject({author, message: 'Update docs/a.md'});
+    expect(first).toMatchObject({id, author, message: 'Add docs/a.md'});
+    expect(new Date(first.date).getTime()).not.toBeNaN();
+
+    await expect(repository.log('b.md')).resolves.toEqual([]);
+    await expect(repository.log('', {limit: 1})).resolves.toHaveLength(1);
+  });
+
+  test('diff', async () => {
+    const diff = await repository.diff('docs/a.md', 'HEAD~1', 'HEAD');
+
+    expect(diff).toContain('-first');
+    expect(diff).toContain('+second');
+
+    await expect(repository.diff('docs/a.md', 'HEAD')).resolves.toBe('');
+    await expect(repository.diff('docs/a.md', 'missing'))
+      .rejects
+      .toMatchObject({code: 'ENOENT'});
+  });
+
+  test('show', async () => {
+    const {size, stream} = await repository.show('docs/a.md', 'HEAD~1');
+
+    expect(size).toBe(6);
+    await expect(readStream(stream)).resolves.toBe('first\n');
+
+    await expect(repository.show('docs', 'HEAD'))
+      .rejects
+      .toMatchObject({code: 400});
+
+    await expect(repository.show('b.md', 'HEAD'))
+      .rejects
+      .toMatchObject({code: 'ENOENT'});
+  });
+});
@@ -0,0 +1,129 @@
+const memoryAdapter = require('../../src/adapters/vfs/memory.js');
+const {createMethodCaller} = require('../../src/utils/vfs.js');
+const {parseListing, paginate, wrapListing} = require('../../src/utils/listing.js');
+const {createStream, createOptions, useCore} = require('../../__mocks__/helpers.js');
+
+describe('Listing Utils', () => {
+  let core;
+  let found;
+  let call;
+
+  const options = createOptions();
+
+  const entry = (filename, size, mtime, isDirectory = false) => ({
+    filename,
+    path: `test:/${filename}`,
+    isDirectory,
+    isFile: !isDirectory,
+    mime: isDirectory ? null : 'text/plain',
+    size,
+    stat: {mtime: new Date(mtime)}
+  });
+
+  const entries = [
+    entry('file10.txt', 10, 3000),
+    entry('file2.txt', 20, 1000),
+    entry('Dir', 0, 2000, true),
+    entry('.hidden', 5, 4000)
+  ];
+
+  const names = page => page.entries.map(e => e.filename);
+
+  useCore(async c => {
+    core = c;
+    found = {
+      adapter: memoryAdapter(core),
+      mount: {name: 'listing', root: 'listing:/', attributes: {}}
+    };
+
+    const caller = createMethodCaller(found);
+    await caller('writefile', 'listing:/b.txt', createStream('bbb'), options);
+    await caller('writefile', 'listing:/a.txt', createStream('a'), options);
+    await caller('writefile', 'listing:/.hidden', createStream(''), options);
+    await caller('mkdir', 'listing:/dir', options);
+
+    call = wrapListing(found, caller);
+  });
+
+  test('parseListing', () => {
+    expect(parseListing({})).toBe(null);
+
+    expect(parseListing({limit: '10'})).toEqual({
+      offset: 0,
+      limit: 10,
+      cursor: null,
+      sortBy: 'name',
+      sortDir: 'asc',
+      showHiddenFiles: true,
+      stat: true
+    });
+
+    expect(parseListing({sortBy: 'mtime', sortDir: 'desc', showHiddenFiles: false, stat: false}))
+      .toMatchObject({sortBy: 'mtime', sortDir: 'desc', showHiddenFiles: false, stat: false});
+
+    expect(() => parseListing({limit: 0})).toThrowError('Invalid readdir option \'limit\'');
+    expect(() => parseListing({offset: -1})).toThrowError('Invalid readdir option \'offset\'');
+    expect(() => parseListing({sortBy: 'owner'})).toThrowError('Invalid readdir option \'sortBy\'');
+    expect(() => parseListing({sortDir: 'up'})).toThrowError('Invalid readdir option \'sortDir\'');
+    expect(() => parseListing({stat: 'no'})).toThrowError('Invalid readdir option \'stat\'');
+  });
+
+  test('paginate - sorting', () => {
+    const sort = (sortBy, sortDir = 'asc') => names(paginate(entries, parseListing({sortBy, sortDir})));
+
+    expect(sort('name')).toEqual(['.hidden', 'Dir', 'file2.txt', 'file10.txt']);
+    expect(sort('name', 'desc')).toEqual(['file10.txt', 'file2.txt', 'Dir', '.hidden']);
+    expect(sort('size')).toEqual(['Dir', '.hidden', 'file10.txt', 'file2.txt']);
+    expect(sort('mtime')).toEqual(['file2.txt', 'Dir', 'file10.txt', '.hidden']);
+    expect(sort('type')).toEqual(['Dir', '.hidden', 'file2.txt', 'file10.txt']);
+  });
+
+  test('paginate - offset and cursor', () => {
+    const listing = parseListing({limit: 2, showHiddenFiles: false});
+    const first = paginate(entries, listing);
+
+    expect(first).toMatchObject({total: 3, offset: 0, limit: 2});
+    expect(names(first)).toEqual(['Dir', 'file2.txt']);
+
+    // A new entry before the cursor does not shift the next page
+    const second = paginate([...entries, entry('a.txt', 1, 0)], {...listing, cursor: first.cursor});
+    expect(second).toMatchObject({total: 4, offset: 3, cursor: null});
+    expect(names(second)).toEqual(['file10.txt']);
+
+    expect(names(paginate(entries, {...listing, offset: 2}))).toEqual(['file10.txt']);
+
+    expect(() => paginate(entries, {...listing, sortBy: 'size', cursor: first.cursor}))
+      .toThrowError('Invalid readdir cursor');
+
+    expect(() => paginate(entries, {...listing, cursor: 'invalid'}))
+      .toThrowError('Invalid readdir cursor');
+  });
+
+  test('wrapListing - adapters without native pagination', async () => {
+    await expect(call('readdir', 'listing:/', options).then(list => list.length))
+      .resolves
+      .toBe(4);
+
+    const page = await call('readdir', 'listing:/', {...options, sortBy: 'size', sortDir: 'desc', limit: 2});
+    expect(page).toMatchObject({total: 4, offset: 0, limit: 2});
+    expect(names(page)).toEqual(['b.txt', 'a.txt']);
+
+    await expect(call('readdir', 'listing:/', {...options, showHiddenFiles: false, stat: false}))
+      .resolves
+      .toEqual({
+        total: 3,
+        offset: 0,
+        limit: null,
+        cursor: null,
+        entries: [
+          {filename: 'a.txt', path: 'listing:/a.txt', isDirectory: false, isFile: true, mime: 'text/plain'},
+          {filename: 'b.txt', path: 'listing:/b.txt', isDirectory: false, isFile: true, mime: 'text/plain'},
+          {filename: 'dir', path: 'listing:/dir', isDirectory: true, isFile: false, mime: null}
+        ]
+      });
+
+    await expect(call('readdir', 'listing:/', {...options, sortBy: 'owner'}))
+      .rejects
+      .toMatchObject({code: 400});
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs-extra');
+const temp = require('temp');
+const memoryAdapter = require('../../src/adapters/vfs/memory.js');
+const {createMethodCaller} = require('../../src/utils/vfs.js');
+const {parseChanges, parseQuery, createMetadata} = require('../../src/utils/metadata.js');
+const {createOptions, useCore, withConfig} = require('../../__mocks__/helpers.js');
+
+describe('Metadata Utils', () => {
+  let core;
+  let root;
+  let found;
+  let other;
+  let call;
+  let metadata;
+
+  const options = createOptions();
+
+  const createStore = () => createMetadata(withConfig(core, {'vfs.metadata.root': root}));
+
+  useCore(async c => {
+    core = c;
+    root = temp.mkdirSync('osjs-metadata');
+
+    const adapter = memoryAdapter(core);
+    found = {adapter, mount: {name: 'meta', root: 'meta:/', attributes: {root: '{username}'}}};
+    other = {adapter, mount: {name: 'other', root: 'other:/', attributes: {root: '{username}'}}};
+
+    call = createMethodCaller(found);
+    await call('mkdir', 'meta:/dir', options);
+    await call('touch', 'meta:/dir/a.txt', options);
+    await call('touch', 'meta:/dir/b.txt', options);
+    await call('touch', 'meta:/c.txt', options);
+
+    metadata = createStore();
+  });
+
+  afterAll(() => temp.cleanupSync());
+
+  test('parseChanges', () => {
+    expect(parseChanges({tags: [' work ', 'work', 'todo'], color: '#ff0000', starred: true, properties: {a: 1}}))
+      .toEqual({tags: ['work', 'todo'], color: '#ff0000', starred: true, properties: {a: 1}});
+
+    expect(() => parseChanges(null)).toThrowError('Metadata must be an object');
+    expect(() => parseChanges({tags: 'work'})).toThrowError('Invalid metadata \'tags\'');
+    expect(() => parseChanges({color: 'red; x'})).toThrowError('Invalid metadata \'color\'');
+    expect(() => parseChanges({starred: 'yes'})).toThrowError('Invalid metadata \'starred\'');
+    expect(() => parseChanges({properties: {a: {}}})).toThrowError('Invalid metadata \'properties\'');
+    expect(() => parseChanges({owner: 'jest'})).toThrowError('Invalid metadata \'owner\'');
+  });
+
+  test('parseQuery', () => {
+    expect(parseQuery({tags: 'a, b', starred: 'true'}))
+      .toEqual({tags: ['a', 'b'], match: 'all', starred: true, color: null});
+
+    expect(parseQuery({tags: ['a'], match: 'any', starred: false, color: 'red'}))
+      .toEqual({tags: ['a'], match: 'any', starred: false, color: 'red'});
+
+    expect(() => parseQuery({match: 'none'})).toThrowError('Invalid metadata search \'match\'');
+  });
+
+  test('get and set', async () => {
+    await expect(metadata.get(found, 'meta:/c.txt', options))
+      .resolves
+      .toEqual({tags: [], color: null, starred: false, properties: {}});
+
+    await expect(metadata.find(found, 'meta:/c.txt', options))
+      .resolves
+      .toBe(null);
+
+    await expect(metadata.set(found, 'meta:/c.txt', {tags: ['work'], properties: {project: 'docs', page: 1}}, options))
+      .resolves
+      .toEqual({tags: ['work'], color: null, starred: false, properties: {project: 'docs', page: 1}});
+
+    await expect(metadata.set(found, 'meta:/c.txt', {starred: true, properties: {page: null}}, options))
+      .resolves
+      .toEqual({tags: ['work'], color: null, starred: true, properties: {project: 'docs'}});
+
+    await expect(createStore().get(found, 'meta:/c.txt', options))
+      .resolves
+      .toMatchObject({tags: ['work'], starred: true});
+
+    await expect(metadata.set(found, 'meta:/c.txt', {tags: ['x'], color: 'red'}, {session: {user: {username: 'other'}}}))
+      .resolves
+      .toMatchObject({tags: ['x']});
+  });
+
+  test('transfer', async () => {
+    await metadata.set(found, 'meta:/dir', {color: 'blue'}, options);
+    await metadata.set(found, 'meta:/dir/a.txt', {tags: ['work', 'draft']}, options);
+
+    await metadata.transfer(found, 'meta:/dir', found, 'meta:/copy', false, options);
+    await expect(metadata.find(found, 'meta:/copy/a.txt', options))
+      .resolves
+      .toMatchObject({tags: ['work', 'draft']});
+    await expect(metadata.find(found, 'meta:/dir/a.txt', options))
+      .resolves
+      .toMatchObject({tags: ['work', 'draft']});
+
+    await metadata.transfer(found, 'meta:/copy', other, 'other:/moved', true, options);
+    await expect(metadata.find(found, 'meta:/copy', options)).resolves.toBe(null);
+    await expect(metadata.find(other, 'other:/moved', options)).resolves.toMatchObject({color: 'blue'});
+    await expect(metadata.find(other, 'other:/moved/a.txt', options)).resolves.toMatchObject({tags: ['work', 'draft']});
+
+    expect(fs.readdirSync(root)).toHaveLength(3);
+  });
+
+  test('search', async () => {
+    const search = query => metadata.search(found, call, 'meta:/', parseQuery(query), options)
+      .then(results => results.map(result => result.path));
+
+    await expect(search({tags: 'work'})).resolves.toEqual(['meta:/c.txt', 'meta:/dir/a.txt']);
+    await expect(search({tags: 'work,draft'})).resolves.toEqual(['meta:/dir/a.txt']);
+    await expect(search({tags: 'draft,todo', match: 'any'})).resolves.toEqual(['meta:/dir/a.txt']);
+    await expect(search({starred: true})).resolves.toEqual(['meta:/c.txt']);
+    await expect(search({color: 'blue'})).resolves.toEqual(['meta:/dir']);
+
+    await expect(metadata.search(found, call, 'meta:/dir', parseQuery({tags: 'work'}), options))
+      .resolves
+      .toEqual([{path: 'meta:/dir/a.txt', metadata: expect.objectContaining({tags: ['work', 'draft']})}]);
+
+    await call('unlink', 'meta:/c.txt', options);
+    await expect(search({tags: 'work'})).resolves.toEqual(['meta:/dir/a.txt']);
+  });
+
+  test('wrap and remove', async () => {
+    const wrapped = metadata.wrap(found, call);
+    await wrapped('unlink', 'meta:/dir', options);
+
+    await expect(metadata.find(found, 'meta:/dir', options)).resolves.toBe(null);
+    await expect(metadata.find(found, 'meta:/dir/a.txt', options)).resolves.toBe(null);
+
+    await expect(metadata.remove(found, 'meta:/c.txt', options)).resolves.toBe(true);
+    await expect(metadata.find(found, 'meta:/c.txt', options)).resolves.toBe(null);
+  });
+});
@@ -0,0 +1,93 @@
+const stream = require('stream');
+const {createOperations} = require('../../src/utils/operations.js');
+const {createStream, readStream} = require('../../__mocks__/helpers.js');
+
+describe('Operation Utils', () => {
+  let core;
+  let operations;
+
+  const req = (username = 'jest') => ({session: {user: {username}}});
+  const events = () => core.broadcastUser.mock.calls.map(([, , params]) => params);
+
+  beforeEach(() => {
+    core = {
+      config: (key, defaultValue) => key === 'vfs.progressInterval' ? 0 : defaultValue,
+      broadcastUser: jest.fn()
+    };
+
+    operations = createOperations(core);
+  });
+
+  test('run - events', async () => {
+    const result = await operations.run(req(), 'copy', {from: 'a:/', to: 'b:/'}, {operation: 'op1'}, operation => {
+      operation.progress({entries: 2});
+      return readStream(operation.track(createStream('hello'), 5));
+    });
+
+    expect(result).toBe('hello');
+    expect(core.broadcastUser).toHaveBeenCalledWith('jest', 'osjs/vfs:operation', expect.any(Object));
+    expect(events().map(e => e.type)).toEqual(['start', 'progress', 'progress', 'done']);
+    expect(events()[3]).toMatchObject({
+      id: 'op1',
+      method: 'copy',
+      from: 'a:/',
+      to: 'b:/',
+      entries: 2,
+      bytes: 5,
+      total: 5
+    });
+    expect(operations.get('op1')).toBe(undefined);
+  });
+
+  test('run - error', async () => {
+    await expect(operations.run(req(), 'copy', {}, {}, () => Promise.reject(new Error('Failed'))))
+      .rejects
+      .toThrowError('Failed');
+
+    expect(events().map(e => e.type)).toEqual(['start', 'error']);
+    expect(events()[1].error).toBe('Failed');
+    expect(typeof events()[1].id).toBe('string');
+  });
+
+  test('run - duplicate id', async () => {
+    let resolve;
+    const running = operations.run(req(), 'copy', {}, {operation: 'op1'}, () => new Promise(r => (resolve = r)));
+
+    await expect(operations.run(req(), 'copy', {}, {operation: 'op1'}, () => Promise.resolve()))
+      .rejects
+      .toThrowError('Operation \'op1\' is already running');
+
+    resolve(true);
+    await expect(running).resolves.toBe(true);
+  });
+
+  test('cancel', async () => {
+    const source = new stream.PassThrough();
+    source.write('chunk');
+    const running = operations.run(req(), 'writefile', {}, {operation: 'op1'}, operation => {
+      return readStream(operation.track(source));
+    });
+
+    expect(operations.cancel('op1', 'other')).toBe(false);
+    expect(operations.cancel('missing', 'jest')).toBe(false);
+    expect(operations.cancel('op1', 'jest')).toBe(true);
+
+    await expect(running)
+      .rejects
+      .toThrowError('Operation was cancelled');
+
+    expect(events().map(e => e.type)).toEqual(['start', 'cancelled']);
+  });
+
+  test('cancel - check', async () => {
+    const running = operations.run(req(), 'search', {}, {operation: 'op1'}, operation => new Promise(resolve => {
+      setTimeout(resolve, 10);
+    }).then(() => operation.check()));
+
+    operations.cancel('op1', 'jest');
+
+    await expect(running)
+      .rejects
+      .toThrowError('Operation was cancelled');
+  });
+});
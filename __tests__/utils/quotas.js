@@ -0,0 +1,167 @@
+const fs = require('fs-extra');
+const path = require('path');
+const temp = require('temp');
+const memoryAdapter = require('../../src/adapters/vfs/memory.js');
+const {createMethodCaller} = require('../../src/utils/vfs.js');
+const {getLimits, createQuotas} = require('../../src/utils/quotas.js');
+const {createStream, readStream, createOptions, useCore, withConfig} = require('../../__mocks__/helpers.js');
+
+describe('Quota Utils', () => {
+  let core;
+  let found;
+  let storeFile;
+  let quotas;
+  let call;
+
+  const options = createOptions();
+
+  useCore(c => {
+    core = c;
+    storeFile = path.join(temp.mkdirSync('osjs-quotas'), 'quota.json');
+    found = {
+      adapter: memoryAdapter(core),
+      mount: {
+        name: 'quota',
+        root: 'quota:/',
+        attributes: {
+          root: '{username}',
+          quota: {bytes: 10, files: 3}
+        }
+      }
+    };
+  });
+
+  afterAll(() => temp.cleanupSync());
+
+  beforeEach(() => {
+    quotas = createQuotas(withConfig(core, {'vfs.quota.store': storeFile}));
+
+    call = quotas.wrap(found, createMethodCaller(found));
+  });
+
+  test('getLimits', () => {
+    const mount = {
+      attributes: {
+        quota: {
+          bytes: 100,
+          groups: {
+            small: {bytes: 200},
+            large: {bytes: 500, files: 10},
+            unlimited: {files: null}
+          },
+          users: {
+            admin: {bytes: null}
+          }
+        }
+      }
+    };
+
+    const user = (username, groups = []) => ({user: {username, groups}});
+
+    expect(getLimits({attributes: {}}, user('jest'))).toBe(null);
+    expect(getLimits(mount, user('jest'))).toEqual({bytes: 100, files: null});
+    expect(getLimits(mount, user('jest', ['small', 'large']))).toEqual({bytes: 500, files: 10});
+    expect(getLimits(mount, user('jest', ['large', 'unlimited']))).toEqual({bytes: 500, files: null});
+    expect(getLimits(mount, user('admin', ['small']))).toEqual({bytes: null, files: null});
+  });
+
+  test('writefile - within quota', async () => {
+    await expect(call('writefile', 'quota:/a.txt', createStream('hello'), options))
+      .resolves
+      .toBe(true);
+
+    await expect(quotas.report(found, options))
+      .resolves
+      .toEqual({
+        mountpoint: 'quota',
+        bytes: {used: 5, limit: 10},
+        files: {used: 1, limit: 3}
+      });
+  });
+
+  test('writefile - replacing counts the difference', async () => {
+    await expect(call('writefile', 'quota:/a.txt', createStream('helloworld'), options))
+      .resolves
+      .toBe(true);
+
+    await expect(quotas.usage(found, options))
+      .resolves
+      .toMatchObject({bytes: 10, files: 1});
+  });
+
+  test('writefile - exceeding quota', async () => {
+    await expect(call('writefile', 'quota:/b.txt', createStream('x'), options))
+      .rejects
+      .toMatchObject({code: 507});
+
+    await expect(call('exists', 'quota:/b.txt', options))
+      .resolves
+      .toBe(false);
+
+    await expect(quotas.usage(found, options))
+      .resolves
+      .toMatchObject({bytes: 10, files: 1});
+  });
+
+  test('writefile - replacing over quota keeps the file', async () => {
+    await expect(call('writefile', 'quota:/a.txt', createStream('hello', 'world!'), options))
+      .rejects
+      .toMatchObject({code: 507});
+
+    await expect(call('readfile', 'quota:/a.txt', options).then(readStream))
+      .resolves
+      .toBe('helloworld');
+
+    await expect(call('readdir', 'quota:/', options).then(list => list.map(entry => entry.filename)))
+      .resolves
+      .toEqual(['a.txt']);
+  });
+
+  test('writefile - known size over quota', async () => {
+    const stream = Object.assign(createStream('x'), {size: 100});
+    const writefile = jest.spyOn(found.adapter, 'writefile');
+
+    await expect(call('writefile', 'quota:/b.txt', stream, options))
+      .rejects
+      .toThrowError('Quota exceeded on \'quota\': 100 bytes would use 110 of 10 allowed');
+
+    expect(writefile).not.toHaveBeenCalled();
+    writefile.mockRestore();
+  });
+
+  test('unlink and file limit', async () => {
+    await call('unlink', 'quota:/a.txt', options);
+    await call('mkdir', 'quota:/dir', options);
+    await call('touch', 'quota:/dir/a', options);
+    await call('touch', 'quota:/dir/b', options);
+
+    await expect(call('touch', 'quota:/dir/c', options))
+      .rejects
+      .toThrowError('Quota exceeded on \'quota\': 1 files would use 4 of 3 allowed');
+
+    await expect(quotas.usage(found, options))
+      .resolves
+      .toMatchObject({bytes: 0, files: 3});
+  });
+
+  test('persists usage', async () => {
+    await quotas.flush();
+
+    expect(fs.readJsonSync(storeFile))
+      .toEqual({'quota:jest': {bytes: 0, files: 3}});
+  });
+
+  test('check', async () => {
+    await expect(quotas.check(found, options, {bytes: 10}))
+      .resolves
+      .toBe(undefined);
+
+    await expect(quotas.check(found, options, {bytes: 11}))
+      .rejects
+      .toMatchObject({code: 507});
+
+    await expect(quotas.check(found, {session: {user: {username: 'other'}}}, {files: 3}))
+      .resolves
+      .toBe(undefined);
+  });
+});
@@ -0,0 +1,69 @@
+const {Readable} = require('stream');
+const {parseRangeHeader, createMultipartRanges, MAX_RANGES} = require('../../src/utils/ranges.js');
+const {readStream} = require('../../__mocks__/helpers.js');
+
+describe('Range Utils', () => {
+  test('parseRangeHeader', () => {
+    expect(parseRangeHeader('bytes=0-4', 10)).toEqual([{start: 0, end: 4}]);
+    expect(parseRangeHeader('bytes=5-', 10)).toEqual([{start: 5, end: 9}]);
+    expect(parseRangeHeader('bytes=-3', 10)).toEqual([{start: 7, end: 9}]);
+    expect(parseRangeHeader('bytes=-30', 10)).toEqual([{start: 0, end: 9}]);
+    expect(parseRangeHeader('bytes=8-20', 10)).toEqual([{start: 8, end: 9}]);
+    expect(parseRangeHeader('bytes=0-1, 4-5,-1', 10)).toEqual([
+      {start: 0, end: 1},
+      {start: 4, end: 5},
+      {start: 9, end: 9}
+    ]);
+
+    expect(parseRangeHeader('bytes=0-1,20-30', 10)).toEqual([{start: 0, end: 1}]);
+  });
+
+  test('parseRangeHeader - invalid headers are ignored', () => {
+    expect(parseRangeHeader('items=0-4', 10)).toBe(null);
+    expect(parseRangeHeader('bytes=5-2', 10)).toBe(null);
+    expect(parseRangeHeader('bytes=-', 10)).toBe(null);
+    expect(parseRangeHeader('bytes=a-b', 10)).toBe(null);
+
+    const many = Array(MAX_RANGES + 1).fill('0-1').join(',');
+    expect(parseRangeHeader(`bytes=${many}`, 10)).toBe(null);
+  });
+
+  test('parseRangeHeader - not satisfiable', () => {
+    expect(() => parseRangeHeader('bytes=10-', 10)).toThrowError('Range not satisfiable for size 10');
+    expect(() => parseRangeHeader('bytes=-0', 10)).toThrowError('Range not satisfiable');
+    expect(() => parseRangeHeader('bytes=0-', 0)).toThrowError('Range not satisfiable');
+
+    try {
+      parseRangeHeader('bytes=10-', 10);
+    } catch (e) {
+      expect(e.code).toBe(416);
+    }
+  });
+
+  test('createMultipartRanges', async () => {
+    const data = '0123456789';
+    const read = ([start, end]) => Promise.resolve(Readable.from([data.substring(start, end + 1)]));
+    const {boundary, length, createStream} = createMultipartRanges(read, [
+      {start: 0, end: 1},
+      {start: 8, end: 9}
+    ], 10, 'text/plain');
+
+    const body = await readStream(createStream());
+
+    expect(Buffer.byteLength(body)).toBe(length);
+    expect(body).toBe([
+      `--${boundary}`,
+      'Content-Type: text/plain',
+      'Content-Range: bytes 0-1/10',
+      '',
+      '01',
+      `--${boundary}`,
+      'Content-Type: text/plain',
+      'Content-Range: bytes 8-9/10',
+      '',
+      '89',
+      `--${boundary}--`,
+      ''
+    ].join('\r\n'));
+  });
+});
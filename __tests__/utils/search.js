@@ -0,0 +1,291 @@
+const fs = require('fs-extra');
+const path = require('path');
+const temp = require('temp');
+const archiver = require('archiver');
+const {createMethodCaller, mountpointResolver} = require('../../src/utils/vfs.js');
+const {
+  tokenize,
+  isExtractable,
+  extractText,
+  parseFilters,
+  wrapFilters,
+  createSearchIndex
+} = require('../../src/utils/search.js');
+const {createStream, createOptions, useCore, withConfig} = require('../../__mocks__/helpers.js');
+
+const createDocx = text => new Promise((resolve, reject) => {
+  const archive = archiver('zip');
+  const chunks = [];
+  archive.on('data', chunk => chunks.push(chunk));
+  archive.on('error', reject);
+  archive.on('end', () => resolve(Buffer.concat(chunks)));
+  archive.append('<?xml version="1.0"?><Types/>', {name: '[Content_Types].xml'});
+  archive.append(`<w:document><w:body><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:body></w:document>`, {name: 'word/document.xml'});
+  archive.finalize();
+});
+
+describe('Search Utils', () => {
+  let core;
+  let root;
+  let found;
+  let index;
+  let call;
+
+  const options = createOptions();
+  const docx = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+  const createIndex = () => createSearchIndex(withConfig(core, {'vfs.search.root': root}));
+
+  const paths = result => result.entries.map(entry => entry.path);
+
+  useCore(async c => {
+    core = c;
+    root = temp.mkdirSync('osjs-search');
+    await core.make('osjs/fs').mount({name: 'search', adapter: 'memory', attributes: {index: true}});
+    found = await mountpointResolver(core)('search:/');
+
+    call = createMethodCaller(found);
+    await call('mkdir', 'search:/docs', options);
+    await call('writefile', 'search:/docs/a.txt', createStream('The quick brown fox jumps over the lazy dog'), options);
+    await call('writefile', 'search:/docs/b.html', createStream('<p>A lazy <b>brown</b> cat &amp; a fox</p><script>hidden()</script>'), options);
+    await call('writefile', 'search:/c.md', createStream('fox fox fox'), options);
+    await call('writefile', 'search:/image.png', createStream('fox'), options);
+    await call('writefile', 'search:/report.docx', createStream(await createDocx('Quarterly report about foxes')), options);
+  });
+
+  afterAll(() => temp.cleanupSync());
+
+  beforeEach(() => {
+    index = createIndex();
+    call = index.wrap(found, createMethodCaller(found));
+  });
+
+  test('tokenize', () => {
+    expect(tokenize('Hello, World! Ærlig 42')).toEqual(['hello', 'world', 'ærlig', '42']);
+    expect(tokenize(undefined)).toEqual([]);
+  });
+
+  test('extractText', async () => {
+    expect(isExtractable('text/plain')).toBe(true);
+    expect(isExtractable('application/json')).toBe(true);
+    expect(isExtractable(docx)).toBe(true);
+    expect(isExtractable('image/png')).toBe(false);
+
+    await expect(extractText('text/html', Buffer.from('<style>p {}</style><p>a &lt;b&gt; &#65;</p>')))
+      .resolves
+      .toMatch(/^\s*a <b> A\s*$/);
+
+    await expect(extractText(docx, await createDocx('Hello &amp; bye')))
+      .resolves
+      .toMatch(/Hello & bye/);
+  });
+
+  test('query - builds the index', async () => {
+    const result = await index.query(found, 'search:/', 'fox', options);
+
+    expect(result).toMatchObject({total: 3, offset: 0, limit: 50});
+    expect(paths(result)).toEqual(['search:/c.md', 'search:/docs/a.txt', 'search:/docs/b.html']);
+    expect(result.entries[0]).toMatchObject({
+      filename: 'c.md',
+      mime: 'text/markdown',
+      isFile: true,
+      score: 3,
+      snippet: 'fox fox fox'
+    });
+
+    await expect(index.query(found, 'search:/', 'hidden', options).then(paths))
+      .resolves
+      .toEqual([]);
+
+    await expect(index.query(found, 'search:/', 'foxes', options).then(paths))
+      .resolves
+      .toEqual(['search:/report.docx']);
+
+    await index.flush();
+    expect(fs.readdirSync(root)).toHaveLength(1);
+  });
+
+  test('query - options', async () => {
+    await expect(index.query(found, 'search:/', 'lazy brown', options).then(paths))
+      .resolves
+      .toEqual(['search:/docs/a.txt', 'search:/docs/b.html']);
+
+    await expect(index.query(found, 'search:/', 'lazy brown', {...options, phrase: true}).then(paths))
+      .resolves
+      .toEqual(['search:/docs/b.html']);
+
+    await expect(index.query(found, 'search:/docs', 'fox', options).then(paths))
+      .resolves
+      .toEqual(['search:/docs/a.txt', 'search:/docs/b.html']);
+
+    await expect(index.query(found, 'search:/', 'fox', {...options, mime: 'text/html'}).then(paths))
+      .resolves
+      .toEqual(['search:/docs/b.html']);
+
+    await expect(index.query(found, 'search:/', 'fox', {...options, mime: ['text/*']}).then(paths))
+      .resolves
+      .toHaveLength(3);
+
+    const page = await index.query(found, 'search:/', 'fox', {...options, offset: 1, limit: 1});
+    expect(page).toMatchObject({total: 3, offset: 1, limit: 1});
+    expect(paths(page)).toEqual(['search:/docs/a.txt']);
+  });
+
+  test('wrap - updates the index', async () => {
+    await index.query(found, 'search:/', 'fox', options);
+
+    await call('writefile', 'search:/docs/a.txt', createStream('Nothing to see'), options);
+    await call('writefile', 'search:/new.txt', createStream('A new fox'), options);
+    await call('unlink', 'search:/c.md', options);
+    await index.flush();
+
+    await expect(index.query(found, 'search:/', 'fox', options).then(paths))
+      .resolves
+      .toEqual(['search:/docs/b.html', 'search:/new.txt']);
+
+    await expect(createIndex().query(found, 'search:/', 'fox', options).then(paths))
+      .resolves
+      .toEqual(['search:/docs/b.html', 'search:/new.txt']);
+  });
+
+  test('update - directories', async () => {
+    await index.query(found, 'search:/', 'fox', options);
+
+    await found.adapter.rename(found, found)('search:/docs', 'search:/moved', options);
+    await index.update(found, 'search:/docs', options);
+    await index.update(found, 'search:/moved', options);
+
+    await expect(index.query(found, 'search:/', 'fox', options).then(paths))
+      .resolves
+      .toEqual(['search:/moved/b.html', 'search:/new.txt']);
+  });
+
+  test('watch events', async () => {
+    await index.query(found, 'search:/', 'fox', options);
+    await createMethodCaller(found)('writefile', 'search:/watched.txt', createStream('fox'), options);
+
+    core.emit('osjs/vfs:watch:change', {mountpoint: found.mount, target: 'search:/watched.txt', type: 'add', args: {}});
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await index.flush();
+
+    await expect(index.query(found, 'search:/', 'fox', options).then(paths))
+      .resolves
+      .toContain('search:/watched.txt');
+  });
+
+  test('evict - reads idle indexes again', async () => {
+    const evicting = createSearchIndex(withConfig(core, {
+      'vfs.search.root': root,
+      'vfs.search': {...core.config('vfs.search'), cacheMaxAge: 1}
+    }));
+
+    const readJson = jest.spyOn(fs, 'readJson');
+    const reads = () => readJson.mock.calls.filter(([file]) => file.startsWith(root)).length;
+
+    try {
+      const expected = await evicting.query(found, 'search:/', 'fox', options).then(paths);
+      await evicting.query(found, 'search:/', 'fox', options);
+      expect(reads()).toBe(1);
+
+      await new Promise(resolve => setTimeout(resolve, 5));
+      evicting.evict();
+
+      await expect(evicting.query(found, 'search:/', 'fox', options).then(paths))
+        .resolves
+        .toEqual(expected);
+
+      expect(reads()).toBe(2);
+    } finally {
+      readJson.mockRestore();
+    }
+  });
+
+  test('query - not indexed', () => {
+    return expect(index.query({...found, mount: {name: 'other', attributes: {}}}, 'other:/', 'fox', options))
+      .rejects
+      .toMatchObject({code: 400});
+  });
+
+  test('parseFilters', () => {
+    expect(parseFilters({})).toBe(null);
+    expect(parseFilters({pattern: '*'})).toBe(null);
+
+    expect(parseFilters({
+      size: {min: 10},
+      modified: {from: '2020-01-01T00:00:00Z', to: 1600000000000},
+      mime: 'image/*',
+      type: 'file',
+      maxDepth: '2',
+      limit: 5
+    })).toEqual({
+      size: {min: 10, max: null},
+      modified: {min: 1577836800000, max: 1600000000000},
+      mime: 'image/*',
+      type: 'file',
+      maxDepth: 2,
+      limit: 5
+    });
+
+    expect(() => parseFilters({size: 10})).toThrowError('Invalid search filter \'size\'');
+    expect(() => parseFilters({created: {from: 'yesterday'}})).toThrowError('Invalid search filter \'created\'');
+    expect(() => parseFilters({type: 'link'})).toThrowError('Invalid search filter \'type\'');
+    expect(() => parseFilters({maxDepth: 0})).toThrowError('Invalid search filter \'maxDepth\'');
+  });
+
+  test('wrapFilters - walks adapters without native filters', async () => {
+    const filtered = wrapFilters(found, createMethodCaller(found));
+    const search = (pattern, filters) => filtered('search', 'search:/', pattern, {...options, ...filters})
+      .then(list => list.map(entry => entry.path).sort());
+
+    await expect(search('*', {type: 'directory'}))
+      .resolves
+      .toEqual(['search:/moved']);
+
+    await expect(search('*.txt', {size: {min: 5, max: 9}}))
+      .resolves
+      .toEqual(['search:/new.txt']);
+
+    await expect(search('*', {maxDepth: 1, mime: 'text/*'}))
+      .resolves
+      .toEqual(['search:/new.txt', 'search:/watched.txt']);
+
+    await expect(search('*', {modified: {to: Date.now() - 60000}}))
+      .resolves
+      .toEqual([]);
+
+    await expect(search('*', {created: {from: Date.now() - 60000}, limit: 2}))
+      .resolves
+      .toHaveLength(2);
+
+    await expect(search('*', {type: 'link'}))
+      .rejects
+      .toMatchObject({code: 400});
+  });
+
+  test('wrapFilters - native filters', async () => {
+    const home = await mountpointResolver(core)('home:/');
+    const homePath = path.join(core.configuration.tempPath, 'jest/filters');
+    fs.outputFileSync(path.join(homePath, 'a.txt'), 'a');
+    fs.outputFileSync(path.join(homePath, 'dir/b.txt'), 'bbbb');
+    fs.outputFileSync(path.join(homePath, 'dir/sub/c.txt'), 'cc');
+
+    const filtered = wrapFilters(home, createMethodCaller(home));
+    const search = filters => filtered('search', 'home:/filters', '*.txt', {...options, ...filters})
+      .then(list => list.map(entry => entry.path).sort());
+
+    await expect(search({maxDepth: 2}))
+      .resolves
+      .toEqual(['home:/filters/a.txt', 'home:/filters/dir/b.txt']);
+
+    await expect(search({size: {min: 2}}))
+      .resolves
+      .toEqual(['home:/filters/dir/b.txt', 'home:/filters/dir/sub/c.txt']);
+
+    await expect(filtered('search', 'home:/filters', '*', {...options, type: 'directory'})
+      .then(list => list.map(entry => entry.filename).sort()))
+      .resolves
+      .toEqual(['dir', 'sub']);
+
+    fs.removeSync(homePath);
+  });
+});
@@ -0,0 +1,67 @@
+const {EventEmitter} = require('events');
+const {createPool, mapError} = require('../../src/utils/sftp.js');
+
+const createConnection = () => {
+  const events = new EventEmitter();
+
+  return {
+    sftp: {},
+    closed: false,
+    close() {
+      this.closed = true;
+      events.emit('close');
+    },
+    onClose: cb => events.on('close', cb)
+  };
+};
+
+describe('SFTP Utils', () => {
+  test('mapError', () => {
+    expect(mapError(Object.assign(new Error('No such file'), {code: 2}), '/a'))
+      .toMatchObject({code: 'ENOENT', message: 'File not found \'/a\''});
+
+    expect(mapError(Object.assign(new Error('Permission denied'), {code: 3})))
+      .toMatchObject({code: 'EACCES', message: 'Permission denied'});
+
+    expect(mapError(Object.assign(new Error('Failure'), {code: 4})))
+      .toMatchObject({code: 4});
+  });
+
+  test('createPool', async () => {
+    const created = [];
+    const pool = createPool(async () => {
+      const connection = createConnection();
+      created.push(connection);
+      return connection;
+    }, {max: 2, idleTimeout: 1000});
+
+    await expect(pool.use(async () => 'result')).resolves.toBe('result');
+    await pool.use(async () => true);
+    expect(created).toHaveLength(1);
+
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+    const third = await pool.acquire();
+    expect(created).toHaveLength(2);
+    expect(third.connection).toBe(first.connection);
+
+    [first, second, third].forEach(({release}) => release());
+
+    await pool.prune(Date.now());
+    expect(pool.size()).toBe(2);
+
+    await pool.prune(Date.now() + 1000);
+    expect(pool.size()).toBe(0);
+    expect(created.every(c => c.closed)).toBe(true);
+  });
+
+  test('createPool - failed connections', async () => {
+    const pool = createPool(() => Promise.reject(new Error('Connection refused')));
+
+    await expect(pool.use(async () => true))
+      .rejects
+      .toThrowError('Connection refused');
+
+    expect(pool.size()).toBe(0);
+  });
+});
@@ -0,0 +1,124 @@
+const temp = require('temp');
+const {createShares, describeShare} = require('../../src/utils/shares.js');
+
+describe('Share Utils', () => {
+  let shares;
+  let destroy;
+
+  const user = {username: 'jest', groups: ['admin']};
+  const directory = {isDirectory: true};
+  const file = {isDirectory: false};
+
+  beforeAll(() => {
+    const root = temp.mkdirSync('osjs-shares');
+
+    shares = createShares({
+      config: key => key === 'vfs.shares.root' ? root : undefined,
+      logger: console,
+      on: (name, cb) => (destroy = cb)
+    });
+  });
+
+  afterAll(() => {
+    destroy();
+    temp.cleanupSync();
+  });
+
+  test('create', async () => {
+    const share = await shares.create(user, 'home:/file.txt', file);
+
+    expect(share.token).toMatch(/^[a-f0-9]{48}$/);
+    expect(describeShare(share)).toEqual({
+      token: share.token,
+      path: 'home:/file.txt',
+      mode: 'read',
+      isDirectory: false,
+      expires: null,
+      maxDownloads: null,
+      downloads: 0,
+      password: false,
+      created: expect.any(Number)
+    });
+
+    await expect(shares.load(share.token))
+      .resolves
+      .toEqual(share);
+  });
+
+  test('create - invalid options', () => Promise.all([
+    expect(shares.create(user, 'home:/file.txt', file, {mode: 'write'}))
+      .rejects
+      .toThrowError('Invalid share mode \'write\''),
+
+    expect(shares.create(user, 'home:/file.txt', file, {mode: 'upload'}))
+      .rejects
+      .toThrowError('Only directories can be shared for uploads'),
+
+    expect(shares.create(user, 'home:/file.txt', file, {expires: Date.now() - 1000}))
+      .rejects
+      .toMatchObject({code: 400}),
+
+    expect(shares.create(user, 'home:/file.txt', file, {maxDownloads: -1}))
+      .rejects
+      .toMatchObject({code: 400})
+  ]));
+
+  test('load - unknown and expired', async () => {
+    const share = await shares.create(user, 'home:/', directory, {expires: Date.now() + 20});
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    await expect(shares.load(share.token))
+      .rejects
+      .toMatchObject({code: 410});
+
+    await expect(shares.load('../unknown'))
+      .rejects
+      .toMatchObject({code: 404});
+
+    await shares.purge();
+    await expect(shares.load(share.token))
+      .rejects
+      .toMatchObject({code: 404});
+  });
+
+  test('authorize', async () => {
+    const share = await shares.create(user, 'home:/', directory, {password: 'secret'});
+    expect(share.password.hash).not.toContain('secret');
+
+    await expect(shares.authorize(share)).rejects.toMatchObject({code: 401});
+    await expect(shares.authorize(share, 'wrong')).rejects.toMatchObject({code: 401});
+    await expect(shares.authorize(share, 'secret')).resolves.toBe(true);
+  });
+
+  test('consume', async () => {
+    const share = await shares.create(user, 'home:/file.txt', file, {maxDownloads: '2'});
+
+    await expect(Promise.all([
+      shares.consume(share.token),
+      shares.consume(share.token)
+    ])).resolves.toEqual([
+      expect.objectContaining({downloads: 1}),
+      expect.objectContaining({downloads: 2})
+    ]);
+
+    await expect(shares.consume(share.token))
+      .rejects
+      .toThrowError('Share download limit was reached');
+  });
+
+  test('list and remove', async () => {
+    const list = await shares.list('jest');
+    expect(list.length).toBe(3);
+    await expect(shares.list('other')).resolves.toEqual([]);
+
+    await expect(shares.remove('other', list[0].token))
+      .rejects
+      .toMatchObject({code: 404});
+
+    await expect(shares.remove('jest', list[0].token))
+      .resolves
+      .toBe(true);
+
+    await expect(shares.list('jest')).resolves.toHaveLength(2);
+  });
+});
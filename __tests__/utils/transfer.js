@@ -0,0 +1,223 @@
+const memoryAdapter = require('../../src/adapters/vfs/memory.js');
+const {createMethodCaller} = require('../../src/utils/vfs.js');
+const {transferTree, findFreeName} = require('../../src/utils/transfer.js');
+const {createStream, readStream, useCore} = require('../../__mocks__/helpers.js');
+
+describe('Transfer Utils', () => {
+  let core;
+  let adapter;
+  let counter = 0;
+
+  useCore(c => {
+    core = c;
+    adapter = memoryAdapter(core);
+  });
+
+  const vfs = {session: {user: {username: 'jest'}}};
+
+  const createMount = () => {
+    const name = `transfer${++counter}`;
+    const call = createMethodCaller({
+      adapter,
+      mount: {name, root: `${name}:/`, attributes: {}}
+    });
+
+    return {name, call};
+  };
+
+  const createSource = async () => {
+    const src = createMount();
+    await src.call('mkdir', `${src.name}:/dir`, vfs);
+    await src.call('mkdir', `${src.name}:/dir/sub`, vfs);
+    await src.call('writefile', `${src.name}:/dir/a.txt`, createStream('a'), vfs);
+    await src.call('writefile', `${src.name}:/dir/sub/b.txt`, createStream('b'), vfs);
+    return src;
+  };
+
+  const read = (mount, file) => mount.call('readfile', `${mount.name}:/${file}`, vfs)
+    .then(readStream);
+
+  const transfer = (src, dest, options = {}) => transferTree(
+    {call: src.call, path: `${src.name}:/dir`},
+    {call: dest.call, path: `${dest.name}:/dir`},
+    {vfs, ...options}
+  );
+
+  test('findFreeName', async () => {
+    const dest = createMount();
+    await dest.call('touch', `${dest.name}:/file.txt`, vfs);
+    await dest.call('touch', `${dest.name}:/file (1).txt`, vfs);
+
+    await expect(findFreeName(dest.call, `${dest.name}:/file.txt`, vfs))
+      .resolves
+      .toBe(`${dest.name}:/file (2).txt`);
+
+    await expect(findFreeName(dest.call, `${dest.name}:/folder`, vfs))
+      .resolves
+      .toBe(`${dest.name}:/folder (1)`);
+  });
+
+  test('transferTree - copy', async () => {
+    const src = await createSource();
+    const dest = createMount();
+
+    const report = await transfer(src, dest);
+
+    expect(report.transferred).toHaveLength(4);
+    expect(report.errors).toEqual([]);
+    await expect(read(dest, 'dir/a.txt')).resolves.toBe('a');
+    await expect(read(dest, 'dir/sub/b.txt')).resolves.toBe('b');
+    await expect(src.call('exists', `${src.name}:/dir`, vfs)).resolves.toBe(true);
+  });
+
+  test('transferTree - move', async () => {
+    const src = await createSource();
+    const dest = createMount();
+
+    await transfer(src, dest, {move: true});
+
+    await expect(read(dest, 'dir/sub/b.txt')).resolves.toBe('b');
+    await expect(src.call('exists', `${src.name}:/dir`, vfs)).resolves.toBe(false);
+  });
+
+  test('transferTree - conflict policies', async () => {
+    const src = await createSource();
+    const dest = createMount();
+    await dest.call('mkdir', `${dest.name}:/dir`, vfs);
+    await dest.call('writefile', `${dest.name}:/dir/a.txt`, createStream('existing'), vfs);
+
+    const skipped = await transfer(src, dest, {conflict: 'skip'});
+    expect(skipped.skipped).toEqual([`${src.name}:/dir/a.txt`]);
+    await expect(read(dest, 'dir/a.txt')).resolves.toBe('existing');
+    await expect(read(dest, 'dir/sub/b.txt')).resolves.toBe('b');
+
+    await transfer(src, dest, {conflict: 'rename'});
+    await expect(read(dest, 'dir (1)/a.txt')).resolves.toBe('a');
+    await expect(read(dest, 'dir/a.txt')).resolves.toBe('existing');
+
+    await transfer(src, dest, {conflict: 'overwrite'});
+    await expect(read(dest, 'dir/a.txt')).resolves.toBe('a');
+
+    await expect(transfer(src, dest, {conflict: 'invalid'}))
+      .rejects
+      .toThrowError('Invalid conflict policy \'invalid\'');
+  });
+
+  test('transferTree - rollback on failure', async () => {
+    const src = await createSource();
+    const dest = createMount();
+    const failing = {
+      name: dest.name,
+      call: (method, file, ...args) => method === 'writefile' && file.endsWith('b.txt')
+        ? Promise.reject(new Error('Simulated failure'))
+        : dest.call(method, file, ...args)
+    };
+
+    const error = await transfer(src, failing, {move: true}).catch(e => e);
+
+    expect(error.message).toBe('Transfer failed: Simulated failure');
+    expect(error.errors).toEqual([{path: `${src.name}:/dir/sub/b.txt`, error: 'Simulated failure'}]);
+    await expect(dest.call('exists', `${dest.name}:/dir`, vfs)).resolves.toBe(false);
+    await expect(src.call('exists', `${src.name}:/dir/sub/b.txt`, vfs)).resolves.toBe(true);
+  });
+
+  test('transferTree - keeps existing files on failure', async () => {
+    const src = await createSource();
+    const dest = createMount();
+    const failing = {
+      name: src.name,
+      call: (method, file, ...args) => method === 'readfile' && file.endsWith('a.txt')
+        ? Promise.reject(new Error('Simulated failure'))
+        : src.call(method, file, ...args)
+    };
+
+    await dest.call('mkdir', `${dest.name}:/dir`, vfs);
+    await dest.call('writefile', `${dest.name}:/dir/a.txt`, createStream('existing'), vfs);
+
+    const report = await transfer(failing, dest, {onError: 'continue'});
+
+    expect(report.errors).toEqual([{path: `${src.name}:/dir/a.txt`, error: 'Simulated failure'}]);
+    await expect(read(dest, 'dir/a.txt')).resolves.toBe('existing');
+    await expect(read(dest, 'dir/sub/b.txt')).resolves.toBe('b');
+  });
+
+  test('transferTree - overwrites entries of another type', async () => {
+    const src = await createSource();
+    const dest = createMount();
+    const names = file => dest.call('readdir', `${dest.name}:/${file}`, vfs)
+      .then(list => list.map(entry => entry.filename).sort());
+
+    await dest.call('mkdir', `${dest.name}:/dir`, vfs);
+    await dest.call('writefile', `${dest.name}:/dir/sub`, createStream('file'), vfs);
+    await dest.call('mkdir', `${dest.name}:/dir/a.txt`, vfs);
+    await dest.call('writefile', `${dest.name}:/dir/a.txt/kept.txt`, createStream('kept'), vfs);
+
+    const failing = {
+      name: src.name,
+      call: (method, file, ...args) => method === 'readfile' && file.endsWith('a.txt')
+        ? Promise.reject(new Error('Simulated failure'))
+        : src.call(method, file, ...args)
+    };
+
+    await expect(transfer(failing, dest))
+      .rejects
+      .toThrowError('Transfer failed: Simulated failure');
+
+    await expect(names('dir')).resolves.toEqual(['a.txt', 'sub']);
+    await expect(read(dest, 'dir/a.txt/kept.txt')).resolves.toBe('kept');
+    await expect(read(dest, 'dir/sub')).resolves.toBe('file');
+
+    await transfer(src, dest);
+
+    await expect(names('dir')).resolves.toEqual(['a.txt', 'sub']);
+    await expect(read(dest, 'dir/a.txt')).resolves.toBe('a');
+    await expect(read(dest, 'dir/sub/b.txt')).resolves.toBe('b');
+  });
+
+  test('transferTree - continue and resume', async () => {
+    const src = await createSource();
+    const dest = createMount();
+    let fail = true;
+    const failing = {
+      name: dest.name,
+      call: (method, file, ...args) => fail && method === 'writefile' && file.endsWith('a.txt')
+        ? Promise.reject(new Error('Simulated failure'))
+        : dest.call(method, file, ...args)
+    };
+
+    const report = await transfer(src, failing, {move: true, onError: 'continue'});
+
+    expect(report.errors).toHaveLength(1);
+    await expect(dest.call('exists', `${dest.name}:/dir/a.txt`, vfs)).resolves.toBe(false);
+    await expect(read(dest, 'dir/sub/b.txt')).resolves.toBe('b');
+    await expect(src.call('exists', `${src.name}:/dir`, vfs)).resolves.toBe(true);
+
+    fail = false;
+    const resumed = await transfer(src, failing, {conflict: 'skip'});
+
+    expect(resumed.skipped).toEqual([`${src.name}:/dir/sub/b.txt`]);
+    await expect(read(dest, 'dir/a.txt')).resolves.toBe('a');
+  });
+
+  test('transferTree - cancelled operation', async () => {
+    const src = await createSource();
+    const dest = createMount();
+    const operation = {
+      cancelled: false,
+      check: () => {
+        if (operation.cancelled) {
+          throw new Error('Operation was cancelled');
+        }
+      },
+      track: s => s,
+      progress: jest.fn(() => (operation.cancelled = true))
+    };
+
+    await expect(transfer(src, dest, {operation, onError: 'continue'}))
+      .rejects
+      .toThrowError('Transfer failed: Operation was cancelled');
+
+    expect(operation.progress).toHaveBeenCalledTimes(1);
+    await expect(dest.call('exists', `${dest.name}:/dir`, vfs)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,170 @@
+const fs = require('fs-extra');
+const path = require('path');
+const {createMethodCaller} = require('../../src/utils/vfs.js');
+const {createTrash} = require('../../src/utils/trash.js');
+const {createMetadata} = require('../../src/utils/metadata.js');
+const {createStream, createOptions, useCore, withConfig} = require('../../__mocks__/helpers.js');
+
+describe('Trash Utils', () => {
+  let core;
+  let trash;
+  let home;
+  let memory;
+  let homePath;
+
+  const options = createOptions();
+
+  useCore(c => {
+    core = c;
+    trash = createTrash(core);
+    homePath = path.join(core.configuration.tempPath, 'jest');
+
+    const {adapters, mountpoints} = core.make('osjs/vfs');
+    home = {adapter: adapters.system, mount: mountpoints.find(m => m.name === 'home')};
+    memory = {adapter: adapters.memory, mount: {name: 'trash-memory', root: 'trash-memory:/', attributes: {trash: true}}};
+  });
+
+  beforeEach(() => trash.empty('jest'));
+
+  test('put and restore', async () => {
+    fs.outputFileSync(path.join(homePath, 'trash/file.txt'), 'trash');
+
+    const item = await trash.put(home, 'home:/trash/file.txt', options);
+
+    expect(item).toMatchObject({
+      path: 'home:/trash/file.txt',
+      filename: 'file.txt',
+      isDirectory: false,
+      size: 5,
+      files: 0
+    });
+
+    expect(fs.existsSync(path.join(homePath, 'trash/file.txt'))).toBe(false);
+    await expect(trash.list('jest')).resolves.toEqual([item]);
+    await expect(trash.list('other')).resolves.toEqual([]);
+
+    fs.removeSync(path.join(homePath, 'trash'));
+
+    await expect(trash.restore(home, item, item.path, options))
+      .resolves
+      .toBe('home:/trash/file.txt');
+
+    expect(fs.readFileSync(path.join(homePath, 'trash/file.txt'), 'utf8')).toBe('trash');
+    await expect(trash.list('jest')).resolves.toEqual([]);
+  });
+
+  test('restore to an occupied path', async () => {
+    const item = await trash.put(home, 'home:/trash/file.txt', options);
+    fs.outputFileSync(path.join(homePath, 'trash/file.txt'), 'new');
+
+    await expect(trash.restore(home, item, item.path, options))
+      .resolves
+      .toBe('home:/trash/file (1).txt');
+  });
+
+  test('put and restore a directory on another adapter', async () => {
+    const call = createMethodCaller(memory);
+    await call('mkdir', 'trash-memory:/dir', options);
+    await call('writefile', 'trash-memory:/dir/file.txt', createStream('memory'), options);
+
+    const item = await trash.put(memory, 'trash-memory:/dir', options);
+    expect(item).toMatchObject({isDirectory: true, size: 6, files: 1});
+    await expect(call('exists', 'trash-memory:/dir', options)).resolves.toBe(false);
+
+    await trash.restore(memory, item, 'trash-memory:/restored/dir', options);
+    await expect(call('exists', 'trash-memory:/restored/dir/file.txt', options)).resolves.toBe(true);
+  });
+
+  test('wrap', async () => {
+    const call = trash.wrap(memory, createMethodCaller(memory));
+    await call('touch', 'trash-memory:/a', options);
+    await call('touch', 'trash-memory:/b', options);
+
+    await expect(call('unlink', 'trash-memory:/a', options)).resolves.toBe(true);
+    await expect(call('unlink', 'trash-memory:/b', {...options, permanent: true})).resolves.toBe(true);
+
+    const items = await trash.list('jest');
+    expect(items.map(item => item.path)).toEqual(['trash-memory:/a']);
+  });
+
+  test('isEnabled', () => {
+    const enabled = createTrash(withConfig(core, {'vfs.trash': {...core.config('vfs.trash'), enabled: true}}));
+    const mount = attributes => ({mount: {attributes}});
+
+    expect(trash.isEnabled(mount({}))).toBe(false);
+    expect(trash.isEnabled(mount({trash: true}))).toBe(true);
+    expect(enabled.isEnabled(mount({}))).toBe(true);
+    expect(enabled.isEnabled(mount({trash: false}))).toBe(false);
+  });
+
+  test('remove', async () => {
+    fs.outputFileSync(path.join(homePath, 'trash/remove.txt'), 'remove');
+    const item = await trash.put(home, 'home:/trash/remove.txt', options);
+
+    await expect(trash.remove('jest', item.id)).resolves.toBe(true);
+    await expect(trash.load('jest', item.id))
+      .rejects
+      .toMatchObject({code: 404});
+
+    await expect(trash.load('jest', '../jest'))
+      .rejects
+      .toMatchObject({code: 404});
+  });
+
+  test('purge by size', async () => {
+    const limited = createTrash(withConfig(core, {'vfs.trash': {...core.config('vfs.trash'), maxSize: 8}}));
+
+    fs.outputFileSync(path.join(homePath, 'trash/old.txt'), 'old');
+    await limited.put(home, 'home:/trash/old.txt', options);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    fs.outputFileSync(path.join(homePath, 'trash/new.txt'), 'newest');
+    await limited.put(home, 'home:/trash/new.txt', options);
+
+    const items = await limited.list('jest');
+    expect(items.map(item => item.filename)).toEqual(['new.txt']);
+  });
+
+  test('purge only the trash of the user on put', async () => {
+    const limited = createTrash(withConfig(core, {'vfs.trash': {...core.config('vfs.trash'), maxSize: 8}}));
+    const other = createOptions({}, 'other');
+    const otherPath = path.join(core.configuration.tempPath, 'other');
+
+    fs.outputFileSync(path.join(otherPath, 'trash/a.txt'), 'other a');
+    fs.outputFileSync(path.join(otherPath, 'trash/b.txt'), 'other b');
+    await trash.put(home, 'home:/trash/a.txt', other);
+    await trash.put(home, 'home:/trash/b.txt', other);
+
+    fs.outputFileSync(path.join(homePath, 'trash/c.txt'), 'c');
+    await limited.put(home, 'home:/trash/c.txt', options);
+    await expect(limited.list('other')).resolves.toHaveLength(2);
+
+    await limited.purge();
+    await expect(limited.list('other')).resolves.toHaveLength(1);
+    await trash.empty('other');
+  });
+
+  test('keeps metadata of items', async () => {
+    const metadata = createMetadata(withConfig(core, {'vfs.metadata.root': path.join(core.configuration.tempPath, '.trash-metadata')}));
+    const tagged = createTrash(core, metadata);
+    const call = createMethodCaller(memory);
+
+    await call('mkdir', 'trash-memory:/tagged', options);
+    await call('touch', 'trash-memory:/tagged/file.txt', options);
+    await metadata.set(memory, 'trash-memory:/tagged', {starred: true}, options);
+    await metadata.set(memory, 'trash-memory:/tagged/file.txt', {tags: ['kept']}, options);
+
+    const item = await tagged.put(memory, 'trash-memory:/tagged', options);
+    await metadata.remove(memory, 'trash-memory:/tagged', options);
+
+    await tagged.restore(memory, item, 'trash-memory:/restored/tagged', options);
+
+    await expect(metadata.get(memory, 'trash-memory:/restored/tagged', options))
+      .resolves
+      .toMatchObject({starred: true});
+
+    await expect(metadata.get(memory, 'trash-memory:/restored/tagged/file.txt', options))
+      .resolves
+      .toMatchObject({tags: ['kept']});
+  });
+});
@@ -0,0 +1,121 @@
+const memoryAdapter = require('../../src/adapters/vfs/memory.js');
+const {createMethodCaller} = require('../../src/utils/vfs.js');
+const {wrapListing} = require('../../src/utils/listing.js');
+const {createTrees} = require('../../src/utils/tree.js');
+const {createStream, createOptions, useCore} = require('../../__mocks__/helpers.js');
+
+describe('Tree Utils', () => {
+  let core;
+  let found;
+  let call;
+  let trees;
+
+  const options = createOptions();
+  const operation = {check: () => {}, progress: jest.fn()};
+
+  const simplify = entry => ({
+    filename: entry.filename,
+    ...entry.isDirectory ? {children: entry.children && entry.children.map(simplify)} : {}
+  });
+
+  useCore(async c => {
+    core = c;
+    found = {
+      adapter: memoryAdapter(core),
+      mount: {name: 'tree', root: 'tree:/', attributes: {}}
+    };
+
+    call = wrapListing(found, createMethodCaller(found));
+    await call('mkdir', 'tree:/a', options);
+    await call('mkdir', 'tree:/a/b', options);
+    await call('mkdir', 'tree:/a/b/c', options);
+    await call('writefile', 'tree:/a/one.txt', createStream('1'), options);
+    await call('writefile', 'tree:/a/b/two.txt', createStream('22'), options);
+    await call('writefile', 'tree:/a/b/c/three.txt', createStream('333'), options);
+    await call('writefile', 'tree:/a/.hidden', createStream('4444'), options);
+  });
+
+  beforeEach(() => {
+    trees = createTrees(core);
+  });
+
+  test('parseDepth', () => {
+    expect(trees.parseDepth(undefined)).toBe(1);
+    expect(trees.parseDepth('3')).toBe(3);
+    expect(() => trees.parseDepth(0)).toThrowError('Depth must be between 1 and 10');
+    expect(() => trees.parseDepth(11)).toThrowError('Depth must be between 1 and 10');
+    expect(() => trees.parseDepth('x')).toThrowError('Depth must be between 1 and 10');
+  });
+
+  test('tree', async () => {
+    await expect(trees.tree(found, call, 'tree:/a', 2, options, operation).then(simplify))
+      .resolves
+      .toEqual({
+        filename: 'a',
+        children: [
+          {filename: 'b', children: [{filename: 'c', children: null}, {filename: 'two.txt'}]},
+          {filename: 'one.txt'},
+          {filename: '.hidden'}
+        ]
+      });
+
+    await expect(trees.tree(found, call, 'tree:/a', 1, {...options, showHiddenFiles: false, sortBy: 'name', sortDir: 'desc'}, operation).then(simplify))
+      .resolves
+      .toEqual({
+        filename: 'a',
+        children: [{filename: 'one.txt'}, {filename: 'b', children: null}]
+      });
+
+    await expect(trees.tree(found, call, 'tree:/a/one.txt', 1, options, operation).then(simplify))
+      .resolves
+      .toEqual({filename: 'one.txt'});
+  });
+
+  test('du', async () => {
+    await expect(trees.du(found, call, 'tree:/a', options, operation))
+      .resolves
+      .toEqual({path: 'tree:/a', size: 10, files: 4, directories: 2});
+
+    await expect(trees.du(found, call, 'tree:/a/b/two.txt', options, operation))
+      .resolves
+      .toEqual({path: 'tree:/a/b/two.txt', size: 2, files: 1, directories: 0});
+
+    expect(operation.progress).toHaveBeenCalledWith({entries: 1});
+  });
+
+  test('caching', async () => {
+    const counted = jest.fn();
+    const counting = (method, ...args) => {
+      counted(method);
+      return call(method, ...args);
+    };
+
+    const readdirs = () => counted.mock.calls.filter(([method]) => method === 'readdir').length;
+
+    const first = await trees.du(found, counting, 'tree:/a', options, operation);
+    const count = readdirs();
+    await expect(trees.du(found, counting, 'tree:/a', options, operation)).resolves.toBe(first);
+    expect(readdirs()).toBe(count);
+
+    const wrapped = trees.wrap(found, counting);
+    await wrapped('writefile', 'tree:/a/b/c/four.txt', createStream('4'), options);
+
+    await expect(trees.du(found, counting, 'tree:/a', options, operation))
+      .resolves
+      .toMatchObject({size: 11, files: 5});
+    expect(readdirs()).toBeGreaterThan(count);
+  });
+
+  test('cancellation', () => {
+    const cancelled = {
+      check: () => {
+        throw Object.assign(new Error('Operation was cancelled'), {code: 'ECANCELED'});
+      },
+      progress: () => {}
+    };
+
+    return expect(trees.du(found, call, 'tree:/a', options, cancelled))
+      .rejects
+      .toMatchObject({code: 'ECANCELED'});
+  });
+});
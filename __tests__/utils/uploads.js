@@ -0,0 +1,124 @@
+const fs = require('fs-extra');
+const path = require('path');
+const temp = require('temp');
+const stream = require('stream');
+const {createUploads} = require('../../src/utils/uploads.js');
+const {createStream, readStream} = require('../../__mocks__/helpers.js');
+
+describe('Upload Utils', () => {
+  let root;
+  let uploads;
+  let destroy;
+
+  beforeAll(() => {
+    root = temp.mkdirSync('osjs-uploads');
+
+    const core = {
+      config: () => ({root, expires: 1000, maxSize: 100}),
+      on: (name, cb) => (destroy = cb)
+    };
+
+    uploads = createUploads(core);
+  });
+
+  afterAll(() => {
+    destroy();
+    temp.cleanupSync();
+  });
+
+  test('create', async () => {
+    await expect(uploads.create('jest', 'home:/file.txt', -1))
+      .rejects
+      .toThrowError('A valid upload size is required');
+
+    await expect(uploads.create('jest', 'home:/file.txt', 101))
+      .rejects
+      .toThrowError('Upload size exceeds the limit of 100 bytes');
+
+    const upload = await uploads.create('jest', 'home:/file.txt', 10);
+
+    expect(upload).toMatchObject({
+      username: 'jest',
+      path: 'home:/file.txt',
+      size: 10,
+      offset: 0
+    });
+  });
+
+  test('append and open', async () => {
+    const {id} = await uploads.create('jest', 'home:/file.txt', 10);
+
+    await expect(uploads.append('jest', id, 0, createStream('01234')))
+      .resolves
+      .toMatchObject({offset: 5});
+
+    await expect(uploads.open('jest', id))
+      .rejects
+      .toThrowError('Upload is not complete, received 5 of 10 bytes');
+
+    await expect(uploads.append('jest', id, 0, createStream('56789')))
+      .rejects
+      .toThrowError('Upload offset mismatch, expected 5');
+
+    await expect(uploads.load('other', id))
+      .rejects
+      .toThrowError(`Upload '${id}' was not found`);
+
+    await uploads.append('jest', id, 5, createStream('56789'));
+
+    const {stream: data} = await uploads.open('jest', id);
+    await expect(readStream(data)).resolves.toBe('0123456789');
+
+    await uploads.remove(id);
+    await expect(uploads.load('jest', id)).rejects.toThrowError('was not found');
+  });
+
+  test('append - exceeding size', async () => {
+    const {id} = await uploads.create('jest', 'home:/file.txt', 2);
+
+    await expect(uploads.append('jest', id, 0, createStream('too long')))
+      .rejects
+      .toThrowError('Upload exceeds the declared size');
+
+    await expect(uploads.load('jest', id))
+      .resolves
+      .toMatchObject({offset: 0});
+  });
+
+  test('append - aborted request', async () => {
+    const {id} = await uploads.create('jest', 'home:/file.txt', 10);
+    const request = new stream.PassThrough();
+
+    const appending = uploads.append('jest', id, 0, request);
+    request.write('012');
+
+    while ((await uploads.load('jest', id)).offset < 3) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    request.emit('aborted');
+    request.destroy();
+
+    await expect(appending)
+      .rejects
+      .toThrowError(`Upload '${id}' was aborted`);
+
+    await expect(uploads.append('jest', id, 3, createStream('3456789')))
+      .resolves
+      .toMatchObject({offset: 10});
+
+    const {stream: data} = await uploads.open('jest', id);
+    await expect(readStream(data)).resolves.toBe('0123456789');
+  });
+
+  test('purge', async () => {
+    const {id} = await uploads.create('jest', 'home:/file.txt', 2);
+    const meta = path.join(root, `${id}.json`);
+    await fs.writeJson(meta, {...await fs.readJson(meta), expires: Date.now() - 1});
+
+    await uploads.purge();
+
+    expect(fs.existsSync(meta)).toBe(false);
+    expect(fs.existsSync(path.join(root, `${id}.part`))).toBe(false);
+  });
+});
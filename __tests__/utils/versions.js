@@ -0,0 +1,117 @@
+const {createMethodCaller} = require('../../src/utils/vfs.js');
+const {getSettings, createVersions} = require('../../src/utils/versions.js');
+const {createTrash} = require('../../src/utils/trash.js');
+const {createStream, readStream, createOptions, useCore, withConfig} = require('../../__mocks__/helpers.js');
+
+describe('Version Utils', () => {
+  let core;
+  let versions;
+  let found;
+  let call;
+
+  const options = createOptions();
+
+  useCore(c => {
+    core = c;
+    versions = createVersions(core);
+    found = {
+      adapter: core.make('osjs/vfs').adapters.memory,
+      mount: {
+        name: 'versions',
+        root: 'versions:/',
+        attributes: {
+          root: '{username}',
+          versions: {max: 2}
+        }
+      }
+    };
+
+    call = versions.wrap(found, createMethodCaller(found));
+  });
+
+  test('getSettings', () => {
+    const defaults = {max: 10, maxAge: null};
+
+    expect(getSettings({attributes: {}}, defaults)).toBe(null);
+    expect(getSettings({attributes: {versions: true}}, defaults)).toEqual({max: 10, maxAge: null});
+    expect(getSettings({attributes: {versions: {maxAge: 1000}}}, defaults)).toEqual({max: 10, maxAge: 1000});
+  });
+
+  test('wrap - keeps overwritten contents', async () => {
+    await call('writefile', 'versions:/file.txt', createStream('first'), options);
+    await expect(versions.list(found, 'versions:/file.txt', options)).resolves.toEqual([]);
+
+    await call('writefile', 'versions:/file.txt', createStream('second'), options);
+    await call('writefile', 'versions:/file.txt', createStream('third'), options);
+
+    const list = await versions.list(found, 'versions:/file.txt', options);
+    expect(list.map(v => v.size)).toEqual([6, 5]);
+
+    const {version, stream: read} = await versions.open(found, 'versions:/file.txt', list[1].id, options);
+    expect(version).toMatchObject({path: 'versions:/file.txt', size: 5});
+    await expect(readStream(read)).resolves.toBe('first');
+  });
+
+  test('wrap - prunes beyond max', async () => {
+    await call('writefile', 'versions:/file.txt', createStream('fourth'), options);
+
+    const list = await versions.list(found, 'versions:/file.txt', options);
+    expect(list.map(v => v.size)).toEqual([5, 6]);
+  });
+
+  test('wrap - keeps files of removed directories', async () => {
+    await call('mkdir', 'versions:/dir', options);
+    await call('writefile', 'versions:/dir/a.txt', createStream('a'), options);
+    await call('unlink', 'versions:/dir', options);
+
+    const list = await versions.list(found, 'versions:/dir/a.txt', options);
+    expect(list).toEqual([expect.objectContaining({size: 1})]);
+  });
+
+  test('wrap - leaves removed files to the trash', async () => {
+    const trash = createTrash(withConfig(core, {'vfs.trash': {...core.config('vfs.trash'), enabled: true}}));
+    const trashed = createVersions(core, trash);
+    const wrapped = trashed.wrap(found, trash.wrap(found, createMethodCaller(found)));
+
+    await wrapped('writefile', 'versions:/trashed.txt', createStream('trashed'), options);
+    await wrapped('unlink', 'versions:/trashed.txt', options);
+    await expect(trashed.list(found, 'versions:/trashed.txt', options)).resolves.toEqual([]);
+
+    await wrapped('writefile', 'versions:/removed.txt', createStream('removed'), options);
+    await wrapped('unlink', 'versions:/removed.txt', {...options, permanent: true});
+    await expect(trashed.list(found, 'versions:/removed.txt', options))
+      .resolves
+      .toEqual([expect.objectContaining({size: 7})]);
+
+    await trash.empty('jest');
+  });
+
+  test('wrap - keeps files replaced by a rename', async () => {
+    await call('writefile', 'versions:/renamed.txt', createStream('replaced'), options);
+    await call('writefile', 'versions:/source.txt', createStream('source'), options);
+    await call('rename', 'versions:/source.txt', 'versions:/renamed.txt', options);
+
+    const list = await versions.list(found, 'versions:/renamed.txt', options);
+    expect(list).toEqual([expect.objectContaining({size: 8})]);
+  });
+
+  test('load', () => {
+    return Promise.all([
+      expect(versions.load(found, 'versions:/file.txt', 'unknown', options))
+        .rejects
+        .toMatchObject({code: 404}),
+
+      expect(versions.load(found, 'versions:/file.txt', '../file', options))
+        .rejects
+        .toMatchObject({code: 404})
+    ]);
+  });
+
+  test('versions are kept per storage', async () => {
+    const other = {session: {user: {username: 'other', groups: []}}};
+
+    await expect(versions.list(found, 'versions:/file.txt', other))
+      .resolves
+      .toEqual([]);
+  });
+});
@@ -1,6 +1,7 @@
 const {Readable, Stream} = require('stream');
 const temp = require('temp');
 const utils = require('../../src/utils/vfs.js');
+const {readStream} = require('../../__mocks__/helpers.js');
 
 const checkMountpointGroupPermission = (
   userGroups = [],
@@ -43,6 +44,17 @@ describe('VFS Utils', () => {
       .toBe('home-dir');
   });
 
+  test('getBasename', () => {
+    expect(utils.getBasename('home:/foo/bar.txt'))
+      .toBe('bar.txt');
+
+    expect(utils.getBasename('home:/foo/'))
+      .toBe('foo');
+
+    expect(utils.getBasename('home:/'))
+      .toBe('home');
+  });
+
   test('sanitize', () => {
     expect(utils.sanitize('home:/(/)¤HF)¤"NF)(FN)(Fn98....)"'))
       .toBe('home:/(/)¤HF)¤NF)(FN)(Fn98....)');
@@ -240,7 +252,81 @@ describe('VFS Utils', () => {
       });
   });
 
-  test('parseFields - POST w/Form', () => {
-    // TODO
+  describe('parseFields - POST w/Form', () => {
+    const boundary = 'jestboundary';
+    const createForm = parts => {
+      const body = parts.map(([name, value, filename]) => [
+        `--${boundary}`,
+        `Content-Disposition: form-data; name="${name}"` + (filename ? `; filename="${filename}"` : ''),
+        filename ? 'Content-Type: text/plain\r\n' : '',
+        value
+      ].join('\r\n')).join('\r\n') + `\r\n--${boundary}--\r\n`;
+
+      const req = new Readable({read() {}});
+      req.push(body);
+      req.push(null);
+
+      return Object.assign(req, {
+        url: '/foo',
+        method: 'post',
+        headers: {
+          'content-type': `multipart/form-data; boundary=${boundary}`,
+          'content-length': String(Buffer.byteLength(body))
+        }
+      });
+    };
+
+    test('file before path', async () => {
+      const parser = utils.parseFields({maxFieldsSize: 1000, maxFileSize: 1000});
+      const {fields, files} = await parser(createForm([
+        ['upload', 'jest content', 'file.txt'],
+        ['path', 'home:/file.txt']
+      ]));
+
+      expect(fields).toEqual({path: 'home:/file.txt'});
+      expect(files.upload.path).toEqual(expect.any(String));
+
+      const stream = utils.streamFromRequest({files});
+      expect(stream.temporary).toBe(true);
+      await expect(readStream(stream)).resolves.toBe('jest content');
+    });
+
+    test('file after path is streamed', async () => {
+      const parser = utils.parseFields({maxFieldsSize: 1000, maxFileSize: 1000});
+      const {fields, files} = await parser(createForm([
+        ['path', 'home:/file.txt'],
+        ['upload', 'jest content', 'file.txt']
+      ]));
+
+      expect(fields).toEqual({path: 'home:/file.txt'});
+      expect(files.upload).toBeInstanceOf(Stream);
+      expect(utils.streamFromRequest({files})).toBe(files.upload);
+      await expect(readStream(files.upload)).resolves.toBe('jest content');
+    });
+
+    test('fields after a streamed file', async () => {
+      const parser = utils.parseFields({maxFieldsSize: 1000, maxFileSize: 1000});
+      const {files} = await parser(createForm([
+        ['path', 'home:/file.txt'],
+        ['upload', 'jest content', 'file.txt'],
+        ['options', '{}']
+      ]));
+
+      await expect(readStream(files.upload))
+        .rejects
+        .toMatchObject({code: 400, message: 'Field \'options\' must be sent before the file'});
+    });
+
+    test('file after path exceeding maxFileSize', async () => {
+      const parser = utils.parseFields({maxFieldsSize: 1000, maxFileSize: 4});
+      const {files} = await parser(createForm([
+        ['path', 'home:/file.txt'],
+        ['upload', 'jest content', 'file.txt']
+      ]));
+
+      await expect(readStream(files.upload))
+        .rejects
+        .toThrowError('maxFileSize exceeded');
+    });
   });
 });
@@ -0,0 +1,50 @@
+const {URL} = require('url');
+const {parseMultistatus} = require('../../src/utils/webdav.js');
+
+describe('WebDAV Utils', () => {
+  test('parseMultistatus', () => {
+    const xml = `<?xml version="1.0"?>
+<d:multistatus xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns">
+  <d:response>
+    <d:href>/remote.php/dav/files/jest/</d:href>
+    <d:propstat>
+      <d:prop><d:resourcetype><d:collection/></d:resourcetype></d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+  </d:response>
+  <d:response>
+    <d:href>https://cloud.example.com/remote.php/dav/files/jest/My%20Documents/a%26b.txt</d:href>
+    <d:propstat>
+      <d:prop>
+        <d:resourcetype/>
+        <d:getcontentlength>42</d:getcontentlength>
+        <d:getlastmodified>Tue, 13 Oct 2020 10:00:00 GMT</d:getlastmodified>
+        <d:getetag>&quot;abc&quot;</d:getetag>
+      </d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+    <d:propstat>
+      <d:prop><d:getcontenttype/></d:prop>
+      <d:status>HTTP/1.1 404 Not Found</d:status>
+    </d:propstat>
+  </d:response>
+</d:multistatus>`;
+
+    expect(parseMultistatus(xml, new URL('https://cloud.example.com/remote.php/dav/files/jest/')))
+      .toEqual([{
+        path: '',
+        isDirectory: true,
+        size: 0,
+        mtime: null,
+        etag: undefined,
+        contentType: undefined
+      }, {
+        path: 'My Documents/a&b.txt',
+        isDirectory: false,
+        size: 42,
+        mtime: new Date('2020-10-13T10:00:00Z'),
+        etag: '"abc"',
+        contentType: undefined
+      }]);
+  });
+});
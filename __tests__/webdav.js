@@ -0,0 +1,270 @@
+const osjs = require('osjs');
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const createWebdav = require('../src/webdav.js');
+const {withConfig} = require('../__mocks__/helpers.js');
+
+describe('WebDAV', () => {
+  let core;
+  let port;
+  let homePath;
+
+  const authorization = 'Basic ' + Buffer.from('jest:jest').toString('base64');
+
+  const dav = (method, uri, {headers = {}, body, base = '/webdav'} = {}) => new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      method,
+      path: base + uri,
+      headers: {authorization, ...headers}
+    }, res => {
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks).toString()
+      }));
+    });
+
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  beforeAll(() => osjs().then(c => {
+    core = c;
+    core.app.use('/webdav', createWebdav(core));
+    port = core.httpServer.address().port;
+    homePath = path.join(core.configuration.tempPath, 'jest');
+    fs.ensureDirSync(homePath);
+  }));
+
+  afterAll(() => core.destroy());
+
+  test('forgets the oldest logins when the cache is full', async () => {
+    core.app.use('/webdav-cache', createWebdav(withConfig(core, {'vfs.webdav.cacheSize': 1})));
+
+    const auth = core.make('osjs/auth');
+    const authenticate = jest.spyOn(auth, 'authenticate');
+    const as = username => ({
+      base: '/webdav-cache',
+      headers: {authorization: 'Basic ' + Buffer.from(`${username}:${username}`).toString('base64')}
+    });
+
+    try {
+      expect((await dav('PROPFIND', '/', as('first'))).status).toBe(207);
+      expect((await dav('PROPFIND', '/', as('first'))).status).toBe(207);
+      expect(authenticate).toHaveBeenCalledTimes(1);
+
+      expect((await dav('PROPFIND', '/', as('second'))).status).toBe(207);
+      expect((await dav('PROPFIND', '/', as('first'))).status).toBe(207);
+      expect(authenticate).toHaveBeenCalledTimes(3);
+    } finally {
+      authenticate.mockRestore();
+    }
+  });
+
+  test('OPTIONS', async () => {
+    const res = await dav('OPTIONS', '/', {headers: {authorization: ''}});
+
+    expect(res.status).toBe(200);
+    expect(res.headers.dav).toBe('1, 2');
+    expect(res.headers.allow).toContain('PROPFIND');
+  });
+
+  test('requires authentication', async () => {
+    const res = await dav('PROPFIND', '/', {headers: {authorization: ''}});
+
+    expect(res.status).toBe(401);
+    expect(res.headers['www-authenticate']).toMatch(/^Basic realm="OS.js"/);
+  });
+
+  test('PROPFIND - root lists mountpoints', async () => {
+    const res = await dav('PROPFIND', '/', {headers: {depth: '1'}});
+
+    expect(res.status).toBe(207);
+    expect(res.body).toContain('<d:href>/webdav/home/</d:href>');
+    expect(res.body).toContain('<d:href>/webdav/osjs/</d:href>');
+  });
+
+  test('PUT, GET and PROPFIND', async () => {
+    let res = await dav('PUT', '/home/dav%20file.txt', {
+      headers: {'content-type': 'text/plain'},
+      body: 'webdav'
+    });
+
+    expect(res.status).toBe(201);
+    expect(fs.readFileSync(path.join(homePath, 'dav file.txt'), 'utf8')).toBe('webdav');
+
+    res = await dav('PUT', '/home/dav%20file.txt', {body: 'webdav!'});
+    expect(res.status).toBe(204);
+
+    res = await dav('GET', '/home/dav%20file.txt', {headers: {range: 'bytes=0-2'}});
+    expect(res.status).toBe(206);
+    expect(res.body).toBe('web');
+
+    res = await dav('PROPFIND', '/home/', {headers: {depth: '1'}});
+    expect(res.status).toBe(207);
+    expect(res.body).toContain('<d:href>/webdav/home/dav%20file.txt</d:href>');
+    expect(res.body).toContain('<d:getcontentlength>7</d:getcontentlength>');
+
+    res = await dav('PUT', '/home/missing/file.txt', {body: 'webdav'});
+    expect(res.status).toBe(409);
+  });
+
+  test('MKCOL, COPY, MOVE and DELETE', async () => {
+    expect((await dav('MKCOL', '/home/davdir')).status).toBe(201);
+    expect((await dav('MKCOL', '/home/davdir')).status).toBe(405);
+
+    let res = await dav('COPY', '/home/dav%20file.txt', {
+      headers: {destination: `http://localhost:${port}/webdav/home/davdir/copy.txt`}
+    });
+
+    expect(res.status).toBe(201);
+    expect(fs.readFileSync(path.join(homePath, 'davdir/copy.txt'), 'utf8')).toBe('webdav!');
+
+    res = await dav('MOVE', '/home/davdir/copy.txt', {
+      headers: {destination: '/webdav/home/dav%20file.txt', overwrite: 'F'}
+    });
+
+    expect(res.status).toBe(412);
+
+    res = await dav('MOVE', '/home/davdir/copy.txt', {
+      headers: {destination: '/webdav/home/davdir/moved.txt'}
+    });
+
+    expect(res.status).toBe(201);
+    expect(fs.existsSync(path.join(homePath, 'davdir/copy.txt'))).toBe(false);
+
+    expect((await dav('DELETE', '/home/davdir')).status).toBe(204);
+    expect(fs.existsSync(path.join(homePath, 'davdir'))).toBe(false);
+    expect((await dav('DELETE', '/home/davdir')).status).toBe(404);
+  });
+
+  test('COPY and MOVE - Overwrite replaces the destination', async () => {
+    fs.outputFileSync(path.join(homePath, 'replace/source/a.txt'), 'source');
+    fs.outputFileSync(path.join(homePath, 'replace/target/b.txt'), 'target');
+    fs.outputFileSync(path.join(homePath, 'replace/file.txt'), 'file');
+
+    const {system} = core.make('osjs/vfs').adapters;
+    const copy = jest.spyOn(system, 'copy')
+      .mockImplementationOnce(() => () => Promise.reject(new Error('Copy failed')));
+
+    let res = await dav('COPY', '/home/replace/source', {
+      headers: {destination: '/webdav/home/replace/target'}
+    });
+
+    expect(res.status).toBe(400);
+    expect(fs.readdirSync(path.join(homePath, 'replace'))).toEqual(['file.txt', 'source', 'target']);
+    expect(fs.readdirSync(path.join(homePath, 'replace/target'))).toEqual(['b.txt']);
+    copy.mockRestore();
+
+    res = await dav('COPY', '/home/replace/source', {
+      headers: {destination: '/webdav/home/replace/target'}
+    });
+
+    expect(res.status).toBe(204);
+    expect(fs.readdirSync(path.join(homePath, 'replace'))).toEqual(['file.txt', 'source', 'target']);
+    expect(fs.readdirSync(path.join(homePath, 'replace/target'))).toEqual(['a.txt']);
+
+    res = await dav('MOVE', '/home/replace/file.txt', {
+      headers: {destination: '/webdav/home/replace/target', overwrite: 'T'}
+    });
+
+    expect(res.status).toBe(204);
+    expect(fs.readdirSync(path.join(homePath, 'replace'))).toEqual(['source', 'target']);
+    expect(fs.readFileSync(path.join(homePath, 'replace/target'), 'utf8')).toBe('file');
+  });
+
+  test('LOCK and UNLOCK', async () => {
+    const body = '<?xml version="1.0"?><d:lockinfo xmlns:d="DAV:"><d:lockscope><d:exclusive/></d:lockscope>' +
+      '<d:locktype><d:write/></d:locktype><d:owner>jest</d:owner></d:lockinfo>';
+
+    let res = await dav('LOCK', '/home/locked.txt', {body, headers: {timeout: 'Second-60'}});
+    const token = res.headers['lock-token'];
+
+    expect(res.status).toBe(201);
+    expect(token).toMatch(/^<opaquelocktoken:.+>$/);
+    expect(res.body).toContain('<d:timeout>Second-60</d:timeout>');
+
+    expect((await dav('LOCK', '/home/locked.txt', {body})).status).toBe(423);
+    expect((await dav('PUT', '/home/locked.txt', {body: 'locked'})).status).toBe(423);
+    expect((await dav('PUT', '/home/locked.txt', {body: 'locked', headers: {if: `(${token})`}})).status).toBe(204);
+
+    res = await dav('PROPFIND', '/home/locked.txt', {headers: {depth: '0'}});
+    expect(res.body).toContain(token.replace(/[<>]/g, ''));
+
+    expect((await dav('UNLOCK', '/home/locked.txt', {headers: {'lock-token': token}})).status).toBe(204);
+    expect((await dav('DELETE', '/home/locked.txt')).status).toBe(204);
+  });
+
+  test('LOCK - only locks the storage of the user', async () => {
+    const as = username => ({authorization: 'Basic ' + Buffer.from(`${username}:${username}`).toString('base64')});
+    const body = '<?xml version="1.0"?><d:lockinfo xmlns:d="DAV:"><d:lockscope><d:exclusive/></d:lockscope>' +
+      '<d:locktype><d:write/></d:locktype></d:lockinfo>';
+
+    fs.ensureDirSync(path.join(core.configuration.tempPath, 'alice'));
+    fs.ensureDirSync(path.join(core.configuration.tempPath, 'bob'));
+
+    const res = await dav('LOCK', '/home/', {body, headers: as('alice')});
+    const token = res.headers['lock-token'];
+    expect(res.status).toBe(200);
+
+    expect((await dav('PUT', '/home/notes.txt', {body: 'bob', headers: as('bob')})).status).toBe(201);
+    expect((await dav('PUT', '/home/notes.txt', {body: 'alice', headers: as('alice')})).status).toBe(423);
+    expect((await dav('UNLOCK', '/home/', {headers: {...as('bob'), 'lock-token': token}})).status).toBe(409);
+    expect((await dav('UNLOCK', '/home/', {headers: {...as('alice'), 'lock-token': token}})).status).toBe(204);
+  });
+
+  test('LOCK - requires write access', async () => {
+    const body = '<?xml version="1.0"?><d:lockinfo xmlns:d="DAV:"><d:lockscope><d:exclusive/></d:lockscope>' +
+      '<d:locktype><d:write/></d:locktype></d:lockinfo>';
+
+    const root = path.join(core.configuration.tempPath, 'dav-readonly');
+    fs.outputFileSync(path.join(root, 'file.txt'), 'readonly');
+
+    const mount = await core.make('osjs/fs').mount({
+      name: 'dav-readonly',
+      attributes: {root, readOnly: true}
+    });
+
+    try {
+      expect((await dav('LOCK', '/dav-readonly/file.txt', {body})).status).toBe(403);
+      expect((await dav('LOCK', '/home/missing/file.txt', {body})).status).toBe(409);
+
+      const res = await dav('PROPFIND', '/dav-readonly/file.txt', {headers: {depth: '0'}});
+      expect(res.status).toBe(207);
+      expect(res.body).not.toContain('opaquelocktoken');
+      expect((await dav('MKCOL', '/home/missing')).status).toBe(201);
+      expect((await dav('DELETE', '/home/missing')).status).toBe(204);
+    } finally {
+      await core.make('osjs/fs').unmount(mount);
+    }
+  });
+
+  test('LOCK - escapes the owner', async () => {
+    const body = '<?xml version="1.0"?><d:lockinfo xmlns:d="DAV:"><d:lockscope><d:exclusive/></d:lockscope>' +
+      '<d:locktype><d:write/></d:locktype><d:owner><x:name xmlns:x="urn:x">&lt;/d:owner&gt;&lt;d:evil/&gt;</x:name></d:owner></d:lockinfo>';
+
+    let res = await dav('LOCK', '/home/owner.txt', {body});
+    let token = res.headers['lock-token'];
+
+    expect(res.status).toBe(201);
+    expect(res.body).not.toContain('<d:evil/>');
+    expect(res.body).toContain('<d:owner>&lt;/d:owner&gt;&lt;d:evil/&gt;</d:owner>');
+    await dav('UNLOCK', '/home/owner.txt', {headers: {'lock-token': token}});
+
+    res = await dav('LOCK', '/home/owner.txt', {body: body.replace(/<d:owner>.*<\/d:owner>/, '<d:owner><d:href>http://example.com/?a=1&amp;b=2</d:href></d:owner>')});
+    token = res.headers['lock-token'];
+
+    expect(res.body).toContain('<d:owner><d:href>http://example.com/?a=1&amp;b=2</d:href></d:owner>');
+    await dav('UNLOCK', '/home/owner.txt', {headers: {'lock-token': token}});
+  });
+
+  test('enforces mountpoint permissions', async () => {
+    expect((await dav('PUT', '/osjs/file.txt', {body: 'readonly'})).status).toBe(403);
+    expect((await dav('MKCOL', '/unknown-mount/dir')).status).toBe(403);
+    expect((await dav('DELETE', '/')).status).toBe(403);
+  });
+});
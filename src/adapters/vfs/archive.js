@@ -0,0 +1,281 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const path = require('path');
+const minimatch = require('minimatch');
+const {getArchiveType, openArchive} = require('../../utils/archive');
+const {
+  createError,
+  mountpointResolver,
+  checkMountpointPermission
+} = require('../../utils/vfs');
+
+/**
+ * Maximum number of archive indexes to keep in memory
+ */
+const MAX_CACHE_ENTRIES = 16;
+
+/*
+ * Gets a list of names from a path relative to mountpoint
+ */
+const getNames = (mount, file) => path.posix
+  .join('/', file.substr(mount.root.length - 1))
+  .split('/')
+  .filter(str => str.length > 0);
+
+/*
+ * Creates an object readable by client
+ */
+const createFileIter = (core, file, {name, isDirectory, size, mtime}) => {
+  const {mime} = core.make('osjs/vfs');
+  const filename = path.posix.basename(name);
+
+  return {
+    isDirectory,
+    isFile: !isDirectory,
+    mime: isDirectory ? null : mime(filename),
+    size: size || 0,
+    path: file,
+    filename,
+    stat: {
+      size: size || 0,
+      mtime
+    }
+  };
+};
+
+/*
+ * Gets entries directly below given directory
+ */
+const getChildren = (entries, dirname) => Array.from(entries.values())
+  .filter(({name}) => name && path.posix.dirname(name) === (dirname || '.'));
+
+/*
+ * Rejects a write operation
+ */
+const readOnly = () => () => Promise.reject(createError(403, 'Archive mountpoints are read-only'));
+
+/**
+ * Archive VFS adapter
+ *
+ * Browses zip and tar (optionally gzipped) archives stored on other
+ * mountpoints as read-only directories. The first segment of a path is the
+ * name of the mountpoint the archive is stored on, followed by the path to
+ * the archive and finally the path inside it:
+ *
+ *   archive:/home/Downloads/files.zip/folder/file.txt
+ *
+ * Entries are read with ranged reads from the source adapter (zip)
+ * or by streaming through it (tar), so nothing is extracted to disk.
+ *
+ * @param {Core} core Core reference
+ * @param {object} [options] Adapter options
+ */
+module.exports = (core) => {
+  const findMountpoint = mountpointResolver(core);
+  const cache = new Map();
+
+  const resolve = (vfs, file, options = {}) => {
+    const names = getNames(vfs.mount, file);
+    const index = names.findIndex((name, i) => i > 0 && getArchiveType(name));
+
+    if (index === -1) {
+      return Promise.reject(createError('ENOENT', `No archive found in '${file}'`));
+    } else if (names[0] === vfs.mount.name) {
+      return Promise.reject(createError(400, 'Archives can not be nested in archive mountpoints'));
+    }
+
+    const source = `${names[0]}:/${names.slice(1, index + 1).join('/')}`;
+    const inner = names.slice(index + 1).join('/');
+    const type = getArchiveType(names[index]);
+
+    return findMountpoint(source)
+      .then(found => {
+        const strict = found.mount.attributes.strictGroups !== false;
+        const req = {session: options.session};
+
+        return checkMountpointPermission(req, {}, 'readfile', false, strict)(found)
+          .then(() => ({found, source, inner, type}));
+      });
+  };
+
+  const open = (vfs, file, options = {}) => resolve(vfs, file, options)
+    .then(({found, source, inner, type}) => {
+      const call = (method, ...args) => found.adapter[method](found)(...args);
+      const sourceOptions = {session: options.session};
+      const user = (options.session && options.session.user) || {};
+      const key = `${user.username}@${source}`;
+
+      return call('stat', source, sourceOptions)
+        .then(stat => {
+          if (!stat.isFile) {
+            throw createError('ENOENT', `Archive '${source}' is not a file`);
+          }
+
+          const mtime = stat.stat && stat.stat.mtime
+            ? new Date(stat.stat.mtime).getTime()
+            : null;
+
+          const cached = cache.get(key);
+          if (cached && cached.size === stat.size && cached.mtime === mtime) {
+            return cached.archive;
+          }
+
+          return openArchive(type, {
+            size: stat.size,
+            read: range => call('readfile', source, {...sourceOptions, range})
+          }).then(archive => {
+            cache.delete(key);
+            cache.set(key, {size: stat.size, mtime, archive});
+
+            if (cache.size > MAX_CACHE_ENTRIES) {
+              cache.delete(cache.keys().next().value);
+            }
+
+            return archive;
+          });
+        })
+        .then(archive => ({archive, inner, entry: archive.entries.get(inner)}));
+    });
+
+  const openEntry = (vfs, file, options) => open(vfs, file, options)
+    .then(result => {
+      if (!result.entry) {
+        throw createError('ENOENT', `No such file or directory '${file}'`);
+      }
+
+      return result;
+    });
+
+  return {
+    /**
+     * Adapter capabilities
+     * @type {Object}
+     */
+    capabilities: {
+      ranges: true
+    },
+
+    /**
+     * Checks if file exists
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Promise<boolean, Error>}
+     */
+    exists: vfs => (file, options = {}) => open(vfs, file, options)
+      .then(({entry}) => !!entry)
+      .catch(error => error.code === 'ENOENT' ? false : Promise.reject(error)),
+
+    /**
+     * Get file statistics
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Object}
+     */
+    stat: vfs => (file, options = {}) => openEntry(vfs, file, options)
+      .then(({entry}) => createFileIter(core, file, {
+        ...entry,
+        name: entry.name || path.posix.basename(file)
+      })),
+
+    /**
+     * Reads directory
+     * @param {String} root The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Object[]}
+     */
+    readdir: vfs => (root, options = {}) => openEntry(vfs, root, options)
+      .then(({archive, entry}) => {
+        if (!entry.isDirectory) {
+          throw createError('ENOTDIR', `Not a directory '${root}'`);
+        }
+
+        return getChildren(archive.entries, entry.name)
+          .map(child => createFileIter(
+            core,
+            root.replace(/\/?$/, '/') + path.posix.basename(child.name),
+            child
+          ));
+      }),
+
+    /**
+     * Reads file stream
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {stream.Readable}
+     */
+    readfile: vfs => (file, options = {}) => openEntry(vfs, file, options)
+      .then(({archive, entry}) => entry.isDirectory
+        ? false
+        : archive.open(entry, options.range)),
+
+    /**
+     * Searches for files and folders
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    search: vfs => (root, pattern, options = {}) => openEntry(vfs, root, options)
+      .then(({archive, entry}) => {
+        const prefix = entry.name ? entry.name + '/' : '';
+        const glob = new minimatch.Minimatch(pattern, {matchBase: true});
+
+        return Array.from(archive.entries.values())
+          .filter(({name, isDirectory}) => !isDirectory && name.startsWith(prefix))
+          .filter(({name}) => glob.match(name.substr(prefix.length)))
+          .map(child => createFileIter(
+            core,
+            root.replace(/\/?$/, '/') + child.name.substr(prefix.length),
+            child
+          ));
+      })
+      .catch(error => error.code === 'ENOENT' ? [] : Promise.reject(error)),
+
+    /**
+     * Gets the real filesystem path (internal only)
+     *
+     * Archive entries does not have any physical paths,
+     * so this resolves the normalized VFS path instead.
+     *
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {string}
+     */
+    realpath: vfs => (file, options = {}) =>
+      Promise.resolve(vfs.mount.root + getNames(vfs.mount, file).join('/')),
+
+    mkdir: readOnly,
+    writefile: readOnly,
+    rename: readOnly,
+    copy: readOnly,
+    unlink: readOnly,
+    touch: readOnly
+  };
+};
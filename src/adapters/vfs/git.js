@@ -0,0 +1,307 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const path = require('path');
+const systemAdapter = require('./system');
+const {createRepository, isRevision} = require('../../utils/git');
+const {createError, resolveSegments} = require('../../utils/vfs');
+
+/*
+ * Gets the path relative to the mountpoint
+ */
+const getRelativePath = (mount, file) => path.posix
+  .join('/', file.substr(mount.root.length - 1))
+  .replace(/^\/+/, '');
+
+/*
+ * Checks if a path is within the repository metadata
+ */
+const isGitPath = relative => relative.split('/')[0] === '.git';
+
+/**
+ * Git VFS adapter
+ *
+ * Works like the system adapter, but the root is a local git repository
+ * (created if missing) where every change is committed as the session user.
+ * Also provides the history of files.
+ *
+ * @example
+ * {
+ *   name: 'docs',
+ *   adapter: 'git',
+ *   attributes: {
+ *     root: '{vfs}/docs',
+ *     emailDomain: 'example.com' // For users without an email
+ *   }
+ * }
+ *
+ * @param {Core} core Core reference
+ * @param {object} [options] Adapter options
+ */
+module.exports = (core) => {
+  const system = systemAdapter(core);
+  const repositories = new Map();
+
+  const getRepository = (vfs, options = {}) => {
+    const root = resolveSegments(core, options.session || {}, vfs.mount.attributes.root);
+
+    if (!repositories.has(root)) {
+      repositories.set(root, createRepository(root));
+    }
+
+    return repositories.get(root);
+  };
+
+  const resolve = (vfs, file) => {
+    const relative = getRelativePath(vfs.mount, file);
+
+    if (isGitPath(relative)) {
+      throw createError('EACCES', `Access denied to '${file}'`);
+    }
+
+    return relative;
+  };
+
+  const getAuthor = (vfs, session = {}) => {
+    const {username, name, email} = session.user || {};
+    const domain = vfs.mount.attributes.emailDomain || 'localhost';
+
+    return {
+      name: name || username || 'osjs',
+      email: email || `${username || 'osjs'}@${domain}`
+    };
+  };
+
+  const commit = (vfs, options, paths, message) => getRepository(vfs, options)
+    .commit(paths, message, getAuthor(vfs, options.session));
+
+  // Runs a system adapter method on a path within the working tree
+  const delegate = method => vfs => (file, ...args) => Promise.resolve()
+    .then(() => resolve(vfs, file))
+    .then(() => getRepository(vfs, args[args.length - 1]).init())
+    .then(() => system[method](vfs)(file, ...args));
+
+  // Runs a system adapter method and commits the change
+  const committed = (method, describe) => vfs => (file, ...args) => {
+    const options = args[args.length - 1] || {};
+
+    return Promise.resolve()
+      .then(() => resolve(vfs, file))
+      .then(relative => getRepository(vfs, options).init()
+        .then(() => system.exists(vfs)(file, options))
+        .then(existed => system[method](vfs)(file, ...args)
+          .then(result => commit(vfs, options, [relative], describe(relative, existed))
+            .then(() => result))));
+  };
+
+  // Runs a system adapter copy or move and commits the changes
+  const committedCross = (method, describe) => (srcVfs, destVfs) => (src, dest, options = {}) => {
+    const source = getRepository(srcVfs, options);
+    const target = getRepository(destVfs, options);
+
+    return Promise.resolve()
+      .then(() => [resolve(srcVfs, src), resolve(destVfs, dest)])
+      .then(([from, to]) => Promise.all([source.init(), target.init()])
+        .then(() => system[method](srcVfs, destVfs)(src, dest, options))
+        .then(result => {
+          if (source === target) {
+            return commit(destVfs, options, method === 'rename' ? [from, to] : [to], describe(from, to))
+              .then(() => result);
+          }
+
+          return (method === 'rename' ? commit(srcVfs, options, [from], `Remove ${from}`) : Promise.resolve())
+            .then(() => commit(destVfs, options, [to], `Add ${to}`))
+            .then(() => result);
+        }));
+  };
+
+  const withoutGitPaths = (vfs, list) => list
+    .filter(entry => !isGitPath(getRelativePath(vfs.mount, entry.path)));
+
+  return {
+    /**
+     * Adapter capabilities
+     * @type {Object}
+     */
+    capabilities: {
+      ranges: true
+    },
+
+    /**
+     * Checks if file exists
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Promise<boolean, Error>}
+     */
+    exists: delegate('exists'),
+
+    /**
+     * Get file statistics
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Object}
+     */
+    stat: delegate('stat'),
+
+    /**
+     * Reads directory
+     * @param {String} root The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Object[]}
+     */
+    readdir: vfs => (root, options = {}) => delegate('readdir')(vfs)(root, options)
+      .then(list => withoutGitPaths(vfs, list)),
+
+    /**
+     * Reads file stream
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {stream.Readable}
+     */
+    readfile: delegate('readfile'),
+
+    /**
+     * Creates directory
+     *
+     * Directories are not tracked by git, so this does not commit.
+     *
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    mkdir: delegate('mkdir'),
+
+    /**
+     * Writes file stream
+     * @param {String} file The file path from client
+     * @param {stream.Readable} data The stream
+     * @param {Object} [options={}] Options
+     * @return {Promise<boolean, Error>}
+     */
+    writefile: committed('writefile', (relative, existed) => `${existed ? 'Update' : 'Add'} ${relative}`),
+
+    /**
+     * Renames given file or directory
+     * @param {String} src The source file path from client
+     * @param {String} dest The destination file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    rename: committedCross('rename', (from, to) => `Rename ${from} to ${to}`),
+
+    /**
+     * Copies given file or directory
+     * @param {String} src The source file path from client
+     * @param {String} dest The destination file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    copy: committedCross('copy', (from, to) => `Copy ${from} to ${to}`),
+
+    /**
+     * Removes given file or directory
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    unlink: committed('unlink', relative => `Remove ${relative}`),
+
+    /**
+     * Searches for files and folders
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    search: vfs => (root, pattern, options = {}) => delegate('search')(vfs)(root, pattern, options)
+      .then(list => withoutGitPaths(vfs, list)),
+
+    /**
+     * Touches a file
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    touch: committed('touch', relative => `Add ${relative}`),
+
+    /**
+     * Gets the real filesystem path (internal only)
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {string}
+     */
+    realpath: delegate('realpath'),
+
+    /**
+     * Lists the commits of a file or directory
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @param {number} [options.limit=50] Maximum number of commits
+     * @return {Promise<object[]>}
+     */
+    log: vfs => (file, options = {}) => Promise.resolve()
+      .then(() => resolve(vfs, file))
+      .then(relative => getRepository(vfs, options).log(relative, {limit: options.limit})),
+
+    /**
+     * Creates a diff of a file or directory between two revisions
+     * @param {String} file The file path from client
+     * @param {String} from From revision
+     * @param {String} [to] To revision (defaults to the current contents)
+     * @param {Object} [options={}] Options
+     * @return {Promise<string>}
+     */
+    diff: vfs => (file, from, to, options = {}) => Promise.resolve()
+      .then(() => {
+        if (!isRevision(from) || (to && !isRevision(to))) {
+          throw createError(400, 'Invalid revision');
+        }
+
+        return resolve(vfs, file);
+      })
+      .then(relative => getRepository(vfs, options).diff(relative, from, to)),
+
+    /**
+     * Opens a file at a revision
+     * @param {String} file The file path from client
+     * @param {String} revision Revision
+     * @param {Object} [options={}] Options
+     * @return {Promise<object>} Size and stream
+     */
+    show: vfs => (file, revision, options = {}) => Promise.resolve()
+      .then(() => {
+        if (!isRevision(revision)) {
+          throw createError(400, 'Invalid revision');
+        }
+
+        return resolve(vfs, file);
+      })
+      .then(relative => getRepository(vfs, options).show(relative, revision))
+  };
+};
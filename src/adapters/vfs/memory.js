@@ -0,0 +1,502 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const path = require('path');
+const minimatch = require('minimatch');
+const {EventEmitter} = require('events');
+const {PassThrough} = require('stream');
+const {createError, segments, matchSegments, resolveSegments} = require('../../utils/vfs');
+
+/*
+ * Creates a new tree node
+ */
+const createNode = (isDirectory, data) => {
+  const now = new Date();
+
+  return {
+    isDirectory,
+    children: isDirectory ? new Map() : null,
+    data: isDirectory ? null : (data || Buffer.alloc(0)),
+    birthtime: now,
+    ctime: now,
+    mtime: now
+  };
+};
+
+/*
+ * Creates a deep copy of a tree node
+ */
+const cloneNode = node => {
+  const clone = createNode(node.isDirectory, node.data ? Buffer.from(node.data) : null);
+
+  if (node.isDirectory) {
+    node.children.forEach((child, name) => clone.children.set(name, cloneNode(child)));
+  }
+
+  return clone;
+};
+
+/*
+ * Looks up a node from a list of names
+ */
+const lookup = (root, names) => names.reduce((node, name) => {
+  return node && node.isDirectory ? node.children.get(name) : undefined;
+}, root);
+
+/*
+ * Gets a list of names from a path relative to mountpoint
+ */
+const getNames = (mount, file) => path.posix
+  .join('/', file.substr(mount.root.length - 1))
+  .split('/')
+  .filter(str => str.length > 0);
+
+/*
+ * Reads given stream into a buffer
+ */
+const readStream = stream => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  stream.on('error', error => reject(error));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+/*
+ * Creates an object readable by client
+ */
+const createFileIter = (core, file, filename, node) => {
+  const {mime} = core.make('osjs/vfs');
+  const size = node.isDirectory ? 0 : node.data.length;
+
+  return {
+    isDirectory: node.isDirectory,
+    isFile: !node.isDirectory,
+    mime: node.isDirectory ? null : mime(filename),
+    size,
+    path: file,
+    filename,
+    stat: {
+      size,
+      birthtime: node.birthtime,
+      ctime: node.ctime,
+      mtime: node.mtime
+    }
+  };
+};
+
+/*
+ * Walks given node and returns all files with their relative names
+ */
+const walkNode = (node, names = []) => {
+  let result = [];
+
+  node.children.forEach((child, name) => {
+    const current = [...names, name];
+
+    if (child.isDirectory) {
+      result = result.concat(walkNode(child, current));
+    } else {
+      result.push({names: current, node: child});
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Memory VFS adapter
+ *
+ * Keeps all files in memory. The mountpoint 'root' attribute is optional
+ * and can be used to separate trees by segments, ex: '{username}'.
+ * Trees are removed when the mountpoint is unmounted, and trees of a
+ * user when the user logs out.
+ *
+ * @param {Core} core Core reference
+ * @param {object} [options] Adapter options
+ */
+module.exports = (core) => {
+  const stores = new Map();
+  const emitter = new EventEmitter();
+
+  const getStore = (mount, session) => {
+    const root = mount.attributes.root || '';
+    const key = mount.name + ':' + resolveSegments(core, session, root);
+
+    if (!stores.has(key)) {
+      const args = matchSegments(root)
+        .map(s => s.replace(/\{|\}/g, ''))
+        .filter(s => segments[s] && segments[s].dynamic)
+        .reduce((result, k) => ({...result, [k]: segments[k].fn(core, session)}), {});
+
+      stores.set(key, {name: mount.name, args, root: createNode(true)});
+    }
+
+    return stores.get(key);
+  };
+
+  const removeStores = fn => Array.from(stores.entries())
+    .filter(([, store]) => fn(store))
+    .forEach(([key]) => stores.delete(key));
+
+  core.on('osjs/vfs:unmount', mount => removeStores(store => store.name === mount.name));
+
+  core.on('osjs/core:logging-out', session => {
+    const username = session && session.user ? session.user.username : null;
+    removeStores(store => username && store.args.username === username);
+  });
+
+  const resolve = (mount, file, options = {}) => {
+    const store = getStore(mount, options.session);
+    const names = getNames(mount, file);
+    const node = lookup(store.root, names);
+
+    return {store, names, node};
+  };
+
+  const notify = (mount, store, names, type) => emitter
+    .emit('change', mount.name, store.args, names.join('/'), type);
+
+  const attach = (mount, store, names, node, type) => {
+    const parent = lookup(store.root, names.slice(0, -1));
+    parent.children.set(names[names.length - 1], node);
+    parent.mtime = new Date();
+
+    notify(mount, store, names, type || (node.isDirectory ? 'addDir' : 'add'));
+  };
+
+  const detach = (mount, store, names) => {
+    const parent = lookup(store.root, names.slice(0, -1));
+    const node = parent.children.get(names[names.length - 1]);
+    parent.children.delete(names[names.length - 1]);
+    parent.mtime = new Date();
+
+    notify(mount, store, names, node.isDirectory ? 'unlinkDir' : 'unlink');
+  };
+
+  const ensureDirectory = (mount, store, names) => names.reduce((node, name, index) => {
+    if (!node.isDirectory) {
+      throw createError('ENOTDIR', `Not a directory '${names.slice(0, index).join('/')}'`);
+    }
+
+    if (!node.children.has(name)) {
+      attach(mount, store, names.slice(0, index + 1), createNode(true));
+    }
+
+    return node.children.get(name);
+  }, store.root);
+
+  const assertParent = (store, names, file) => {
+    const parent = lookup(store.root, names.slice(0, -1));
+    if (!parent || !parent.isDirectory) {
+      throw createError('ENOENT', `No such directory '${file}'`);
+    }
+  };
+
+  const crossWrapper = (cb) => (srcVfs, destVfs) => (src, dest, options = {}) => Promise.resolve()
+    .then(() => {
+      const source = resolve(srcVfs.mount, src, options);
+      const target = resolve(destVfs.mount, dest, options);
+
+      if (!source.node || source.names.length === 0) {
+        throw createError('ENOENT', `No such file or directory '${src}'`);
+      }
+
+      if (target.names.length === 0 || (target.node && target.node.isDirectory && !source.node.isDirectory)) {
+        throw createError('EISDIR', `Destination is a directory '${dest}'`);
+      }
+
+      const inside = source.store === target.store &&
+        target.names.slice(0, source.names.length).join('/') === source.names.join('/');
+
+      if (inside) {
+        throw createError('EINVAL', `Cannot move or copy '${src}' into itself`);
+      }
+
+      cb({source, target, srcVfs, destVfs, dest});
+
+      return true;
+    });
+
+  return {
+    /**
+     * Adapter capabilities
+     * @type {Object}
+     */
+    capabilities: {
+      ranges: true
+    },
+
+    watch: (mount, callback) => {
+      const watch = new EventEmitter();
+      const listener = (name, args, dir, type) => {
+        if (name === mount.name) {
+          callback(args, dir, type);
+        }
+      };
+
+      watch.close = () => {
+        emitter.removeListener('change', listener);
+        return Promise.resolve();
+      };
+
+      emitter.on('change', listener);
+
+      return watch;
+    },
+
+    /**
+     * Checks if file exists
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Promise<boolean, Error>}
+     */
+    exists: vfs => (file, options = {}) => Promise.resolve()
+      .then(() => !!resolve(vfs.mount, file, options).node),
+
+    /**
+     * Get file statistics
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Object}
+     */
+    stat: vfs => (file, options = {}) => Promise.resolve()
+      .then(() => {
+        const {names, node} = resolve(vfs.mount, file, options);
+        if (!node) {
+          throw createError('ENOENT', `No such file or directory '${file}'`);
+        }
+
+        return createFileIter(core, file, names[names.length - 1] || '', node);
+      }),
+
+    /**
+     * Reads directory
+     * @param {String} root The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Object[]}
+     */
+    readdir: vfs => (root, options = {}) => Promise.resolve()
+      .then(() => {
+        const {node} = resolve(vfs.mount, root, options);
+        if (!node) {
+          throw createError('ENOENT', `No such directory '${root}'`);
+        } else if (!node.isDirectory) {
+          throw createError('ENOTDIR', `Not a directory '${root}'`);
+        }
+
+        return Array.from(node.children.entries())
+          .map(([name, child]) => createFileIter(core, root.replace(/\/?$/, '/') + name, name, child));
+      }),
+
+    /**
+     * Reads file stream
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {stream.Readable}
+     */
+    readfile: vfs => (file, options = {}) => Promise.resolve()
+      .then(() => {
+        const {node} = resolve(vfs.mount, file, options);
+        if (!node) {
+          throw createError('ENOENT', `No such file '${file}'`);
+        } else if (node.isDirectory) {
+          return false;
+        }
+
+        const [start, end] = options.range || [];
+        const stream = new PassThrough();
+        stream.end(node.data.slice(start || 0, typeof end === 'number' ? end + 1 : undefined));
+
+        return stream;
+      }),
+
+    /**
+     * Creates directory
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    mkdir: vfs => (file, options = {}) => Promise.resolve()
+      .then(() => {
+        const {store, names, node} = resolve(vfs.mount, file, options);
+        if (node) {
+          if (options.ensure && node.isDirectory) {
+            return true;
+          }
+
+          throw createError('EEXIST', `File already exists '${file}'`);
+        }
+
+        assertParent(store, names, file);
+        attach(vfs.mount, store, names, createNode(true));
+
+        return true;
+      }),
+
+    /**
+     * Writes file stream
+     * @param {String} file The file path from client
+     * @param {stream.Readable} data The stream
+     * @param {Object} [options={}] Options
+     * @return {Promise<boolean, Error>}
+     */
+    writefile: vfs => (file, data, options = {}) => Promise.resolve()
+      .then(() => {
+        const {store, names, node} = resolve(vfs.mount, file, options);
+        if (node && node.isDirectory) {
+          return false;
+        }
+
+        assertParent(store, names, file);
+
+        return readStream(data)
+          .then(buffer => {
+            const existing = lookup(store.root, names);
+
+            if (existing && !existing.isDirectory) {
+              existing.data = buffer;
+              existing.mtime = new Date();
+              notify(vfs.mount, store, names, 'change');
+            } else {
+              attach(vfs.mount, store, names, createNode(false, buffer));
+            }
+
+            return true;
+          });
+      }),
+
+    /**
+     * Renames given file or directory
+     * @param {String} src The source file path from client
+     * @param {String} dest The destination file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    rename: crossWrapper(({source, target, srcVfs, destVfs, dest}) => {
+      assertParent(target.store, target.names, dest);
+      detach(srcVfs.mount, source.store, source.names);
+      attach(destVfs.mount, target.store, target.names, source.node);
+    }),
+
+    /**
+     * Copies given file or directory
+     * @param {String} src The source file path from client
+     * @param {String} dest The destination file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    copy: crossWrapper(({source, target, destVfs, dest}) => {
+      assertParent(target.store, target.names, dest);
+      attach(destVfs.mount, target.store, target.names, cloneNode(source.node));
+    }),
+
+    /**
+     * Removes given file or directory
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    unlink: vfs => (file, options = {}) => Promise.resolve()
+      .then(() => {
+        const {store, names, node} = resolve(vfs.mount, file, options);
+
+        if (node) {
+          if (names.length === 0) {
+            Array.from(node.children.keys())
+              .forEach(name => detach(vfs.mount, store, [name]));
+          } else {
+            detach(vfs.mount, store, names);
+          }
+        }
+
+        return true;
+      }),
+
+    /**
+     * Searches for files and folders
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    search: vfs => (root, pattern, options = {}) => Promise.resolve()
+      .then(() => {
+        const {node} = resolve(vfs.mount, root, options);
+        if (!node || !node.isDirectory) {
+          return [];
+        }
+
+        const glob = new minimatch.Minimatch(pattern, {matchBase: true});
+
+        return walkNode(node)
+          .filter(({names}) => glob.match(names.join('/')))
+          .map(({names, node}) => createFileIter(
+            core,
+            root.replace(/\/?$/, '/') + names.join('/'),
+            names[names.length - 1],
+            node
+          ));
+      }),
+
+    /**
+     * Touches a file
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    touch: vfs => (file, options = {}) => Promise.resolve()
+      .then(() => {
+        const {store, names, node} = resolve(vfs.mount, file, options);
+
+        if (node) {
+          if (node.isDirectory) {
+            throw createError('EISDIR', `Is a directory '${file}'`);
+          }
+        } else {
+          ensureDirectory(vfs.mount, store, names.slice(0, -1));
+          attach(vfs.mount, store, names, createNode(false));
+        }
+
+        return true;
+      }),
+
+    /**
+     * Gets the real filesystem path (internal only)
+     *
+     * Memory mountpoints does not have any physical paths,
+     * so this resolves the normalized VFS path instead.
+     *
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {string}
+     */
+    realpath: vfs => (file, options = {}) =>
+      Promise.resolve(vfs.mount.root + getNames(vfs.mount, file).join('/'))
+  };
+};
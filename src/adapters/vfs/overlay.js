@@ -0,0 +1,505 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const path = require('path');
+const minimatch = require('minimatch');
+const {Transform} = require('stream');
+const {
+  createError,
+  createMethodCaller,
+  mountpointResolver,
+  resolveSegments,
+  supportsRanges,
+  walkTree
+} = require('../../utils/vfs');
+
+/**
+ * Filename prefix of whiteouts that hide entries of lower layers
+ */
+const WHITEOUT_PREFIX = '.wh.';
+
+/**
+ * Filename of the marker that hides all lower entries of a directory
+ */
+const OPAQUE_NAME = '.wh..wh..opq';
+
+/*
+ * Gets the path relative to the mountpoint
+ */
+const getRelativePath = (mount, file) => path.posix
+  .join('/', file.substr(mount.root.length - 1))
+  .replace(/^\/+/, '');
+
+/*
+ * Gets the parent of a relative path
+ */
+const getParent = relative => {
+  const dirname = path.posix.dirname(relative);
+  return dirname === '.' ? '' : dirname;
+};
+
+/*
+ * Joins relative paths
+ */
+const joinPath = (...args) => args
+  .filter(s => !!s)
+  .join('/');
+
+/*
+ * Gets the whiteout path of an entry
+ */
+const getWhiteout = relative => joinPath(getParent(relative), WHITEOUT_PREFIX + path.posix.basename(relative));
+
+/*
+ * Slices a stream to a byte range
+ */
+const sliceStream = (source, [start = 0, end = Infinity]) => {
+  let position = 0;
+
+  const stream = new Transform({
+    transform(chunk, encoding, cb) {
+      const from = Math.max(start - position, 0);
+      const to = Math.min(end + 1 - position, chunk.length);
+      position += chunk.length;
+      cb(null, from < to ? chunk.slice(from, to) : undefined);
+    }
+  });
+
+  source.on('error', error => stream.destroy(error));
+
+  return source.pipe(stream);
+};
+
+/**
+ * Overlay VFS adapter
+ *
+ * Stacks a writable upper layer over one or more read-only lower layers.
+ * Layers are paths on other mountpoints. Reads fall through to the first
+ * layer that has the entry, writes always go to the upper layer and
+ * removals of lower entries are recorded as whiteouts.
+ *
+ * @example
+ * {
+ *   name: 'templates',
+ *   adapter: 'overlay',
+ *   attributes: {
+ *     upper: 'home:/.overlay/templates',
+ *     lower: ['osjs:/templates']
+ *   }
+ * }
+ *
+ * @param {Core} core Core reference
+ * @param {object} [options] Adapter options
+ */
+module.exports = (core) => {
+  const findMountpoint = mountpointResolver(core);
+
+  const createLayer = (root, session) => {
+    const resolved = resolveSegments(core, session, root);
+
+    return findMountpoint(resolved)
+      .then(found => ({
+        found,
+        call: createMethodCaller(found),
+        resolve: relative => relative
+          ? resolved.replace(/\/?$/, '/') + relative
+          : resolved
+      }));
+  };
+
+  const getLayers = (vfs, options = {}) => {
+    const {name, attributes} = vfs.mount;
+    const lower = [].concat(attributes.lower || []);
+
+    if (!attributes.upper) {
+      return Promise.reject(createError(400, `Missing upper layer for mountpoint '${name}'`));
+    }
+
+    return Promise.all([attributes.upper, ...lower].map(root => createLayer(root, options.session || {})))
+      .then(([upper, ...lowers]) => {
+        if ([upper, ...lowers].some(layer => layer.found.mount.name === name)) {
+          throw createError(400, `Mountpoint '${name}' can not be a layer of itself`);
+        }
+
+        return {upper, lower: lowers};
+      });
+  };
+
+  const exists = (layer, relative, options) => layer.call('exists', layer.resolve(relative), options);
+
+  const isHidden = (layers, relative, options) => {
+    const names = relative.split('/').filter(s => !!s);
+    const checks = names.reduce((result, name, index) => {
+      const parent = names.slice(0, index).join('/');
+      return [...result, joinPath(parent, OPAQUE_NAME), joinPath(parent, WHITEOUT_PREFIX + name)];
+    }, []);
+
+    return Promise.all(checks.map(check => exists(layers.upper, check, options)))
+      .then(results => results.some(result => !!result));
+  };
+
+  const findLower = (layers, relative, options) => isHidden(layers, relative, options)
+    .then(hidden => hidden
+      ? null
+      : layers.lower.reduce((promise, layer) => promise
+        .then(found => found || exists(layer, relative, options)
+          .then(result => result ? layer : null)), Promise.resolve(null)));
+
+  const lookup = (layers, relative, options) => exists(layers.upper, relative, options)
+    .then(found => found ? layers.upper : findLower(layers, relative, options));
+
+  const lookupOrFail = (layers, relative, options, file) => lookup(layers, relative, options)
+    .then(layer => {
+      if (!layer) {
+        throw createError('ENOENT', `File not found '${file}'`);
+      }
+
+      return layer;
+    });
+
+  const statEntry = (layers, relative, options) => lookup(layers, relative, options)
+    .then(layer => layer
+      ? layer.call('stat', layer.resolve(relative), options)
+      : null);
+
+  const assertName = file => {
+    if (path.posix.basename(file).startsWith(WHITEOUT_PREFIX)) {
+      throw createError(400, `Reserved filename '${file}'`);
+    }
+  };
+
+  const ensureDirectory = (layer, file, options) => {
+    const [, prefix, rest] = file.match(/^([^:]+):\/*(.*)$/);
+    const names = rest.split('/').filter(s => !!s);
+
+    return names.reduce((promise, name, index) => promise.then(() => layer.call(
+      'mkdir',
+      `${prefix}:/${names.slice(0, index + 1).join('/')}`,
+      {...options, ensure: true}
+    )), Promise.resolve());
+  };
+
+  const ensureUpperParent = (layers, relative, options) => ensureDirectory(
+    layers.upper,
+    layers.upper.resolve(getParent(relative)),
+    options
+  );
+
+  const assertParent = (layers, relative, options, file) => {
+    const parent = getParent(relative);
+
+    return (parent ? statEntry(layers, parent, options) : Promise.resolve({isDirectory: true}))
+      .then(stat => {
+        if (!stat || !stat.isDirectory) {
+          throw createError('ENOENT', `Parent directory not found '${file}'`);
+        }
+      });
+  };
+
+  const removeWhiteout = (layers, relative, options) => {
+    const whiteout = layers.upper.resolve(getWhiteout(relative));
+
+    return layers.upper.call('exists', whiteout, options)
+      .then(found => found
+        ? layers.upper.call('unlink', whiteout, {...options, permanent: true}).then(() => true)
+        : false);
+  };
+
+  const readdir = (layers, relative, options, root) => {
+    const dirname = root.replace(/\/?$/, '/');
+    const upperList = () => exists(layers.upper, relative, options)
+      .then(found => found ? layers.upper.call('readdir', layers.upper.resolve(relative), options) : []);
+
+    return lookupOrFail(layers, relative, options, root)
+      .then(() => Promise.all([upperList(), isHidden(layers, relative, options)]))
+      .then(([list, hidden]) => {
+        const names = list.map(entry => entry.filename);
+        const whiteouts = names.filter(name => name.startsWith(WHITEOUT_PREFIX));
+        const seen = new Set(names.filter(name => !name.startsWith(WHITEOUT_PREFIX)));
+        const result = list.filter(entry => seen.has(entry.filename));
+
+        whiteouts.forEach(name => seen.add(name.substr(WHITEOUT_PREFIX.length)));
+
+        if (hidden || whiteouts.indexOf(OPAQUE_NAME) !== -1) {
+          return result;
+        }
+
+        return layers.lower.reduce((promise, layer) => promise
+          .then(() => exists(layer, relative, options))
+          .then(found => found ? layer.call('stat', layer.resolve(relative), options) : null)
+          .then(stat => stat && stat.isDirectory ? layer.call('readdir', layer.resolve(relative), options) : [])
+          .then(entries => entries.forEach(entry => {
+            if (!seen.has(entry.filename)) {
+              seen.add(entry.filename);
+              result.push(entry);
+            }
+          })), Promise.resolve())
+          .then(() => result);
+      })
+      .then(list => list.map(entry => ({...entry, path: dirname + entry.filename})));
+  };
+
+  const mkdir = (layers, relative, options, file) => statEntry(layers, relative, options)
+    .then(stat => {
+      if (stat) {
+        if (options.ensure && stat.isDirectory) {
+          return true;
+        }
+
+        throw createError('EEXIST', `File already exists '${file}'`);
+      }
+
+      const parent = getParent(relative);
+      const createParent = () => parent
+        ? mkdir(layers, parent, options, file)
+        : Promise.resolve(true);
+
+      return (options.ensure ? createParent() : assertParent(layers, relative, options, file))
+        .then(() => ensureUpperParent(layers, relative, options))
+        .then(() => removeWhiteout(layers, relative, options))
+        .then(opaque => layers.upper.call('mkdir', layers.upper.resolve(relative), options)
+          .then(() => opaque
+            ? layers.upper.call('touch', layers.upper.resolve(joinPath(relative, OPAQUE_NAME)), options)
+            : undefined))
+        .then(() => true);
+    });
+
+  const prepareWrite = (layers, relative, options, file) => assertParent(layers, relative, options, file)
+    .then(() => ensureUpperParent(layers, relative, options))
+    .then(() => removeWhiteout(layers, relative, options));
+
+  const copyUp = (layers, layer, relative, options, file) => layer.call('stat', layer.resolve(relative), options)
+    .then(stat => stat.isDirectory
+      ? mkdir(layers, relative, {...options, ensure: true}, file)
+      : prepareWrite(layers, relative, options, file)
+        .then(() => layer.call('readfile', layer.resolve(relative), options))
+        .then(stream => layers.upper.call('writefile', layers.upper.resolve(relative), stream, options)));
+
+  const unlink = (layers, relative, options, file) => {
+    if (!relative) {
+      return readdir(layers, relative, options, file)
+        .then(list => list.reduce((promise, entry) => promise
+          .then(() => unlink(layers, entry.filename, options, entry.path)), Promise.resolve()))
+        .then(() => true);
+    }
+
+    return lookupOrFail(layers, relative, options, file)
+      .then(() => exists(layers.upper, relative, options))
+      .then(found => found
+        ? layers.upper.call('unlink', layers.upper.resolve(relative), {...options, permanent: true})
+        : undefined)
+      .then(() => findLower(layers, relative, options))
+      .then(lower => lower
+        ? ensureUpperParent(layers, relative, options)
+          .then(() => layers.upper.call('touch', layers.upper.resolve(getWhiteout(relative)), options))
+        : undefined)
+      .then(() => true);
+  };
+
+  const open = (vfs, file, options) => getLayers(vfs, options)
+    .then(layers => ({layers, relative: getRelativePath(vfs.mount, file)}));
+
+  const adapter = {
+    /**
+     * Adapter capabilities
+     * @type {Object}
+     */
+    capabilities: {
+      ranges: true
+    },
+
+    /**
+     * Checks if file exists
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Promise<boolean, Error>}
+     */
+    exists: vfs => (file, options = {}) => open(vfs, file, options)
+      .then(({layers, relative}) => lookup(layers, relative, options))
+      .then(layer => !!layer),
+
+    /**
+     * Get file statistics
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Object}
+     */
+    stat: vfs => (file, options = {}) => open(vfs, file, options)
+      .then(({layers, relative}) => lookupOrFail(layers, relative, options, file)
+        .then(layer => layer.call('stat', layer.resolve(relative), options))
+        .then(stat => ({
+          ...stat,
+          path: file,
+          filename: relative ? path.posix.basename(relative) : stat.filename
+        }))),
+
+    /**
+     * Reads directory
+     * @param {String} root The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Object[]}
+     */
+    readdir: vfs => (root, options = {}) => open(vfs, root, options)
+      .then(({layers, relative}) => readdir(layers, relative, options, root)),
+
+    /**
+     * Reads file stream
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {stream.Readable}
+     */
+    readfile: vfs => (file, options = {}) => open(vfs, file, options)
+      .then(({layers, relative}) => lookupOrFail(layers, relative, options, file)
+        .then(layer => {
+          const {range} = options;
+          const native = !range || supportsRanges(layer.found);
+
+          return layer.call('readfile', layer.resolve(relative), native ? options : {...options, range: undefined})
+            .then(stream => stream && !native ? sliceStream(stream, range) : stream);
+        })),
+
+    /**
+     * Creates directory
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    mkdir: vfs => (file, options = {}) => Promise.resolve()
+      .then(() => assertName(file))
+      .then(() => open(vfs, file, options))
+      .then(({layers, relative}) => mkdir(layers, relative, options, file)),
+
+    /**
+     * Writes file stream
+     * @param {String} file The file path from client
+     * @param {stream.Readable} data The stream
+     * @param {Object} [options={}] Options
+     * @return {Promise<boolean, Error>}
+     */
+    writefile: vfs => (file, data, options = {}) => Promise.resolve()
+      .then(() => assertName(file))
+      .then(() => open(vfs, file, options))
+      .then(({layers, relative}) => statEntry(layers, relative, options)
+        .then(stat => stat && stat.isDirectory
+          ? false
+          : prepareWrite(layers, relative, options, file)
+            .then(() => layers.upper.call('writefile', layers.upper.resolve(relative), data, options)))),
+
+    /**
+     * Renames given file or directory
+     * @param {String} src The source file path from client
+     * @param {String} dest The destination file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    rename: (srcVfs, destVfs) => (src, dest, options = {}) => adapter.copy(srcVfs, destVfs)(src, dest, options)
+      .then(() => adapter.unlink(srcVfs)(src, options))
+      .then(() => true),
+
+    /**
+     * Copies given file or directory
+     * @param {String} src The source file path from client
+     * @param {String} dest The destination file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    copy: (srcVfs, destVfs) => (src, dest, options = {}) => {
+      const srcCall = createMethodCaller({adapter, mount: srcVfs.mount});
+      const destCall = createMethodCaller({adapter, mount: destVfs.mount});
+      const target = name => name ? dest.replace(/\/?$/, '/') + name : dest;
+
+      return walkTree(srcCall, src, options, (entry, name) => entry.isDirectory
+        ? destCall('mkdir', target(name), {...options, ensure: true})
+        : srcCall('readfile', entry.path, options)
+          .then(stream => destCall('writefile', target(name), stream, options)))
+        .then(() => true);
+    },
+
+    /**
+     * Removes given file or directory
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    unlink: vfs => (file, options = {}) => open(vfs, file, options)
+      .then(({layers, relative}) => unlink(layers, relative, options, file)),
+
+    /**
+     * Searches for files and folders
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    search: vfs => (root, pattern, options = {}) => {
+      const glob = new minimatch.Minimatch(pattern, {matchBase: true});
+      const result = [];
+
+      return walkTree(createMethodCaller({adapter, mount: vfs.mount}), root, options, (entry, name) => {
+        if (!entry.isDirectory && glob.match(name)) {
+          result.push(entry);
+        }
+      })
+        .then(() => result);
+    },
+
+    /**
+     * Touches a file
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    touch: vfs => (file, options = {}) => Promise.resolve()
+      .then(() => assertName(file))
+      .then(() => open(vfs, file, options))
+      .then(({layers, relative}) => lookup(layers, relative, options)
+        .then(layer => layer && layer !== layers.upper
+          ? copyUp(layers, layer, relative, options, file)
+          : prepareWrite(layers, relative, options, file)
+            .then(() => layers.upper.call('touch', layers.upper.resolve(relative), options))))
+      .then(() => true),
+
+    /**
+     * Gets the real filesystem path (internal only)
+     *
+     * Resolves the path in the layer the file is read from, or
+     * the upper layer for files that do not exist yet.
+     *
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {string}
+     */
+    realpath: vfs => (file, options = {}) => open(vfs, file, options)
+      .then(({layers, relative}) => lookup(layers, relative, options)
+        .then(layer => layer || layers.upper)
+        .then(layer => layer.call('realpath', layer.resolve(relative), options)))
+  };
+
+  return adapter;
+};
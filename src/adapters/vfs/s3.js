@@ -0,0 +1,381 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const path = require('path');
+const minimatch = require('minimatch');
+const {createClient, MIN_PART_SIZE} = require('../../utils/s3');
+const {createError, resolveSegments} = require('../../utils/vfs');
+
+/*
+ * Creates an object readable by client
+ */
+const createFileIter = (core, file, filename, isDirectory, {size, mtime, etag} = {}) => {
+  const {mime} = core.make('osjs/vfs');
+
+  return {
+    isDirectory,
+    isFile: !isDirectory,
+    mime: isDirectory ? null : mime(filename),
+    size: size || 0,
+    path: file,
+    filename,
+    stat: {
+      size: size || 0,
+      mtime,
+      etag
+    }
+  };
+};
+
+/*
+ * Gets the path relative to the mountpoint
+ */
+const getRelativePath = (mount, file) => path.posix
+  .join('/', file.substr(mount.root.length - 1))
+  .replace(/^\/+/, '');
+
+/*
+ * Gets a directory key (with trailing delimiter)
+ */
+const getDirectoryKey = key => key ? key + '/' : '';
+
+/**
+ * S3 compatible object storage VFS adapter
+ *
+ * Maps a mountpoint to a bucket and an optional key prefix. Directories are
+ * represented by common prefixes and empty "key/" marker objects.
+ *
+ * @example
+ * {
+ *   name: 'bucket',
+ *   adapter: 's3',
+ *   attributes: {
+ *     bucket: 'osjs',
+ *     prefix: 'users/{username}',
+ *     partSize: 5 * 1024 * 1024, // Multipart upload chunk size
+ *     connection: {
+ *       endpoint: 'http://localhost:9000',
+ *       region: 'us-east-1',
+ *       accessKeyId: 'minioadmin',
+ *       secretAccessKey: 'minioadmin'
+ *     }
+ *   }
+ * }
+ *
+ * @param {Core} core Core reference
+ * @param {object} [options] Adapter options
+ */
+module.exports = (core) => {
+  const clients = new Map();
+
+  const getClient = mount => {
+    const key = JSON.stringify(mount.attributes.connection || {});
+    if (!clients.has(key)) {
+      clients.set(key, createClient(mount.attributes.connection));
+    }
+
+    return clients.get(key);
+  };
+
+  const resolve = (vfs, file, options = {}) => {
+    const {attributes} = vfs.mount;
+    const prefix = resolveSegments(core, options.session, attributes.prefix || '')
+      .replace(/^\/+|\/+$/g, '');
+    const relative = getRelativePath(vfs.mount, file);
+
+    return {
+      client: getClient(vfs.mount),
+      bucket: attributes.bucket,
+      key: [prefix, relative].filter(s => !!s).join('/'),
+      isRoot: relative === ''
+    };
+  };
+
+  const isDirectory = ({client, bucket, key, isRoot}) => isRoot
+    ? Promise.resolve(true)
+    : client.listObjects(bucket, {prefix: getDirectoryKey(key), maxKeys: 1})
+      .then(({contents, prefixes}) => contents.length + prefixes.length > 0);
+
+  const statTarget = target => target.isRoot
+    ? Promise.resolve({isDirectory: true, size: 0})
+    : target.client.headObject(target.bucket, target.key)
+      .then(head => ({...head, isDirectory: false}))
+      .catch(error => {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+
+        return isDirectory(target)
+          .then(found => {
+            if (!found) {
+              throw error;
+            }
+
+            return {isDirectory: true, size: 0};
+          });
+      });
+
+  const listTree = ({client, bucket, key}) => client
+    .listAllObjects(bucket, {prefix: getDirectoryKey(key)})
+    .then(({contents}) => contents);
+
+  const copyObject = (source, target) => source.client === target.client
+    ? source.client.copyObject(source.bucket, source.key, target.bucket, target.key)
+    : source.client.getObject(source.bucket, source.key)
+      .then(stream => target.client.upload(target.bucket, target.key, stream));
+
+  const copyTarget = (source, target) => statTarget(source)
+    .then(stat => {
+      if (!stat.isDirectory) {
+        return copyObject(source, target);
+      }
+
+      const sourcePrefix = getDirectoryKey(source.key);
+      const targetPrefix = getDirectoryKey(target.key);
+
+      return listTree(source)
+        .then(contents => contents.reduce((promise, {key}) => promise.then(() => copyObject(
+          {...source, key},
+          {...target, key: targetPrefix + key.substr(sourcePrefix.length)}
+        )), Promise.resolve()));
+    });
+
+  const unlinkTarget = target => listTree(target)
+    .then(contents => contents.map(({key}) => key))
+    .then(keys => target.isRoot ? keys : [target.key, ...keys])
+    .then(keys => target.client.deleteObjects(target.bucket, keys));
+
+  return {
+    /**
+     * Adapter capabilities
+     * @type {Object}
+     */
+    capabilities: {
+      ranges: true
+    },
+
+    /**
+     * Checks if file exists
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Promise<boolean, Error>}
+     */
+    exists: vfs => (file, options = {}) => statTarget(resolve(vfs, file, options))
+      .then(() => true)
+      .catch(error => error.code === 'ENOENT' ? false : Promise.reject(error)),
+
+    /**
+     * Get file statistics
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Object}
+     */
+    stat: vfs => (file, options = {}) => statTarget(resolve(vfs, file, options))
+      .then(stat => createFileIter(
+        core,
+        file,
+        path.posix.basename(getRelativePath(vfs.mount, file)),
+        stat.isDirectory,
+        stat
+      )),
+
+    /**
+     * Reads directory
+     * @param {String} root The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Object[]}
+     */
+    readdir: vfs => (root, options = {}) => {
+      const {client, bucket, key} = resolve(vfs, root, options);
+      const prefix = getDirectoryKey(key);
+      const dirname = root.replace(/\/?$/, '/');
+
+      return client.listAllObjects(bucket, {prefix, delimiter: '/'})
+        .then(({contents, prefixes}) => [
+          ...prefixes.map(p => p.substr(prefix.length).replace(/\/$/, ''))
+            .map(name => createFileIter(core, dirname + name, name, true)),
+
+          ...contents.filter(c => c.key !== prefix)
+            .map(c => ({...c, name: c.key.substr(prefix.length)}))
+            .map(c => createFileIter(core, dirname + c.name, c.name, false, c))
+        ]);
+    },
+
+    /**
+     * Reads file stream
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {stream.Readable}
+     */
+    readfile: vfs => (file, options = {}) => {
+      const target = resolve(vfs, file, options);
+
+      return statTarget(target)
+        .then(stat => stat.isDirectory
+          ? false
+          : target.client.getObject(target.bucket, target.key, options.range));
+    },
+
+    /**
+     * Creates directory
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    mkdir: vfs => (file, options = {}) => {
+      const target = resolve(vfs, file, options);
+
+      return statTarget(target)
+        .then(() => {
+          if (!options.ensure) {
+            throw createError('EEXIST', `File already exists '${file}'`);
+          }
+
+          return true;
+        })
+        .catch(error => error.code === 'ENOENT'
+          ? target.client.putObject(target.bucket, getDirectoryKey(target.key), '')
+          : Promise.reject(error));
+    },
+
+    /**
+     * Writes file stream
+     * @param {String} file The file path from client
+     * @param {stream.Readable} data The stream
+     * @param {Object} [options={}] Options
+     * @return {Promise<boolean, Error>}
+     */
+    writefile: vfs => (file, data, options = {}) => {
+      const target = resolve(vfs, file, options);
+      const {mime} = core.make('osjs/vfs');
+
+      return isDirectory(target)
+        .then(found => found
+          ? false
+          : target.client.upload(target.bucket, target.key, data, {
+            partSize: vfs.mount.attributes.partSize || MIN_PART_SIZE,
+            headers: {
+              'content-type': mime(file)
+            }
+          }));
+    },
+
+    /**
+     * Renames given file or directory
+     * @param {String} src The source file path from client
+     * @param {String} dest The destination file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    rename: (srcVfs, destVfs) => (src, dest, options = {}) => {
+      const source = resolve(srcVfs, src, options);
+      const target = resolve(destVfs, dest, options);
+
+      return copyTarget(source, target)
+        .then(() => unlinkTarget(source))
+        .then(() => true);
+    },
+
+    /**
+     * Copies given file or directory
+     * @param {String} src The source file path from client
+     * @param {String} dest The destination file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    copy: (srcVfs, destVfs) => (src, dest, options = {}) => copyTarget(
+      resolve(srcVfs, src, options),
+      resolve(destVfs, dest, options)
+    ).then(() => true),
+
+    /**
+     * Removes given file or directory
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    unlink: vfs => (file, options = {}) => unlinkTarget(resolve(vfs, file, options)),
+
+    /**
+     * Searches for files and folders
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    search: vfs => (root, pattern, options = {}) => {
+      const target = resolve(vfs, root, options);
+      const prefix = getDirectoryKey(target.key);
+      const glob = new minimatch.Minimatch(pattern, {matchBase: true});
+
+      return listTree(target)
+        .then(contents => contents
+          .map(c => ({...c, name: c.key.substr(prefix.length)}))
+          .filter(c => !c.name.match(/\/$/) && glob.match(c.name))
+          .map(c => createFileIter(
+            core,
+            root.replace(/\/?$/, '/') + c.name,
+            path.posix.basename(c.name),
+            false,
+            c
+          )));
+    },
+
+    /**
+     * Touches a file
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    touch: vfs => (file, options = {}) => {
+      const target = resolve(vfs, file, options);
+
+      return target.client.headObject(target.bucket, target.key)
+        .then(() => true)
+        .catch(error => error.code === 'ENOENT'
+          ? target.client.putObject(target.bucket, target.key, '')
+          : Promise.reject(error));
+    },
+
+    /**
+     * Gets the real filesystem path (internal only)
+     *
+     * Object storage does not have any physical paths,
+     * so this resolves an 's3://bucket/key' URI instead.
+     *
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {string}
+     */
+    realpath: vfs => (file, options = {}) => {
+      const {bucket, key} = resolve(vfs, file, options);
+      return Promise.resolve(`s3://${bucket}/${key}`);
+    }
+  };
+};
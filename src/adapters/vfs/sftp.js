@@ -0,0 +1,468 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const minimatch = require('minimatch');
+const {connect, createPool, mapError} = require('../../utils/sftp');
+const {createError, resolveSegments} = require('../../utils/vfs');
+
+/*
+ * Creates an object readable by client
+ */
+const createFileIter = (core, file, filename, stats) => {
+  const {mime} = core.make('osjs/vfs');
+  const isDirectory = stats.isDirectory();
+
+  return {
+    isDirectory,
+    isFile: !isDirectory,
+    mime: isDirectory ? null : mime(filename),
+    size: stats.size || 0,
+    path: file,
+    filename,
+    stat: {
+      size: stats.size || 0,
+      mode: stats.mode,
+      uid: stats.uid,
+      gid: stats.gid,
+      atime: new Date(stats.atime * 1000),
+      mtime: new Date(stats.mtime * 1000)
+    }
+  };
+};
+
+/*
+ * Gets the path relative to the mountpoint
+ */
+const getRelativePath = (mount, file) => path.posix
+  .join('/', file.substr(mount.root.length - 1))
+  .replace(/^\/+/, '');
+
+/*
+ * Promisifies a SFTP method call
+ */
+const call = (sftp, method, ...args) => new Promise((resolve, reject) => {
+  sftp[method](...args, (error, result) => error
+    ? reject(mapError(error, args[0]))
+    : resolve(result));
+});
+
+/**
+ * SFTP VFS adapter
+ *
+ * Connections are pooled per user and mountpoint, closed when idle
+ * and when the user logs out.
+ *
+ * @example
+ * {
+ *   name: 'server',
+ *   adapter: 'sftp',
+ *   attributes: {
+ *     root: '/home/{username}',
+ *     pool: {max: 2, idleTimeout: 60000},
+ *     connection: {
+ *       host: 'server.example.com',
+ *       port: 22,
+ *       username: '{username}',
+ *       privateKeyPath: '/etc/osjs/id_ed25519', // Or 'privateKey' or 'password'
+ *       passphrase: 'secret'
+ *     }
+ *   }
+ * }
+ *
+ * @param {Core} core Core reference
+ * @param {object} [options] Adapter options
+ */
+module.exports = (core) => {
+  const pools = new Map();
+
+  const createConnection = connection => Promise.resolve(connection.privateKeyPath
+    ? fs.readFile(connection.privateKeyPath)
+    : connection.privateKey)
+    .then(privateKey => {
+      const options = {...connection, privateKey};
+      delete options.privateKeyPath;
+
+      return connect(options);
+    });
+
+  const getPool = (mount, session = {}) => {
+    const {connection = {}, pool = {}} = mount.attributes;
+    const username = session.user ? session.user.username : null;
+    const resolved = {
+      port: 22,
+      readyTimeout: 10000,
+      ...connection,
+      username: resolveSegments(core, session, connection.username || '{username}')
+    };
+
+    const key = JSON.stringify([username, mount.name, resolved]);
+    if (!pools.has(key)) {
+      pools.set(key, {
+        username,
+        connection: resolved,
+        pool: createPool(() => createConnection(resolved), pool)
+      });
+    }
+
+    return pools.get(key);
+  };
+
+  const closePools = filter => Promise.all(Array.from(pools.entries())
+    .filter(([key, entry]) => filter(entry))
+    .map(([key, entry]) => {
+      pools.delete(key);
+      return entry.pool.close();
+    }));
+
+  const resolve = (vfs, file, options = {}) => {
+    const {attributes} = vfs.mount;
+    const root = resolveSegments(core, options.session || {}, attributes.root || '/');
+    const relative = getRelativePath(vfs.mount, file);
+    const entry = getPool(vfs.mount, options.session);
+
+    return {
+      ...entry,
+      file: path.posix.join(root, relative),
+      isRoot: relative === ''
+    };
+  };
+
+  const isSameServer = (a, b) => JSON.stringify(a.connection) === JSON.stringify(b.connection);
+
+  const statFile = (sftp, file) => call(sftp, 'stat', file);
+
+  const existsFile = (sftp, file) => statFile(sftp, file)
+    .then(() => true)
+    .catch(error => error.code === 'ENOENT' ? false : Promise.reject(error));
+
+  const readStream = (target, options = {}) => target.pool.acquire()
+    .then(({connection, release}) => {
+      const stream = connection.sftp.createReadStream(target.file, options);
+      stream.on('close', release);
+      stream.on('error', release);
+      return stream;
+    });
+
+  const writeStream = (target, data) => target.pool.acquire()
+    .then(({connection, release}) => new Promise((resolve, reject) => {
+      const stream = connection.sftp.createWriteStream(target.file);
+      const fail = error => {
+        release();
+        stream.destroy();
+        reject(mapError(error, target.file));
+      };
+
+      data.on('error', fail);
+      stream.on('error', fail);
+      stream.on('close', () => {
+        release();
+        resolve(true);
+      });
+
+      data.pipe(stream);
+    }));
+
+  const unlinkFile = (sftp, file, keep = false) => call(sftp, 'lstat', file)
+    .then(stats => stats.isDirectory()
+      ? call(sftp, 'readdir', file)
+        .then(list => list.reduce((promise, {filename}) => promise
+          .then(() => unlinkFile(sftp, path.posix.join(file, filename))), Promise.resolve()))
+        .then(() => keep ? undefined : call(sftp, 'rmdir', file))
+      : call(sftp, 'unlink', file));
+
+  const mkdirFile = (sftp, file, ensure) => call(sftp, 'mkdir', file)
+    .catch(error => statFile(sftp, file)
+      .then(stats => {
+        if (!ensure || !stats.isDirectory()) {
+          throw createError('EEXIST', `File already exists '${file}'`);
+        }
+      }, () => {
+        const parent = path.posix.dirname(file);
+        if (!ensure || parent === file) {
+          throw error;
+        }
+
+        return mkdirFile(sftp, parent, ensure)
+          .then(() => call(sftp, 'mkdir', file));
+      }));
+
+  const copyFile = (source, target) => source.pool.use(sftp => statFile(sftp, source.file))
+    .then(stats => stats.isDirectory()
+      ? target.pool.use(sftp => mkdirFile(sftp, target.file, true))
+        .then(() => source.pool.use(sftp => call(sftp, 'readdir', source.file)))
+        .then(list => list.reduce((promise, {filename}) => promise.then(() => copyFile(
+          {...source, file: path.posix.join(source.file, filename)},
+          {...target, file: path.posix.join(target.file, filename)}
+        )), Promise.resolve()))
+      : readStream(source).then(stream => writeStream(target, stream)));
+
+  const renameFile = (sftp, src, dest) => call(sftp, 'rename', src, dest)
+    .catch(error => statFile(sftp, dest)
+      .then(stats => {
+        if (stats.isDirectory()) {
+          throw error;
+        }
+
+        // NOTE: SFTP v3 does not overwrite on rename
+        return call(sftp, 'unlink', dest)
+          .then(() => call(sftp, 'rename', src, dest));
+      }, () => Promise.reject(error)));
+
+  const walk = (sftp, file, cb) => call(sftp, 'readdir', file)
+    .then(list => list.reduce((promise, {filename, attrs}) => promise
+      .then(() => {
+        const current = path.posix.join(file, filename);
+
+        return Promise.resolve(cb(current, attrs))
+          .then(() => attrs.isDirectory() ? walk(sftp, current, cb) : undefined);
+      }), Promise.resolve()));
+
+  const interval = setInterval(() => {
+    pools.forEach(({pool}) => pool.prune().catch(() => {}));
+  }, 10 * 1000);
+
+  if (interval.unref) {
+    interval.unref();
+  }
+
+  core.on('osjs/core:destroy', () => {
+    clearInterval(interval);
+    closePools(() => true);
+  });
+
+  core.on('osjs/core:logging-out', session => {
+    const username = session && session.user ? session.user.username : null;
+    closePools(entry => entry.username === username)
+      .catch(error => core.logger.warn('Failed to close SFTP connections', error));
+  });
+
+  return {
+    /**
+     * Adapter capabilities
+     * @type {Object}
+     */
+    capabilities: {
+      ranges: true
+    },
+
+    /**
+     * Checks if file exists
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Promise<boolean, Error>}
+     */
+    exists: vfs => (file, options = {}) => {
+      const target = resolve(vfs, file, options);
+      return target.pool.use(sftp => existsFile(sftp, target.file));
+    },
+
+    /**
+     * Get file statistics
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Object}
+     */
+    stat: vfs => (file, options = {}) => {
+      const target = resolve(vfs, file, options);
+
+      return target.pool.use(sftp => statFile(sftp, target.file))
+        .then(stats => createFileIter(core, file, path.posix.basename(target.file), stats));
+    },
+
+    /**
+     * Reads directory
+     * @param {String} root The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Object[]}
+     */
+    readdir: vfs => (root, options = {}) => {
+      const target = resolve(vfs, root, options);
+      const dirname = root.replace(/\/?$/, '/');
+
+      return target.pool.use(sftp => call(sftp, 'readdir', target.file)
+        .then(list => Promise.all(list.map(({filename, attrs}) => attrs.isSymbolicLink()
+          ? statFile(sftp, path.posix.join(target.file, filename))
+            .catch(() => attrs)
+            .then(stats => ({filename, attrs: stats}))
+          : {filename, attrs}))))
+        .then(list => list
+          .sort((a, b) => a.filename.localeCompare(b.filename))
+          .map(({filename, attrs}) => createFileIter(core, dirname + filename, filename, attrs)));
+    },
+
+    /**
+     * Reads file stream
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {stream.Readable}
+     */
+    readfile: vfs => (file, options = {}) => {
+      const target = resolve(vfs, file, options);
+      const [start, end] = options.range || [];
+
+      return target.pool.use(sftp => statFile(sftp, target.file))
+        .then(stats => stats.isDirectory()
+          ? false
+          : readStream(target, {
+            start: typeof start === 'number' ? start : undefined,
+            end: typeof end === 'number' ? end : undefined
+          }));
+    },
+
+    /**
+     * Creates directory
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    mkdir: vfs => (file, options = {}) => {
+      const target = resolve(vfs, file, options);
+
+      return target.pool.use(sftp => mkdirFile(sftp, target.file, options.ensure))
+        .then(() => true)
+        .catch(error => error.code === 'EEXIST'
+          ? Promise.reject(createError('EEXIST', `File already exists '${file}'`))
+          : Promise.reject(error));
+    },
+
+    /**
+     * Writes file stream
+     * @param {String} file The file path from client
+     * @param {stream.Readable} data The stream
+     * @param {Object} [options={}] Options
+     * @return {Promise<boolean, Error>}
+     */
+    writefile: vfs => (file, data, options = {}) => {
+      const target = resolve(vfs, file, options);
+
+      return target.pool.use(sftp => statFile(sftp, target.file)
+        .then(stats => stats.isDirectory())
+        .catch(error => error.code === 'ENOENT' ? false : Promise.reject(error)))
+        .then(found => found ? false : writeStream(target, data));
+    },
+
+    /**
+     * Renames given file or directory
+     * @param {String} src The source file path from client
+     * @param {String} dest The destination file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    rename: (srcVfs, destVfs) => (src, dest, options = {}) => {
+      const source = resolve(srcVfs, src, options);
+      const target = resolve(destVfs, dest, options);
+
+      return (isSameServer(source, target)
+        ? source.pool.use(sftp => renameFile(sftp, source.file, target.file))
+        : copyFile(source, target)
+          .then(() => source.pool.use(sftp => unlinkFile(sftp, source.file, source.isRoot))))
+        .then(() => true);
+    },
+
+    /**
+     * Copies given file or directory
+     * @param {String} src The source file path from client
+     * @param {String} dest The destination file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    copy: (srcVfs, destVfs) => (src, dest, options = {}) => copyFile(
+      resolve(srcVfs, src, options),
+      resolve(destVfs, dest, options)
+    ).then(() => true),
+
+    /**
+     * Removes given file or directory
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    unlink: vfs => (file, options = {}) => {
+      const target = resolve(vfs, file, options);
+
+      return target.pool.use(sftp => unlinkFile(sftp, target.file, target.isRoot))
+        .then(() => true);
+    },
+
+    /**
+     * Searches for files and folders
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    search: vfs => (root, pattern, options = {}) => {
+      const target = resolve(vfs, root, options);
+      const glob = new minimatch.Minimatch(pattern, {matchBase: true});
+      const dirname = root.replace(/\/?$/, '/');
+      const result = [];
+
+      return target.pool.use(sftp => walk(sftp, target.file, (file, attrs) => {
+        const name = path.posix.relative(target.file, file);
+
+        if (!attrs.isDirectory() && glob.match(name)) {
+          result.push(createFileIter(core, dirname + name, path.posix.basename(name), attrs));
+        }
+      }))
+        .then(() => result);
+    },
+
+    /**
+     * Touches a file
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    touch: vfs => (file, options = {}) => {
+      const target = resolve(vfs, file, options);
+
+      return target.pool.use(sftp => call(sftp, 'open', target.file, 'a')
+        .then(handle => call(sftp, 'close', handle)))
+        .then(() => true);
+    },
+
+    /**
+     * Gets the real filesystem path (internal only)
+     *
+     * This resolves a 'sftp://user@host:port/path' URI.
+     *
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {string}
+     */
+    realpath: vfs => (file, options = {}) => {
+      const {connection, file: remote} = resolve(vfs, file, options);
+      const auth = encodeURIComponent(connection.username);
+
+      return Promise.resolve(`sftp://${auth}@${connection.host}:${connection.port}${remote}`);
+    }
+  };
+};
@@ -32,6 +32,8 @@ const fs = require('fs-extra');
 const path = require('path');
 const fh = require('filehound');
 const chokidar = require('chokidar');
+const {segments, matchSegments, resolveSegments} = require('../../utils/vfs');
+const {needsStat, paginate, lighten} = require('../../utils/listing');
 
 /*
  * Creates an object readable by client
@@ -64,42 +66,6 @@ const createFileIter = (core, realRoot, file) => {
     });
 };
 
-/*
- * Segment value map
- */
-const segments = {
-  root: {
-    dynamic: false,
-    fn: () => process.cwd()
-  },
-
-  vfs: {
-    dynamic: false,
-    fn: core => core.config('vfs.root', process.cwd())
-  },
-
-  username: {
-    dynamic: true,
-    fn: (core, session) => session.user.username
-  }
-};
-
-/*
- * Gets a segment value
- */
-const getSegment = (core, session, seg) => segments[seg] ? segments[seg].fn(core, session) : '';
-
-/*
- * Matches a string for segments
- */
-const matchSegments = str => (str.match(/(\{\w+\})/g) || []);
-
-/*
- * Resolves a string with segments
- */
-const resolveSegments = (core, session, str) => matchSegments(str)
-  .reduce((result, current) => result.replace(current, getSegment(core, session, current.replace(/(\{|\})/g, ''))), str);
-
 /*
  * Resolves a given file path based on a request
  * Will take out segments from the resulting string
@@ -126,6 +92,39 @@ module.exports = (core) => {
       : promise.then(() => true);
   };
 
+  // Only stats the entries needed for sorting and the requested page
+  const readdirPage = (realPath, dirname, listing) => {
+    const {mime} = core.make('osjs/vfs');
+    const createEntry = dirent => {
+      const isDirectory = dirent.isDirectory();
+
+      return {
+        isDirectory,
+        isFile: !isDirectory,
+        mime: isDirectory ? null : mime(dirent.name),
+        path: dirname + dirent.name,
+        filename: dirent.name
+      };
+    };
+
+    const stat = entry => createFileIter(core, realPath, entry.path);
+
+    return fs.readdir(realPath, {withFileTypes: true})
+      .then(dirents => Promise.all(dirents
+        .filter(dirent => listing.showHiddenFiles || dirent.name.substr(0, 1) !== '.')
+        .map(dirent => needsStat(listing) || dirent.isSymbolicLink()
+          ? stat(createEntry(dirent))
+          : createEntry(dirent))))
+      .then(entries => paginate(entries, listing))
+      .then(page => Promise.all(page.entries.map(entry => {
+        if (!listing.stat) {
+          return lighten(entry);
+        }
+
+        return entry.stat ? entry : stat(entry);
+      })).then(entries => ({...page, entries})));
+  };
+
   const crossWrapper = method => (srcVfs, destVfs) => (src, dest, options = {}) => Promise.resolve({
     realSource: getRealPath(core, options.session, srcVfs.mount, src),
     realDest: getRealPath(core, options.session, destVfs.mount, dest)
@@ -134,6 +133,16 @@ module.exports = (core) => {
     .then(() => true);
 
   return {
+    /**
+     * Adapter capabilities
+     * @type {Object}
+     */
+    capabilities: {
+      ranges: true,
+      searchFilters: true,
+      readdirPagination: true
+    },
+
     watch: (mount, callback) => {
       const dest = resolveSegments(core, {
         user: {
@@ -157,7 +166,7 @@ module.exports = (core) => {
         }
       };
 
-      const events = ['add', 'addDir', 'unlinkDir', 'unlink'];
+      const events = ['add', 'addDir', 'change', 'unlinkDir', 'unlink'];
       events.forEach(name => watch.on(name, handle(name)));
 
       return watch;
@@ -193,13 +202,17 @@ module.exports = (core) => {
      * @param {Object} [options={}] Options
      * @return {Object[]}
      */
-    readdir: vfs => (root, options) =>
-      Promise.resolve(getRealPath(core, options.session, vfs.mount, root))
-        .then(realPath => fs.readdir(realPath).then(files => ({realPath, files})))
-        .then(({realPath, files}) => {
-          const promises = files.map(f => createFileIter(core, realPath, root.replace(/\/?$/, '/') + f));
-          return Promise.all(promises);
-        }),
+    readdir: vfs => (root, options = {}) => {
+      const realPath = getRealPath(core, options.session, vfs.mount, root);
+      const dirname = root.replace(/\/?$/, '/');
+
+      if (options.listing) {
+        return readdirPage(realPath, dirname, options.listing);
+      }
+
+      return fs.readdir(realPath)
+        .then(files => Promise.all(files.map(f => createFileIter(core, realPath, dirname + f))));
+    },
 
     /**
      * Reads file stream
@@ -249,25 +262,34 @@ module.exports = (core) => {
      * @return {Promise<boolean, Error>}
      */
     writefile: vfs => (file, data, options = {}) => new Promise((resolve, reject) => {
-      // FIXME: Currently this actually copies the file because
-      // formidable will put this in a temporary directory.
-      // It would probably be better to do a "rename()" on local filesystems
       const realPath = getRealPath(core, options.session, vfs.mount, file);
 
-      const write = () => {
+      const write = (source = data) => {
         const stream = fs.createWriteStream(realPath);
-        data.on('error', err => reject(err));
-        data.on('end', () => resolve(true));
-        data.pipe(stream);
+        source.on('error', err => reject(err));
+        stream.on('error', err => reject(err));
+        stream.on('finish', () => resolve(true));
+        source.pipe(stream);
       };
 
+      // Temporary upload files are moved instead of copied when on the same device
+      const move = () => {
+        data.destroy();
+
+        fs.rename(data.path, realPath)
+          .then(() => resolve(true))
+          .catch(err => err.code === 'EXDEV' ? write(fs.createReadStream(data.path)) : reject(err));
+      };
+
+      const next = () => data.temporary && data.path ? move() : write();
+
       fs.stat(realPath).then(stat => {
         if (stat.isDirectory()) {
           resolve(false);
         } else {
-          write();
+          next();
         }
-      }).catch((err) => err.code === 'ENOENT' ? write()  : reject(err));
+      }).catch((err) => err.code === 'ENOENT' ? next() : reject(err));
     }),
 
     /**
@@ -305,10 +327,20 @@ module.exports = (core) => {
     search: vfs => (root, pattern, options = {}) =>
       Promise.resolve(getRealPath(core, options.session, vfs.mount, root))
         .then(realPath => {
-          return fh.create()
+          const filters = options.filters || {};
+          const hound = fh.create()
             .paths(realPath)
-            .match(pattern)
-            .find()
+            .match(pattern);
+
+          if (filters.maxDepth) {
+            hound.depth(filters.maxDepth - 1);
+          }
+
+          if (filters.type === 'directory') {
+            hound.directory();
+          }
+
+          return hound.find()
             .then(files => ({realPath, files}))
             .catch(err => {
               core.logger.warn(err);
@@ -318,7 +350,7 @@ module.exports = (core) => {
         })
         .then(({realPath, files}) => {
           const promises = files.map(f => {
-            const rf = f.substr(realPath.length);
+            const rf = f.substr(realPath.length).replace(/^\/+/, '');
             return createFileIter(
               core,
               path.dirname(realPath.replace(/\/?$/, '/') + rf),
@@ -0,0 +1,398 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const path = require('path');
+const minimatch = require('minimatch');
+const {createClient} = require('../../utils/webdav');
+const {createError, resolveSegments} = require('../../utils/vfs');
+
+/**
+ * The settings namespace per-user credentials are read from
+ */
+const SETTINGS_KEY = 'osjs/webdav';
+
+/*
+ * Creates an object readable by client
+ */
+const createFileIter = (core, file, filename, isDirectory, {size, mtime, etag} = {}) => {
+  const {mime} = core.make('osjs/vfs');
+
+  return {
+    isDirectory,
+    isFile: !isDirectory,
+    mime: isDirectory ? null : mime(filename),
+    size: size || 0,
+    path: file,
+    filename,
+    stat: {
+      size: size || 0,
+      mtime,
+      etag
+    }
+  };
+};
+
+/*
+ * Gets the path relative to the mountpoint
+ */
+const getRelativePath = (mount, file) => path.posix
+  .join('/', file.substr(mount.root.length - 1))
+  .replace(/^\/+/, '');
+
+/*
+ * Joins paths relative to the share
+ */
+const joinPath = (...args) => args
+  .filter(s => !!s)
+  .join('/');
+
+/**
+ * WebDAV VFS adapter
+ *
+ * Mounts a remote WebDAV share (ex. Nextcloud). Credentials are resolved in
+ * the following order:
+ *
+ * 1. `session.webdav[mountpoint name]` (ex. set by an authentication adapter)
+ * 2. User settings under `osjs/webdav` keyed by mountpoint name
+ *    (unless the `settings` attribute is `false`)
+ * 3. The `connection` attribute
+ *
+ * Only the username and password are taken from users, and are never
+ * combined with the configured ones. The URL is always the configured one.
+ *
+ * @example
+ * {
+ *   name: 'cloud',
+ *   adapter: 'webdav',
+ *   attributes: {
+ *     prefix: 'Documents',
+ *     connection: {
+ *       url: 'https://cloud.example.com/remote.php/dav/files/{username}',
+ *       username: '{username}',
+ *       password: 'secret'
+ *     }
+ *   }
+ * }
+ *
+ * @param {Core} core Core reference
+ * @param {object} [options] Adapter options
+ */
+module.exports = (core) => {
+  const clients = new Map();
+
+  const getClient = connection => {
+    const key = JSON.stringify(connection);
+    if (!clients.has(key)) {
+      clients.set(key, createClient(connection));
+    }
+
+    return clients.get(key);
+  };
+
+  const loadSettings = session => core.has('osjs/settings')
+    ? core.make('osjs/settings').read({session})
+      .then(settings => (settings || {})[SETTINGS_KEY] || {})
+      .catch(error => {
+        core.logger.warn(error);
+        return {};
+      })
+    : Promise.resolve({});
+
+  const getCredentials = (mount, session = {}) => {
+    const fromSession = (session.webdav || {})[mount.name];
+
+    if (fromSession) {
+      return Promise.resolve(fromSession);
+    } else if (mount.attributes.settings === false || !session.user) {
+      return Promise.resolve({});
+    }
+
+    return loadSettings(session)
+      .then(settings => settings[mount.name] || {});
+  };
+
+  const resolve = (vfs, file, options = {}) => {
+    const {attributes} = vfs.mount;
+    const connection = attributes.connection || {};
+    const session = options.session || {};
+    const prefix = resolveSegments(core, session, attributes.prefix || '')
+      .replace(/^\/+|\/+$/g, '');
+    const relative = getRelativePath(vfs.mount, file);
+
+    if (!connection.url) {
+      return Promise.reject(createError(400, `Missing WebDAV URL for mountpoint '${vfs.mount.name}'`));
+    }
+
+    return getCredentials(vfs.mount, session)
+      .then(credentials => {
+        const {username, password} = credentials.username || credentials.password
+          ? {username: credentials.username, password: credentials.password}
+          : {
+            username: connection.username ? resolveSegments(core, session, connection.username) : undefined,
+            password: connection.password
+          };
+
+        return {
+          client: getClient({
+            ...connection,
+            url: resolveSegments(core, session, connection.url),
+            username: username ? String(username) : undefined,
+            password: password ? String(password) : undefined
+          }),
+          file: joinPath(prefix, relative),
+          isRoot: relative === ''
+        };
+      });
+  };
+
+  const copyTarget = (source, target) => source.client.stat(source.file)
+    .then(entry => entry.isDirectory
+      ? target.client.mkcol(target.file)
+        .catch(error => error.code === 'EEXIST' ? true : Promise.reject(error))
+        .then(() => source.client.list(source.file))
+        .then(entries => entries.reduce((promise, e) => promise.then(() => copyTarget(
+          {...source, file: e.path},
+          {...target, file: joinPath(target.file, path.posix.basename(e.path))}
+        )), Promise.resolve()))
+      : source.client.get(source.file)
+        .then(stream => target.client.put(target.file, stream)));
+
+  const unlinkTarget = ({client, file, isRoot}) => isRoot
+    ? client.list(file)
+      .then(entries => Promise.all(entries.map(e => client.remove(e.path))))
+      .then(() => true)
+    : client.remove(file);
+
+  const mkdirTarget = ({client, file}, ensure) => client.mkcol(file)
+    .catch(error => {
+      if (error.code === 'EEXIST' && ensure) {
+        return true;
+      } else if (error.code === 'ENOENT' && ensure && file.indexOf('/') !== -1) {
+        return mkdirTarget({client, file: path.posix.dirname(file)}, ensure)
+          .then(() => client.mkcol(file));
+      }
+
+      throw error;
+    });
+
+  const walk = (client, file, cb) => client.list(file)
+    .then(entries => entries.reduce((promise, entry) => promise
+      .then(() => cb(entry))
+      .then(() => entry.isDirectory ? walk(client, entry.path, cb) : undefined), Promise.resolve()));
+
+  return {
+    /**
+     * Adapter capabilities
+     * @type {Object}
+     */
+    capabilities: {
+      ranges: true
+    },
+
+    /**
+     * Checks if file exists
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Promise<boolean, Error>}
+     */
+    exists: vfs => (file, options = {}) => resolve(vfs, file, options)
+      .then(({client, file}) => client.stat(file))
+      .then(() => true)
+      .catch(error => error.code === 'ENOENT' ? false : Promise.reject(error)),
+
+    /**
+     * Get file statistics
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Object}
+     */
+    stat: vfs => (file, options = {}) => resolve(vfs, file, options)
+      .then(target => target.client.stat(target.file))
+      .then(entry => createFileIter(
+        core,
+        file,
+        path.posix.basename(getRelativePath(vfs.mount, file)),
+        entry.isDirectory,
+        entry
+      )),
+
+    /**
+     * Reads directory
+     * @param {String} root The file path from client
+     * @param {Object} [options={}] Options
+     * @return {Object[]}
+     */
+    readdir: vfs => (root, options = {}) => {
+      const dirname = root.replace(/\/?$/, '/');
+
+      return resolve(vfs, root, options)
+        .then(({client, file}) => client.list(file))
+        .then(entries => entries
+          .map(entry => ({...entry, name: path.posix.basename(entry.path)}))
+          .map(entry => createFileIter(core, dirname + entry.name, entry.name, entry.isDirectory, entry)));
+    },
+
+    /**
+     * Reads file stream
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {stream.Readable}
+     */
+    readfile: vfs => (file, options = {}) => resolve(vfs, file, options)
+      .then(target => target.client.stat(target.file)
+        .then(entry => entry.isDirectory
+          ? false
+          : target.client.get(target.file, options.range))),
+
+    /**
+     * Creates directory
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    mkdir: vfs => (file, options = {}) => resolve(vfs, file, options)
+      .then(target => mkdirTarget(target, options.ensure))
+      .catch(error => error.code === 'EEXIST'
+        ? Promise.reject(createError('EEXIST', `File already exists '${file}'`))
+        : Promise.reject(error)),
+
+    /**
+     * Writes file stream
+     * @param {String} file The file path from client
+     * @param {stream.Readable} data The stream
+     * @param {Object} [options={}] Options
+     * @return {Promise<boolean, Error>}
+     */
+    writefile: vfs => (file, data, options = {}) => {
+      const {mime} = core.make('osjs/vfs');
+
+      return resolve(vfs, file, options)
+        .then(target => target.client.stat(target.file)
+          .then(entry => entry.isDirectory)
+          .catch(error => error.code === 'ENOENT' ? false : Promise.reject(error))
+          .then(found => found
+            ? false
+            : target.client.put(target.file, data, {
+              'content-type': mime(file)
+            })));
+    },
+
+    /**
+     * Renames given file or directory
+     * @param {String} src The source file path from client
+     * @param {String} dest The destination file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    rename: (srcVfs, destVfs) => (src, dest, options = {}) => Promise.all([
+      resolve(srcVfs, src, options),
+      resolve(destVfs, dest, options)
+    ]).then(([source, target]) => source.client === target.client
+      ? source.client.move(source.file, target.file)
+      : copyTarget(source, target).then(() => unlinkTarget(source))
+    ).then(() => true),
+
+    /**
+     * Copies given file or directory
+     * @param {String} src The source file path from client
+     * @param {String} dest The destination file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    copy: (srcVfs, destVfs) => (src, dest, options = {}) => Promise.all([
+      resolve(srcVfs, src, options),
+      resolve(destVfs, dest, options)
+    ]).then(([source, target]) => source.client === target.client
+      ? source.client.copy(source.file, target.file)
+      : copyTarget(source, target)
+    ).then(() => true),
+
+    /**
+     * Removes given file or directory
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    unlink: vfs => (file, options = {}) => resolve(vfs, file, options)
+      .then(unlinkTarget),
+
+    /**
+     * Searches for files and folders
+     *
+     * The remote share is walked recursively, as servers
+     * commonly refuse 'Depth: infinity' requests.
+     *
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    search: vfs => (root, pattern, options = {}) => {
+      const glob = new minimatch.Minimatch(pattern, {matchBase: true});
+      const dirname = root.replace(/\/?$/, '/');
+      const result = [];
+
+      return resolve(vfs, root, options)
+        .then(({client, file}) => walk(client, file, entry => {
+          const name = entry.path.substr(file ? file.length + 1 : 0);
+
+          if (!entry.isDirectory && glob.match(name)) {
+            result.push(createFileIter(core, dirname + name, path.posix.basename(name), false, entry));
+          }
+        }))
+        .then(() => result);
+    },
+
+    /**
+     * Touches a file
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {boolean}
+     */
+    touch: vfs => (file, options = {}) => resolve(vfs, file, options)
+      .then(target => target.client.stat(target.file)
+        .then(() => true)
+        .catch(error => error.code === 'ENOENT'
+          ? target.client.put(target.file, '')
+          : Promise.reject(error))),
+
+    /**
+     * Gets the real filesystem path (internal only)
+     *
+     * Remote shares do not have any physical paths,
+     * so this resolves the URL of the resource instead.
+     *
+     * @param {String} file The file path from client
+     * @param {Object} [options={}] Options
+     * @return {string}
+     */
+    realpath: vfs => (file, options = {}) => resolve(vfs, file, options)
+      .then(({client, file}) => client.createUrl(file))
+  };
+};
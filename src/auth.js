@@ -146,6 +146,41 @@ class Auth {
       .json({error: 'Invalid login or permission denied'});
   }
 
+  /**
+   * Authenticates a request by the credentials in its Authorization header.
+   * Supports Basic, and Bearer tokens if the adapter has a 'token' method.
+   * @param {Request} req HTTP request
+   * @return {Promise<AuthUserProfile|boolean>}
+   */
+  async authenticate(req) {
+    const [scheme, value] = String((req.headers || {}).authorization || '').split(' ');
+    let fields = {};
+    let result = false;
+
+    if (/^basic$/i.test(scheme) && value) {
+      const decoded = Buffer.from(value, 'base64').toString();
+      const index = decoded.indexOf(':');
+
+      if (index !== -1) {
+        fields = {username: decoded.substr(0, index), password: decoded.substr(index + 1)};
+        result = await this.adapter.login({body: fields, headers: req.headers, session: {}}, {});
+      }
+    } else if (/^bearer$/i.test(scheme) && value && typeof this.adapter.token === 'function') {
+      result = await this.adapter.token(value, req);
+      fields = {username: (result || {}).username};
+    }
+
+    if (result) {
+      const profile = this.createUserProfile(fields, result);
+
+      if (profile && this.checkLoginPermissions(profile)) {
+        return profile;
+      }
+    }
+
+    return false;
+  }
+
   /**
    * Performs a logout request
    * @param {Request} req HTTP request
@@ -28,6 +28,7 @@
  * @licence Simplified BSD License
  */
 
+const os = require('os');
 const path = require('path');
 const maxAge = 60 * 60 * 12;
 const mb = m => m * 1024 * 1024;
@@ -115,6 +116,61 @@ const defaultConfiguration = {
   vfs: {
     watch: false,
     root: path.join(process.cwd(), 'vfs'),
+    progressInterval: 250,
+
+    quota: {
+      store: null
+    },
+
+    trash: {
+      enabled: false,
+      root: null,
+      maxAge: 30 * 24 * 60 * 60 * 1000,
+      maxSize: null
+    },
+
+    versions: {
+      root: null,
+      max: 10,
+      maxAge: null
+    },
+
+    shares: {
+      root: null
+    },
+
+    tree: {
+      maxDepth: 10,
+      cacheSize: 1000,
+      cacheMaxAge: 60 * 1000
+    },
+
+    metadata: {
+      root: null
+    },
+
+    search: {
+      root: null,
+      maxFileSize: 5 * 1024 * 1024,
+      maxTextLength: 1024 * 1024,
+      limit: 50,
+      cacheMaxAge: 10 * 60 * 1000
+    },
+
+    webdav: {
+      enabled: false,
+      path: '/webdav',
+      realm: 'OS.js',
+      lockTimeout: 3600,
+      cacheTime: 60 * 1000,
+      cacheSize: 1000
+    },
+
+    uploads: {
+      root: path.join(os.tmpdir(), 'osjs-uploads'),
+      expires: 24 * 60 * 60 * 1000,
+      maxSize: null
+    },
 
     mountpoints: [{
       name: 'osjs',
@@ -30,6 +30,13 @@
 
 const {methodArguments} = require('./utils/vfs');
 const systemAdapter = require('./adapters/vfs/system');
+const memoryAdapter = require('./adapters/vfs/memory');
+const s3Adapter = require('./adapters/vfs/s3');
+const webdavAdapter = require('./adapters/vfs/webdav');
+const sftpAdapter = require('./adapters/vfs/sftp');
+const overlayAdapter = require('./adapters/vfs/overlay');
+const gitAdapter = require('./adapters/vfs/git');
+const archiveAdapter = require('./adapters/vfs/archive');
 const {v1: uuid} = require('uuid');
 const mime = require('mime');
 const path = require('path');
@@ -130,6 +137,13 @@ class Filesystem {
   async init() {
     const adapters = {
       system: systemAdapter,
+      memory: memoryAdapter,
+      s3: s3Adapter,
+      webdav: webdavAdapter,
+      sftp: sftpAdapter,
+      overlay: overlayAdapter,
+      git: gitAdapter,
+      archive: archiveAdapter,
       ...this.options.adapters
     };
 
@@ -272,6 +286,7 @@ class Filesystem {
 
     if (index !== -1) {
       this.mountpoints.splice(index, 1);
+      this.core.emit('osjs/vfs:unmount', mountpoint);
 
       return true;
     }
@@ -288,7 +303,7 @@ class Filesystem {
     if (
       !mountpoint.attributes.watch ||
       this.core.config('vfs.watch') === false ||
-      !mountpoint.attributes.root
+      (!mountpoint.attributes.root && (mountpoint.adapter || 'system') === 'system')
     ) {
       return;
     }
@@ -319,7 +334,8 @@ class Filesystem {
       this.core.emit('osjs/vfs:watch:change', {
         mountpoint,
         target,
-        type
+        type,
+        args
       });
 
       this.core.broadcast('osjs/vfs:watch:change', [{
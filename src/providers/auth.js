@@ -48,9 +48,17 @@ class AuthServiceProvider extends ServiceProvider {
     super.destroy();
   }
 
+  provides() {
+    return [
+      'osjs/auth'
+    ];
+  }
+
   async init() {
     const {route, routeAuthenticated} = this.core.make('osjs/express');
 
+    this.core.singleton('osjs/auth', () => this.auth);
+
     route('post', '/register', (req, res) => this.auth.register(req, res));
     route('post', '/login', (req, res) => this.auth.login(req, res));
     routeAuthenticated('post', '/logout', (req, res) => this.auth.logout(req, res));
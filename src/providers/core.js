@@ -123,12 +123,20 @@ class CoreServiceProvider extends ServiceProvider {
     // Handle sessions
     app.use(session);
 
-    // Handle bodies
-    app.use(bodyParser.urlencoded({
+    // Handle bodies, except for WebDAV where the body is the file
+    const webdav = this.core.config('vfs.webdav', {});
+    const isWebdav = req => webdav.enabled &&
+      (req.path === webdav.path || req.path.startsWith(`${webdav.path}/`));
+
+    const parse = parser => (req, res, next) => isWebdav(req)
+      ? next()
+      : parser(req, res, next);
+
+    app.use(parse(bodyParser.urlencoded({
       extended: false
-    }));
+    })));
 
-    app.use(bodyParser.json());
+    app.use(parse(bodyParser.json()));
   }
 
   /**
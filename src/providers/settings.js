@@ -47,7 +47,15 @@ class SettingsServiceProvider extends ServiceProvider {
     this.settings.destroy();
   }
 
+  provides() {
+    return [
+      'osjs/settings'
+    ];
+  }
+
   async init() {
+    this.core.singleton('osjs/settings', () => this.settings);
+
     this.core.make('osjs/express')
       .routeAuthenticated('post', '/settings', (req, res) => this.settings.save(req, res));
 
@@ -30,6 +30,7 @@
 
 const {ServiceProvider} = require('@osjs/common');
 const Filesystem = require('../filesystem');
+const createWebdav = require('../webdav');
 
 /**
  * OS.js Virtual Filesystem Service Provider
@@ -83,6 +84,10 @@ class VFSServiceProvider extends ServiceProvider {
     }));
 
     this.core.app.use('/vfs', filesystem.router);
+
+    if (this.core.config('vfs.webdav.enabled')) {
+      this.core.app.use(this.core.config('vfs.webdav.path'), createWebdav(this.core));
+    }
   }
 }
 
@@ -118,6 +118,15 @@ class Settings {
     const result = await this.adapter.load(req, res);
     res.json(result);
   }
+
+  /**
+   * Reads the settings of a request session
+   * @param {Request} req Express request (or an object with a session)
+   * @return {Promise<object>}
+   */
+  async read(req) {
+    return this.adapter.load(req);
+  }
 }
 
 
@@ -0,0 +1,427 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const yauzl = require('yauzl');
+const tar = require('tar-stream');
+const archiver = require('archiver');
+const {PassThrough, Transform} = require('stream');
+const {createError} = require('./vfs');
+
+/**
+ * A map of supported archive types
+ */
+const archiveTypes = [
+  {type: 'tgz', re: /\.(tar\.gz|tgz)$/i},
+  {type: 'tar', re: /\.tar$/i},
+  {type: 'zip', re: /\.zip$/i}
+];
+
+/**
+ * Gets the archive type from a filename
+ * @param {string} filename Filename
+ * @return {string|null}
+ */
+const getArchiveType = filename => {
+  const found = archiveTypes.find(({re}) => re.test(filename));
+  return found ? found.type : null;
+};
+
+/*
+ * Normalizes an entry name so that it never escapes the archive root
+ */
+const normalizeName = name => path.posix
+  .join('/', name)
+  .substr(1)
+  .replace(/\/$/, '');
+
+/*
+ * Creates a stream that only passes through given byte range (inclusive)
+ */
+const createRangeStream = ([start, end]) => {
+  let position = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const offset = position;
+      const from = Math.max((start || 0) - offset, 0);
+      const to = typeof end === 'number'
+        ? Math.min(end + 1 - offset, chunk.length)
+        : chunk.length;
+
+      position += chunk.length;
+
+      if (to > from) {
+        this.push(chunk.slice(from, to));
+      }
+
+      callback();
+    }
+  });
+};
+
+/*
+ * Creates an index of entries with implicit parent directories
+ */
+const createIndex = list => {
+  const entries = new Map([
+    ['', {name: '', isDirectory: true, size: 0, mtime: null}]
+  ]);
+
+  list.forEach(item => {
+    const name = normalizeName(item.name);
+    if (!name) {
+      return;
+    }
+
+    name.split('/').slice(0, -1).reduce((parent, current) => {
+      const dirname = parent ? `${parent}/${current}` : current;
+      if (!entries.has(dirname)) {
+        entries.set(dirname, {name: dirname, isDirectory: true, size: 0, mtime: item.mtime});
+      }
+
+      return dirname;
+    }, '');
+
+    entries.set(name, {...item, name});
+  });
+
+  return entries;
+};
+
+/*
+ * A yauzl reader that reads ranges through a stream factory
+ */
+class StreamRandomAccessReader extends yauzl.RandomAccessReader {
+  constructor(read) {
+    super();
+    this.readRange = read;
+  }
+
+  _readStreamForRange(start, end) {
+    const stream = new PassThrough();
+
+    if (end <= start) {
+      stream.end();
+    } else {
+      this.readRange([start, end - 1])
+        .then(source => {
+          source.on('error', error => stream.emit('error', error));
+          source.pipe(stream);
+        })
+        .catch(error => stream.emit('error', error));
+    }
+
+    return stream;
+  }
+}
+
+/*
+ * Opens a zip archive
+ */
+const openZip = ({size, read}) => new Promise((resolve, reject) => {
+  const reader = new StreamRandomAccessReader(read);
+  const options = {lazyEntries: true, autoClose: false};
+
+  yauzl.fromRandomAccessReader(reader, size, options, (err, zipfile) => {
+    if (err) {
+      reject(err);
+      return;
+    }
+
+    const list = [];
+    zipfile.on('error', error => reject(error));
+    zipfile.on('entry', entry => {
+      list.push({
+        name: entry.fileName,
+        isDirectory: /\/$/.test(entry.fileName),
+        size: entry.uncompressedSize,
+        mtime: entry.getLastModDate(),
+        entry
+      });
+
+      zipfile.readEntry();
+    });
+
+    zipfile.on('end', () => resolve({
+      entries: createIndex(list),
+
+      open: ({entry}, range) => new Promise((resolve, reject) => {
+        const stored = entry.compressionMethod === 0 && !entry.isEncrypted();
+        const options = range && stored
+          ? {start: range[0] || 0, end: typeof range[1] === 'number' ? range[1] + 1 : entry.uncompressedSize}
+          : {};
+
+        zipfile.openReadStream(entry, options, (err, stream) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(range && !stored ? stream.pipe(createRangeStream(range)) : stream);
+          }
+        });
+      })
+    }));
+
+    zipfile.readEntry();
+  });
+});
+
+/*
+ * Iterates all entries in a tar stream
+ */
+const scanTar = (source, gzip, onEntry) => new Promise((resolve, reject) => {
+  const extract = tar.extract();
+  const input = gzip ? source.pipe(zlib.createGunzip()) : source;
+
+  const done = () => {
+    source.unpipe();
+    input.unpipe();
+    source.destroy();
+    resolve();
+  };
+
+  source.on('error', error => reject(error));
+  input.on('error', error => reject(error));
+  extract.on('error', error => reject(error));
+  extract.on('finish', () => resolve());
+  extract.on('entry', (header, stream, next) => {
+    const skip = () => {
+      stream.on('end', () => next());
+      stream.resume();
+    };
+
+    onEntry(header, stream, {next, skip, done, fail: error => extract.destroy(error)});
+  });
+
+  input.pipe(extract);
+});
+
+/*
+ * Creates an entry from a tar header
+ */
+const createTarEntry = header => ['file', 'contiguous-file', 'directory'].indexOf(header.type) !== -1
+  ? {
+    name: header.name,
+    isDirectory: header.type === 'directory',
+    size: header.size,
+    mtime: header.mtime
+  }
+  : null;
+
+/*
+ * Opens a tar archive
+ */
+const openTar = ({read}, gzip) => {
+  const list = [];
+
+  return read()
+    .then(source => scanTar(source, gzip, (header, stream, {skip}) => {
+      const entry = createTarEntry(header);
+      if (entry) {
+        list.push(entry);
+      }
+
+      skip();
+    }))
+    .then(() => ({
+      entries: createIndex(list),
+
+      open: ({name}, range) => read()
+        .then(source => new Promise((resolve, reject) => {
+          let found = false;
+
+          scanTar(source, gzip, (header, stream, {skip, done}) => {
+            if (found || normalizeName(header.name) !== name) {
+              skip();
+              return;
+            }
+
+            found = true;
+            stream.on('end', done);
+            resolve(range ? stream.pipe(createRangeStream(range)) : stream);
+          })
+            .then(() => found || reject(createError('ENOENT', `No such entry '${name}'`)))
+            .catch(reject);
+        }))
+    }));
+};
+
+/**
+ * Opens an archive for reading
+ * @param {string} type Archive type
+ * @param {object} source The archive source
+ * @param {number} source.size The archive size
+ * @param {Function} source.read A function that takes an optional range and returns a stream
+ * @return {Promise<object>} An object with the entry index and an entry stream opener
+ */
+const openArchive = (type, source) => {
+  if (type === 'zip') {
+    return openZip(source);
+  } else if (type === 'tar' || type === 'tgz') {
+    return openTar(source, type === 'tgz');
+  }
+
+  return Promise.reject(createError(400, `Unsupported archive type '${type}'`));
+};
+
+/*
+ * Iterates all entries of a zip archive
+ */
+const iterateZip = ({size, read}, onEntry) => new Promise((resolve, reject) => {
+  const reader = new StreamRandomAccessReader(read);
+
+  yauzl.fromRandomAccessReader(reader, size, {lazyEntries: true}, (err, zipfile) => {
+    if (err) {
+      reject(err);
+      return;
+    }
+
+    const next = () => zipfile.readEntry();
+    const fail = error => {
+      zipfile.close();
+      reject(error);
+    };
+
+    zipfile.on('error', fail);
+    zipfile.on('end', () => resolve());
+    zipfile.on('entry', entry => {
+      const item = {
+        name: normalizeName(entry.fileName),
+        isDirectory: /\/$/.test(entry.fileName),
+        size: entry.uncompressedSize,
+        mtime: entry.getLastModDate()
+      };
+
+      if (!item.name) {
+        next();
+      } else if (item.isDirectory) {
+        onEntry(item, null).then(next).catch(fail);
+      } else {
+        zipfile.openReadStream(entry, (err, stream) => {
+          if (err) {
+            fail(err);
+          } else {
+            onEntry(item, stream).then(next).catch(fail);
+          }
+        });
+      }
+    });
+
+    next();
+  });
+});
+
+/*
+ * Iterates all entries of a tar archive
+ */
+const iterateTar = ({read}, gzip, onEntry) => read()
+  .then(source => scanTar(source, gzip, (header, stream, {next, skip, fail}) => {
+    const entry = createTarEntry(header);
+    const name = entry ? normalizeName(entry.name) : '';
+
+    if (!name) {
+      skip();
+    } else if (entry.isDirectory) {
+      stream.resume();
+      onEntry({...entry, name}, null).then(next).catch(fail);
+    } else {
+      onEntry({...entry, name}, stream).then(next).catch(fail);
+    }
+  }));
+
+/**
+ * Iterates all entries of an archive in sequence
+ * @param {string} type Archive type
+ * @param {object} source The archive source (see openArchive())
+ * @param {Function} onEntry A function that takes an entry and a stream (files only) and returns a Promise
+ * @return {Promise<undefined>}
+ */
+const iterateArchive = (type, source, onEntry) => {
+  if (type === 'zip') {
+    return iterateZip(source, onEntry);
+  } else if (type === 'tar' || type === 'tgz') {
+    return iterateTar(source, type === 'tgz', onEntry);
+  }
+
+  return Promise.reject(createError(400, `Unsupported archive type '${type}'`));
+};
+
+/**
+ * Creates a new archive stream
+ * @param {string} type Archive type
+ * @return {Archiver}
+ */
+const createArchive = type => {
+  if (type === 'zip') {
+    return archiver('zip', {zlib: {level: 6}});
+  } else if (type === 'tar' || type === 'tgz') {
+    return archiver('tar', {gzip: type === 'tgz'});
+  }
+
+  throw createError(400, `Unsupported archive type '${type}'`);
+};
+
+/**
+ * Appends an entry to an archive and waits for it to be processed
+ * @param {Archiver} archive The archive
+ * @param {stream.Readable|null} source The entry source (null for directories)
+ * @param {object} data Entry data
+ * @return {Promise<undefined>}
+ */
+const appendArchiveEntry = (archive, source, data) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    archive.removeListener('entry', onEntry);
+    archive.removeListener('error', onError);
+  };
+
+  const onEntry = () => {
+    cleanup();
+    resolve();
+  };
+
+  const onError = error => {
+    cleanup();
+    reject(error);
+  };
+
+  archive.on('entry', onEntry);
+  archive.on('error', onError);
+  archive.append(source, data);
+});
+
+module.exports = {
+  getArchiveType,
+  normalizeName,
+  openArchive,
+  iterateArchive,
+  createArchive,
+  appendArchiveEntry
+};
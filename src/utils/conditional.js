@@ -0,0 +1,193 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const {createError} = require('./vfs');
+
+/*
+ * Gets the modification time of a stat in milliseconds
+ */
+const getMtime = file => {
+  const mtime = (file.stat || {}).mtime;
+  const time = mtime ? new Date(mtime).getTime() : NaN;
+
+  return isNaN(time) ? null : time;
+};
+
+/*
+ * Strips the weak indicator from an ETag
+ */
+const weak = etag => etag.replace(/^W\//, '');
+
+/*
+ * Parses a list of ETags from a header
+ */
+const parseEtags = header => String(header)
+  .split(',')
+  .map(str => str.trim())
+  .filter(str => str.length > 0);
+
+/*
+ * Checks if an ETag matches a header value
+ */
+const matchEtag = (header, etag, strong = false) => parseEtags(header)
+  .some(str => str === '*' || (!!etag && (strong
+    ? str === etag && !/^W\//.test(str)
+    : weak(str) === weak(etag))));
+
+/**
+ * Creates an ETag from a stat.
+ * Uses the hash provided by the adapter if available.
+ * @param {object} file A stat
+ * @return {string|null}
+ */
+const createEtag = file => {
+  const {etag} = file.stat || {};
+  if (etag) {
+    return /^(W\/)?"/.test(etag) ? etag : `"${etag}"`;
+  }
+
+  const mtime = getMtime(file);
+  if (mtime === null) {
+    return null;
+  }
+
+  return `"${Number(file.size || 0).toString(16)}-${Math.floor(mtime).toString(16)}"`;
+};
+
+/**
+ * Gets the conditions from request headers and VFS options
+ * @param {Request} req HTTP Request
+ * @param {object} [options] VFS Options
+ * @return {object}
+ */
+const getConditions = (req, options = {}) => {
+  const headers = req.headers || {};
+
+  return {
+    ifMatch: headers['if-match'] || options.ifMatch,
+    ifNoneMatch: headers['if-none-match'] || options.ifNoneMatch,
+    ifModifiedSince: headers['if-modified-since'],
+    ifUnmodifiedSince: headers['if-unmodified-since'],
+    expectedMtime: options.expectedMtime
+  };
+};
+
+/**
+ * Checks if a read can be answered with a 304
+ * @param {object} file A stat
+ * @param {object} conditions Conditions
+ * @return {boolean}
+ */
+const isNotModified = (file, {ifNoneMatch, ifModifiedSince}) => {
+  if (ifNoneMatch) {
+    return matchEtag(ifNoneMatch, createEtag(file));
+  }
+
+  const mtime = getMtime(file);
+  const since = ifModifiedSince ? Date.parse(ifModifiedSince) : NaN;
+
+  return mtime !== null && !isNaN(since) && Math.floor(mtime / 1000) * 1000 <= since;
+};
+
+/**
+ * Checks if an If-Range header still matches the file,
+ * otherwise the whole file should be sent
+ * @param {object} file A stat
+ * @param {string} [ifRange] The header value
+ * @return {boolean}
+ */
+const isRangeFresh = (file, ifRange) => {
+  if (!ifRange) {
+    return true;
+  } else if (/^(W\/)?"/.test(ifRange)) {
+    return !/^W\//.test(ifRange) && ifRange === createEtag(file);
+  }
+
+  const mtime = getMtime(file);
+  const since = Date.parse(ifRange);
+
+  return mtime !== null && !isNaN(since) && Math.floor(mtime / 1000) * 1000 <= since;
+};
+
+/**
+ * Checks the preconditions of a write against the current
+ * state of the target. Rejects with 412 on failure.
+ * @param {object|null} file A stat, or null if the target does not exist
+ * @param {object} conditions Conditions
+ * @throws {Error}
+ */
+const assertPreconditions = (file, {ifMatch, ifNoneMatch, ifUnmodifiedSince, expectedMtime}) => {
+  const fail = reason => {
+    throw createError(412, `Precondition failed: ${reason}`);
+  };
+
+  const etag = file ? createEtag(file) : null;
+  const mtime = file ? getMtime(file) : null;
+
+  if (ifMatch && (!file || !matchEtag(ifMatch, etag, true))) {
+    fail('the file has been modified');
+  }
+
+  if (ifNoneMatch && file && matchEtag(ifNoneMatch, etag)) {
+    fail('the file already exists');
+  }
+
+  if (ifUnmodifiedSince) {
+    const since = Date.parse(ifUnmodifiedSince);
+    if (!isNaN(since) && (mtime === null || Math.floor(mtime / 1000) * 1000 > since)) {
+      fail('the file has been modified');
+    }
+  }
+
+  if (expectedMtime !== undefined && expectedMtime !== null) {
+    const expected = new Date(expectedMtime).getTime();
+    if (mtime === null || Math.floor(mtime) !== Math.floor(expected)) {
+      fail('the file has been modified');
+    }
+  }
+};
+
+/**
+ * Checks if any preconditions were given
+ * @param {object} conditions Conditions
+ * @return {boolean}
+ */
+const hasPreconditions = ({ifMatch, ifNoneMatch, ifUnmodifiedSince, expectedMtime}) =>
+  !!(ifMatch || ifNoneMatch || ifUnmodifiedSince) || (expectedMtime !== undefined && expectedMtime !== null);
+
+module.exports = {
+  getMtime,
+  createEtag,
+  getConditions,
+  isNotModified,
+  isRangeFresh,
+  assertPreconditions,
+  hasPreconditions
+};
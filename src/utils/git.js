@@ -0,0 +1,236 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const {execFile, spawn} = require('child_process');
+const {createError} = require('./vfs');
+
+/**
+ * Maximum output of a git command
+ */
+const MAX_BUFFER = 32 * 1024 * 1024;
+
+/*
+ * Separators used in log output
+ */
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+
+/**
+ * Checks if a string is a safe revision (ex. a commit id, HEAD~1 or a branch name)
+ * @param {string} revision Revision
+ * @return {boolean}
+ */
+const isRevision = revision => typeof revision === 'string' &&
+  /^[\w][\w./~^@{}-]*$/.test(revision) &&
+  revision.indexOf('..') === -1;
+
+/*
+ * Creates an error from git output
+ */
+const createGitError = (error, stderr) => {
+  const message = String(stderr || error.message).trim().split('\n')[0];
+
+  if (message.match(/(does not exist|unknown revision|bad revision|invalid object name|not a valid object|exists on disk, but not in)/i)) {
+    return createError('ENOENT', message);
+  }
+
+  return createError(500, message);
+};
+
+/**
+ * Creates a handle for a local git repository
+ *
+ * Commands that change the repository are run in sequence.
+ *
+ * @param {string} dir Repository working tree
+ * @return {object}
+ */
+const createRepository = dir => {
+  const gitDir = path.join(dir, '.git');
+  let queue = Promise.resolve();
+  let initialized = null;
+
+  const createArgs = args => [
+    `--git-dir=${gitDir}`,
+    `--work-tree=${dir}`,
+    '--literal-pathspecs',
+    ...args
+  ];
+
+  const run = (args, env = {}) => new Promise((resolve, reject) => {
+    execFile('git', createArgs(args), {
+      cwd: dir,
+      maxBuffer: MAX_BUFFER,
+      env: {...process.env, ...env}
+    }, (error, stdout, stderr) => error
+      ? reject(Object.assign(createGitError(error, stderr), {exitCode: error.code}))
+      : resolve(stdout));
+  });
+
+  const enqueue = fn => {
+    const next = queue.then(fn);
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  const init = () => {
+    if (!initialized) {
+      initialized = fs.pathExists(gitDir)
+        .then(exists => exists
+          ? true
+          : fs.ensureDir(dir).then(() => run(['init', '-q'])).then(() => true))
+        .catch(error => {
+          initialized = null;
+          throw error;
+        });
+    }
+
+    return initialized;
+  };
+
+  const hasCommits = () => run(['rev-parse', '--verify', '-q', 'HEAD'])
+    .then(() => true)
+    .catch(() => false);
+
+  /**
+   * Commits the changes of the given paths
+   * @param {string[]} paths Paths relative to the working tree
+   * @param {string} message Commit message
+   * @param {object} author Author
+   * @param {string} author.name Author name
+   * @param {string} author.email Author email
+   * @return {Promise<string|null>} Commit id, or null if there were no changes
+   */
+  const commit = (paths, message, author) => enqueue(() => init()
+    .then(() => paths.reduce((promise, p) => promise
+      .then(() => run(['add', '-A', '--', p]))
+      .catch(error => {
+        // NOTE: Removed paths that were never committed do not match anything
+        if (!error.message.match(/did not match any files/)) {
+          throw error;
+        }
+      }), Promise.resolve()))
+    .then(() => run(['diff', '--cached', '--quiet'])
+      .then(() => false, error => error.exitCode === 1 ? true : Promise.reject(error)))
+    .then(changed => changed
+      ? run(['-c', 'commit.gpgsign=false', 'commit', '-q', '-m', message], {
+        GIT_AUTHOR_NAME: author.name,
+        GIT_AUTHOR_EMAIL: author.email,
+        GIT_COMMITTER_NAME: author.name,
+        GIT_COMMITTER_EMAIL: author.email
+      })
+        .then(() => run(['rev-parse', 'HEAD']))
+        .then(stdout => stdout.trim())
+      : null));
+
+  /**
+   * Lists the commits of a path
+   * @param {string} file Path relative to the working tree
+   * @param {object} [options] Options
+   * @param {number} [options.limit=50] Maximum number of commits
+   * @return {Promise<object[]>}
+   */
+  const log = (file, {limit = 50} = {}) => init()
+    .then(hasCommits)
+    .then(found => found
+      ? run([
+        'log',
+        `--max-count=${limit}`,
+        `--format=%H${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%ae${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%s${RECORD_SEPARATOR}`,
+        '--',
+        file || '.'
+      ])
+      : '')
+    .then(stdout => stdout.split(RECORD_SEPARATOR)
+      .map(str => str.trim())
+      .filter(str => !!str)
+      .map(str => {
+        const [id, name, email, date, message] = str.split(FIELD_SEPARATOR);
+        return {id, author: {name, email}, date, message};
+      }));
+
+  /**
+   * Creates a diff of a path between two revisions
+   * @param {string} file Path relative to the working tree
+   * @param {string} from From revision
+   * @param {string} [to] To revision (defaults to the working tree)
+   * @return {Promise<string>}
+   */
+  const diff = (file, from, to) => init()
+    .then(() => run(['diff', '--no-color', '--no-ext-diff', from, ...to ? [to] : [], '--', file || '.']));
+
+  /**
+   * Opens a file at a revision
+   * @param {string} file Path relative to the working tree
+   * @param {string} revision Revision
+   * @return {Promise<object>} Size and stream
+   */
+  const show = (file, revision) => {
+    const object = `${revision}:${file}`;
+
+    return init()
+      .then(() => run(['cat-file', '-t', object]))
+      .then(type => {
+        if (type.trim() !== 'blob') {
+          throw createError(400, `Not a file '${file}' at '${revision}'`);
+        }
+
+        return run(['cat-file', '-s', object]);
+      })
+      .then(size => {
+        const child = spawn('git', createArgs(['cat-file', 'blob', object]), {cwd: dir});
+        const stream = child.stdout;
+
+        child.on('error', error => stream.destroy(error));
+        child.on('close', code => {
+          if (code !== 0) {
+            stream.destroy(createError(500, `Failed to read '${file}' at '${revision}'`));
+          }
+        });
+
+        return {size: parseInt(size, 10), stream};
+      });
+  };
+
+  return {
+    init,
+    commit,
+    log,
+    diff,
+    show
+  };
+};
+
+module.exports = {
+  isRevision,
+  createRepository
+};
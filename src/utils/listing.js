@@ -0,0 +1,257 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const {createError} = require('./vfs');
+const {getMtime} = require('./conditional');
+
+/*
+ * Compares names naturally (ex. 'file2' before 'file10')
+ */
+const collator = new Intl.Collator(undefined, {numeric: true, sensitivity: 'base'});
+
+/*
+ * Keys that entries can be sorted by
+ */
+const sortKeys = {
+  name: entry => [entry.filename],
+  size: entry => [entry.isDirectory ? 0 : (entry.size || 0), entry.filename],
+  mtime: entry => [getMtime(entry) || 0, entry.filename],
+  type: entry => [entry.isDirectory ? 0 : 1, entry.mime || '', entry.filename]
+};
+
+/*
+ * Compares two sort keys
+ */
+const compareKeys = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    const result = typeof a[i] === 'number'
+      ? a[i] - b[i]
+      : collator.compare(String(a[i]), String(b[i])) || (a[i] < b[i] ? -1 : (a[i] > b[i] ? 1 : 0));
+
+    if (result !== 0) {
+      return result;
+    }
+  }
+
+  return 0;
+};
+
+/*
+ * Encodes a cursor that continues after a sort key
+ */
+const encodeCursor = (listing, key) => Buffer
+  .from(JSON.stringify({sortBy: listing.sortBy, sortDir: listing.sortDir, key}))
+  .toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+/*
+ * Decodes a cursor for a sort order
+ */
+const decodeCursor = (listing, cursor) => {
+  let decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+  } catch (e) {
+    decoded = null;
+  }
+
+  if (!decoded || !Array.isArray(decoded.key) || decoded.sortBy !== listing.sortBy || decoded.sortDir !== listing.sortDir) {
+    throw createError(400, 'Invalid readdir cursor');
+  }
+
+  return decoded.key;
+};
+
+/**
+ * Parses the listing options of a directory read.
+ *
+ * - offset: Number of entries to skip
+ * - limit: Maximum number of entries
+ * - cursor: Continues after the last entry of a previous page
+ * - sortBy: 'name', 'size', 'mtime' or 'type' (directories first, then by MIME)
+ * - sortDir: 'asc' or 'desc'
+ * - showHiddenFiles: Set to false to leave out dotfiles
+ * - stat: Set to false to only get names and types of entries
+ *
+ * @param {object} options Readdir options
+ * @throws {Error} On invalid options
+ * @return {object|null} Listing options, or null if none were given
+ */
+const parseListing = (options = {}) => {
+  const keys = ['offset', 'limit', 'cursor', 'sortBy', 'sortDir', 'showHiddenFiles', 'stat'];
+  const given = key => options[key] !== undefined && options[key] !== null;
+  const invalid = key => createError(400, `Invalid readdir option '${key}'`);
+
+  if (!keys.some(given)) {
+    return null;
+  }
+
+  const count = (key, min, defaultValue) => {
+    if (!given(key)) {
+      return defaultValue;
+    }
+
+    const value = Number(options[key]);
+    if (!Number.isInteger(value) || value < min) {
+      throw invalid(key);
+    }
+
+    return value;
+  };
+
+  const flag = key => {
+    if (given(key) && typeof options[key] !== 'boolean') {
+      throw invalid(key);
+    }
+
+    return options[key] !== false;
+  };
+
+  const sortBy = given('sortBy') ? options.sortBy : 'name';
+  if (!sortKeys[sortBy]) {
+    throw invalid('sortBy');
+  }
+
+  const sortDir = given('sortDir') ? options.sortDir : 'asc';
+  if (['asc', 'desc'].indexOf(sortDir) === -1) {
+    throw invalid('sortDir');
+  }
+
+  if (given('cursor') && typeof options.cursor !== 'string') {
+    throw invalid('cursor');
+  }
+
+  return {
+    offset: count('offset', 0, 0),
+    limit: count('limit', 1, null),
+    cursor: options.cursor || null,
+    sortBy,
+    sortDir,
+    showHiddenFiles: flag('showHiddenFiles'),
+    stat: flag('stat')
+  };
+};
+
+/**
+ * Checks if entries have to be stat'ed to be sorted
+ * @param {object} listing Listing options
+ * @return {boolean}
+ */
+const needsStat = listing => listing.sortBy === 'size' || listing.sortBy === 'mtime';
+
+/**
+ * Filters, sorts and slices directory entries into a page
+ * @param {object[]} entries Entries
+ * @param {object} listing Listing options
+ * @return {object} The total count, the cursor of the next page and a page of entries
+ */
+const paginate = (entries, listing) => {
+  const getKey = sortKeys[listing.sortBy];
+  const direction = listing.sortDir === 'desc' ? -1 : 1;
+
+  const sorted = entries
+    .filter(entry => listing.showHiddenFiles || entry.filename.substr(0, 1) !== '.')
+    .map(entry => ({entry, key: getKey(entry)}))
+    .sort((a, b) => direction * compareKeys(a.key, b.key));
+
+  const after = listing.cursor ? decodeCursor(listing, listing.cursor) : null;
+  const offset = after
+    ? sorted.filter(({key}) => direction * compareKeys(key, after) <= 0).length
+    : listing.offset;
+
+  const page = sorted.slice(offset, listing.limit ? offset + listing.limit : undefined);
+  const more = offset + page.length < sorted.length;
+
+  return {
+    total: sorted.length,
+    offset,
+    limit: listing.limit,
+    cursor: more && page.length > 0 ? encodeCursor(listing, page[page.length - 1].key) : null,
+    entries: page.map(({entry}) => entry)
+  };
+};
+
+/**
+ * Leaves out everything but the names and types of an entry
+ * @param {object} entry Entry
+ * @return {object}
+ */
+const lighten = entry => ({
+  isDirectory: entry.isDirectory,
+  isFile: entry.isFile,
+  mime: entry.mime,
+  path: entry.path,
+  filename: entry.filename
+});
+
+/**
+ * Wraps a method caller so that directory reads can be paginated,
+ * sorted and filtered.
+ *
+ * Adapters with the 'readdirPagination' capability get the parsed options
+ * with their options, and return a page. Other adapters list the whole
+ * directory, which is then paginated.
+ *
+ * @param {object} found Resolved mountpoint
+ * @param {Function} call Method caller
+ * @return {Function}
+ */
+const wrapListing = (found, call) => (method, ...args) => {
+  const [root, options = {}] = args;
+
+  if (method !== 'readdir') {
+    return call(method, ...args);
+  }
+
+  return Promise.resolve()
+    .then(() => parseListing(options))
+    .then(listing => {
+      if (!listing) {
+        return call(method, ...args);
+      } else if ((found.adapter.capabilities || {}).readdirPagination) {
+        return call('readdir', root, {...options, listing});
+      }
+
+      return call('readdir', root, options)
+        .then(list => paginate(list, listing))
+        .then(page => listing.stat ? page : {...page, entries: page.entries.map(lighten)});
+    });
+};
+
+module.exports = {
+  parseListing,
+  needsStat,
+  paginate,
+  lighten,
+  wrapListing
+};
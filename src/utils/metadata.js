@@ -0,0 +1,427 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const {createError, getMountpointScope} = require('./vfs');
+
+/*
+ * Limits of metadata values
+ */
+const MAX_TAGS = 64;
+const MAX_PROPERTIES = 64;
+const MAX_LENGTH = 256;
+
+/*
+ * Checks if a path is within a directory
+ */
+const isWithin = (root, file) => file === root ||
+  file.startsWith(root.replace(/\/?$/, '/'));
+
+/*
+ * Checks if a value is a string within the length limit
+ */
+const isShortString = value => typeof value === 'string' &&
+  value.length > 0 &&
+  value.length <= MAX_LENGTH;
+
+/**
+ * Creates metadata with all fields set
+ * @param {object} [metadata] Stored metadata
+ * @return {object}
+ */
+const createDefaults = (metadata = {}) => ({
+  tags: [],
+  color: null,
+  starred: false,
+  properties: {},
+  ...metadata
+});
+
+/**
+ * Validates changes to metadata.
+ *
+ * - tags: A list of labels
+ * - color: A colour name or code, or null
+ * - starred: A boolean
+ * - properties: Free-form keys with string, number or boolean values.
+ *   A null value removes a key.
+ *
+ * @param {object} changes Changes
+ * @throws {Error} On invalid changes
+ * @return {object}
+ */
+const parseChanges = changes => {
+  if (typeof changes !== 'object' || changes === null || Array.isArray(changes)) {
+    throw createError(400, 'Metadata must be an object');
+  }
+
+  const invalid = key => createError(400, `Invalid metadata '${key}'`);
+  const result = {};
+
+  Object.keys(changes).forEach(key => {
+    const value = changes[key];
+
+    if (key === 'tags') {
+      if (!Array.isArray(value) || value.length > MAX_TAGS || !value.every(isShortString)) {
+        throw invalid(key);
+      }
+
+      result.tags = Array.from(new Set(value.map(tag => tag.trim()).filter(tag => !!tag)));
+    } else if (key === 'color') {
+      if (value !== null && !(isShortString(value) && /^#?[\w-]+$/.test(value))) {
+        throw invalid(key);
+      }
+
+      result.color = value;
+    } else if (key === 'starred') {
+      if (typeof value !== 'boolean') {
+        throw invalid(key);
+      }
+
+      result.starred = value;
+    } else if (key === 'properties') {
+      const valid = typeof value === 'object' && value !== null && !Array.isArray(value) &&
+        Object.keys(value).every(name => isShortString(name) && (value[name] === null ||
+          ['number', 'boolean'].indexOf(typeof value[name]) !== -1 ||
+          (typeof value[name] === 'string' && value[name].length <= MAX_LENGTH)));
+
+      if (!valid) {
+        throw invalid(key);
+      }
+
+      result.properties = value;
+    } else {
+      throw invalid(key);
+    }
+  });
+
+  return result;
+};
+
+/*
+ * Applies changes to stored metadata, leaving out unset fields
+ */
+const applyChanges = (stored = {}, changes) => {
+  const properties = {...stored.properties, ...changes.properties};
+  Object.keys(properties)
+    .filter(name => properties[name] === null)
+    .forEach(name => delete properties[name]);
+
+  if (Object.keys(properties).length > MAX_PROPERTIES) {
+    throw createError(400, 'Invalid metadata \'properties\'');
+  }
+
+  const metadata = {...stored, ...changes, properties};
+  const result = {};
+
+  if (metadata.tags && metadata.tags.length > 0) {
+    result.tags = metadata.tags;
+  }
+
+  if (metadata.color) {
+    result.color = metadata.color;
+  }
+
+  if (metadata.starred) {
+    result.starred = true;
+  }
+
+  if (Object.keys(properties).length > 0) {
+    result.properties = properties;
+  }
+
+  return result;
+};
+
+/**
+ * Parses a metadata search query
+ * @param {object} query Query
+ * @param {string|string[]} [query.tags] Tags (a list, or separated by commas)
+ * @param {string} [query.match='all'] Match 'all' or 'any' of the tags
+ * @param {boolean|string} [query.starred] Starred
+ * @param {string} [query.color] Colour
+ * @throws {Error} On invalid queries
+ * @return {object}
+ */
+const parseQuery = (query = {}) => {
+  const tags = typeof query.tags === 'string'
+    ? query.tags.split(',')
+    : (query.tags || []);
+
+  if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+    throw createError(400, 'Invalid metadata search \'tags\'');
+  }
+
+  const match = query.match || 'all';
+  if (['all', 'any'].indexOf(match) === -1) {
+    throw createError(400, 'Invalid metadata search \'match\'');
+  }
+
+  const starred = query.starred === undefined || query.starred === null || query.starred === ''
+    ? null
+    : String(query.starred) === 'true';
+
+  return {
+    tags: tags.map(tag => tag.trim()).filter(tag => !!tag),
+    match,
+    starred,
+    color: query.color || null
+  };
+};
+
+/**
+ * Creates the file metadata store.
+ *
+ * Metadata (tags, colour, star and free-form properties) is kept by VFS path
+ * in a file per storage the mountpoint resolves to (ie. the home directory
+ * of a user), so it works the same for all adapters. It follows files that
+ * are renamed, copied or moved to the trash, and is removed with them.
+ *
+ * @param {Core} core Core reference
+ * @return {object}
+ */
+const createMetadata = core => {
+  const root = core.config('vfs.metadata.root') ||
+    path.join(core.config('vfs.root', process.cwd()), '.metadata');
+
+  const stores = new Map();
+  let queue = Promise.resolve();
+
+  // Updates are done in sequence so that changes are not lost
+  const enqueue = fn => {
+    const next = queue.then(fn);
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  const load = (found, options) => {
+    const scope = getMountpointScope(core, found.mount, options.session);
+
+    if (!stores.has(scope)) {
+      const file = path.join(root, crypto.createHash('sha1')
+        .update(scope)
+        .digest('hex') + '.json');
+
+      stores.set(scope, fs.readJson(file)
+        .catch(() => ({}))
+        .then(entries => ({file, entries})));
+    }
+
+    return stores.get(scope);
+  };
+
+  const save = store => fs.outputJson(store.file, store.entries);
+
+  /**
+   * Finds the stored metadata of a path
+   * @param {object} found Resolved mountpoint
+   * @param {string} file VFS path
+   * @param {object} options VFS Options
+   * @return {Promise<object|null>}
+   */
+  const find = (found, file, options) => load(found, options)
+    .then(store => store.entries[file] ? createDefaults(store.entries[file]) : null);
+
+  /**
+   * Gets the metadata of a path
+   * @param {object} found Resolved mountpoint
+   * @param {string} file VFS path
+   * @param {object} options VFS Options
+   * @return {Promise<object>}
+   */
+  const get = (found, file, options) => find(found, file, options)
+    .then(metadata => metadata || createDefaults());
+
+  /**
+   * Changes the metadata of a path
+   * @param {object} found Resolved mountpoint
+   * @param {string} file VFS path
+   * @param {object} changes Changes
+   * @param {object} options VFS Options
+   * @return {Promise<object>} The resulting metadata
+   */
+  const set = (found, file, changes, options) => Promise.resolve()
+    .then(() => parseChanges(changes))
+    .then(parsed => enqueue(() => load(found, options)
+      .then(store => {
+        const metadata = applyChanges(store.entries[file], parsed);
+
+        if (Object.keys(metadata).length > 0) {
+          store.entries[file] = metadata;
+        } else {
+          delete store.entries[file];
+        }
+
+        return save(store).then(() => createDefaults(metadata));
+      })));
+
+  /**
+   * Removes the metadata of a path, and everything within it
+   * @param {object} found Resolved mountpoint
+   * @param {string} file VFS path
+   * @param {object} options VFS Options
+   * @return {Promise<boolean>}
+   */
+  const remove = (found, file, options) => enqueue(() => load(found, options)
+    .then(store => {
+      const keys = Object.keys(store.entries).filter(key => isWithin(file, key));
+      keys.forEach(key => delete store.entries[key]);
+
+      return (keys.length > 0 ? save(store) : Promise.resolve())
+        .then(() => true);
+    }));
+
+  /**
+   * Copies or moves the metadata of a path, and everything within it
+   * @param {object} srcFound Resolved source mountpoint
+   * @param {string} from Source VFS path
+   * @param {object} destFound Resolved destination mountpoint
+   * @param {string} to Destination VFS path
+   * @param {boolean} move Remove the metadata from the source
+   * @param {object} options VFS Options
+   * @return {Promise<undefined>}
+   */
+  const transfer = (srcFound, from, destFound, to, move, options) => enqueue(() => Promise.all([
+    load(srcFound, options),
+    load(destFound, options)
+  ]).then(([source, target]) => {
+    const keys = Object.keys(source.entries).filter(key => isWithin(from, key));
+    if (keys.length === 0) {
+      return undefined;
+    }
+
+    const entries = keys.map(key => [key, source.entries[key]]);
+
+    if (move) {
+      keys.forEach(key => delete source.entries[key]);
+    }
+
+    Object.keys(target.entries)
+      .filter(key => isWithin(to, key))
+      .forEach(key => delete target.entries[key]);
+
+    entries.forEach(([key, metadata]) => {
+      target.entries[to + key.substr(from.length)] = JSON.parse(JSON.stringify(metadata));
+    });
+
+    return Promise.all(Array.from(new Set([source, target])).map(save))
+      .then(() => undefined);
+  }));
+
+  /**
+   * Collects the metadata of a path, and everything within it
+   * @param {object} found Resolved mountpoint
+   * @param {string} file VFS path
+   * @param {object} options VFS Options
+   * @return {Promise<object>} Metadata by path relative to the given one
+   */
+  const collect = (found, file, options) => load(found, options)
+    .then(store => Object.keys(store.entries)
+      .filter(key => isWithin(file, key))
+      .reduce((result, key) => ({...result, [key.substr(file.length)]: store.entries[key]}), {}));
+
+  /**
+   * Stores collected metadata under a path, replacing what it had
+   * @param {object} found Resolved mountpoint
+   * @param {string} file VFS path
+   * @param {object} entries Metadata by relative path
+   * @param {object} options VFS Options
+   * @return {Promise<undefined>}
+   */
+  const apply = (found, file, entries, options) => enqueue(() => load(found, options)
+    .then(store => {
+      const keys = Object.keys(entries || {});
+      if (keys.length === 0) {
+        return undefined;
+      }
+
+      Object.keys(store.entries)
+        .filter(key => isWithin(file, key))
+        .forEach(key => delete store.entries[key]);
+
+      keys.forEach(key => {
+        store.entries[file + key] = entries[key];
+      });
+
+      return save(store).then(() => undefined);
+    }));
+
+  /**
+   * Searches for paths by their metadata
+   * @param {object} found Resolved mountpoint
+   * @param {Function} call Method caller
+   * @param {string} dir VFS path to search within
+   * @param {object} query Parsed query
+   * @param {object} options VFS Options
+   * @return {Promise<object[]>} Paths and their metadata
+   */
+  const search = (found, call, dir, query, options) => load(found, options)
+    .then(store => Object.keys(store.entries)
+      .filter(key => isWithin(dir, key))
+      .sort()
+      .map(key => ({path: key, metadata: createDefaults(store.entries[key])}))
+      .filter(({metadata}) => query.tags.length === 0 || query.tags[query.match === 'any' ? 'some' : 'every'](tag => metadata.tags.indexOf(tag) !== -1))
+      .filter(({metadata}) => query.starred === null || metadata.starred === query.starred)
+      .filter(({metadata}) => !query.color || metadata.color === query.color))
+    .then(results => Promise.all(results.map(result => call('exists', result.path, {session: options.session})
+      .then(exists => exists ? result : null))))
+    .then(results => results.filter(result => !!result));
+
+  /**
+   * Wraps a method caller so that metadata is removed with files
+   * @param {object} found Resolved mountpoint
+   * @param {Function} call Method caller
+   * @return {Function}
+   */
+  const wrap = (found, call) => (method, ...args) => call(method, ...args)
+    .then(result => method === 'unlink' && result
+      ? remove(found, args[0], args[1] || {}).then(() => result)
+      : result);
+
+  return {
+    find,
+    get,
+    set,
+    remove,
+    transfer,
+    collect,
+    apply,
+    search,
+    wrap
+  };
+};
+
+module.exports = {
+  parseChanges,
+  parseQuery,
+  createMetadata
+};
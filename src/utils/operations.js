@@ -0,0 +1,229 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const {Transform} = require('stream');
+const {v1: uuid} = require('uuid');
+const {createError} = require('./vfs');
+
+/*
+ * Creates the error used for cancelled operations
+ */
+const createCancelError = () => createError('ECANCELED', 'Operation was cancelled');
+
+/**
+ * Creates a new operation
+ * @param {object} options Operation options
+ * @param {string} options.id Operation id
+ * @param {string} options.method VFS Method name
+ * @param {string} [options.username] User to report progress to
+ * @param {Function} options.emit Event emitter
+ * @param {number} options.interval Minimum time between progress events
+ * @return {object}
+ */
+const createOperation = ({id, method, username, emit, interval}) => {
+  const streams = new Set();
+  const state = {bytes: 0, entries: 0, total: undefined};
+  let cancelled = false;
+  let lastProgress = 0;
+
+  const send = (type, data = {}) => emit({
+    id,
+    method,
+    type,
+    ...state,
+    ...data
+  });
+
+  const progress = ({bytes = 0, entries = 0}) => {
+    const now = Date.now();
+    state.bytes += bytes;
+    state.entries += entries;
+
+    if (now - lastProgress >= interval) {
+      lastProgress = now;
+      send('progress');
+    }
+  };
+
+  const check = () => {
+    if (cancelled) {
+      throw createCancelError();
+    }
+  };
+
+  // Counts the bytes flowing through a stream and aborts it on cancellation
+  const track = (stream, size) => {
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        if (cancelled) {
+          callback(createCancelError());
+        } else {
+          progress({bytes: chunk.length});
+          callback(null, chunk);
+        }
+      }
+    });
+
+    if (typeof size === 'number') {
+      state.total = (state.total || 0) + size;
+      counter.size = size;
+    }
+
+    const remove = () => streams.delete(counter);
+    counter.on('end', remove);
+    counter.on('error', remove);
+    stream.on('error', error => counter.destroy(error));
+    streams.add(counter);
+
+    return stream.pipe(counter);
+  };
+
+  const cancel = () => {
+    cancelled = true;
+    streams.forEach(stream => stream.destroy(createCancelError()));
+    streams.clear();
+  };
+
+  return {
+    id,
+    method,
+    username,
+    progress,
+    check,
+    track,
+    cancel,
+    send,
+    get cancelled() {
+      return cancelled;
+    }
+  };
+};
+
+/**
+ * Creates a registry of running operations.
+ * Progress is sent to the initiating user as 'osjs/vfs:operation' events.
+ * @param {Core} core Core reference
+ * @return {object}
+ */
+const createOperations = core => {
+  const operations = new Map();
+  const interval = core.config('vfs.progressInterval', 250);
+
+  const create = (req, method, data = {}, requestedId) => {
+    const user = (req.session || {}).user || {};
+    const id = typeof requestedId === 'string' && requestedId ? requestedId : uuid();
+
+    if (operations.has(id)) {
+      throw createError(400, `Operation '${id}' is already running`);
+    }
+
+    const operation = createOperation({
+      id,
+      method,
+      username: user.username,
+      interval,
+      emit: params => user.username && core.broadcastUser(user.username, 'osjs/vfs:operation', {
+        ...data,
+        ...params
+      })
+    });
+
+    operations.set(id, operation);
+
+    return operation;
+  };
+
+  /**
+   * Runs a function as an operation
+   * @param {Request} req HTTP Request object
+   * @param {string} method VFS Method name
+   * @param {object} data Extra data to include in the events (ie. paths)
+   * @param {object} options VFS Options, an id can be given with 'operation'
+   * @param {Function} fn Callback receiving the operation, must return a Promise
+   * @return {Promise<*>}
+   */
+  const run = (req, method, data, options, fn) => {
+    let operation;
+
+    try {
+      operation = create(req, method, data, options.operation);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    operation.send('start');
+
+    return Promise.resolve()
+      .then(() => fn(operation))
+      .then(result => {
+        operation.send('done');
+        operations.delete(operation.id);
+
+        return result;
+      })
+      .catch(error => {
+        operation.send(operation.cancelled ? 'cancelled' : 'error', {
+          error: operation.cancelled ? undefined : error.message
+        });
+
+        operations.delete(operation.id);
+
+        throw operation.cancelled ? createCancelError() : error;
+      });
+  };
+
+  /**
+   * Cancels an operation owned by given user
+   * @param {string} id Operation id
+   * @param {string} [username] Username
+   * @return {boolean}
+   */
+  const cancel = (id, username) => {
+    const operation = operations.get(id);
+
+    if (operation && operation.username === username) {
+      operation.cancel();
+      return true;
+    }
+
+    return false;
+  };
+
+  return {
+    run,
+    cancel,
+    get: id => operations.get(id)
+  };
+};
+
+module.exports = {
+  createOperation,
+  createOperations
+};
@@ -0,0 +1,460 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const {Transform} = require('stream');
+const {v4: uuid} = require('uuid');
+const {createError, createMethodCaller, getMountpointScope, walkTree} = require('./vfs');
+
+/*
+ * Checks if a limit is set
+ */
+const isLimited = value => typeof value === 'number';
+
+/*
+ * Picks the most generous of two limits, where null is unlimited
+ */
+const generous = (a, b) => {
+  if (a === undefined) {
+    return b;
+  } else if (b === undefined) {
+    return a;
+  }
+
+  return a === null || b === null ? null : Math.max(a, b);
+};
+
+/**
+ * Resolves the quota limits of a mountpoint for a user.
+ *
+ * The mountpoint 'quota' attribute has the default 'bytes' and 'files'
+ * limits, and 'groups' and 'users' maps with overrides. When several
+ * groups match, the most generous limit wins. User overrides win over
+ * groups. A limit of null means unlimited.
+ *
+ * @param {object} mount Mountpoint
+ * @param {object} [session] User session
+ * @return {object|null} Limits, or null if the mountpoint has no quota
+ */
+const getLimits = (mount, session = {}) => {
+  const {quota} = mount.attributes || {};
+  if (!quota) {
+    return null;
+  }
+
+  const user = session.user || {};
+  const groups = quota.groups || {};
+  const users = quota.users || {};
+  const keys = ['bytes', 'files'];
+
+  const grouped = (user.groups || [])
+    .filter(g => typeof g === 'string' && groups[g])
+    .map(g => groups[g])
+    .reduce((result, override) => keys.reduce((acc, k) => ({
+      ...acc,
+      [k]: generous(acc[k], override[k])
+    }), result), {});
+
+  const override = users[user.username] || {};
+
+  return keys.reduce((result, k) => {
+    const value = [override[k], grouped[k], quota[k]].find(v => v !== undefined);
+    return {...result, [k]: value === undefined ? null : value};
+  }, {});
+};
+
+/*
+ * Creates the error for an exceeded quota
+ */
+const createQuotaError = (mount, what, used, limit) => createError(
+  507,
+  `Quota exceeded on '${mount.name}': ${what} would use ${used} of ${limit} allowed`
+);
+
+/**
+ * Creates the quota service.
+ *
+ * Usage is tracked per mountpoint root as resolved for a user (ie. the
+ * home directory of a user), and kept in a file so it survives restarts.
+ * When the usage is not known, or an operation leaves it uncertain,
+ * it is counted again by walking the mountpoint.
+ *
+ * @param {Core} core Core reference
+ * @return {object}
+ */
+const createQuotas = core => {
+  const storeFile = core.config('vfs.quota.store') ||
+    path.join(core.config('vfs.root', process.cwd()), '.quota.json');
+
+  let store = null;
+  let saving = Promise.resolve();
+  const scanning = new Map();
+
+  const load = () => {
+    if (!store) {
+      store = fs.readJson(storeFile)
+        .catch(() => ({}));
+    }
+
+    return store;
+  };
+
+  const save = () => {
+    saving = saving
+      .then(() => load())
+      .then(usages => fs.outputJson(storeFile, usages))
+      .catch(error => core.logger.warn('Failed to save quota usage', error));
+
+    return saving;
+  };
+
+  const getScope = (mount, session) => getMountpointScope(core, mount, session);
+
+  /**
+   * Counts the bytes and entries of a file or directory
+   * @param {Function} call Method caller
+   * @param {string} file VFS path
+   * @param {object} options VFS Options
+   * @return {Promise<object>}
+   */
+  const measure = (call, file, options) => {
+    const totals = {bytes: 0, files: 0};
+
+    return walkTree(call, file, {session: options.session}, (entry, name) => {
+      if (name) {
+        totals.files++;
+        totals.bytes += entry.isDirectory ? 0 : (entry.size || 0);
+      }
+    }).then(() => totals);
+  };
+
+  /**
+   * Gets the usage of a mountpoint for a user
+   * @param {object} found Resolved mountpoint
+   * @param {object} options VFS Options
+   * @return {Promise<object>}
+   */
+  const usage = (found, options) => load()
+    .then(usages => {
+      const scope = getScope(found.mount, options.session);
+      if (usages[scope] && !usages[scope].stale) {
+        return usages[scope];
+      }
+
+      if (!scanning.has(scope)) {
+        const root = `${found.mount.name}:/`;
+        const call = (method, ...args) => Promise.resolve(found.adapter[method](found)(...args));
+
+        scanning.set(scope, measure(call, root, options)
+          .then(totals => {
+            usages[scope] = totals;
+            return save().then(() => totals);
+          })
+          .finally(() => scanning.delete(scope)));
+      }
+
+      return scanning.get(scope);
+    });
+
+  /**
+   * Adds to the usage of a mountpoint for a user
+   * @param {object} found Resolved mountpoint
+   * @param {object} options VFS Options
+   * @param {object} delta Bytes and files to add
+   * @return {Promise<undefined>}
+   */
+  const update = (found, options, {bytes = 0, files = 0}) => {
+    if (!getLimits(found.mount, options.session)) {
+      return Promise.resolve();
+    }
+
+    return usage(found, options)
+      .then(current => {
+        current.bytes = Math.max(0, current.bytes + bytes);
+        current.files = Math.max(0, current.files + files);
+        return save();
+      });
+  };
+
+  /**
+   * Marks the usage as unknown, so it is counted again
+   * @param {object} found Resolved mountpoint
+   * @param {object} options VFS Options
+   * @return {Promise<undefined>}
+   */
+  const invalidate = (found, options) => load()
+    .then(usages => {
+      const scope = getScope(found.mount, options.session);
+      if (usages[scope]) {
+        usages[scope].stale = true;
+        return save();
+      }
+
+      return undefined;
+    });
+
+  /**
+   * Checks that given amount can be added without exceeding the quota
+   * @param {object} found Resolved mountpoint
+   * @param {object} options VFS Options
+   * @param {object} delta Bytes and files to add
+   * @throws {Error} 507 if exceeded
+   * @return {Promise<undefined>}
+   */
+  const check = (found, options, {bytes = 0, files = 0}) => {
+    const limits = getLimits(found.mount, options.session);
+    if (!limits || (!isLimited(limits.bytes) && !isLimited(limits.files))) {
+      return Promise.resolve();
+    }
+
+    return usage(found, options)
+      .then(current => {
+        if (isLimited(limits.bytes) && bytes > 0 && current.bytes + bytes > limits.bytes) {
+          throw createQuotaError(found.mount, `${bytes} bytes`, current.bytes + bytes, limits.bytes);
+        } else if (isLimited(limits.files) && files > 0 && current.files + files > limits.files) {
+          throw createQuotaError(found.mount, `${files} files`, current.files + files, limits.files);
+        }
+      });
+  };
+
+  /**
+   * Reports usage and limits of a mountpoint for a user
+   * @param {object} found Resolved mountpoint
+   * @param {object} options VFS Options
+   * @return {Promise<object>}
+   */
+  const report = (found, options) => {
+    const limits = getLimits(found.mount, options.session) || {bytes: null, files: null};
+
+    return usage(found, options)
+      .then(current => ({
+        mountpoint: found.mount.name,
+        bytes: {used: current.bytes, limit: limits.bytes},
+        files: {used: current.files, limit: limits.files}
+      }));
+  };
+
+  /*
+   * Counts the bytes written to a mountpoint and stops when over quota,
+   * or when the source fails. The write is ended instead of failed, so
+   * that the adapter always settles, and the partial file is removed after.
+   */
+  const createLimitStream = (found, current, limits, source) => {
+    const stream = new Transform({
+      transform(chunk, encoding, callback) {
+        const next = current.bytes + chunk.length;
+
+        if (stream.error) {
+          callback();
+        } else if (isLimited(limits.bytes) && next > limits.bytes) {
+          callback();
+          stop(createQuotaError(found.mount, 'the file', next, limits.bytes));
+        } else {
+          current.bytes = next;
+          callback(null, chunk);
+        }
+      }
+    });
+
+    const stop = error => {
+      if (!stream.error) {
+        stream.error = error;
+        source.unpipe(stream);
+
+        if (!stream.writableEnded) {
+          stream.end();
+        }
+      }
+    };
+
+    stream.error = null;
+    source.on('error', stop);
+
+    return source.pipe(stream);
+  };
+
+  /*
+   * Creates a hidden name next to a file for writing before it is swapped in
+   */
+  const createTemporaryName = file => file
+    .replace(/[^/]*$/, name => `.${name}.${uuid()}.upload`);
+
+  /*
+   * Resolves the size of the data to write, if known up front
+   */
+  const getKnownSize = data => data.temporary && data.path
+    ? fs.stat(data.path).then(stat => stat.size)
+    : Promise.resolve(typeof data.size === 'number' ? data.size : null);
+
+  const wrapWritefile = (found, call) => (file, data, options = {}) => {
+    const limits = getLimits(found.mount, options.session);
+    if (!limits) {
+      return call('writefile', file, data, options);
+    }
+
+    const vfsOptions = {session: options.session};
+
+    return call('exists', file, vfsOptions)
+      .then(exists => exists ? call('stat', file, vfsOptions) : null)
+      .then(previous => {
+        if (previous && previous.isDirectory) {
+          return call('writefile', file, data, options);
+        }
+
+        const replaced = previous ? previous.size || 0 : 0;
+        const files = previous ? 0 : 1;
+
+        // Writes of a known size are refused before anything is written
+        return getKnownSize(data)
+          .then(size => check(found, options, {bytes: size === null ? 0 : size - replaced, files})
+            .then(() => data.temporary && data.path
+              // Temporary files are moved into place without passing through
+              ? call('writefile', file, data, options)
+                .then(written => written && update(found, options, {bytes: size - replaced, files})
+                  .then(() => written))
+              : usage(found, options)
+                .then(current => writeLimited(found, call, file, data, options, previous, current, limits))));
+      });
+  };
+
+  /*
+   * Writes a stream while counting it towards the quota. Existing files are
+   * written next to the file and swapped in, so they are kept when over quota.
+   */
+  const writeLimited = (found, call, file, data, options, previous, current, limits) => {
+    const vfsOptions = {session: options.session};
+    const raw = createMethodCaller(found);
+    const target = previous ? createTemporaryName(file) : file;
+
+    // The previous contents are replaced
+    current.bytes = Math.max(0, current.bytes - (previous ? previous.size || 0 : 0));
+
+    const limit = createLimitStream(found, current, limits, data);
+
+    return (previous ? raw : call)('writefile', target, limit, options)
+      .then(written => {
+        if (limit.error) {
+          throw limit.error;
+        }
+
+        return written && previous
+          ? call('rename', target, file, vfsOptions).then(() => written)
+          : written;
+      })
+      .then(written => update(found, options, {files: written && !previous ? 1 : 0})
+        .then(() => written))
+      .catch(error => raw('exists', target, vfsOptions)
+        .then(exists => exists ? raw('unlink', target, vfsOptions) : undefined)
+        .catch(() => {})
+        .then(() => invalidate(found, options))
+        .then(() => Promise.reject(error)));
+  };
+
+  const wrapCreate = (found, call, method) => (file, options = {}) => {
+    if (!getLimits(found.mount, options.session)) {
+      return call(method, file, options);
+    }
+
+    const vfsOptions = {session: options.session};
+
+    return call('exists', file, vfsOptions)
+      .then(exists => exists
+        ? call(method, file, options)
+        : check(found, options, {files: 1})
+          .then(() => call(method, file, options))
+          .then(result => result && update(found, options, {files: 1}).then(() => result)));
+  };
+
+  const wrapUnlink = (found, call) => (file, options = {}) => {
+    if (!getLimits(found.mount, options.session)) {
+      return call('unlink', file, options);
+    }
+
+    const vfsOptions = {session: options.session};
+
+    return call('exists', file, vfsOptions)
+      .then(exists => exists ? call('stat', file, vfsOptions) : null)
+      .then(stat => call('unlink', file, options)
+        .then(result => {
+          if (!result || !stat) {
+            return result;
+          }
+
+          const done = stat.isDirectory
+            ? invalidate(found, options)
+            : update(found, options, {bytes: -(stat.size || 0), files: -1});
+
+          return done.then(() => result);
+        }));
+  };
+
+  /**
+   * Wraps a method caller so that writes are checked against,
+   * and counted towards, the quota of the mountpoint
+   * @param {object} found Resolved mountpoint
+   * @param {Function} call Method caller
+   * @return {Function}
+   */
+  const wrap = (found, call) => {
+    if (!(found.mount.attributes || {}).quota) {
+      return call;
+    }
+
+    const methods = {
+      writefile: wrapWritefile(found, call),
+      touch: wrapCreate(found, call, 'touch'),
+      mkdir: wrapCreate(found, call, 'mkdir'),
+      unlink: wrapUnlink(found, call)
+    };
+
+    return (method, ...args) => methods[method]
+      ? methods[method](...args)
+      : call(method, ...args);
+  };
+
+  return {
+    getLimits,
+    scope: (found, options) => getScope(found.mount, options.session),
+    usage,
+    update,
+    invalidate,
+    check,
+    measure,
+    report,
+    wrap,
+    flush: () => saving
+  };
+};
+
+module.exports = {
+  getLimits,
+  createQuotas
+};
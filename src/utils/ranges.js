@@ -0,0 +1,139 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const crypto = require('crypto');
+const {PassThrough} = require('stream');
+const {createError} = require('./vfs');
+
+/**
+ * Maximum number of ranges in a request before the header is ignored
+ */
+const MAX_RANGES = 20;
+
+/**
+ * Parses a range request header against a file size.
+ * Returns null if the header is invalid and should be ignored.
+ * @param {string} header The header value
+ * @param {number} size File size
+ * @throws {Error} 416 if no range can be satisfied
+ * @return {Array<object>|null} List of ranges with inclusive start and end
+ */
+const parseRangeHeader = (header, size) => {
+  const match = String(header).match(/^\s*bytes\s*=(.+)$/i);
+  if (!match) {
+    return null;
+  }
+
+  const specs = match[1].split(',').map(str => str.trim());
+  if (specs.length > MAX_RANGES) {
+    return null;
+  }
+
+  const ranges = [];
+  for (let i = 0; i < specs.length; i++) {
+    const [, first, last] = specs[i].match(/^(\d*)-(\d*)$/) || [];
+    if (first === undefined || (first === '' && last === '')) {
+      return null;
+    }
+
+    if (first === '') {
+      // Suffix range, ex: "bytes=-500"
+      const length = parseInt(last, 10);
+      if (length > 0 && size > 0) {
+        ranges.push({start: Math.max(size - length, 0), end: size - 1});
+      }
+    } else {
+      const start = parseInt(first, 10);
+      const end = last === '' ? Infinity : parseInt(last, 10);
+      if (end < start) {
+        return null;
+      } else if (start < size) {
+        ranges.push({start, end: Math.min(end, size - 1)});
+      }
+    }
+  }
+
+  if (ranges.length === 0) {
+    throw createError(416, `Range not satisfiable for size ${size}`);
+  }
+
+  return ranges;
+};
+
+/**
+ * Creates a multipart/byteranges response body
+ * @param {Function} read Opens a stream for a range, ie. [start, end]
+ * @param {Array<object>} ranges List of ranges
+ * @param {number} size File size
+ * @param {string} [mime] File MIME type
+ * @return {object} The boundary, total length and a function that creates the stream
+ */
+const createMultipartRanges = (read, ranges, size, mime) => {
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const headers = ranges.map(({start, end}, index) => [
+    `${index > 0 ? '\r\n' : ''}--${boundary}`,
+    mime ? `Content-Type: ${mime}` : null,
+    `Content-Range: bytes ${start}-${end}/${size}`,
+    '',
+    ''
+  ].filter(str => str !== null).join('\r\n'));
+
+  const footer = `\r\n--${boundary}--\r\n`;
+  const length = ranges.reduce((sum, {start, end}, index) => {
+    return sum + Buffer.byteLength(headers[index]) + (end - start + 1);
+  }, Buffer.byteLength(footer));
+
+  const createStream = () => {
+    const stream = new PassThrough();
+
+    ranges.reduce((promise, {start, end}, index) => promise
+      .then(() => {
+        stream.write(headers[index]);
+        return read([start, end]);
+      })
+      .then(source => new Promise((resolve, reject) => {
+        source.on('error', reject);
+        source.on('end', resolve);
+        source.pipe(stream, {end: false});
+      })), Promise.resolve())
+      .then(() => stream.end(footer))
+      .catch(error => stream.destroy(error));
+
+    return stream;
+  };
+
+  return {boundary, length, createStream};
+};
+
+module.exports = {
+  MAX_RANGES,
+  parseRangeHeader,
+  createMultipartRanges
+};
@@ -0,0 +1,455 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const {URL} = require('url');
+const {createError} = require('./vfs');
+
+const hash = (data, encoding = 'hex') => crypto.createHash('sha256').update(data).digest(encoding);
+const hmac = (key, data, encoding) => crypto.createHmac('sha256', key).update(data).digest(encoding);
+
+/**
+ * Minimum part size allowed by S3 multipart uploads
+ */
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Maximum number of keys in a delete request
+ */
+const MAX_DELETE_KEYS = 1000;
+
+/*
+ * Encodes a string according to RFC 3986
+ */
+const encodeRfc3986 = str => encodeURIComponent(str)
+  .replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+
+/*
+ * Encodes an object key for use in an URI
+ */
+const encodeKey = key => key.split('/').map(encodeRfc3986).join('/');
+
+/*
+ * Creates a canonical query string
+ */
+const createQueryString = (query = {}) => Object.keys(query)
+  .filter(k => typeof query[k] !== 'undefined')
+  .sort()
+  .map(k => encodeRfc3986(k) + '=' + encodeRfc3986(String(query[k])))
+  .join('&');
+
+/*
+ * Escapes a string for XML
+ */
+const escapeXml = str => String(str)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/*
+ * Decodes XML entities
+ */
+const decodeXml = str => str
+  .replace(/&#x([0-9a-f]+);/gi, (m, c) => String.fromCharCode(parseInt(c, 16)))
+  .replace(/&#(\d+);/g, (m, c) => String.fromCharCode(parseInt(c, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+/*
+ * Gets the inner content of all XML tags by name
+ */
+const getTags = (xml, tag) => {
+  const re = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  const result = [];
+  let match;
+
+  while ((match = re.exec(xml)) !== null) {
+    result.push(match[1]);
+  }
+
+  return result;
+};
+
+/*
+ * Gets the decoded content of a XML tag by name
+ */
+const getTag = (xml, tag) => {
+  const [found] = getTags(xml, tag);
+  return typeof found === 'string' ? decodeXml(found) : undefined;
+};
+
+/*
+ * Reads the entire response body
+ */
+const readBody = res => new Promise((resolve, reject) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('error', error => reject(error));
+  res.on('end', () => resolve(Buffer.concat(chunks).toString()));
+});
+
+/*
+ * Creates an error from a response
+ */
+const createResponseError = (res, body) => {
+  const code = getTag(body, 'Code') || String(res.statusCode);
+  const message = getTag(body, 'Message') || `Request failed with status ${res.statusCode}`;
+
+  if (res.statusCode === 404) {
+    return createError('ENOENT', `${message} (${code})`);
+  } else if (res.statusCode === 403) {
+    return createError('EACCES', `${message} (${code})`);
+  }
+
+  return createError(res.statusCode >= 500 ? 502 : 400, `${message} (${code})`);
+};
+
+/**
+ * Signs a request with AWS Signature Version 4
+ * @param {object} request Request
+ * @param {string} request.method HTTP Method
+ * @param {string} request.path Encoded URI path
+ * @param {object} [request.query] Query parameters
+ * @param {object} request.headers HTTP Headers (including host)
+ * @param {string} [request.payloadHash] Payload hash
+ * @param {object} credentials Credentials
+ * @param {Date} [date] Request date
+ * @return {object} Signed headers
+ */
+const signRequest = (request, credentials, date = new Date()) => {
+  const {method, path, query, headers} = request;
+  const {accessKeyId, secretAccessKey, sessionToken, region} = credentials;
+  const payloadHash = request.payloadHash || 'UNSIGNED-PAYLOAD';
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.substr(0, 8);
+  const scope = `${day}/${region}/s3/aws4_request`;
+
+  const signed = Object.keys(headers).reduce((result, k) => ({
+    ...result,
+    [k.toLowerCase()]: String(headers[k]).trim().replace(/\s+/g, ' ')
+  }), {
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash
+  });
+
+  if (sessionToken) {
+    signed['x-amz-security-token'] = sessionToken;
+  }
+
+  const names = Object.keys(signed).sort();
+  const signedHeaders = names.join(';');
+  const canonicalRequest = [
+    method,
+    path,
+    createQueryString(query),
+    names.map(n => `${n}:${signed[n]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    hash(canonicalRequest)
+  ].join('\n');
+
+  const signingKey = ['s3', 'aws4_request']
+    .reduce((key, data) => hmac(key, data), hmac(hmac('AWS4' + secretAccessKey, day), region));
+
+  const signature = hmac(signingKey, stringToSign, 'hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+/**
+ * Creates a new S3 compatible object storage client
+ * @param {object} [options] Client options
+ * @param {string} [options.endpoint] Endpoint URL (defaults to AWS)
+ * @param {string} [options.region=us-east-1] Region
+ * @param {string} [options.accessKeyId] Access Key
+ * @param {string} [options.secretAccessKey] Secret Key
+ * @param {string} [options.sessionToken] Session Token
+ * @param {boolean} [options.pathStyle=true] Use path style bucket addressing
+ * @return {object}
+ */
+const createClient = (options = {}) => {
+  const config = {
+    region: 'us-east-1',
+    pathStyle: true,
+    ...options
+  };
+
+  const endpoint = new URL(config.endpoint || `https://s3.${config.region}.amazonaws.com`);
+  const transport = endpoint.protocol === 'https:' ? https : http;
+
+  const request = (method, bucket, key = '', {query, headers = {}, body} = {}) => new Promise((resolve, reject) => {
+    const host = config.pathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+    const basePath = endpoint.pathname.replace(/\/$/, '');
+    const uri = basePath + (config.pathStyle ? `/${encodeRfc3986(bucket)}/` : '/') + encodeKey(key);
+    const payload = typeof body === 'undefined' ? undefined : Buffer.from(body);
+    const requestHeaders = {
+      ...headers,
+      host
+    };
+
+    if (payload) {
+      requestHeaders['content-length'] = payload.length;
+    }
+
+    const signed = signRequest({
+      method,
+      path: uri,
+      query,
+      headers: requestHeaders,
+      payloadHash: payload ? hash(payload) : undefined
+    }, config);
+
+    const qs = createQueryString(query);
+    const req = transport.request({
+      method,
+      protocol: endpoint.protocol,
+      hostname: config.pathStyle ? endpoint.hostname : `${bucket}.${endpoint.hostname}`,
+      port: endpoint.port || undefined,
+      path: uri + (qs ? `?${qs}` : ''),
+      headers: signed
+    }, res => {
+      if (res.statusCode >= 300) {
+        readBody(res)
+          .then(str => reject(createResponseError(res, str)))
+          .catch(reject);
+      } else {
+        resolve(res);
+      }
+    });
+
+    req.on('error', error => reject(error));
+    req.end(payload);
+  });
+
+  const requestXml = (...args) => request(...args)
+    .then(readBody)
+    .then(str => {
+      if (str.match(/<Error>/)) {
+        throw createError(400, `${getTag(str, 'Message')} (${getTag(str, 'Code')})`);
+      }
+
+      return str;
+    });
+
+  const requestEmpty = (...args) => request(...args)
+    .then(res => {
+      res.resume();
+      return res;
+    });
+
+  const headObject = (bucket, key) => requestEmpty('HEAD', bucket, key)
+    .then(res => ({
+      size: parseInt(res.headers['content-length'], 10) || 0,
+      mtime: res.headers['last-modified'] ? new Date(res.headers['last-modified']) : null,
+      etag: res.headers.etag,
+      contentType: res.headers['content-type']
+    }));
+
+  const getObject = (bucket, key, range) => request('GET', bucket, key, {
+    headers: range && typeof range[0] === 'number'
+      ? {range: `bytes=${range[0]}-${typeof range[1] === 'number' ? range[1] : ''}`}
+      : {}
+  });
+
+  const putObject = (bucket, key, body, headers = {}) => requestEmpty('PUT', bucket, key, {body, headers})
+    .then(() => true);
+
+  const copyObject = (srcBucket, srcKey, bucket, key) => requestXml('PUT', bucket, key, {
+    headers: {
+      'x-amz-copy-source': `/${encodeRfc3986(srcBucket)}/${encodeKey(srcKey)}`
+    }
+  }).then(() => true);
+
+  const listObjects = (bucket, {prefix, delimiter, maxKeys, continuationToken} = {}) => requestXml('GET', bucket, '', {
+    query: {
+      'list-type': 2,
+      'prefix': prefix || undefined,
+      'delimiter': delimiter,
+      'max-keys': maxKeys,
+      'continuation-token': continuationToken
+    }
+  }).then(xml => ({
+    contents: getTags(xml, 'Contents').map(str => ({
+      key: getTag(str, 'Key'),
+      size: parseInt(getTag(str, 'Size'), 10) || 0,
+      mtime: new Date(getTag(str, 'LastModified')),
+      etag: getTag(str, 'ETag')
+    })),
+    prefixes: getTags(xml, 'CommonPrefixes').map(str => getTag(str, 'Prefix')),
+    next: getTag(xml, 'IsTruncated') === 'true'
+      ? getTag(xml, 'NextContinuationToken')
+      : undefined
+  }));
+
+  const listAllObjects = (bucket, params = {}, result = {contents: [], prefixes: []}) =>
+    listObjects(bucket, params).then(({contents, prefixes, next}) => {
+      const current = {
+        contents: [...result.contents, ...contents],
+        prefixes: [...result.prefixes, ...prefixes]
+      };
+
+      return next
+        ? listAllObjects(bucket, {...params, continuationToken: next}, current)
+        : current;
+    });
+
+  const deleteObjects = (bucket, keys) => {
+    const batches = [];
+    for (let i = 0; i < keys.length; i += MAX_DELETE_KEYS) {
+      batches.push(keys.slice(i, i + MAX_DELETE_KEYS));
+    }
+
+    return batches.reduce((promise, batch) => promise.then(() => {
+      const body = '<?xml version="1.0" encoding="UTF-8"?><Delete><Quiet>true</Quiet>' +
+        batch.map(k => `<Object><Key>${escapeXml(k)}</Key></Object>`).join('') +
+        '</Delete>';
+
+      return requestXml('POST', bucket, '', {
+        body,
+        query: {delete: ''},
+        headers: {
+          'content-type': 'application/xml',
+          'content-md5': crypto.createHash('md5').update(body).digest('base64')
+        }
+      });
+    }), Promise.resolve()).then(() => true);
+  };
+
+  const upload = (bucket, key, stream, {partSize = MIN_PART_SIZE, headers = {}} = {}) => new Promise((resolve, reject) => {
+    const parts = [];
+    let chunks = [];
+    let length = 0;
+    let uploadId;
+    let failed = false;
+    let pending = Promise.resolve();
+
+    const abort = () => uploadId
+      ? requestEmpty('DELETE', bucket, key, {query: {uploadId}}).catch(() => {})
+      : Promise.resolve();
+
+    const fail = error => {
+      if (!failed) {
+        failed = true;
+        stream.resume();
+        abort().then(() => reject(error));
+      }
+    };
+
+    const createUpload = () => uploadId
+      ? Promise.resolve(uploadId)
+      : requestXml('POST', bucket, key, {query: {uploads: ''}, headers})
+        .then(xml => (uploadId = getTag(xml, 'UploadId')));
+
+    const sendPart = body => createUpload()
+      .then(() => {
+        const partNumber = parts.length + 1;
+
+        return requestEmpty('PUT', bucket, key, {body, query: {partNumber, uploadId}})
+          .then(res => parts.push({partNumber, etag: res.headers.etag}));
+      });
+
+    const complete = () => requestXml('POST', bucket, key, {
+      query: {uploadId},
+      body: '<CompleteMultipartUpload>' + parts
+        .map(p => `<Part><PartNumber>${p.partNumber}</PartNumber><ETag>${escapeXml(p.etag)}</ETag></Part>`)
+        .join('') + '</CompleteMultipartUpload>'
+    });
+
+    const takeChunks = () => {
+      const body = Buffer.concat(chunks);
+      chunks = [];
+      length = 0;
+      return body;
+    };
+
+    stream.on('data', chunk => {
+      chunks.push(Buffer.from(chunk));
+      length += chunk.length;
+
+      if (length >= partSize && !failed) {
+        const body = takeChunks();
+        stream.pause();
+        pending = pending
+          .then(() => sendPart(body))
+          .then(() => stream.resume())
+          .catch(fail);
+      }
+    });
+
+    stream.on('error', fail);
+
+    stream.on('end', () => {
+      pending.then(() => {
+        if (failed) {
+          return Promise.resolve();
+        }
+
+        const body = takeChunks();
+        const finish = uploadId
+          ? (body.length ? sendPart(body) : Promise.resolve()).then(complete)
+          : putObject(bucket, key, body, headers);
+
+        return finish.then(() => resolve(true));
+      }).catch(fail);
+    });
+  });
+
+  return {
+    request,
+    headObject,
+    getObject,
+    putObject,
+    copyObject,
+    listObjects,
+    listAllObjects,
+    deleteObjects,
+    upload
+  };
+};
+
+module.exports = {
+  MIN_PART_SIZE,
+  signRequest,
+  createClient
+};
@@ -0,0 +1,779 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const yauzl = require('yauzl');
+const minimatch = require('minimatch');
+const {createError, getMountpointScope, mountpointResolver, walkTree} = require('./vfs');
+const {getMtime} = require('./conditional');
+
+/*
+ * Office documents and the archive entries that contain their text
+ */
+const officeEntries = {
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': /^word\/document\.xml$/,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': /^ppt\/slides\/slide\d+\.xml$/,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': /^xl\/sharedStrings\.xml$/,
+  'application/vnd.oasis.opendocument.text': /^content\.xml$/,
+  'application/vnd.oasis.opendocument.presentation': /^content\.xml$/,
+  'application/vnd.oasis.opendocument.spreadsheet': /^content\.xml$/
+};
+
+/**
+ * Resolves the indexing settings of a mountpoint.
+ *
+ * The mountpoint 'index' attribute is either true, or an object with
+ * 'maxFileSize' (largest file to read). Unset values fall back to the
+ * 'vfs.search' configuration.
+ *
+ * @param {object} mount Mountpoint
+ * @param {object} defaults Default settings
+ * @return {object|null} Settings, or null if indexing is disabled
+ */
+const getSettings = (mount, defaults) => {
+  const {index} = mount.attributes || {};
+  if (!index) {
+    return null;
+  }
+
+  return {
+    maxFileSize: defaults.maxFileSize,
+    ...(typeof index === 'object' ? index : {})
+  };
+};
+
+/**
+ * Splits text into lowercase words
+ * @param {string} text Text
+ * @return {string[]}
+ */
+const tokenize = text => String(text || '')
+  .toLowerCase()
+  .match(/[\p{L}\p{N}]+/gu) || [];
+
+/*
+ * Decodes the basic XML entities
+ */
+const decodeEntities = str => str
+  .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&(lt|gt|quot|apos|nbsp|amp);/g, (m, name) => ({
+    lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', amp: '&'
+  })[name]);
+
+/*
+ * Strips markup from HTML and XML documents
+ */
+const stripMarkup = str => decodeEntities(str
+  .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<[^>]*>/g, ' '));
+
+/*
+ * Reads the entries of a zip archive that matches a pattern
+ */
+const readZipEntries = (buffer, pattern) => new Promise((resolve, reject) => {
+  yauzl.fromBuffer(buffer, {lazyEntries: true}, (error, zip) => {
+    if (error) {
+      reject(error);
+      return;
+    }
+
+    const contents = [];
+    zip.on('error', reject);
+    zip.on('end', () => resolve(contents.join(' ')));
+    zip.on('entry', entry => {
+      if (!pattern.test(entry.fileName)) {
+        zip.readEntry();
+        return;
+      }
+
+      zip.openReadStream(entry, (error, stream) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        const chunks = [];
+        stream.on('error', reject);
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          contents.push(Buffer.concat(chunks).toString('utf8'));
+          zip.readEntry();
+        });
+      });
+    });
+
+    zip.readEntry();
+  });
+});
+
+/**
+ * Checks if text can be extracted from a file of the given type
+ * @param {string} mime MIME type
+ * @return {boolean}
+ */
+const isExtractable = mime => !!mime && (
+  /^text\//.test(mime) ||
+  /[/+](json|xml|javascript|yaml|x-sh|sql)$/.test(mime) ||
+  !!officeEntries[mime]
+);
+
+/**
+ * Extracts the text of a file
+ * @param {string} mime MIME type
+ * @param {Buffer} buffer File contents
+ * @return {Promise<string>}
+ */
+const extractText = (mime, buffer) => {
+  if (officeEntries[mime]) {
+    return readZipEntries(buffer, officeEntries[mime])
+      .then(stripMarkup);
+  } else if (/(html|xml)$/.test(mime)) {
+    return Promise.resolve(stripMarkup(buffer.toString('utf8')));
+  }
+
+  return Promise.resolve(buffer.toString('utf8'));
+};
+
+/*
+ * Reads a stream into a buffer
+ */
+const readBuffer = (stream, maxSize) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  stream.on('error', reject);
+  stream.on('data', chunk => {
+    size += chunk.length;
+
+    if (size > maxSize) {
+      stream.destroy();
+      reject(createError(413, 'File is too large to index'));
+    } else {
+      chunks.push(chunk);
+    }
+  });
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+/*
+ * Checks if a path is within a directory
+ */
+const isWithin = (root, file) => file === root ||
+  file.startsWith(root.replace(/\/?$/, '/'));
+
+/*
+ * Checks if a MIME type matches a filter (ex. 'text/plain', 'text/*' or a list)
+ */
+const matchesMime = (filter, mime) => [].concat(filter)
+  .filter(str => typeof str === 'string' && str)
+  .some(str => str.endsWith('/*') || str.endsWith('/')
+    ? String(mime).startsWith(str.replace(/\*$/, ''))
+    : str === mime);
+
+/*
+ * Parses a date filter value (a timestamp or a date string)
+ */
+const parseDate = value => typeof value === 'number'
+  ? value
+  : Date.parse(value);
+
+/*
+ * Parses a range filter (ex. {min: 0, max: 1024} or {from, to})
+ */
+const parseRange = (name, value, [lower, upper], parse) => {
+  if (typeof value !== 'object' || value === null) {
+    throw createError(400, `Invalid search filter '${name}'`);
+  }
+
+  const range = [lower, upper].map(key => {
+    if (value[key] === undefined || value[key] === null) {
+      return null;
+    }
+
+    const parsed = parse(value[key]);
+    if (typeof parsed !== 'number' || isNaN(parsed)) {
+      throw createError(400, `Invalid search filter '${name}'`);
+    }
+
+    return parsed;
+  });
+
+  return {min: range[0], max: range[1]};
+};
+
+/*
+ * Parses a positive integer filter
+ */
+const parseCount = (name, value) => {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw createError(400, `Invalid search filter '${name}'`);
+  }
+
+  return count;
+};
+
+/**
+ * Parses the structured filters of a search.
+ *
+ * - size: {min, max} in bytes
+ * - modified: {from, to} as timestamps or date strings
+ * - created: {from, to} as timestamps or date strings
+ * - mime: A type, a prefix (ex. 'image/*') or a list of these
+ * - type: 'file' or 'directory'
+ * - maxDepth: Levels below the root to search (1 is only the root itself)
+ * - limit: Maximum number of results
+ *
+ * @param {object} options Search options
+ * @throws {Error} On invalid filters
+ * @return {object|null} Filters, or null if none were given
+ */
+const parseFilters = (options = {}) => {
+  const filters = {};
+  const given = key => options[key] !== undefined && options[key] !== null;
+
+  if (given('size')) {
+    filters.size = parseRange('size', options.size, ['min', 'max'], Number);
+  }
+
+  ['modified', 'created'].filter(given).forEach(key => {
+    filters[key] = parseRange(key, options[key], ['from', 'to'], parseDate);
+  });
+
+  if (given('mime')) {
+    filters.mime = options.mime;
+  }
+
+  if (given('type')) {
+    if (['file', 'directory'].indexOf(options.type) === -1) {
+      throw createError(400, 'Invalid search filter \'type\'');
+    }
+
+    filters.type = options.type;
+  }
+
+  ['maxDepth', 'limit'].filter(given).forEach(key => {
+    filters[key] = parseCount(key, options[key]);
+  });
+
+  return Object.keys(filters).length > 0 ? filters : null;
+};
+
+/*
+ * Gets a time from the stat of an entry
+ */
+const getTime = (entry, keys) => {
+  const stat = entry.stat || {};
+  const value = keys.map(key => stat[key] || entry[key]).find(value => !!value);
+  const time = value ? new Date(value).getTime() : NaN;
+
+  return isNaN(time) ? null : time;
+};
+
+/*
+ * Checks if a value is within a range
+ */
+const inRange = (range, value) => !range || (value !== null &&
+  (range.min === null || value >= range.min) &&
+  (range.max === null || value <= range.max));
+
+/**
+ * Creates a function that checks if a search result matches filters
+ * (except for depth and limit)
+ * @param {object} filters Parsed filters
+ * @return {Function}
+ */
+const createFilter = filters => entry => inRange(filters.size, entry.isDirectory ? null : (entry.size || 0)) &&
+  inRange(filters.modified, getTime(entry, ['mtime'])) &&
+  inRange(filters.created, getTime(entry, ['birthtime', 'ctime'])) &&
+  (!filters.mime || (!entry.isDirectory && matchesMime(filters.mime, entry.mime))) &&
+  (!filters.type || (filters.type === 'directory') === !!entry.isDirectory);
+
+/*
+ * Gets the depth of a path below a root
+ */
+const getDepth = (root, file) => file
+  .substr(root.replace(/\/?$/, '/').length)
+  .split('/')
+  .filter(str => !!str)
+  .length;
+
+/**
+ * Searches by walking a file tree, for adapters without native support for filters
+ * @param {Function} call Method caller
+ * @param {string} root VFS path to search within
+ * @param {string} pattern Glob pattern
+ * @param {object} filters Parsed filters
+ * @param {object} options VFS Options
+ * @return {Promise<object[]>}
+ */
+const walkSearch = (call, root, pattern, filters, options) => {
+  const glob = new minimatch.Minimatch(pattern || '*', {matchBase: true});
+  const filter = createFilter(filters);
+  const limit = filters.limit || Infinity;
+  const results = [];
+
+  return walkTree(call, root, {session: options.session}, (entry, name) => {
+    if (results.length >= limit) {
+      return false;
+    } else if (!name) {
+      return true;
+    }
+
+    if (glob.match(name) && filter(entry)) {
+      results.push(entry);
+    }
+
+    return !filters.maxDepth || name.split('/').length < filters.maxDepth;
+  }).then(() => results);
+};
+
+/**
+ * Wraps a method caller so that searches are narrowed by structured filters.
+ *
+ * Adapters with the 'searchFilters' capability get the filters with their
+ * options, and the results are checked again. Other adapters are searched by
+ * walking the tree.
+ *
+ * @param {object} found Resolved mountpoint
+ * @param {Function} call Method caller
+ * @return {Function}
+ */
+const wrapFilters = (found, call) => (method, ...args) => {
+  const [root, pattern, options = {}] = args;
+
+  if (method !== 'search' || options.fulltext) {
+    return call(method, ...args);
+  }
+
+  return Promise.resolve()
+    .then(() => parseFilters(options))
+    .then(filters => {
+      if (!filters) {
+        return call(method, ...args);
+      } else if (!(found.adapter.capabilities || {}).searchFilters) {
+        return walkSearch(call, root, pattern, filters, options);
+      }
+
+      const filter = createFilter(filters);
+
+      return call('search', root, pattern, {...options, filters})
+        .then(list => list
+          .filter(entry => !filters.maxDepth || getDepth(root, entry.path) <= filters.maxDepth)
+          .filter(filter)
+          .slice(0, filters.limit || list.length));
+    });
+};
+
+/*
+ * Creates a short excerpt of text around the first match of a word
+ */
+const createSnippet = (text, words, length = 160) => {
+  const lower = text.toLowerCase();
+  const index = words
+    .map(word => lower.indexOf(word))
+    .filter(index => index !== -1)
+    .sort((a, b) => a - b)[0] || 0;
+
+  const start = Math.max(0, index - Math.floor(length / 4));
+  const snippet = text.substr(start, length).trim();
+
+  return (start > 0 ? '…' : '') + snippet + (start + length < text.length ? '…' : '');
+};
+
+/**
+ * Creates the full-text search index.
+ *
+ * Text is extracted from files on mountpoints with indexing enabled and
+ * kept in an inverted index per storage the mountpoint resolves to (ie. the
+ * home directory of a user). An index is built by walking the mountpoint on
+ * the first query, and is then kept up to date by changes made through the
+ * VFS and by mountpoint watch events. Indexes are kept in files so they
+ * survive restarts, and indexes that have not been used for 'cacheMaxAge'
+ * are dropped from memory and read from their files again when needed.
+ *
+ * @param {Core} core Core reference
+ * @return {object}
+ */
+const createSearchIndex = core => {
+  const defaults = core.config('vfs.search');
+
+  const root = core.config('vfs.search.root') ||
+    path.join(core.config('vfs.root', process.cwd()), '.search');
+
+  const indexes = new Map();
+  const pending = new Set();
+  const findMountpoint = mountpointResolver(core);
+
+  const getFile = scope => path.join(root, crypto.createHash('sha1')
+    .update(scope)
+    .digest('hex') + '.json');
+
+  // Keeps track of background work so that it can be waited for
+  const track = promise => {
+    pending.add(promise);
+    return promise.finally(() => pending.delete(promise));
+  };
+
+  const addDocument = (index, file, document) => {
+    const frequencies = new Map();
+    tokenize(document.text).forEach(word => frequencies.set(word, (frequencies.get(word) || 0) + 1));
+    frequencies.forEach((count, word) => {
+      if (!index.words.has(word)) {
+        index.words.set(word, new Set());
+      }
+      index.words.get(word).add(file);
+    });
+
+    index.documents.set(file, {...document, frequencies});
+  };
+
+  const removeDocuments = (index, file) => {
+    Array.from(index.documents.keys())
+      .filter(key => isWithin(file, key))
+      .forEach(key => {
+        index.documents.get(key).frequencies.forEach((count, word) => {
+          const files = index.words.get(word);
+          files.delete(key);
+
+          if (files.size === 0) {
+            index.words.delete(word);
+          }
+        });
+
+        index.documents.delete(key);
+      });
+  };
+
+  // Runs changes to an index in sequence
+  const enqueue = (index, fn) => {
+    const next = index.queue.then(fn);
+    index.busy++;
+    index.queue = next.catch(() => {}).then(() => {
+      index.busy--;
+      index.used = Date.now();
+    });
+    return next;
+  };
+
+  const load = (found, options) => {
+    const scope = getMountpointScope(core, found.mount, options.session);
+
+    if (!indexes.has(scope)) {
+      const file = getFile(scope);
+      const index = {
+        file,
+        built: false,
+        dirty: false,
+        busy: 0,
+        used: 0,
+        documents: new Map(),
+        words: new Map(),
+        queue: Promise.resolve(),
+        saving: null
+      };
+
+      index.ready = enqueue(index, () => fs.readJson(file)
+        .then(data => {
+          index.built = !!data.built;
+          Object.keys(data.documents || {})
+            .forEach(key => addDocument(index, key, data.documents[key]));
+        })
+        .catch(() => undefined));
+
+      indexes.set(scope, index);
+    }
+
+    const index = indexes.get(scope);
+    index.used = Date.now();
+
+    return index.ready.then(() => index);
+  };
+
+  const save = index => {
+    if (!index.saving) {
+      index.saving = enqueue(index, () => {
+        const documents = {};
+        index.documents.forEach(({frequencies, ...document}, key) => (documents[key] = document));
+        index.saving = null;
+        index.dirty = false;
+
+        return fs.outputJson(index.file, {built: index.built, documents})
+          .catch(error => {
+            index.dirty = true;
+            throw error;
+          });
+      }).catch(error => core.logger.warn('Failed to save search index', error));
+    }
+
+    return index.saving;
+  };
+
+  /*
+   * Reads and extracts the text of a file
+   */
+  const read = (found, entry, options) => {
+    const {maxFileSize} = getSettings(found.mount, defaults);
+    const mime = entry.mime || core.make('osjs/vfs').mime(entry.path);
+
+    const document = {
+      mime,
+      size: entry.size || 0,
+      mtime: getMtime(entry),
+      text: ''
+    };
+
+    if (!isExtractable(mime) || document.size > maxFileSize) {
+      return Promise.resolve(document);
+    }
+
+    return Promise.resolve(found.adapter.readfile(found)(entry.path, {session: options.session}))
+      .then(stream => readBuffer(stream, maxFileSize))
+      .then(buffer => extractText(mime, buffer))
+      .then(text => ({...document, text: text.replace(/\s+/g, ' ').trim().substr(0, defaults.maxTextLength)}))
+      .catch(error => {
+        core.logger.warn(`Failed to index '${entry.path}'`, error.message);
+        return document;
+      });
+  };
+
+  /*
+   * Indexes a file, or all files in a directory
+   */
+  const scan = (found, index, file, options) => {
+    const call = (method, ...args) => Promise.resolve(found.adapter[method](found)(...args));
+
+    return walkTree(call, file, {session: options.session}, entry => entry.isFile
+      ? read(found, entry, options).then(document => addDocument(index, entry.path, document))
+      : true);
+  };
+
+  const build = (found, index, options) => enqueue(index, () => {
+    if (index.built) {
+      return false;
+    }
+
+    removeDocuments(index, `${found.mount.name}:/`);
+
+    return scan(found, index, `${found.mount.name}:/`, options)
+      .then(() => (index.built = true));
+  }).then(built => built && save(index));
+
+  /**
+   * Updates the index for a changed file or directory
+   * @param {object} found Resolved mountpoint
+   * @param {string} file VFS path
+   * @param {object} options VFS Options
+   * @return {Promise<undefined>}
+   */
+  const update = (found, file, options) => {
+    if (!getSettings(found.mount, defaults)) {
+      return Promise.resolve();
+    }
+
+    return track(load(found, options)
+      .then(index => enqueue(index, () => {
+        if (!index.built) {
+          return false;
+        }
+
+        const call = (method, ...args) => Promise.resolve(found.adapter[method](found)(...args));
+
+        return call('exists', file, {session: options.session})
+          .then(exists => {
+            removeDocuments(index, file);
+            return exists ? scan(found, index, file, options) : undefined;
+          })
+          .then(() => true);
+      }).then(changed => changed && save(index)))
+      .catch(error => core.logger.warn(`Failed to update search index for '${file}'`, error))
+      .then(() => undefined));
+  };
+
+  /**
+   * Rebuilds the index of a mountpoint
+   * @param {object} found Resolved mountpoint
+   * @param {object} options VFS Options
+   * @return {Promise<undefined>}
+   */
+  const rebuild = (found, options) => load(found, options)
+    .then(index => {
+      index.built = false;
+      return build(found, index, options);
+    })
+    .then(() => undefined);
+
+  /**
+   * Queries the index
+   * @param {object} found Resolved mountpoint
+   * @param {string} scope VFS path to search within
+   * @param {string} query Words to search for
+   * @param {object} options VFS Options
+   * @param {boolean} [options.phrase=false] Match the words as a phrase
+   * @param {string|string[]} [options.mime] MIME type filter (ex. 'text/*')
+   * @param {number} [options.offset=0] Pagination offset
+   * @param {number} [options.limit] Pagination limit
+   * @return {Promise<object>} The total count and a page of entries
+   */
+  const query = (found, scope, query, options) => {
+    if (!getSettings(found.mount, defaults)) {
+      return Promise.reject(createError(400, `Mountpoint '${found.mount.name}' is not indexed`));
+    }
+
+    const words = tokenize(query);
+    const offset = Math.max(0, parseInt(options.offset, 10) || 0);
+    const limit = Math.max(1, parseInt(options.limit, 10) || defaults.limit);
+
+    return load(found, options)
+      .then(index => build(found, index, options).then(() => index))
+      .then(index => {
+        const sets = words
+          .map(word => index.words.get(word) || new Set())
+          .sort((a, b) => a.size - b.size);
+
+        const candidates = sets.length > 0
+          ? Array.from(sets[0]).filter(file => sets.every(files => files.has(file)))
+          : [];
+
+        const phrase = ` ${words.join(' ')} `;
+        const matches = candidates
+          .filter(file => isWithin(scope, file))
+          .map(file => ({file, document: index.documents.get(file)}))
+          .filter(({document}) => !options.mime || matchesMime(options.mime, document.mime))
+          .filter(({document}) => !options.phrase || ` ${tokenize(document.text).join(' ')} `.indexOf(phrase) !== -1)
+          .map(({file, document}) => ({
+            file,
+            document,
+            score: words.reduce((sum, word) => sum + (document.frequencies.get(word) || 0), 0)
+          }))
+          .sort((a, b) => (b.score - a.score) || a.file.localeCompare(b.file));
+
+        return {
+          total: matches.length,
+          offset,
+          limit,
+          entries: matches.slice(offset, offset + limit).map(({file, document, score}) => ({
+            isDirectory: false,
+            isFile: true,
+            mime: document.mime,
+            size: document.size,
+            mtime: document.mtime,
+            path: file,
+            filename: path.posix.basename(file),
+            score,
+            snippet: createSnippet(document.text, words)
+          }))
+        };
+      });
+  };
+
+  /**
+   * Wraps a method caller so that the index is updated after changes
+   * @param {object} found Resolved mountpoint
+   * @param {Function} call Method caller
+   * @return {Function}
+   */
+  const wrap = (found, call) => {
+    if (!getSettings(found.mount, defaults)) {
+      return call;
+    }
+
+    return (method, ...args) => {
+      const options = (method === 'writefile' ? args[2] : args[1]) || {};
+
+      return call(method, ...args)
+        .then(result => {
+          if (['writefile', 'touch', 'unlink'].indexOf(method) !== -1) {
+            update(found, args[0], options);
+          }
+
+          return result;
+        });
+    };
+  };
+
+  /**
+   * Drops indexes that have not been used for a while from memory.
+   * Indexes with work in progress or unsaved changes are kept.
+   */
+  const evict = () => {
+    const now = Date.now();
+
+    indexes.forEach((index, scope) => {
+      if (!index.busy && !index.dirty && now - index.used >= defaults.cacheMaxAge) {
+        indexes.delete(scope);
+      }
+    });
+  };
+
+  const interval = setInterval(evict, Math.min(defaults.cacheMaxAge, 60 * 1000));
+
+  if (interval.unref) {
+    interval.unref();
+  }
+
+  core.on('osjs/core:destroy', () => clearInterval(interval));
+
+  core.on('osjs/vfs:watch:change', ({mountpoint, target, args}) => {
+    if (getSettings(mountpoint, defaults)) {
+      findMountpoint(target)
+        .then(found => update(found, target, {session: {user: {...args}}}))
+        .catch(error => core.logger.warn('Failed to update search index', error));
+    }
+  });
+
+  return {
+    isEnabled: found => !!getSettings(found.mount, defaults),
+    query,
+    update,
+    rebuild,
+    wrap,
+    evict,
+    flush: () => Promise.all(Array.from(pending))
+      .then(() => Promise.all(Array.from(indexes.values())
+        .map(index => index.queue)))
+      .then(() => undefined)
+  };
+};
+
+module.exports = {
+  getSettings,
+  parseFilters,
+  createFilter,
+  walkSearch,
+  wrapFilters,
+  tokenize,
+  isExtractable,
+  extractText,
+  createSearchIndex
+};
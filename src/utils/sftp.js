@@ -0,0 +1,193 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const {Client} = require('ssh2');
+const {createError} = require('./vfs');
+
+/**
+ * SFTP status codes
+ */
+const STATUS_NO_SUCH_FILE = 2;
+const STATUS_PERMISSION_DENIED = 3;
+
+/**
+ * Maps a SFTP error to a VFS error
+ * @param {Error} error Error
+ * @param {string} [file] The path the error occurred on
+ * @return {Error}
+ */
+const mapError = (error, file) => {
+  if (error.code === STATUS_NO_SUCH_FILE) {
+    return createError('ENOENT', file ? `File not found '${file}'` : error.message);
+  } else if (error.code === STATUS_PERMISSION_DENIED) {
+    return createError('EACCES', file ? `Permission denied '${file}'` : error.message);
+  }
+
+  return error;
+};
+
+/**
+ * Opens a SFTP session on a new SSH connection
+ * @param {object} options Connection options passed on to ssh2
+ * @return {Promise<object>} Connection with `sftp`, `close` and `onClose`
+ */
+const connect = options => new Promise((resolve, reject) => {
+  const client = new Client();
+  const listeners = [];
+  let connected = false;
+
+  const close = () => client.end();
+
+  client.on('ready', () => client.sftp((error, sftp) => {
+    if (error) {
+      close();
+      reject(error);
+      return;
+    }
+
+    connected = true;
+    resolve({
+      sftp,
+      close,
+      onClose: cb => listeners.push(cb)
+    });
+  }));
+
+  client.on('error', error => {
+    if (!connected) {
+      reject(error);
+    }
+  });
+
+  client.on('close', () => listeners.forEach(cb => cb()));
+
+  client.connect(options);
+});
+
+/**
+ * Creates a connection pool
+ *
+ * Connections are shared between concurrent uses until the limit is
+ * reached, and closed after being idle for a while.
+ *
+ * @param {Function} create Function that resolves a new connection
+ * @param {object} [options] Pool options
+ * @param {number} [options.max=2] Maximum number of connections
+ * @param {number} [options.idleTimeout=60000] Close connections idle for this long (ms)
+ * @return {object}
+ */
+const createPool = (create, {max = 2, idleTimeout = 60 * 1000} = {}) => {
+  let entries = [];
+
+  const remove = entry => {
+    entries = entries.filter(e => e !== entry);
+  };
+
+  const createEntry = () => {
+    const entry = {active: 0, used: Date.now()};
+
+    entry.promise = create()
+      .then(connection => {
+        connection.onClose(() => remove(entry));
+        return connection;
+      })
+      .catch(error => {
+        remove(entry);
+        throw error;
+      });
+
+    entries.push(entry);
+
+    return entry;
+  };
+
+  const acquire = () => {
+    const [least] = entries.slice().sort((a, b) => a.active - b.active);
+    const entry = least && (least.active === 0 || entries.length >= max)
+      ? least
+      : createEntry();
+
+    entry.active++;
+    entry.used = Date.now();
+
+    let released = false;
+    const release = () => {
+      if (!released) {
+        released = true;
+        entry.active--;
+        entry.used = Date.now();
+      }
+    };
+
+    return entry.promise
+      .then(connection => ({connection, release}))
+      .catch(error => {
+        release();
+        throw error;
+      });
+  };
+
+  const use = fn => acquire()
+    .then(({connection, release}) => Promise.resolve()
+      .then(() => fn(connection.sftp))
+      .then(result => {
+        release();
+        return result;
+      }, error => {
+        release();
+        throw error;
+      }));
+
+  const closeEntries = list => Promise.all(list.map(entry => {
+    remove(entry);
+    return entry.promise
+      .then(connection => connection.close())
+      .catch(() => {});
+  }));
+
+  const prune = (now = Date.now()) => closeEntries(entries
+    .filter(entry => entry.active === 0 && now - entry.used >= idleTimeout));
+
+  const close = () => closeEntries(entries.slice());
+
+  return {
+    acquire,
+    use,
+    prune,
+    close,
+    size: () => entries.length
+  };
+};
+
+module.exports = {
+  mapError,
+  connect,
+  createPool
+};
@@ -0,0 +1,304 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const {createError} = require('./vfs');
+
+/**
+ * Available share modes
+ */
+const shareModes = ['read', 'upload'];
+
+/*
+ * Hashes a password with a salt
+ */
+const hashPassword = (password, salt) => new Promise((resolve, reject) => {
+  crypto.scrypt(String(password), salt, 32, (error, key) => error ? reject(error) : resolve(key.toString('hex')));
+});
+
+/*
+ * Parses an expiry date
+ */
+const parseExpires = expires => {
+  if (expires === undefined || expires === null || expires === '') {
+    return null;
+  }
+
+  const time = new Date(typeof expires === 'string' && /^\d+$/.test(expires) ? Number(expires) : expires).getTime();
+  if (isNaN(time) || time <= Date.now()) {
+    throw createError(400, 'Share expiry must be a date in the future');
+  }
+
+  return time;
+};
+
+/*
+ * Parses a download limit
+ */
+const parseLimit = limit => {
+  if (limit === undefined || limit === null || limit === '') {
+    return null;
+  }
+
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 1) {
+    throw createError(400, 'Share download limit must be a positive number');
+  }
+
+  return value;
+};
+
+/**
+ * Gets the details of a share that are safe to give to its owner
+ * @param {object} share Share
+ * @return {object}
+ */
+const describeShare = share => ({
+  token: share.token,
+  path: share.path,
+  mode: share.mode,
+  isDirectory: share.isDirectory,
+  expires: share.expires,
+  maxDownloads: share.maxDownloads,
+  downloads: share.downloads,
+  password: !!share.password,
+  created: share.created
+});
+
+/**
+ * Creates the share link store.
+ *
+ * A share gives access to a file or directory through a random token,
+ * on behalf of the user that created it. Shares can be limited by an
+ * expiry date, a password and a number of downloads, and either allow
+ * reading or only uploading.
+ *
+ * @param {Core} core Core reference
+ * @return {object}
+ */
+const createShares = core => {
+  const root = core.config('vfs.shares.root') ||
+    path.join(core.config('vfs.root', process.cwd()), '.shares');
+
+  const sharePath = token => path.join(root, `${token}.json`);
+  let queue = Promise.resolve();
+
+  // Updates are done in sequence so that counters are not lost
+  const enqueue = fn => {
+    const next = queue.then(fn);
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  const isExpired = share => share.expires !== null && share.expires < Date.now();
+
+  const read = token => (/^[\w-]+$/.test(String(token))
+    ? fs.readJson(sharePath(token)).catch(() => null)
+    : Promise.resolve(null));
+
+  /**
+   * Creates a new share
+   * @param {object} user The user that owns the share
+   * @param {string} file VFS path
+   * @param {object} stat Stat of the path
+   * @param {object} [options] Share options
+   * @param {string} [options.mode='read'] 'read' or 'upload'
+   * @param {string|number} [options.expires] Expiry date
+   * @param {string} [options.password] Password
+   * @param {number} [options.maxDownloads] Download limit
+   * @return {Promise<object>}
+   */
+  const create = (user, file, stat, options = {}) => {
+    const mode = options.mode || 'read';
+
+    if (shareModes.indexOf(mode) === -1) {
+      return Promise.reject(createError(400, `Invalid share mode '${mode}'`));
+    } else if (mode === 'upload' && !stat.isDirectory) {
+      return Promise.reject(createError(400, 'Only directories can be shared for uploads'));
+    }
+
+    let share;
+    try {
+      share = {
+        token: crypto.randomBytes(24).toString('hex'),
+        user: {username: user.username, groups: user.groups || []},
+        path: file,
+        mode,
+        isDirectory: !!stat.isDirectory,
+        expires: parseExpires(options.expires),
+        maxDownloads: parseLimit(options.maxDownloads),
+        downloads: 0,
+        password: null,
+        created: Date.now()
+      };
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const password = options.password
+      ? hashPassword(options.password, salt).then(hash => ({salt, hash}))
+      : Promise.resolve(null);
+
+    return password
+      .then(result => (share.password = result))
+      .then(() => fs.outputJson(sharePath(share.token), share))
+      .then(() => share);
+  };
+
+  /**
+   * Loads a share that has not expired
+   * @param {string} token Share token
+   * @return {Promise<object>}
+   */
+  const load = token => read(token)
+    .then(share => {
+      if (!share) {
+        throw createError(404, 'Share was not found');
+      } else if (isExpired(share)) {
+        throw createError(410, 'Share has expired');
+      }
+
+      return share;
+    });
+
+  /**
+   * Checks the password of a share
+   * @param {object} share Share
+   * @param {string} [password] Given password
+   * @return {Promise<boolean>}
+   */
+  const authorize = (share, password) => {
+    if (!share.password) {
+      return Promise.resolve(true);
+    } else if (!password) {
+      return Promise.reject(createError(401, 'Share requires a password'));
+    }
+
+    return hashPassword(password, share.password.salt)
+      .then(hash => {
+        const expected = Buffer.from(share.password.hash, 'hex');
+        const given = Buffer.from(hash, 'hex');
+
+        if (!crypto.timingSafeEqual(expected, given)) {
+          throw createError(401, 'Invalid share password');
+        }
+
+        return true;
+      });
+  };
+
+  /**
+   * Counts a download of a share
+   * @param {string} token Share token
+   * @throws {Error} 410 if the download limit was reached
+   * @return {Promise<object>}
+   */
+  const consume = token => enqueue(() => load(token)
+    .then(share => {
+      if (share.maxDownloads !== null && share.downloads >= share.maxDownloads) {
+        throw createError(410, 'Share download limit was reached');
+      }
+
+      const updated = {...share, downloads: share.downloads + 1};
+      return fs.outputJson(sharePath(token), updated)
+        .then(() => updated);
+    }));
+
+  /**
+   * Lists the shares of a user
+   * @param {string} username Username
+   * @return {Promise<object[]>}
+   */
+  const list = username => fs.readdir(root)
+    .catch(() => [])
+    .then(files => Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => read(path.basename(file, '.json')))))
+    .then(shares => shares
+      .filter(share => share && share.user.username === username)
+      .sort((a, b) => b.created - a.created));
+
+  /**
+   * Removes a share of a user
+   * @param {string} username Username
+   * @param {string} token Share token
+   * @return {Promise<boolean>}
+   */
+  const remove = (username, token) => enqueue(() => read(token)
+    .then(share => {
+      if (!share || share.user.username !== username) {
+        throw createError(404, 'Share was not found');
+      }
+
+      return fs.remove(sharePath(token));
+    })
+    .then(() => true));
+
+  /**
+   * Removes shares that have expired
+   * @return {Promise<undefined>}
+   */
+  const purge = () => enqueue(() => fs.readdir(root)
+    .catch(() => [])
+    .then(files => Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => read(path.basename(file, '.json'))
+        .then(share => share && isExpired(share) ? fs.remove(sharePath(share.token)) : undefined))))
+    .then(() => undefined));
+
+  const interval = setInterval(() => {
+    purge().catch(error => core.logger.warn('Failed to remove expired shares', error));
+  }, 60 * 60 * 1000);
+
+  if (interval.unref) {
+    interval.unref();
+  }
+
+  core.on('osjs/core:destroy', () => clearInterval(interval));
+
+  return {
+    create,
+    load,
+    authorize,
+    consume,
+    list,
+    remove,
+    purge
+  };
+};
+
+module.exports = {
+  shareModes,
+  describeShare,
+  createShares
+};
@@ -0,0 +1,305 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const path = require('path');
+const {v4: uuid} = require('uuid');
+const {createError, walkTree} = require('./vfs');
+
+/**
+ * Used when a transfer is not tracked as an operation
+ */
+const untracked = {
+  check: () => {},
+  track: stream => stream,
+  progress: () => {}
+};
+
+/**
+ * Available conflict policies
+ */
+const conflictPolicies = ['overwrite', 'skip', 'rename'];
+
+/**
+ * Maximum number of attempts when finding a free name
+ */
+const MAX_RENAME_ATTEMPTS = 1000;
+
+/*
+ * Creates a new name with a counter, ex: "file (1).txt"
+ */
+const createCountedName = (file, count) => {
+  const dirname = path.posix.dirname(file);
+  const basename = path.posix.basename(file);
+  const [, name, ext] = basename.match(/^(.+?)((?:\.[^.]+)?)$/);
+
+  return `${dirname}/${name} (${count})${ext}`;
+};
+
+/*
+ * Creates a hidden temporary name next to a path
+ */
+const createTemporaryName = file => `${path.posix.dirname(file)}/.${path.posix.basename(file)}.${uuid()}.transfer`;
+
+/**
+ * Finds a free name for given path by appending a counter
+ * @param {Function} call Method caller
+ * @param {string} file The path
+ * @param {object} options VFS Options
+ * @return {Promise<string>}
+ */
+const findFreeName = (call, file, options) => {
+  const attempt = count => {
+    if (count > MAX_RENAME_ATTEMPTS) {
+      return Promise.reject(createError(400, `Could not find a free name for '${file}'`));
+    }
+
+    const current = createCountedName(file, count);
+    return call('exists', current, options)
+      .then(exists => exists ? attempt(count + 1) : current);
+  };
+
+  return attempt(1);
+};
+
+/**
+ * Resolves a destination path according to a conflict policy.
+ * Resolves null if the entry should be skipped. An entry that overwrites
+ * one of another type gets a temporary path, and the path it replaces.
+ * @param {Function} call Method caller
+ * @param {string} file The destination path
+ * @param {boolean} isDirectory If source is a directory
+ * @param {string} policy Conflict policy
+ * @param {object} options VFS Options
+ * @return {Promise<object|null>} An object with the path, if it already existed and what it replaces
+ */
+const resolveConflict = (call, file, isDirectory, policy, options) => call('exists', file, options)
+  .then(exists => {
+    if (!exists) {
+      return {path: file, exists: false};
+    }
+
+    return call('stat', file, options)
+      .then(stat => {
+        if (isDirectory && stat.isDirectory && policy !== 'rename') {
+          // Directories are merged unless they should be kept apart
+          return {path: file, exists: true};
+        } else if (policy === 'skip') {
+          return null;
+        } else if (policy === 'rename') {
+          return findFreeName(call, file, options)
+            .then(found => ({path: found, exists: false}));
+        } else if (isDirectory !== !!stat.isDirectory) {
+          return {path: createTemporaryName(file), exists: false, replaces: file};
+        }
+
+        return {path: file, exists: true};
+      });
+  });
+
+/**
+ * Copies or moves a file tree between (different) adapters
+ *
+ * Options:
+ *  - conflict: 'overwrite' (default), 'skip' or 'rename'
+ *  - onError: 'rollback' (default) removes everything that was created
+ *    and rejects. 'continue' reports the failed entries and carries on.
+ *    Combined with the 'skip' policy this allows to resume a transfer.
+ *
+ * When moving, the source is only removed if all entries were transferred.
+ * Entries of another type are only replaced once everything within them
+ * was transferred.
+ *
+ * @param {object} source Source
+ * @param {Function} source.call Source method caller
+ * @param {string} source.path Source path
+ * @param {object} target Target
+ * @param {Function} target.call Target method caller
+ * @param {string} target.path Target path
+ * @param {object} [options] Transfer options
+ * @param {boolean} [options.move=false] Remove source after transfer
+ * @param {object} [options.vfs] VFS Options passed on to adapters
+ * @param {object} [options.operation] Operation for progress and cancellation
+ * @return {Promise<object>} A report of the transfer
+ */
+const transferTree = (source, target, options = {}) => {
+  const {
+    move = false,
+    vfs = {},
+    conflict = 'overwrite',
+    onError = 'rollback',
+    operation = untracked
+  } = options;
+
+  if (conflictPolicies.indexOf(conflict) === -1) {
+    return Promise.reject(createError(400, `Invalid conflict policy '${conflict}'`));
+  }
+
+  const report = {
+    transferred: [],
+    skipped: [],
+    errors: []
+  };
+
+  const created = [];
+  const replacements = [];
+  const destinations = new Map();
+
+  const fail = (entry, error) => {
+    report.errors.push({path: entry.path, error: error.message || String(error)});
+
+    if (onError !== 'continue' || operation.cancelled) {
+      throw error;
+    }
+  };
+
+  const transferDirectory = (entry, destination) => resolveConflict(target.call, destination, true, conflict, vfs)
+    .then(found => {
+      if (!found) {
+        report.skipped.push(entry.path);
+        return false;
+      }
+
+      return target.call('mkdir', found.path, {...vfs, ensure: true})
+        .then(() => {
+          if (!found.exists) {
+            created.push(found.path);
+          }
+
+          if (found.replaces) {
+            replacements.push({entry, found});
+          }
+
+          report.transferred.push(entry.path);
+          return found.path;
+        });
+    });
+
+  const transferFile = (entry, destination) => resolveConflict(target.call, destination, false, conflict, vfs)
+    .then(found => {
+      if (!found) {
+        report.skipped.push(entry.path);
+        return false;
+      }
+
+      let writing = false;
+
+      return source.call('readfile', entry.path, vfs)
+        .then(stream => {
+          writing = true;
+          return target.call('writefile', found.path, operation.track(stream, entry.size), vfs);
+        })
+        .then(result => {
+          if (!result) {
+            throw createError(400, `Could not write '${found.path}'`);
+          }
+
+          if (!found.exists) {
+            created.push(found.path);
+          }
+
+          if (found.replaces) {
+            replacements.push({entry, found});
+          }
+
+          report.transferred.push(entry.path);
+          return found.path;
+        })
+        .catch(error => {
+          // Only remove what this transfer created, never an existing file
+          const cleanup = writing && !found.exists
+            ? target.call('unlink', found.path, vfs).catch(() => {})
+            : Promise.resolve();
+
+          return cleanup.then(() => Promise.reject(error));
+        });
+    });
+
+  // Swaps in entries that replace others, or leaves the others if anything within failed
+  const replace = () => replacements.reduce((promise, {entry, found}) => promise.then(() => {
+    const failed = report.errors.some(({path: file}) => file === entry.path || file.startsWith(entry.path.replace(/\/?$/, '/')));
+
+    return failed
+      ? target.call('unlink', found.path, vfs).catch(() => {})
+      : target.call('unlink', found.replaces, vfs)
+        .then(() => target.call('rename', found.path, found.replaces, vfs));
+  }), Promise.resolve());
+
+  const rollback = () => created
+    .reverse()
+    .reduce((promise, file) => promise
+      .then(() => target.call('unlink', file, vfs))
+      .catch(() => {}), Promise.resolve());
+
+  return walkTree(source.call, source.path, vfs, (entry, name) => {
+    const parent = name ? destinations.get(path.posix.dirname(name)) : null;
+    const destination = name
+      ? `${parent.replace(/\/?$/, '/')}${path.posix.basename(name)}`
+      : target.path;
+
+    const transfer = () => entry.isDirectory
+      ? transferDirectory(entry, destination)
+      : transferFile(entry, destination);
+
+    return Promise.resolve()
+      .then(() => operation.check())
+      .then(transfer)
+      .then(result => {
+        operation.progress({entries: 1});
+
+        if (result && entry.isDirectory) {
+          destinations.set(name || '.', result);
+        }
+
+        return entry.isDirectory ? !!result : undefined;
+      })
+      .catch(error => {
+        fail(entry, error);
+        return false;
+      });
+  })
+    .then(() => replace())
+    .catch(error => rollback()
+      .then(() => {
+        const e = createError(error.code || 400, `Transfer failed: ${error.message}`);
+        e.errors = report.errors;
+        throw e;
+      }))
+    .then(() => move && report.errors.length === 0 && report.skipped.length === 0
+      ? source.call('unlink', source.path, vfs)
+      : undefined)
+    .then(() => report);
+};
+
+module.exports = {
+  conflictPolicies,
+  findFreeName,
+  resolveConflict,
+  transferTree
+};
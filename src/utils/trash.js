@@ -0,0 +1,323 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const sanitizeFilename = require('sanitize-filename');
+const {v4: uuid} = require('uuid');
+const {createError, createMethodCaller, getBasename, walkTree} = require('./vfs');
+const {findFreeName, transferTree} = require('./transfer');
+
+/*
+ * Splits a VFS path into the mountpoint root and the names after it
+ */
+const splitPath = file => {
+  const [, root, rest] = String(file).match(/^([\w-_]+:\/*)(.*)$/) || [null, file, ''];
+
+  return {
+    root: root.replace(/\/*$/, '/'),
+    names: rest.split('/').filter(str => str.length > 0)
+  };
+};
+
+/*
+ * Creates the parent directories of a path if they are missing
+ */
+const ensureParents = (call, file, options) => {
+  const {root, names} = splitPath(file);
+
+  return names.slice(0, -1).reduce((promise, name, index) => promise
+    .then(() => call('mkdir', root + names.slice(0, index + 1).join('/'), {...options, ensure: true})),
+  Promise.resolve());
+};
+
+/**
+ * Creates the trash (recycle bin).
+ *
+ * Removed files and directories are moved into a directory per user,
+ * next to a metadata file that records where they came from. Items are
+ * purged when they get older than 'maxAge', and the oldest items of a
+ * user are purged when the trash grows beyond 'maxSize'. Metadata of
+ * the items is kept with them when given a metadata store.
+ *
+ * The trash is off unless 'enabled' is set, and the 'trash' attribute
+ * of a mountpoint turns it on or off for that mountpoint.
+ *
+ * @param {Core} core Core reference
+ * @param {object} [metadata] Metadata store
+ * @return {object}
+ */
+const createTrash = (core, metadata) => {
+  const {enabled, maxAge, maxSize} = core.config('vfs.trash');
+
+  const root = core.config('vfs.trash.root') ||
+    path.join(core.config('vfs.root', process.cwd()), '.trash');
+
+  const userPath = username => path.join(root, sanitizeFilename(String(username)));
+  const metaPath = (username, id) => path.join(userPath(username), `${id}.json`);
+  const dataPath = (username, id) => path.join(userPath(username), id);
+  const getUsername = options => ((options.session || {}).user || {}).username;
+  const getSystemAdapter = () => core.make('osjs/vfs').adapters.system;
+
+  // Local files are moved directly, everything else is transferred
+  const isLocal = found => found.adapter === getSystemAdapter();
+
+  const createTrashCaller = username => createMethodCaller({
+    adapter: getSystemAdapter(),
+    mount: {
+      name: 'trash',
+      root: 'trash:/',
+      attributes: {root: userPath(username)}
+    }
+  });
+
+  /**
+   * Checks if items removed from a mountpoint go to the trash
+   * @param {object} found Resolved mountpoint
+   * @return {boolean}
+   */
+  const isEnabled = found => typeof found.mount.attributes.trash === 'boolean'
+    ? found.mount.attributes.trash
+    : enabled === true;
+
+  /**
+   * Checks if a path removed with given options goes to the trash
+   * @param {object} found Resolved mountpoint
+   * @param {object} options VFS Options
+   * @return {boolean}
+   */
+  const keeps = (found, options) => options.permanent !== true &&
+    isEnabled(found) &&
+    !!getUsername(options);
+
+  /**
+   * Lists the items in the trash of a user, newest first
+   * @param {string} username Username
+   * @return {Promise<object[]>}
+   */
+  const list = username => fs.readdir(userPath(username))
+    .catch(() => [])
+    .then(files => Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => fs.readJson(path.join(userPath(username), file)).catch(() => null))))
+    .then(items => items
+      .filter(item => !!item)
+      .sort((a, b) => b.deleted - a.deleted));
+
+  /**
+   * Loads an item from the trash of a user
+   * @param {string} username Username
+   * @param {string} id Item id
+   * @return {Promise<object>}
+   */
+  const load = (username, id) => (/^[\w-]+$/.test(String(id))
+    ? fs.readJson(metaPath(username, id)).catch(() => null)
+    : Promise.resolve(null))
+    .then(item => {
+      if (!item) {
+        throw createError(404, `Trash item '${id}' was not found`);
+      }
+
+      return item;
+    });
+
+  /**
+   * Permanently removes an item from the trash of a user
+   * @param {string} username Username
+   * @param {string} id Item id
+   * @return {Promise<boolean>}
+   */
+  const remove = (username, id) => load(username, id)
+    .then(() => fs.remove(dataPath(username, id)))
+    .then(() => fs.remove(metaPath(username, id)))
+    .then(() => true);
+
+  /**
+   * Permanently removes all items from the trash of a user
+   * @param {string} username Username
+   * @return {Promise<boolean>}
+   */
+  const empty = username => fs.remove(userPath(username))
+    .then(() => true);
+
+  /*
+   * Removes items of a user that are too old, or that make the trash too large
+   */
+  const purgeUser = username => list(username)
+    .then(items => {
+      let size = 0;
+
+      const expired = items.filter(item => {
+        size += item.size;
+
+        return (maxAge && item.deleted + maxAge < Date.now()) ||
+          (maxSize && size > maxSize);
+      });
+
+      return Promise.all(expired.map(item => remove(username, item.id)));
+    });
+
+  /**
+   * Removes items that are too old, or that make the trash of a user too large
+   * @param {string} [username] Only purge the trash of this user
+   * @return {Promise<undefined>}
+   */
+  const purge = username => (username
+    ? Promise.resolve([username])
+    : fs.readdir(root).catch(() => []))
+    .then(usernames => Promise.all(usernames.map(purgeUser)))
+    .then(() => undefined);
+
+  /**
+   * Moves a file or directory into the trash of the user
+   * @param {object} found Resolved mountpoint
+   * @param {string} file VFS path
+   * @param {object} options VFS Options
+   * @return {Promise<object>} The trash item
+   */
+  const put = (found, file, options) => {
+    const username = getUsername(options);
+    const vfsOptions = {session: options.session};
+    const call = createMethodCaller(found);
+    const id = uuid();
+    const item = {
+      id,
+      path: file,
+      filename: getBasename(file),
+      isDirectory: false,
+      size: 0,
+      files: 0,
+      deleted: null
+    };
+
+    return walkTree(call, file, vfsOptions, (entry, name) => {
+      if (name) {
+        item.files++;
+      } else {
+        item.isDirectory = !!entry.isDirectory;
+      }
+
+      item.size += entry.isDirectory ? 0 : (entry.size || 0);
+    })
+      .then(() => metadata && metadata.collect(found, file, options))
+      .then(entries => {
+        if (entries && Object.keys(entries).length > 0) {
+          item.metadata = entries;
+        }
+      })
+      .then(() => fs.ensureDir(userPath(username)))
+      .then(() => isLocal(found)
+        ? call('realpath', file, vfsOptions)
+          .then(realPath => fs.move(realPath, dataPath(username, id)))
+        : transferTree({call, path: file}, {call: createTrashCaller(username), path: `trash:/${id}`}, {
+          move: true,
+          vfs: vfsOptions
+        }))
+      .then(() => fs.writeJson(metaPath(username, id), {...item, deleted: Date.now()}))
+      .then(() => purge(username))
+      .then(() => load(username, id));
+  };
+
+  /**
+   * Moves an item out of the trash of a user.
+   * If the destination exists, a new name is picked.
+   * @param {object} found Resolved mountpoint of the destination
+   * @param {object} item Trash item
+   * @param {string} file Destination VFS path
+   * @param {object} options VFS Options
+   * @return {Promise<string>} The restored path
+   */
+  const restore = (found, item, file, options) => {
+    const username = getUsername(options);
+    const vfsOptions = {session: options.session};
+    const call = createMethodCaller(found);
+    let destination = file;
+
+    return ensureParents(call, file, vfsOptions)
+      .then(() => call('exists', file, vfsOptions))
+      .then(exists => exists ? findFreeName(call, file, vfsOptions) : file)
+      .then(result => (destination = result))
+      .then(() => isLocal(found)
+        ? call('realpath', destination, vfsOptions)
+          .then(realPath => fs.move(dataPath(username, item.id), realPath))
+        : transferTree({call: createTrashCaller(username), path: `trash:/${item.id}`}, {call, path: destination}, {
+          move: true,
+          vfs: vfsOptions
+        }))
+      .then(() => metadata && metadata.apply(found, destination, item.metadata, options))
+      .then(() => fs.remove(metaPath(username, item.id)))
+      .then(() => destination);
+  };
+
+  /**
+   * Wraps a method caller so that removed files go to the trash,
+   * unless the 'permanent' option is set
+   * @param {object} found Resolved mountpoint
+   * @param {Function} call Method caller
+   * @return {Function}
+   */
+  const wrap = (found, call) => (method, ...args) => {
+    const [file, options = {}] = args;
+
+    if (method !== 'unlink' || !keeps(found, options)) {
+      return call(method, ...args);
+    }
+
+    return call('exists', file, {session: options.session})
+      .then(exists => exists ? put(found, file, options).then(() => true) : call(method, ...args));
+  };
+
+  const interval = setInterval(() => {
+    purge().catch(error => core.logger.warn('Failed to purge trash', error));
+  }, 60 * 60 * 1000);
+
+  if (interval.unref) {
+    interval.unref();
+  }
+
+  core.on('osjs/core:destroy', () => clearInterval(interval));
+
+  return {
+    isEnabled,
+    keeps,
+    list,
+    load,
+    put,
+    restore,
+    remove,
+    empty,
+    purge,
+    wrap
+  };
+};
+
+module.exports = {
+  createTrash
+};
@@ -0,0 +1,226 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const {createError, getMountpointScope, walkTree} = require('./vfs');
+const {getMtime} = require('./conditional');
+
+/*
+ * Options that are passed on when reading directories of a tree
+ */
+const listingKeys = ['showHiddenFiles', 'sortBy', 'sortDir', 'stat'];
+
+/*
+ * Checks if a path is within a directory
+ */
+const isWithin = (root, file) => file === root ||
+  file.startsWith(root.replace(/\/?$/, '/'));
+
+/*
+ * Gets the entries of a readdir result, which is a page when listing options are used
+ */
+const getEntries = result => Array.isArray(result) ? result : result.entries;
+
+/**
+ * Creates the service for recursive listings and disk usage.
+ *
+ * Results are cached per path, and are reused as long as the modification
+ * time of the path is the same and they are not older than 'cacheMaxAge'.
+ * Changes made through the VFS clear the results of the paths they affect.
+ *
+ * @param {Core} core Core reference
+ * @return {object}
+ */
+const createTrees = core => {
+  const settings = core.config('vfs.tree');
+
+  const cache = new Map();
+
+  const getScope = (found, options) => getMountpointScope(core, found.mount, options.session);
+
+  const cached = (found, call, file, variant, options, compute) => {
+    const scope = getScope(found, options);
+    const key = [scope, file, variant].join('\n');
+
+    return call('stat', file, {session: options.session})
+      .then(stat => {
+        const mtime = getMtime(stat);
+        const hit = cache.get(key);
+
+        if (hit && hit.mtime === mtime && Date.now() - hit.created < settings.cacheMaxAge) {
+          return hit.value;
+        }
+
+        return compute({...stat, path: file})
+          .then(value => {
+            cache.delete(key);
+            cache.set(key, {scope, path: file, mtime, created: Date.now(), value});
+
+            if (cache.size > settings.cacheSize) {
+              cache.delete(cache.keys().next().value);
+            }
+
+            return value;
+          });
+      });
+  };
+
+  /**
+   * Clears cached results affected by a change to a path
+   * @param {object} found Resolved mountpoint
+   * @param {string} file VFS path
+   * @param {object} options VFS Options
+   */
+  const invalidate = (found, file, options) => {
+    const scope = getScope(found, options);
+
+    cache.forEach((entry, key) => {
+      if (entry.scope === scope && (isWithin(entry.path, file) || isWithin(file, entry.path))) {
+        cache.delete(key);
+      }
+    });
+  };
+
+  /**
+   * Parses the depth of a tree
+   * @param {*} depth Depth
+   * @throws {Error} On invalid depth
+   * @return {number}
+   */
+  const parseDepth = depth => {
+    if (depth === undefined || depth === null || depth === '') {
+      return 1;
+    }
+
+    const value = Number(depth);
+    if (!Number.isInteger(value) || value < 1 || value > settings.maxDepth) {
+      throw createError(400, `Depth must be between 1 and ${settings.maxDepth}`);
+    }
+
+    return value;
+  };
+
+  /**
+   * Lists a directory and its subdirectories
+   * @param {object} found Resolved mountpoint
+   * @param {Function} call Method caller
+   * @param {string} file VFS path
+   * @param {number} depth Levels of directories to list
+   * @param {object} options VFS Options
+   * @param {object} operation Operation
+   * @return {Promise<object>} The entry of the path, where directories have 'children' (null beyond the depth)
+   */
+  const tree = (found, call, file, depth, options, operation) => {
+    const readdirOptions = {session: options.session};
+    listingKeys
+      .filter(key => options[key] !== undefined)
+      .forEach(key => (readdirOptions[key] = options[key]));
+
+    const read = (entry, level) => {
+      operation.check();
+
+      if (!entry.isDirectory) {
+        return Promise.resolve(entry);
+      } else if (level >= depth) {
+        return Promise.resolve({...entry, children: null});
+      }
+
+      return call('readdir', entry.path, readdirOptions)
+        .then(result => {
+          const entries = getEntries(result);
+          operation.progress({entries: entries.length});
+
+          return entries.reduce((promise, child) => promise
+            .then(children => read(child, level + 1)
+              .then(result => [...children, result])), Promise.resolve([]));
+        })
+        .then(children => ({...entry, children}));
+    };
+
+    const variant = `tree:${depth}:${JSON.stringify(readdirOptions, listingKeys)}`;
+
+    return cached(found, call, file, variant, options, stat => read(stat, 0));
+  };
+
+  /**
+   * Measures the size and number of entries of a path
+   * @param {object} found Resolved mountpoint
+   * @param {Function} call Method caller
+   * @param {string} file VFS path
+   * @param {object} options VFS Options
+   * @param {object} operation Operation
+   * @return {Promise<object>}
+   */
+  const du = (found, call, file, options, operation) => cached(found, call, file, 'du', options, () => {
+    const usage = {path: file, size: 0, files: 0, directories: 0};
+
+    return walkTree(call, file, {session: options.session}, entry => {
+      operation.check();
+      operation.progress({entries: 1});
+
+      if (entry.isDirectory) {
+        usage.directories += entry.path === file ? 0 : 1;
+      } else {
+        usage.files++;
+        usage.size += entry.size || 0;
+      }
+    }).then(() => usage);
+  });
+
+  /**
+   * Wraps a method caller so that cached results are cleared after changes
+   * @param {object} found Resolved mountpoint
+   * @param {Function} call Method caller
+   * @return {Function}
+   */
+  const wrap = (found, call) => (method, ...args) => {
+    const options = (method === 'writefile' ? args[2] : args[1]) || {};
+
+    return call(method, ...args)
+      .then(result => {
+        if (['writefile', 'touch', 'mkdir', 'unlink'].indexOf(method) !== -1) {
+          invalidate(found, args[0], options);
+        }
+
+        return result;
+      });
+  };
+
+  return {
+    parseDepth,
+    tree,
+    du,
+    invalidate,
+    wrap
+  };
+};
+
+module.exports = {
+  createTrees
+};
@@ -0,0 +1,247 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const {Transform} = require('stream');
+const {v4: uuid} = require('uuid');
+const {createError} = require('./vfs');
+
+/*
+ * Creates a stream that fails when more than given bytes passes through
+ */
+const createLimitStream = limit => {
+  let received = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+
+      if (received > limit) {
+        callback(createError(413, 'Upload exceeds the declared size'));
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+};
+
+/**
+ * Creates a store for resumable uploads.
+ *
+ * Each upload is kept as a metadata file and a data file in the upload
+ * directory. The current offset is the size of the data file, so bytes
+ * received before a dropped connection are kept. Uploads that see no
+ * activity before they expire are removed.
+ *
+ * @param {Core} core Core reference
+ * @return {object}
+ */
+const createUploads = core => {
+  const {root, expires, maxSize} = core.config('vfs.uploads');
+
+  const busy = new Set();
+  const metaPath = id => path.join(root, `${id}.json`);
+  const dataPath = id => path.join(root, `${id}.part`);
+
+  const remove = id => Promise.all([
+    fs.remove(metaPath(id)),
+    fs.remove(dataPath(id))
+  ]).then(() => true);
+
+  const save = upload => {
+    const updated = {...upload, expires: Date.now() + expires};
+    delete updated.offset;
+
+    return fs.writeJson(metaPath(upload.id), updated)
+      .then(() => ({...updated, offset: upload.offset}));
+  };
+
+  /**
+   * Loads an upload owned by given user
+   * @param {string} username Username
+   * @param {string} id Upload id
+   * @return {Promise<object>}
+   */
+  const load = (username, id) => (/^[\w-]+$/.test(String(id))
+    ? fs.readJson(metaPath(id)).catch(() => null)
+    : Promise.resolve(null))
+    .then(upload => {
+      if (!upload || upload.username !== username || upload.expires < Date.now()) {
+        throw createError(404, `Upload '${id}' was not found`);
+      }
+
+      return fs.stat(dataPath(id))
+        .then(stat => ({...upload, offset: stat.size}));
+    });
+
+  /**
+   * Creates a new upload
+   * @param {string} username Username
+   * @param {string} file Destination VFS path
+   * @param {number} size Total size in bytes
+   * @return {Promise<object>}
+   */
+  const create = (username, file, size) => {
+    if (!Number.isInteger(size) || size < 0) {
+      return Promise.reject(createError(400, 'A valid upload size is required'));
+    } else if (maxSize && size > maxSize) {
+      return Promise.reject(createError(413, `Upload size exceeds the limit of ${maxSize} bytes`));
+    }
+
+    const upload = {
+      id: uuid(),
+      username,
+      path: file,
+      size,
+      offset: 0,
+      created: Date.now()
+    };
+
+    return purge()
+      .then(() => fs.ensureDir(root))
+      .then(() => fs.writeFile(dataPath(upload.id), Buffer.alloc(0)))
+      .then(() => save(upload));
+  };
+
+  /**
+   * Appends a chunk to an upload at given offset
+   * @param {string} username Username
+   * @param {string} id Upload id
+   * @param {number} offset The offset the chunk starts at
+   * @param {Stream} stream The chunk
+   * @return {Promise<object>}
+   */
+  const append = (username, id, offset, stream) => load(username, id)
+    .then(upload => {
+      if (busy.has(id)) {
+        throw createError(409, `Upload '${id}' is receiving another chunk`);
+      } else if (offset !== upload.offset) {
+        throw createError(409, `Upload offset mismatch, expected ${upload.offset}`);
+      }
+
+      busy.add(id);
+
+      return new Promise((resolve, reject) => {
+        const limit = createLimitStream(upload.size - upload.offset);
+        const write = fs.createWriteStream(dataPath(id), {flags: 'a'});
+        let ended = false;
+        let aborted = false;
+
+        const fail = error => {
+          write.destroy();
+          reject(error);
+        };
+
+        // Aborted requests might only close, but what was received is kept
+        const abort = () => {
+          if (!ended && !aborted) {
+            aborted = true;
+            stream.unpipe(limit);
+            limit.end();
+          }
+        };
+
+        stream.on('end', () => (ended = true));
+        stream.on('aborted', abort);
+        stream.on('close', abort);
+        stream.on('error', fail);
+        limit.on('error', fail);
+        write.on('error', fail);
+        write.on('finish', () => aborted
+          ? reject(createError(400, `Upload '${id}' was aborted`))
+          : resolve());
+
+        stream.pipe(limit).pipe(write);
+
+        if (stream.destroyed) {
+          abort();
+        }
+      })
+        .then(() => load(username, id))
+        .then(save)
+        .finally(() => busy.delete(id));
+    });
+
+  /**
+   * Opens the data of a complete upload
+   * @param {string} username Username
+   * @param {string} id Upload id
+   * @return {Promise<object>} The upload and a stream of its data
+   */
+  const open = (username, id) => load(username, id)
+    .then(upload => {
+      if (busy.has(id)) {
+        throw createError(409, `Upload '${id}' is receiving a chunk`);
+      } else if (upload.offset !== upload.size) {
+        throw createError(409, `Upload is not complete, received ${upload.offset} of ${upload.size} bytes`);
+      }
+
+      return {upload, stream: fs.createReadStream(dataPath(id))};
+    });
+
+  /**
+   * Removes uploads that have expired
+   * @return {Promise<undefined>}
+   */
+  const purge = () => fs.readdir(root)
+    .catch(() => [])
+    .then(files => Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .filter(id => !busy.has(id))
+      .map(id => fs.readJson(metaPath(id))
+        .catch(() => ({expires: 0}))
+        .then(upload => upload.expires < Date.now() ? remove(id) : undefined))))
+    .then(() => undefined);
+
+  const interval = setInterval(() => {
+    purge().catch(error => core.logger.warn('Failed to remove expired uploads', error));
+  }, Math.min(expires, 60 * 60 * 1000));
+
+  if (interval.unref) {
+    interval.unref();
+  }
+
+  core.on('osjs/core:destroy', () => clearInterval(interval));
+
+  return {
+    create,
+    load,
+    append,
+    open,
+    remove,
+    purge
+  };
+};
+
+module.exports = {
+  createUploads
+};
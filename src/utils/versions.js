@@ -0,0 +1,260 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const {v4: uuid} = require('uuid');
+const {createError, getMountpointScope, walkTree} = require('./vfs');
+const {getMtime} = require('./conditional');
+
+/**
+ * Resolves the versioning settings of a mountpoint.
+ *
+ * The mountpoint 'versions' attribute is either true, or an object with
+ * 'max' (number of revisions to keep) and 'maxAge' (milliseconds to keep
+ * revisions for). Unset values fall back to the 'vfs.versions' configuration.
+ *
+ * @param {object} mount Mountpoint
+ * @param {object} defaults Default settings
+ * @return {object|null} Settings, or null if versioning is disabled
+ */
+const getSettings = (mount, defaults) => {
+  const {versions} = mount.attributes || {};
+  if (!versions) {
+    return null;
+  }
+
+  return {
+    max: defaults.max,
+    maxAge: defaults.maxAge,
+    ...(typeof versions === 'object' ? versions : {})
+  };
+};
+
+/**
+ * Creates the version history store.
+ *
+ * When a file on a mountpoint with versioning is overwritten or removed,
+ * its previous contents are copied into a directory per file (keyed by
+ * the storage the mountpoint resolves to and the path). Any adapter that
+ * can read files is supported. Files removed into the given trash are
+ * kept there instead.
+ *
+ * @param {Core} core Core reference
+ * @param {object} [trash] Trash
+ * @return {object}
+ */
+const createVersions = (core, trash) => {
+  const defaults = core.config('vfs.versions');
+
+  const root = core.config('vfs.versions.root') ||
+    path.join(core.config('vfs.root', process.cwd()), '.versions');
+
+  const getDirectory = (found, file, options) => {
+    const scope = getMountpointScope(core, found.mount, options.session);
+    const hash = crypto.createHash('sha1')
+      .update(`${scope}\n${file}`)
+      .digest('hex');
+
+    return path.join(root, hash);
+  };
+
+  // Keeps revisions in order even when saved within the same millisecond
+  let lastCreated = 0;
+  const now = () => (lastCreated = Math.max(Date.now(), lastCreated + 1));
+
+  const metaPath = (directory, id) => path.join(directory, `${id}.json`);
+  const dataPath = (directory, id) => path.join(directory, id);
+
+  /**
+   * Lists the revisions of a file, newest first
+   * @param {object} found Resolved mountpoint
+   * @param {string} file VFS path
+   * @param {object} options VFS Options
+   * @return {Promise<object[]>}
+   */
+  const list = (found, file, options) => {
+    const directory = getDirectory(found, file, options);
+
+    return fs.readdir(directory)
+      .catch(() => [])
+      .then(files => Promise.all(files
+        .filter(name => name.endsWith('.json'))
+        .map(name => fs.readJson(path.join(directory, name)).catch(() => null))))
+      .then(versions => versions
+        .filter(version => !!version)
+        .sort((a, b) => b.created - a.created));
+  };
+
+  /**
+   * Loads a revision of a file
+   * @param {object} found Resolved mountpoint
+   * @param {string} file VFS path
+   * @param {string} id Revision id
+   * @param {object} options VFS Options
+   * @return {Promise<object>}
+   */
+  const load = (found, file, id, options) => {
+    const directory = getDirectory(found, file, options);
+
+    return (/^[\w-]+$/.test(String(id))
+      ? fs.readJson(metaPath(directory, id)).catch(() => null)
+      : Promise.resolve(null))
+      .then(version => {
+        if (!version) {
+          throw createError(404, `Version '${id}' of '${file}' was not found`);
+        }
+
+        return version;
+      });
+  };
+
+  /**
+   * Opens the contents of a revision
+   * @param {object} found Resolved mountpoint
+   * @param {string} file VFS path
+   * @param {string} id Revision id
+   * @param {object} options VFS Options
+   * @return {Promise<object>} The revision and a stream of its contents
+   */
+  const open = (found, file, id, options) => load(found, file, id, options)
+    .then(version => ({
+      version,
+      stream: fs.createReadStream(dataPath(getDirectory(found, file, options), id))
+    }));
+
+  /*
+   * Removes revisions beyond the limits of the mountpoint
+   */
+  const prune = (found, file, options) => {
+    const {max, maxAge} = getSettings(found.mount, defaults);
+    const directory = getDirectory(found, file, options);
+
+    return list(found, file, options)
+      .then(versions => versions.filter((version, index) => (max && index >= max) ||
+        (maxAge && version.created + maxAge < Date.now())))
+      .then(expired => Promise.all(expired.map(version => Promise.all([
+        fs.remove(dataPath(directory, version.id)),
+        fs.remove(metaPath(directory, version.id))
+      ]))))
+      .then(() => undefined);
+  };
+
+  /*
+   * Copies the current contents of a file into a new revision
+   */
+  const save = (found, call, file, stat, options) => {
+    const directory = getDirectory(found, file, options);
+    const version = {
+      id: uuid(),
+      path: file,
+      size: stat.size || 0,
+      mtime: getMtime(stat),
+      created: now()
+    };
+
+    return fs.ensureDir(directory)
+      .then(() => call('readfile', file, {session: options.session}))
+      .then(stream => new Promise((resolve, reject) => {
+        const write = fs.createWriteStream(dataPath(directory, version.id));
+        stream.on('error', reject);
+        write.on('error', reject);
+        write.on('finish', resolve);
+        stream.pipe(write);
+      }))
+      .then(() => fs.writeJson(metaPath(directory, version.id), version))
+      .then(() => prune(found, file, options))
+      .then(() => version);
+  };
+
+  /**
+   * Keeps the current contents of a file, or all files in a directory
+   * @param {object} found Resolved mountpoint
+   * @param {Function} call Method caller
+   * @param {string} file VFS path
+   * @param {object} options VFS Options
+   * @param {boolean} [recursive=false] Include files in directories
+   * @return {Promise<undefined>}
+   */
+  const snapshot = (found, call, file, options, recursive = false) => {
+    const vfsOptions = {session: options.session};
+
+    return call('exists', file, vfsOptions)
+      .then(exists => exists && walkTree(call, file, vfsOptions, entry => entry.isFile
+        ? save(found, call, entry.path, entry, options)
+        : recursive))
+      .then(() => undefined);
+  };
+
+  /**
+   * Wraps a method caller so that files are kept before they
+   * are overwritten or removed
+   * @param {object} found Resolved mountpoint
+   * @param {Function} call Method caller
+   * @return {Function}
+   */
+  const wrap = (found, call) => {
+    if (!getSettings(found.mount, defaults)) {
+      return call;
+    }
+
+    return (method, ...args) => {
+      const options = (method === 'unlink' ? args[1] : args[2]) || {};
+
+      // Files replaced by a rename within the mountpoint are kept as well
+      const file = method === 'rename' ? args[1] : args[0];
+
+      if (['writefile', 'unlink', 'rename'].indexOf(method) === -1) {
+        return call(method, ...args);
+      } else if (method === 'unlink' && trash && trash.keeps(found, options)) {
+        return call(method, ...args);
+      }
+
+      return snapshot(found, call, file, options, method === 'unlink')
+        .catch(error => core.logger.warn(`Failed to keep a version of '${file}'`, error))
+        .then(() => call(method, ...args));
+    };
+  };
+
+  return {
+    isEnabled: found => !!getSettings(found.mount, defaults),
+    list,
+    load,
+    open,
+    snapshot,
+    wrap
+  };
+};
+
+module.exports = {
+  getSettings,
+  createVersions
+};
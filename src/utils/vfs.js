@@ -30,9 +30,10 @@
 
 const fs = require('fs-extra');
 const url = require('url');
+const path = require('path');
 const sanitizeFilename = require('sanitize-filename');
 const formidable = require('formidable');
-const {Stream} = require('stream');
+const {Stream, PassThrough} = require('stream');
 
 /**
  * A map of error codes
@@ -42,11 +43,71 @@ const errorCodes = {
   EACCES: 401
 };
 
+/**
+ * Gets the HTTP status code of an error
+ */
+const getErrorStatus = error => typeof error.code === 'number'
+  ? error.code
+  : (errorCodes[error.code] || 400);
+
+/*
+ * Segment value map
+ */
+const segments = {
+  root: {
+    dynamic: false,
+    fn: () => process.cwd()
+  },
+
+  vfs: {
+    dynamic: false,
+    fn: core => core.config('vfs.root', process.cwd())
+  },
+
+  username: {
+    dynamic: true,
+    fn: (core, session) => session.user.username
+  }
+};
+
+/*
+ * Gets a segment value
+ */
+const getSegment = (core, session, seg) => segments[seg] ? segments[seg].fn(core, session) : '';
+
+/*
+ * Matches a string for segments
+ */
+const matchSegments = str => (str.match(/(\{\w+\})/g) || []);
+
+/*
+ * Resolves a string with segments
+ */
+const resolveSegments = (core, session, str) => matchSegments(str)
+  .reduce((result, current) => result.replace(current, getSegment(core, session, current.replace(/(\{|\})/g, ''))), str);
+
+/**
+ * Gets a key for the storage a mountpoint resolves to for a user
+ */
+const getMountpointScope = (core, mount, session = {}) => {
+  const {root, prefix} = mount.attributes || {};
+  const resolved = [root, prefix]
+    .filter(str => typeof str === 'string')
+    .map(str => resolveSegments(core, session, str));
+
+  return [mount.name, ...resolved].join(':');
+};
+
 /**
  * Gets prefix of a VFS path
  */
 const getPrefix = path => String(path).split(':')[0];
 
+/**
+ * Gets the basename of a VFS path (or the prefix if root)
+ */
+const getBasename = file => path.posix.basename(String(file).replace(/^[\w-_]+:\/*/, '')) || getPrefix(file);
+
 /**
  * Sanitizes a path
  */
@@ -64,13 +125,18 @@ const sanitize = filename => {
 };
 
 /**
- * Gets the stream from a HTTP request
+ * Gets the stream from a HTTP request.
+ * Streams of temporary files are marked so that adapters can move them.
  */
 const streamFromRequest = req => {
   const isStream = req.files.upload instanceof Stream;
-  return isStream
-    ? req.files.upload
-    : fs.createReadStream(req.files.upload.path);
+  if (isStream) {
+    return req.files.upload;
+  }
+
+  const stream = fs.createReadStream(req.files.upload.path);
+  stream.temporary = true;
+  return stream;
 };
 
 const validateAll = (arr, compare, strict = true) => arr[strict ? 'every' : 'some'](g => compare.indexOf(g) !== -1);
@@ -171,6 +237,41 @@ const mountpointResolver = core => async (path) => {
   return Object.freeze({mount, adapter});
 };
 
+/**
+ * Creates a function for calling methods on a resolved mountpoint adapter
+ */
+const createMethodCaller = found => (method, ...args) => found.adapter[method]
+  ? Promise.resolve(found.adapter[method](found, found)(...args))
+  : Promise.reject(new Error(`Adapter does not support ${method}`));
+
+/**
+ * Checks if a resolved mountpoint supports ranged reads
+ */
+const supportsRanges = found => {
+  const {ranges} = found.mount.attributes || {};
+
+  return typeof ranges === 'boolean'
+    ? ranges
+    : !!(found.adapter.capabilities || {}).ranges;
+};
+
+/**
+ * Walks a file tree in sequence, parents before children.
+ * The callback gets the entry and the path relative to the root,
+ * and can return false to skip the children of a directory.
+ */
+const walkTree = (call, file, options, callback) => {
+  const walk = (entry, name) => Promise.resolve(callback(entry, name))
+    .then(result => entry.isDirectory && result !== false
+      ? call('readdir', entry.path, options)
+        .then(list => list.reduce((promise, child) => promise
+          .then(() => walk(child, name ? `${name}/${child.filename}` : child.filename)), Promise.resolve()))
+      : undefined);
+
+  return call('stat', file, options)
+    .then(stat => walk({...stat, path: file}, ''));
+};
+
 /*
  * Parses URL Body
  */
@@ -194,17 +295,102 @@ const parseJson = req => {
   return false;
 };
 
+/*
+ * Fails a stream once it is being consumed, so that the error
+ * is not emitted before anyone is listening for it
+ */
+const failStream = (stream, error) => {
+  if (stream.destroyed) {
+    return;
+  } else if (stream.readableFlowing) {
+    stream.destroy(error);
+  } else {
+    stream.once('resume', () => stream.destroy(error));
+  }
+};
+
+/*
+ * Creates a stream of a multipart file part.
+ * The stream is not ended before the whole form was parsed.
+ */
+const createPartStream = (form, part, maxFileSize) => {
+  const stream = new PassThrough();
+  let failed = false;
+  let size = 0;
+
+  stream.on('drain', () => form.resume());
+
+  part.on('data', buffer => {
+    size += buffer.length;
+
+    if (size > maxFileSize) {
+      if (!failed) {
+        failed = true;
+        failStream(stream, createError(413, `maxFileSize exceeded, received ${size} bytes of file data`));
+      }
+    } else if (!stream.write(buffer)) {
+      form.pause();
+    }
+  });
+
+  const complete = error => {
+    if (!failed) {
+      failed = !!error;
+
+      if (error) {
+        failStream(stream, error);
+      } else {
+        stream.end();
+      }
+    }
+  };
+
+  return {stream, complete};
+};
+
 /*
  * Parses Form Body
+ *
+ * A file that is sent after the 'path' field is not written to a temporary
+ * file, but handed over as a stream and the request resolves right away.
+ * All other fields has to be sent before the file, and any parts following
+ * it makes the stream fail with a 400 error.
  */
 const parseFormData = (req, {maxFieldsSize, maxFileSize}) => {
   const form = new formidable.IncomingForm();
+  const received = {};
+  let streamed = null;
+  let trailing = null;
+
   form.maxFieldsSize = maxFieldsSize;
   form.maxFileSize = maxFileSize;
 
   return new Promise((resolve, reject) => {
+    form.on('field', (name, value) => (received[name] = value));
+
+    form.onPart = part => {
+      if (streamed) {
+        trailing = trailing || part.name;
+        return;
+      } else if (part.filename === undefined || received.path === undefined) {
+        form.handlePart(part);
+        return;
+      }
+
+      streamed = createPartStream(form, part, maxFileSize);
+      resolve({fields: {...received}, files: {[part.name]: streamed.stream}});
+    };
+
     form.parse(req, (err, fields, files) => {
-      return err ? reject(err) : resolve({fields, files});
+      if (streamed) {
+        streamed.complete(err || (trailing
+          ? createError(400, `Field '${trailing}' must be sent before the file`)
+          : null));
+      } else if (err) {
+        reject(err);
+      } else {
+        resolve({fields, files});
+      }
     });
   });
 };
@@ -222,6 +408,12 @@ const parseFields = config => (req, res) => {
     return Promise.resolve(json);
   }
 
+  // Upload chunks are streamed as-is
+  const contentType = req.headers['content-type'] || '';
+  if (contentType.indexOf('application/offset+octet-stream') !== -1) {
+    return Promise.resolve(parseGet(req));
+  }
+
   return parseFormData(req, config);
 };
 
@@ -233,15 +425,38 @@ const methodArguments = {
   realpath: ['path'],
   exists: ['path'],
   stat: ['path'],
-  readdir: ['path'],
+  readdir: ['path', 'options'],
   readfile: ['path'],
   writefile: ['path', upload => ({upload})],
   mkdir: ['path'],
-  unlink: ['path'],
+  unlink: ['path', 'options'],
   touch: ['path'],
-  search: ['root', 'pattern'],
-  copy: ['from', 'to'],
-  rename: ['from', 'to']
+  search: ['root', 'pattern', 'options'],
+  copy: ['from', 'to', 'options'],
+  rename: ['from', 'to', 'options'],
+  archive: ['paths', 'to', 'options'],
+  extract: ['path', 'to', 'options'],
+  cancel: ['id'],
+  quota: ['path'],
+  tree: ['path', 'depth', 'options'],
+  du: ['path', 'options'],
+  trash: [],
+  trashRestore: ['id', 'to'],
+  trashRemove: ['id'],
+  trashEmpty: [],
+  versions: ['path'],
+  versionReadfile: ['path', 'id'],
+  versionRestore: ['path', 'id'],
+  history: ['path', 'limit'],
+  historyDiff: ['path', 'from', 'to'],
+  historyReadfile: ['path', 'revision'],
+  metadata: ['path'],
+  metadataSet: ['path', 'metadata'],
+  metadataRemove: ['path'],
+  metadataSearch: ['root', 'tags', 'match', 'starred', 'color'],
+  share: ['path', 'options'],
+  shares: [],
+  shareRemove: ['token']
 };
 
 module.exports = {
@@ -252,7 +467,16 @@ module.exports = {
   streamFromRequest,
   sanitize,
   getPrefix,
+  getBasename,
+  createMethodCaller,
+  supportsRanges,
+  walkTree,
+  segments,
+  matchSegments,
+  resolveSegments,
+  getMountpointScope,
   parseFields,
   errorCodes,
+  getErrorStatus,
   methodArguments
 };
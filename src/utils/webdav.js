@@ -0,0 +1,282 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const http = require('http');
+const https = require('https');
+const {URL} = require('url');
+const {createError} = require('./vfs');
+
+/*
+ * Decodes XML entities
+ */
+const decodeXml = str => str
+  .replace(/&#x([0-9a-f]+);/gi, (m, c) => String.fromCharCode(parseInt(c, 16)))
+  .replace(/&#(\d+);/g, (m, c) => String.fromCharCode(parseInt(c, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+/*
+ * Gets the inner content of all XML elements by local name,
+ * regardless of the namespace prefix the server uses
+ */
+const getElements = (xml, tag) => {
+  const re = new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}\\s*>)`, 'g');
+  const result = [];
+  let match;
+
+  while ((match = re.exec(xml)) !== null) {
+    result.push(match[1] || '');
+  }
+
+  return result;
+};
+
+/*
+ * Gets the decoded content of a XML element by local name
+ */
+const getElement = (xml, tag) => {
+  const [found] = getElements(xml, tag);
+  return typeof found === 'string' ? decodeXml(found.trim()) : undefined;
+};
+
+/*
+ * Reads the entire response body
+ */
+const readBody = res => new Promise((resolve, reject) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('error', error => reject(error));
+  res.on('end', () => resolve(Buffer.concat(chunks).toString()));
+});
+
+/*
+ * Creates an error from a response
+ */
+const createResponseError = res => {
+  const message = `Request failed with status ${res.statusCode}`;
+
+  if ([404, 409].indexOf(res.statusCode) !== -1) {
+    return createError('ENOENT', message);
+  } else if ([401, 403].indexOf(res.statusCode) !== -1) {
+    return createError('EACCES', message);
+  } else if ([405, 412].indexOf(res.statusCode) !== -1) {
+    return createError('EEXIST', message);
+  } else if ([423, 507].indexOf(res.statusCode) !== -1) {
+    return createError(res.statusCode, message);
+  }
+
+  return createError(res.statusCode >= 500 ? 502 : 400, message);
+};
+
+/*
+ * Encodes a relative path for use in an URI
+ */
+const encodePath = file => file.split('/')
+  .filter(str => str.length > 0)
+  .map(encodeURIComponent)
+  .join('/');
+
+/*
+ * Decodes a href into a path relative to the given base path
+ */
+const decodeHref = (href, endpoint) => {
+  const {pathname} = new URL(href, endpoint);
+  const base = endpoint.pathname.replace(/\/?$/, '/');
+  const relative = (pathname + '/').startsWith(base)
+    ? pathname.substr(base.length)
+    : pathname;
+
+  return relative.split('/')
+    .filter(str => str.length > 0)
+    .map(decodeURIComponent)
+    .join('/');
+};
+
+/**
+ * Parses a PROPFIND multistatus response
+ * @param {string} xml Response body
+ * @param {URL} endpoint The endpoint the paths are relative to
+ * @return {object[]}
+ */
+const parseMultistatus = (xml, endpoint) => getElements(xml, 'response')
+  .map(response => {
+    const props = getElements(response, 'propstat')
+      .filter(propstat => (getElement(propstat, 'status') || '').match(/\s2\d\d\s/))
+      .map(propstat => getElements(propstat, 'prop').join(''))
+      .join('');
+
+    const resourcetype = getElements(props, 'resourcetype').join('');
+    const modified = getElement(props, 'getlastmodified');
+
+    return {
+      path: decodeHref(getElement(response, 'href'), endpoint),
+      isDirectory: getElements(resourcetype, 'collection').length > 0,
+      size: parseInt(getElement(props, 'getcontentlength'), 10) || 0,
+      mtime: modified ? new Date(modified) : null,
+      etag: getElement(props, 'getetag'),
+      contentType: getElement(props, 'getcontenttype')
+    };
+  });
+
+/**
+ * Creates a new WebDAV client
+ * @param {object} options Client options
+ * @param {string} options.url Base URL of the share
+ * @param {string} [options.username] Username
+ * @param {string} [options.password] Password
+ * @param {object} [options.headers] Extra headers sent with every request
+ * @return {object}
+ */
+const createClient = (options = {}) => {
+  const endpoint = new URL(options.url.replace(/\/?$/, '/'));
+  const transport = endpoint.protocol === 'https:' ? https : http;
+  const authorization = options.username
+    ? 'Basic ' + Buffer.from(`${options.username}:${options.password || ''}`).toString('base64')
+    : undefined;
+
+  const createPath = file => endpoint.pathname + encodePath(file);
+
+  const request = (method, file, {headers = {}, body} = {}) => new Promise((resolve, reject) => {
+    const req = transport.request({
+      method,
+      protocol: endpoint.protocol,
+      hostname: endpoint.hostname,
+      port: endpoint.port || undefined,
+      path: createPath(file),
+      headers: {
+        ...options.headers || {},
+        ...authorization ? {authorization} : {},
+        ...headers
+      }
+    }, res => {
+      if (res.statusCode >= 300) {
+        res.resume();
+        reject(createResponseError(res));
+      } else {
+        resolve(res);
+      }
+    });
+
+    req.on('error', error => reject(error));
+
+    if (body && typeof body.pipe === 'function') {
+      body.on('error', error => req.destroy(error));
+      body.pipe(req);
+    } else {
+      req.end(body);
+    }
+  });
+
+  const requestEmpty = (...args) => request(...args)
+    .then(res => {
+      res.resume();
+      return true;
+    });
+
+  const propfind = (file, depth = 0) => request('PROPFIND', file, {
+    headers: {
+      depth: String(depth),
+      'content-type': 'application/xml; charset=utf-8'
+    },
+    body: '<?xml version="1.0" encoding="utf-8"?><d:propfind xmlns:d="DAV:"><d:prop>' +
+      '<d:resourcetype/><d:getcontentlength/><d:getlastmodified/><d:getetag/><d:getcontenttype/>' +
+      '</d:prop></d:propfind>'
+  })
+    .then(readBody)
+    .then(xml => parseMultistatus(xml, endpoint));
+
+  const stat = file => propfind(file, 0)
+    .then(([entry]) => {
+      if (!entry) {
+        throw createError('ENOENT', `File not found '${file}'`);
+      }
+
+      return entry;
+    });
+
+  const list = file => {
+    const dirname = file.split('/').filter(str => str.length > 0).join('/');
+
+    return propfind(file, 1)
+      .then(entries => entries.filter(entry => entry.path !== dirname));
+  };
+
+  const get = (file, range) => request('GET', file, {
+    headers: range && typeof range[0] === 'number'
+      ? {range: `bytes=${range[0]}-${typeof range[1] === 'number' ? range[1] : ''}`}
+      : {}
+  });
+
+  const put = (file, body, headers = {}) => requestEmpty('PUT', file, {body, headers});
+
+  const mkcol = file => requestEmpty('MKCOL', file);
+
+  const remove = file => requestEmpty('DELETE', file);
+
+  const createUrl = file => endpoint.origin + createPath(file);
+
+  const copy = (src, dest, overwrite = true) => requestEmpty('COPY', src, {
+    headers: {
+      destination: createUrl(dest),
+      overwrite: overwrite ? 'T' : 'F',
+      depth: 'infinity'
+    }
+  });
+
+  const move = (src, dest, overwrite = true) => requestEmpty('MOVE', src, {
+    headers: {
+      destination: createUrl(dest),
+      overwrite: overwrite ? 'T' : 'F'
+    }
+  });
+
+  return {
+    endpoint,
+    createUrl,
+    request,
+    propfind,
+    stat,
+    list,
+    get,
+    put,
+    mkcol,
+    remove,
+    copy,
+    move
+  };
+};
+
+module.exports = {
+  parseMultistatus,
+  createClient
+};
@@ -31,15 +31,47 @@
 const fs = require('fs-extra');
 const path = require('path');
 const express = require('express');
-const {Stream} = require('stream');
+const {Stream, PassThrough} = require('stream');
 const {
   mountpointResolver,
   checkMountpointPermission,
   streamFromRequest,
   sanitize,
   parseFields,
-  errorCodes
+  getErrorStatus,
+  createError,
+  createMethodCaller,
+  getBasename,
+  walkTree,
+  supportsRanges
 } = require('./utils/vfs');
+const {
+  getArchiveType,
+  iterateArchive,
+  createArchive,
+  appendArchiveEntry
+} = require('./utils/archive');
+const {findFreeName, transferTree} = require('./utils/transfer');
+const {createOperations} = require('./utils/operations');
+const {createUploads} = require('./utils/uploads');
+const {parseRangeHeader, createMultipartRanges} = require('./utils/ranges');
+const {createQuotas} = require('./utils/quotas');
+const {createTrash} = require('./utils/trash');
+const {createVersions} = require('./utils/versions');
+const {createSearchIndex, wrapFilters} = require('./utils/search');
+const {wrapListing} = require('./utils/listing');
+const {createTrees} = require('./utils/tree');
+const {createMetadata, parseQuery} = require('./utils/metadata');
+const {createShares, describeShare} = require('./utils/shares');
+const {
+  getMtime,
+  createEtag,
+  getConditions,
+  isNotModified,
+  isRangeFresh,
+  assertPreconditions,
+  hasPreconditions
+} = require('./utils/conditional');
 
 const respondNumber = result => typeof result === 'number' ? result : -1;
 const respondBoolean = result => typeof result === 'boolean' ? result : !!result;
@@ -47,15 +79,77 @@ const requestPath = req => ([sanitize(req.fields.path)]);
 const requestSearch = req => ([sanitize(req.fields.root), req.fields.pattern]);
 const requestCross = req => ([sanitize(req.fields.from), sanitize(req.fields.to)]);
 const requestFile = req => ([sanitize(req.fields.path), streamFromRequest(req)]);
+const requestExtract = req => ([sanitize(req.fields.path), sanitize(req.fields.to)]);
+const requestArchive = req => ([[].concat(req.fields.paths || []).map(sanitize), sanitize(req.fields.to)]);
+const isStrict = found => found.mount.attributes.strictGroups !== false;
+const uploadSize = req => {
+  const {upload} = req.files || {};
+  const length = upload && upload.headers ? parseInt(upload.headers['content-length'], 10) : NaN;
+
+  // Temporary files have a size, and request bodies (ex. WebDAV) a length
+  if (upload && typeof upload.size === 'number') {
+    return upload.size;
+  }
+
+  return Number.isNaN(length) ? undefined : length;
+};
+
+// Methods that are tracked as operations
+const trackedMethods = ['writefile', 'search'];
+
+// Methods that support preconditions
+const conditionalMethods = ['writefile', 'unlink'];
 
 /*
- * Parses the range request headers
+ * Appends a header if given a HTTP response
  */
-const parseRangeHeader = (range, size) => {
-  const [pstart, pend] = range.replace(/bytes=/, '').split('-');
-  const start = parseInt(pstart, 10);
-  const end = pend ? parseInt(pend, 10) : undefined;
-  return [start, end];
+const appendHeader = (res, name, value) => {
+  if (value && typeof res.append === 'function') {
+    res.append(name, value);
+  }
+};
+
+/*
+ * Sets the validator headers of a file
+ */
+const appendValidators = (res, stat) => {
+  const mtime = getMtime(stat);
+
+  appendHeader(res, 'ETag', createEtag(stat));
+  appendHeader(res, 'Last-Modified', mtime === null ? null : new Date(mtime).toUTCString());
+};
+
+/*
+ * Sets the status code if given a HTTP response
+ */
+const setStatus = (res, code) => {
+  if (typeof res.status === 'function') {
+    res.status(code);
+  }
+};
+
+/*
+ * Creates a stream without any data
+ */
+const createEmptyStream = () => {
+  const stream = new PassThrough();
+  stream.end();
+  return stream;
+};
+
+/*
+ * Checks the preconditions of a request against the current state of a file
+ */
+const checkPreconditions = async (req, call, file, options) => {
+  const conditions = getConditions(req, options);
+
+  if (hasPreconditions(conditions)) {
+    const vfsOptions = {session: options.session};
+    const exists = await call('exists', file, vfsOptions);
+    const stat = exists ? await call('stat', file, vfsOptions) : null;
+
+    assertPreconditions(stat, conditions);
+  }
 };
 
 /**
@@ -64,7 +158,15 @@ const parseRangeHeader = (range, size) => {
 const onDone = (req, res) => {
   if (req.files) {
     for (let fieldname in req.files) {
-      fs.unlink(req.files[fieldname].path, () => ({}));
+      const file = req.files[fieldname];
+
+      if (file instanceof Stream) {
+        // Discard whatever was not consumed
+        file.on('error', () => {});
+        file.resume();
+      } else if (file && file.path) {
+        fs.unlink(file.path, () => ({}));
+      }
     }
   }
 };
@@ -75,6 +177,15 @@ const onDone = (req, res) => {
 const wrapper = fn => (req, res, next) => fn(req, res)
   .then(result => {
     if (result instanceof Stream) {
+      result.on('error', error => {
+        // Streams might fail after the response has started
+        if (res.headersSent) {
+          res.destroy(error);
+        } else {
+          next(error);
+        }
+      });
+
       result.pipe(res);
     } else {
       res.json(result);
@@ -112,7 +223,6 @@ const createMiddleware = core => {
 
 const createOptions = req => {
   const options = req.fields.options;
-  const range = req.headers && req.headers.range;
   const session = {...req.session || {}};
   let result = options || {};
 
@@ -124,18 +234,121 @@ const createOptions = req => {
     }
   }
 
-  if (range) {
-    result.range = parseRangeHeader(req.headers.range);
-  }
-
   return {
     ...result,
     session
   };
 };
 
+/*
+ * Appends a file tree to an archive
+ */
+const appendArchiveTree = (archive, call, root, options, operation) => {
+  const basename = getBasename(root);
+
+  return walkTree(call, root, options, (entry, name) => {
+    if (operation) {
+      operation.check();
+      operation.progress({entries: 1});
+    }
+
+    const data = {
+      name: (name ? `${basename}/${name}` : basename) + (entry.isDirectory ? '/' : ''),
+      date: entry.stat && entry.stat.mtime ? new Date(entry.stat.mtime) : new Date()
+    };
+
+    return entry.isDirectory
+      ? appendArchiveEntry(archive, null, data)
+      : call('readfile', entry.path, options)
+        .then(stream => appendArchiveEntry(archive, operation ? operation.track(stream) : stream, data));
+  });
+};
+
+/*
+ * Creates a zip stream of a directory for downloading
+ */
+const createDirectoryDownload = (res, call, file, options) => {
+  const filename = encodeURIComponent(getBasename(file) + '.zip');
+  const archive = createArchive('zip');
+
+  res.append('Content-Type', 'application/zip');
+  res.append('Content-Disposition', `attachment; filename*=utf-8''${filename}`);
+
+  appendArchiveTree(archive, call, file, {session: options.session})
+    .then(() => archive.finalize())
+    .catch(error => archive.destroy(error));
+
+  return archive;
+};
+
+/*
+ * Creates the response of a file read.
+ * Supports HEAD requests and single or multiple ranges.
+ */
+const createReadResponse = (req, res, call, file, stat, options, ranges) => {
+  const isHead = String(req.method || '').toLowerCase() === 'head';
+  const headers = req.headers || {};
+  const read = range => call('readfile', file, {...options, range});
+  let requested = null;
+
+  if (ranges && stat.isFile) {
+    appendHeader(res, 'Accept-Ranges', 'bytes');
+
+    if (headers.range && isRangeFresh(stat, headers['if-range'])) {
+      try {
+        requested = parseRangeHeader(headers.range, stat.size);
+      } catch (e) {
+        appendHeader(res, 'Content-Range', `bytes */${stat.size}`);
+        throw e;
+      }
+    }
+  }
+
+  if (options.download) {
+    const filename = encodeURIComponent(path.basename(file));
+    appendHeader(res, 'Content-Disposition', `attachment; filename*=utf-8''${filename}`);
+  }
+
+  if (requested && requested.length > 1) {
+    const {boundary, length, createStream} = createMultipartRanges(read, requested, stat.size, stat.mime);
+
+    setStatus(res, 206);
+    appendHeader(res, 'Content-Type', `multipart/byteranges; boundary=${boundary}`);
+    appendHeader(res, 'Content-Length', String(length));
+
+    return isHead ? createEmptyStream() : createStream();
+  } else if (requested) {
+    const [{start, end}] = requested;
+
+    setStatus(res, 206);
+    appendHeader(res, 'Content-Type', stat.mime);
+    appendHeader(res, 'Content-Range', `bytes ${start}-${end}/${stat.size}`);
+    appendHeader(res, 'Content-Length', String(end - start + 1));
+
+    return isHead ? createEmptyStream() : read([start, end]);
+  }
+
+  appendHeader(res, 'Content-Type', stat.mime);
+  if (stat.isFile) {
+    appendHeader(res, 'Content-Length', String(stat.size));
+  }
+
+  return isHead ? createEmptyStream() : read();
+};
+
+// Services that wrap method callers, from the outermost to the innermost
+const callerServices = ['changes', 'quotas', 'versions', 'trash'];
+
+/*
+ * Creates a method caller wrapped in given services, always in the same order
+ */
+const createServiceCaller = (services, found, names = callerServices) => callerServices
+  .filter(name => names.indexOf(name) !== -1)
+  .reduceRight((call, name) => services[name].wrap(found, call), createMethodCaller(found));
+
 // Standard request with only a target
-const createRequestFactory = findMountpoint => (getter, method, readOnly, respond) => async (req, res) => {
+const createRequestFactory = services => (getter, method, readOnly, respond) => async (req, res) => {
+  const {findMountpoint, operations, searchIndex, metadata} = services;
   const options = createOptions(req);
   const args = [...getter(req, res), options];
 
@@ -148,90 +361,767 @@ const createRequestFactory = findMountpoint => (getter, method, readOnly, respon
 
   const {attributes} = found.mount;
   const strict = attributes.strictGroups !== false;
-  const ranges = (!attributes.adapter || attributes.adapter === 'system') || attributes.ranges === true;
-  const vfsMethodWrapper = m => found.adapter[m]
-    ? found.adapter[m](found)(...args)
-    : Promise.reject(new Error(`Adapter does not support ${m}`));
-  const readstat = () => vfsMethodWrapper('stat').catch(() => ({}));
+  const ranges = supportsRanges(found);
+  const call = wrapListing(found, wrapFilters(found, createServiceCaller(services, found)));
+  const vfsMethodWrapper = m => call(m, ...args);
+  const readstat = () => call('stat', args[0], options).catch(() => ({}));
   await checkMountpointPermission(req, res, method, readOnly, strict)(found);
 
-  const result = await vfsMethodWrapper(method);
+  if (method === 'search' && options.fulltext) {
+    return searchIndex.query(found, args[0], args[1], options);
+  }
+
+  const stat = method === 'readfile' ? await readstat() : null;
+
   if (method === 'readfile') {
-    const stat = await readstat();
+    if (options.download && stat.isDirectory) {
+      return createDirectoryDownload(res, call, args[0], options);
+    }
 
-    if (ranges && options.range) {
-      try {
-        if (stat.size) {
-          const size = stat.size;
-          const [start, end] = options.range;
-          const realEnd = end ? end : size - 1;
-          const chunksize = (realEnd - start) + 1;
-
-          res.writeHead(206, {
-            'Content-Range': `bytes ${start}-${realEnd}/${size}`,
-            'Accept-Ranges': 'bytes',
-            'Content-Length': chunksize,
-            'Content-Type': stat.mime
-          });
-        }
-      } catch (e) {
-        console.warn('Failed to send a ranged response', e);
+    if (stat.isFile) {
+      appendValidators(res, stat);
+
+      if (isNotModified(stat, getConditions(req, options))) {
+        setStatus(res, 304);
+
+        return null;
       }
-    } else if (stat.mime) {
-      res.append('Content-Type', stat.mime);
     }
 
-    if (options.download) {
-      const filename = encodeURIComponent(path.basename(args[0]));
-      res.append('Content-Disposition', `attachment; filename*=utf-8''${filename}`);
-    }
+    return createReadResponse(req, res, call, args[0], stat, options, ranges);
+  } else if (conditionalMethods.indexOf(method) !== -1) {
+    await checkPreconditions(req, call, args[0], options);
+  }
+
+  const result = trackedMethods.indexOf(method) !== -1
+    ? await operations.run(req, method, {path: args[0]}, options, operation => method === 'writefile'
+      ? call(method, args[0], args[1].temporary ? args[1] : operation.track(args[1], uploadSize(req)), ...args.slice(2))
+      : vfsMethodWrapper(method))
+    : await vfsMethodWrapper(method);
+
+  if (method === 'writefile' && result) {
+    appendValidators(res, await readstat());
+  } else if (method === 'stat' && result) {
+    const stored = await metadata.find(found, args[0], options);
+
+    return {...result, etag: createEtag(result), ...stored ? {metadata: stored} : {}};
   }
 
   return respond ? respond(result) : result;
 };
 
+/*
+ * Copies or moves with the adapter itself, keeping track of quotas
+ */
+const nativeTransfer = async (quotas, srcMount, destMount, method, from, to, options) => {
+  const srcLimits = quotas.getLimits(srcMount.mount, options.session);
+  const destLimits = quotas.getLimits(destMount.mount, options.session);
+  const sameScope = quotas.scope(srcMount, options) === quotas.scope(destMount, options);
+  const tracked = destLimits && !(method === 'rename' && sameScope);
+  const transfer = () => srcMount.adapter[method](srcMount, destMount)(from, to, options);
+
+  if (!tracked && !(srcLimits && !sameScope)) {
+    return !!await transfer();
+  }
+
+  const totals = await quotas.measure(createMethodCaller(srcMount), from, options);
+  const replacing = await createMethodCaller(destMount)('exists', to, {session: options.session});
+
+  if (tracked) {
+    await quotas.check(destMount, options, totals);
+  }
+
+  const result = await transfer();
+
+  if (result && tracked) {
+    await (replacing ? quotas.invalidate(destMount, options) : quotas.update(destMount, options, totals));
+  }
+
+  if (result && srcLimits && method === 'rename' && !sameScope) {
+    await quotas.update(srcMount, options, {bytes: -totals.bytes, files: -totals.files});
+  }
+
+  return !!result;
+};
+
 // Request that has a source and target
-const createCrossRequestFactory = findMountpoint => (getter, method, respond) => async (req, res) => {
+const createCrossRequestFactory = services => (getter, method, respond) => async (req, res) => {
+  const {findMountpoint, operations, quotas, changes} = services;
   const [from, to, options] = [...getter(req, res), createOptions(req)];
+  const {conflict, onError} = options;
 
   const srcMount = await findMountpoint(from);
   const destMount = await findMountpoint(to);
   const sameAdapter = srcMount.adapter === destMount.adapter;
 
-  const srcStrict = srcMount.mount.attributes.strictGroups !== false;
-  const destStrict = destMount.mount.attributes.strictGroups !== false;
-  await checkMountpointPermission(req, res, 'readfile', false, srcStrict)(srcMount);
-  await checkMountpointPermission(req, res, 'writefile', true, destStrict)(destMount);
+  await checkMountpointPermission(req, res, 'readfile', false, isStrict(srcMount))(srcMount);
+  await checkMountpointPermission(req, res, 'writefile', true, isStrict(destMount))(destMount);
 
-  if (sameAdapter) {
-    const result = await srcMount
-      .adapter[method](srcMount, destMount)(from, to, options);
+  const srcCall = createServiceCaller(services, srcMount, ['quotas']);
+  const destCall = createServiceCaller(services, destMount, ['quotas']);
 
-    return !!result;
+  if (method === 'rename') {
+    await checkPreconditions(req, srcCall, from, options);
   }
+  const native = sameAdapter && (!conflict || conflict === 'overwrite' || !await destCall('exists', to, options));
+
+  const result = await operations.run(req, method, {from, to}, options, async (operation) => {
+    if (native) {
+      return nativeTransfer(quotas, srcMount, destMount, method, from, to, options);
+    }
 
-  // Simulates a copy/move
-  const stream = await srcMount.adapter
-    .readfile(srcMount)(from, options);
+    // Simulates a copy/move entry by entry
+    const report = await transferTree({call: srcCall, path: from}, {call: destCall, path: to}, {
+      move: method === 'rename',
+      vfs: {session: options.session},
+      conflict,
+      onError,
+      operation
+    });
 
-  const result = await destMount.adapter
-    .writefile(destMount)(to, stream, options);
+    return onError === 'continue' ? report : true;
+  });
 
-  if (method === 'rename') {
-    await srcMount.adapter
-      .unlink(srcMount)(from, options);
+  await changes.transfer(srcMount, from, destMount, to, method === 'rename', options);
+
+  return result;
+};
+
+// Request that creates an archive from a list of sources
+const createArchiveRequestFactory = services => getter => async (req, res) => {
+  const {findMountpoint, operations} = services;
+  const [sources, to, options] = [...getter(req, res), createOptions(req)];
+  const type = options.type || getArchiveType(to);
+  const vfsOptions = {session: options.session};
+
+  if (!sources.length) {
+    throw createError(400, 'No paths to archive were given');
+  } else if (!type) {
+    throw createError(400, `Unsupported archive type for '${to}'`);
+  } else if (sources.some(src => to.startsWith(src.replace(/\/?$/, '/')))) {
+    throw createError(400, 'Can not create an archive inside a source directory');
   }
 
-  return !!result;
+  const destMount = await findMountpoint(to);
+  await checkMountpointPermission(req, res, 'writefile', true, isStrict(destMount))(destMount);
+
+  const srcMounts = await Promise.all(sources.map(async (src) => {
+    const found = await findMountpoint(src);
+    await checkMountpointPermission(req, res, 'readfile', false, isStrict(found))(found);
+    return found;
+  }));
+
+  return operations.run(req, 'archive', {paths: sources, to}, options, async (operation) => {
+    const archive = createArchive(type);
+    const writing = createServiceCaller(services, destMount, ['quotas'])('writefile', to, archive, vfsOptions)
+      .then(result => {
+        if (!result) {
+          throw createError(400, `Could not write archive to '${to}'`);
+        }
+
+        return true;
+      });
+
+    const appending = sources
+      .reduce((promise, src, index) => promise
+        .then(() => appendArchiveTree(archive, createMethodCaller(srcMounts[index]), src, vfsOptions, operation)), Promise.resolve())
+      .then(() => archive.finalize());
+
+    try {
+      await Promise.all([writing, appending]);
+    } catch (e) {
+      archive.abort();
+      throw e;
+    }
+
+    return true;
+  });
+};
+
+// Request that extracts an archive into a directory
+const createExtractRequestFactory = services => getter => async (req, res) => {
+  const {findMountpoint, operations} = services;
+  const [from, to, options] = [...getter(req, res), createOptions(req)];
+  const type = options.type || getArchiveType(from);
+  const vfsOptions = {session: options.session};
+
+  if (!type) {
+    throw createError(400, `Unsupported archive type for '${from}'`);
+  }
+
+  const srcMount = await findMountpoint(from);
+  const destMount = await findMountpoint(to);
+  await checkMountpointPermission(req, res, 'readfile', false, isStrict(srcMount))(srcMount);
+  await checkMountpointPermission(req, res, 'writefile', true, isStrict(destMount))(destMount);
+
+  const src = createMethodCaller(srcMount);
+  const dest = createServiceCaller(services, destMount, ['changes', 'quotas']);
+  const root = to.replace(/\/?$/, '/');
+  const created = new Set(['']);
+
+  const ensureDirectory = dirname => dirname.split('/')
+    .reduce((promise, name, index, list) => promise.then(() => {
+      const current = list.slice(0, index + 1).join('/');
+      if (created.has(current)) {
+        return undefined;
+      }
+
+      created.add(current);
+      return dest('mkdir', root + current, {...vfsOptions, ensure: true});
+    }), Promise.resolve());
+
+  const stat = await src('stat', from, vfsOptions);
+  if (!stat.isFile) {
+    throw createError(400, `'${from}' is not a file`);
+  }
+
+  return operations.run(req, 'extract', {from, to}, options, async (operation) => {
+    await dest('mkdir', to, {...vfsOptions, ensure: true});
+    await iterateArchive(type, {
+      size: stat.size,
+      read: range => src('readfile', from, {...vfsOptions, range})
+    }, (entry, stream) => {
+      const dirname = entry.isDirectory ? entry.name : path.posix.dirname(entry.name);
+
+      operation.check();
+      operation.progress({entries: 1});
+
+      return ensureDirectory(dirname === '.' ? '' : dirname)
+        .then(() => entry.isDirectory || dest('writefile', root + entry.name, operation.track(stream), vfsOptions))
+        .then(result => {
+          if (!result) {
+            throw createError(400, `Could not extract '${entry.name}' into '${to}'`);
+          }
+        });
+    });
+
+    return true;
+  });
+};
+
+// Requests for resumable uploads
+const createUploadRequestFactory = services => {
+  const {findMountpoint, operations, quotas, uploads} = services;
+  const username = req => ((req.session || {}).user || {}).username;
+  const uploadId = req => (req.params && req.params.id) || req.fields.id;
+  const describe = upload => ({
+    id: upload.id,
+    path: upload.path,
+    offset: upload.offset,
+    size: upload.size,
+    expires: upload.expires
+  });
+
+  const setHeaders = (res, upload) => {
+    if (typeof res.set === 'function') {
+      res.set({
+        'Upload-Offset': String(upload.offset),
+        'Upload-Length': String(upload.size),
+        'Cache-Control': 'no-store'
+      });
+    }
+  };
+
+  const checkWritable = async (req, res, file) => {
+    const found = await findMountpoint(file);
+    await checkMountpointPermission(req, res, 'writefile', true, isStrict(found))(found);
+    return found;
+  };
+
+  return {
+    // Creates a new upload for a destination path
+    create: async (req, res) => {
+      const file = sanitize(req.fields.path);
+      const size = parseInt(req.fields.size || (req.headers || {})['upload-length'], 10);
+
+      const found = await checkWritable(req, res, file);
+      await quotas.check(found, createOptions(req), {bytes: size});
+
+      const upload = await uploads.create(username(req), file, size);
+      setHeaders(res, upload);
+
+      return describe(upload);
+    },
+
+    // Gets the status of an upload
+    status: async (req, res) => {
+      const upload = await uploads.load(username(req), uploadId(req));
+      setHeaders(res, upload);
+
+      return describe(upload);
+    },
+
+    // Appends the request body to an upload
+    append: async (req, res) => {
+      const header = (req.headers || {})['upload-offset'];
+      const offset = parseInt(header === undefined ? req.fields.offset : header, 10);
+      const upload = await uploads.append(username(req), uploadId(req), offset, req);
+      setHeaders(res, upload);
+
+      return describe(upload);
+    },
+
+    // Writes a complete upload to its destination
+    finalize: async (req, res) => {
+      const options = createOptions(req);
+      const {upload, stream} = await uploads.open(username(req), uploadId(req));
+      const found = await checkWritable(req, res, upload.path);
+
+      const result = await operations.run(req, 'writefile', {path: upload.path}, options, operation =>
+        createServiceCaller(services, found, ['changes', 'quotas', 'versions'])('writefile', upload.path, operation.track(stream, upload.size), {session: options.session}));
+
+      if (!result) {
+        throw createError(400, `Could not write upload to '${upload.path}'`);
+      }
+
+      await uploads.remove(upload.id);
+
+      return upload.size;
+    },
+
+    // Removes an upload
+    remove: async (req, res) => {
+      const upload = await uploads.load(username(req), uploadId(req));
+
+      return uploads.remove(upload.id);
+    }
+  };
+};
+
+// Request that reports quota usage of one or all mountpoints
+const createQuotaRequestFactory = ({core, findMountpoint, quotas}) => () => async (req, res) => {
+  const options = createOptions(req);
+  const paths = req.fields.path
+    ? [sanitize(req.fields.path)]
+    : core.make('osjs/vfs').mountpoints
+      .filter(m => m.attributes && m.attributes.quota)
+      .map(m => `${m.name}:/`);
+
+  const reports = await Promise.all(paths.map(async (file) => {
+    const found = await findMountpoint(file);
+
+    try {
+      await checkMountpointPermission(req, res, 'readdir', false, isStrict(found))(found);
+    } catch (e) {
+      if (req.fields.path) {
+        throw e;
+      }
+
+      return null;
+    }
+
+    return quotas.report(found, options);
+  }));
+
+  return req.fields.path ? reports[0] : reports.filter(r => !!r);
+};
+
+// Requests for recursive listings and disk usage
+const createTreeRequestFactory = ({findMountpoint, operations, trees}) => {
+  const resolve = async (req, res) => {
+    const file = sanitize(req.fields.path);
+    const found = await findMountpoint(file);
+    await checkMountpointPermission(req, res, 'readdir', false, isStrict(found))(found);
+
+    return {file, found, call: wrapListing(found, createMethodCaller(found))};
+  };
+
+  return {
+    // Lists a directory and its subdirectories to a depth
+    tree: async (req, res) => {
+      const options = createOptions(req);
+      const depth = trees.parseDepth(req.fields.depth);
+      const {file, found, call} = await resolve(req, res);
+
+      return operations.run(req, 'tree', {path: file}, options, operation =>
+        trees.tree(found, call, file, depth, options, operation));
+    },
+
+    // Measures the size and number of entries of a path
+    du: async (req, res) => {
+      const options = createOptions(req);
+      const {file, found, call} = await resolve(req, res);
+
+      return operations.run(req, 'du', {path: file}, options, operation =>
+        trees.du(found, call, file, options, operation));
+    }
+  };
+};
+
+// Requests for the trash
+const createTrashRequestFactory = ({findMountpoint, quotas, trash, changes}) => {
+  const username = req => ((req.session || {}).user || {}).username;
+  const itemId = req => (req.params && req.params.id) || req.fields.id;
+
+  return {
+    // Lists the items in the trash
+    list: async (req, res) => trash.list(username(req)),
+
+    // Moves an item back to where it was removed from, or a new path
+    restore: async (req, res) => {
+      const options = createOptions(req);
+      const item = await trash.load(username(req), itemId(req));
+      const file = req.fields.to ? sanitize(req.fields.to) : item.path;
+      const found = await findMountpoint(file);
+      const totals = {bytes: item.size, files: item.files + 1};
+
+      await checkMountpointPermission(req, res, 'writefile', true, isStrict(found))(found);
+      await quotas.check(found, options, totals);
+
+      const restored = await trash.restore(found, item, file, options);
+      await quotas.update(found, options, totals);
+      changes.update(found, restored, options);
+
+      return restored;
+    },
+
+    // Permanently removes an item
+    remove: async (req, res) => trash.remove(username(req), itemId(req)),
+
+    // Permanently removes all items
+    empty: async (req, res) => trash.empty(username(req))
+  };
+};
+
+// Requests for the version history of files
+const createVersionRequestFactory = services => {
+  const {core, findMountpoint, versions} = services;
+  const resolve = async (req, res, method, readOnly) => {
+    const file = sanitize(req.fields.path);
+    const found = await findMountpoint(file);
+    await checkMountpointPermission(req, res, method, readOnly, isStrict(found))(found);
+
+    if (!versions.isEnabled(found)) {
+      throw createError(400, `Mountpoint '${found.mount.name}' does not keep versions`);
+    }
+
+    return {file, found};
+  };
+
+  return {
+    // Lists the versions of a file
+    list: async (req, res) => {
+      const {file, found} = await resolve(req, res, 'readfile', false);
+
+      return versions.list(found, file, createOptions(req));
+    },
+
+    // Reads the contents of a version
+    readfile: async (req, res) => {
+      const {file, found} = await resolve(req, res, 'readfile', false);
+      const {version, stream} = await versions.open(found, file, req.fields.id, createOptions(req));
+
+      appendHeader(res, 'Content-Type', core.make('osjs/vfs').mime(file));
+      appendHeader(res, 'Content-Length', String(version.size));
+
+      return stream;
+    },
+
+    // Writes a version back to the file, keeping the current contents as a version
+    restore: async (req, res) => {
+      const options = createOptions(req);
+      const {file, found} = await resolve(req, res, 'writefile', true);
+      const {stream} = await versions.open(found, file, req.fields.id, options);
+      const call = createServiceCaller(services, found, ['changes', 'quotas', 'versions']);
+
+      return respondBoolean(await call('writefile', file, stream, {session: options.session}));
+    }
+  };
+};
+
+// Requests for the history of mountpoints that keep one (ex. git)
+const createHistoryRequestFactory = ({core, findMountpoint}) => {
+  const resolve = async (req, res) => {
+    const file = sanitize(req.fields.path);
+    const found = await findMountpoint(file);
+    await checkMountpointPermission(req, res, 'readfile', false, isStrict(found))(found);
+
+    if (typeof found.adapter.log !== 'function') {
+      throw createError(400, `Mountpoint '${found.mount.name}' does not keep a history`);
+    }
+
+    return {file, found, call: createMethodCaller(found)};
+  };
+
+  return {
+    // Lists the commits of a file or directory
+    log: async (req, res) => {
+      const {file, call} = await resolve(req, res);
+      const limit = parseInt(req.fields.limit, 10);
+
+      return call('log', file, {
+        ...createOptions(req),
+        limit: limit > 0 ? limit : undefined
+      });
+    },
+
+    // Creates a diff between two revisions
+    diff: async (req, res) => {
+      const {file, call} = await resolve(req, res);
+      const {from, to} = req.fields;
+      const diff = await call('diff', file, from, to || undefined, createOptions(req));
+
+      return {from, to: to || null, diff};
+    },
+
+    // Reads the contents of a file at a revision
+    readfile: async (req, res) => {
+      const {file, call} = await resolve(req, res);
+      const {size, stream} = await call('show', file, req.fields.revision, createOptions(req));
+
+      appendHeader(res, 'Content-Type', core.make('osjs/vfs').mime(file));
+      appendHeader(res, 'Content-Length', String(size));
+
+      return stream;
+    }
+  };
+};
+
+// Requests for the metadata of files
+const createMetadataRequestFactory = ({findMountpoint, metadata}) => {
+  const resolve = async (req, res, file, method, readOnly) => {
+    const found = await findMountpoint(file);
+    await checkMountpointPermission(req, res, method, readOnly, isStrict(found))(found);
+
+    return {found, call: createMethodCaller(found)};
+  };
+
+  // Metadata can only be kept for existing paths
+  const resolveExisting = async (req, res, method, readOnly) => {
+    const file = sanitize(req.fields.path);
+    const options = createOptions(req);
+    const {found, call} = await resolve(req, res, file, method, readOnly);
+
+    if (!await call('exists', file, {session: options.session})) {
+      throw createError('ENOENT', `No such file or directory '${file}'`);
+    }
+
+    return {file, found, options};
+  };
+
+  const parseMetadata = value => {
+    if (typeof value === 'string') {
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        throw createError(400, 'Metadata must be an object');
+      }
+    }
+
+    return value;
+  };
+
+  return {
+    // Gets the metadata of a path
+    get: async (req, res) => {
+      const {file, found, options} = await resolveExisting(req, res, 'readfile', false);
+
+      return metadata.get(found, file, options);
+    },
+
+    // Changes the metadata of a path
+    set: async (req, res) => {
+      const {file, found, options} = await resolveExisting(req, res, 'writefile', true);
+
+      return metadata.set(found, file, parseMetadata(req.fields.metadata), options);
+    },
+
+    // Removes the metadata of a path
+    remove: async (req, res) => {
+      const file = sanitize(req.fields.path);
+      const {found} = await resolve(req, res, file, 'writefile', true);
+
+      return metadata.remove(found, file, createOptions(req));
+    },
+
+    // Searches for paths by tags, star or colour
+    search: async (req, res) => {
+      const root = sanitize(req.fields.root);
+      const query = parseQuery(req.fields);
+      const {found, call} = await resolve(req, res, root, 'readdir', false);
+
+      return metadata.search(found, call, root, query, createOptions(req));
+    }
+  };
+};
+
+// Requests for share links, and the public requests for using them
+const createShareRequestFactory = ({findMountpoint, shares}, createRequest) => {
+  const readfile = createRequest(requestPath, 'readfile', false);
+  const readdir = createRequest(requestPath, 'readdir', false);
+  const writefile = createRequest(requestFile, 'writefile', true);
+  const username = req => ((req.session || {}).user || {}).username;
+
+  // Public requests are performed on behalf of the owner of the share
+  const asOwner = (req, share, fields) => Object.create(req, {
+    session: {value: {user: share.user}},
+    fields: {value: fields}
+  });
+
+  // Resolves a path relative to a shared directory
+  const resolvePath = (share, relative) => {
+    if (!relative) {
+      return share.path;
+    } else if (!share.isDirectory) {
+      throw createError(404, 'Shared file has no entries');
+    }
+
+    return sanitize(share.path.replace(/\/?$/, '/') + relative);
+  };
+
+  const open = async (req, mode) => {
+    const share = await shares.load(req.params.token);
+    await shares.authorize(share, (req.headers || {})['x-share-password'] || req.fields.password);
+
+    if (share.mode !== mode) {
+      throw createError(403, mode === 'read' ? 'Share only accepts uploads' : 'Share does not accept uploads');
+    }
+
+    return share;
+  };
+
+  return {
+    // Creates a share for a path
+    create: async (req, res) => {
+      const options = createOptions(req);
+      const file = sanitize(req.fields.path);
+      const found = await findMountpoint(file);
+      const upload = options.mode === 'upload';
+
+      await checkMountpointPermission(req, res, upload ? 'writefile' : 'readfile', upload, isStrict(found))(found);
+
+      const stat = await createMethodCaller(found)('stat', file, {session: options.session});
+      const share = await shares.create(req.session.user, file, stat, options);
+
+      return describeShare(share);
+    },
+
+    // Lists the shares of the user
+    list: async (req, res) => (await shares.list(username(req))).map(describeShare),
+
+    // Removes a share
+    remove: async (req, res) => shares.remove(username(req), (req.params && req.params.token) || req.fields.token),
+
+    // Reads a shared file, or lists a shared directory
+    read: async (req, res) => {
+      const share = await open(req, 'read');
+      const file = resolvePath(share, req.fields.path);
+      const download = !!req.fields.download && req.fields.download !== 'false';
+      const found = await findMountpoint(file);
+      const stat = await createMethodCaller(found)('stat', file, {session: {user: share.user}});
+      const root = share.path.replace(/\/?$/, '/');
+
+      if (stat.isDirectory && !download) {
+        const list = await readdir(asOwner(req, share, {path: file}), res);
+
+        return list.map(entry => ({
+          filename: entry.filename,
+          path: entry.path.substr(root.length),
+          isDirectory: entry.isDirectory,
+          isFile: entry.isFile,
+          mime: entry.mime,
+          size: entry.size
+        }));
+      }
+
+      // Partial and HEAD requests do not count as downloads
+      const isHead = String(req.method || '').toLowerCase() === 'head';
+      if (!isHead && !(req.headers || {}).range) {
+        await shares.consume(share.token);
+      }
+
+      return readfile(asOwner(req, share, {path: file, options: {download}}), res);
+    },
+
+    // Uploads a file into a shared directory, without replacing existing files
+    upload: async (req, res) => {
+      const share = await open(req, 'upload');
+      const upload = (req.files || {}).upload || {};
+      const name = path.posix.basename(String(req.fields.path || upload.name || ''));
+      const file = sanitize(share.path.replace(/\/?$/, '/') + name);
+
+      if (!name || getBasename(file) !== name) {
+        throw createError(400, 'A valid file name is required');
+      }
+
+      const found = await findMountpoint(file);
+      const call = createMethodCaller(found);
+      const vfsOptions = {session: {user: share.user}};
+      const target = await call('exists', file, vfsOptions)
+        ? await findFreeName(call, file, vfsOptions)
+        : file;
+
+      const result = await writefile(asOwner(req, share, {path: target}), res);
+      if (!result) {
+        throw createError(400, `Could not upload '${name}'`);
+      }
+
+      return {filename: getBasename(target)};
+    }
+  };
+};
+
+// Request that cancels a running operation
+const createCancelRequestFactory = ({operations}) => () => async (req, res) => {
+  const {user} = req.session || {};
+
+  return operations.cancel(req.fields.id, (user || {}).username);
 };
 
 /*
  * VFS Methods
  */
 const vfs = core => {
-  const findMountpoint = mountpointResolver(core);
-  const createRequest = createRequestFactory(findMountpoint);
-  const createCrossRequest = createCrossRequestFactory(findMountpoint);
+  const searchIndex = createSearchIndex(core);
+  const trees = createTrees(core);
+  const metadata = createMetadata(core);
+  const trash = createTrash(core, metadata);
+
+  // Keeps the search index, cached trees and metadata up to date after changes
+  const changes = {
+    wrap: (found, call) => metadata.wrap(found, trees.wrap(found, searchIndex.wrap(found, call))),
+    update: (found, file, options) => {
+      trees.invalidate(found, file, options);
+      searchIndex.update(found, file, options);
+    },
+    transfer: (srcFound, from, destFound, to, move, options) => {
+      if (move) {
+        changes.update(srcFound, from, options);
+      }
+      changes.update(destFound, to, options);
+
+      return metadata.transfer(srcFound, from, destFound, to, move, options);
+    }
+  };
+
+  const services = {
+    core,
+    findMountpoint: mountpointResolver(core),
+    operations: createOperations(core),
+    quotas: createQuotas(core),
+    trash,
+    versions: createVersions(core, trash),
+    uploads: createUploads(core),
+    shares: createShares(core),
+    searchIndex,
+    trees,
+    metadata,
+    changes
+  };
+
+  const createRequest = createRequestFactory(services);
+  const createCrossRequest = createCrossRequestFactory(services);
+  const createArchiveRequest = createArchiveRequestFactory(services);
+  const createExtractRequest = createExtractRequestFactory(services);
+  const createCancelRequest = createCancelRequestFactory(services);
+  const createQuotaRequest = createQuotaRequestFactory(services);
+  const upload = createUploadRequestFactory(services);
+  const treeRequest = createTreeRequestFactory(services);
+  const trashRequest = createTrashRequestFactory(services);
+  const versionRequest = createVersionRequestFactory(services);
+  const historyRequest = createHistoryRequestFactory(services);
+  const metadataRequest = createMetadataRequestFactory(services);
+  const shareRequest = createShareRequestFactory(services, createRequest);
 
   // Wire up all available VFS events
   return {
@@ -246,7 +1136,37 @@ const vfs = core => {
     touch: createRequest(requestPath, 'touch', true, respondBoolean),
     search: createRequest(requestSearch, 'search', false),
     copy: createCrossRequest(requestCross, 'copy'),
-    rename: createCrossRequest(requestCross, 'rename')
+    rename: createCrossRequest(requestCross, 'rename'),
+    archive: createArchiveRequest(requestArchive),
+    extract: createExtractRequest(requestExtract),
+    cancel: createCancelRequest(),
+    quota: createQuotaRequest(),
+    tree: treeRequest.tree,
+    du: treeRequest.du,
+    upload: upload.create,
+    uploadStatus: upload.status,
+    uploadAppend: upload.append,
+    uploadFinalize: upload.finalize,
+    uploadRemove: upload.remove,
+    trash: trashRequest.list,
+    trashRestore: trashRequest.restore,
+    trashRemove: trashRequest.remove,
+    trashEmpty: trashRequest.empty,
+    versions: versionRequest.list,
+    versionReadfile: versionRequest.readfile,
+    versionRestore: versionRequest.restore,
+    history: historyRequest.log,
+    historyDiff: historyRequest.diff,
+    historyReadfile: historyRequest.readfile,
+    metadata: metadataRequest.get,
+    metadataSet: metadataRequest.set,
+    metadataRemove: metadataRequest.remove,
+    metadataSearch: metadataRequest.search,
+    share: shareRequest.create,
+    shares: shareRequest.list,
+    shareRemove: shareRequest.remove,
+    publicRead: shareRequest.read,
+    publicUpload: shareRequest.upload
   };
 };
 
@@ -261,6 +1181,11 @@ module.exports = core => {
   const vfsGroups = core.config('auth.vfsGroups', []);
   const logEnabled = core.config('development');
 
+  // Share links are public
+  router.head('/public/:token', middleware, wrapper(methods.publicRead));
+  router.get('/public/:token', middleware, wrapper(methods.publicRead));
+  router.post('/public/:token', middleware, wrapper(methods.publicUpload));
+
   // Middleware first
   router.use(isAuthenticated(vfsGroups));
   router.use(middleware);
@@ -269,7 +1194,9 @@ module.exports = core => {
   router.get('/exists', wrapper(methods.exists));
   router.get('/stat', wrapper(methods.stat));
   router.get('/readdir', wrapper(methods.readdir));
+  router.head('/readfile', wrapper(methods.readfile));
   router.get('/readfile', wrapper(methods.readfile));
+  // The 'path' and 'options' fields has to be sent before the file to stream it
   router.post('/writefile', wrapper(methods.writefile));
   router.post('/rename', wrapper(methods.rename));
   router.post('/copy', wrapper(methods.copy));
@@ -277,13 +1204,39 @@ module.exports = core => {
   router.post('/unlink', wrapper(methods.unlink));
   router.post('/touch', wrapper(methods.touch));
   router.post('/search', wrapper(methods.search));
+  router.post('/archive', wrapper(methods.archive));
+  router.post('/extract', wrapper(methods.extract));
+  router.post('/cancel', wrapper(methods.cancel));
+  router.get('/quota', wrapper(methods.quota));
+  router.get('/tree', wrapper(methods.tree));
+  router.get('/du', wrapper(methods.du));
+  router.post('/upload', wrapper(methods.upload));
+  router.head('/upload/:id', wrapper(methods.uploadStatus));
+  router.patch('/upload/:id', wrapper(methods.uploadAppend));
+  router.post('/upload/:id/finalize', wrapper(methods.uploadFinalize));
+  router.delete('/upload/:id', wrapper(methods.uploadRemove));
+  router.get('/trash', wrapper(methods.trash));
+  router.post('/trash/:id/restore', wrapper(methods.trashRestore));
+  router.delete('/trash/:id', wrapper(methods.trashRemove));
+  router.delete('/trash', wrapper(methods.trashEmpty));
+  router.get('/versions', wrapper(methods.versions));
+  router.get('/versions/readfile', wrapper(methods.versionReadfile));
+  router.post('/versions/restore', wrapper(methods.versionRestore));
+  router.get('/history', wrapper(methods.history));
+  router.get('/history/diff', wrapper(methods.historyDiff));
+  router.get('/history/readfile', wrapper(methods.historyReadfile));
+  router.get('/metadata', wrapper(methods.metadata));
+  router.post('/metadata', wrapper(methods.metadataSet));
+  router.post('/metadata/remove', wrapper(methods.metadataRemove));
+  router.get('/metadata/search', wrapper(methods.metadataSearch));
+  router.post('/share', wrapper(methods.share));
+  router.get('/shares', wrapper(methods.shares));
+  router.delete('/share/:token', wrapper(methods.shareRemove));
 
   // Finally catch promise exceptions
   router.use((error, req, res, next) => {
     // TODO: Better error messages
-    const code = typeof error.code === 'number'
-      ? error.code
-      : (errorCodes[error.code] || 400);
+    const code = getErrorStatus(error);
 
     if (logEnabled) {
       console.error(error);
@@ -292,6 +1245,7 @@ module.exports = core => {
     res.status(code)
       .json({
         error: error.toString(),
+        errors: error.errors,
         stack: logEnabled ? error.stack : undefined
       });
   });
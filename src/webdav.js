@@ -0,0 +1,758 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2020, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const {v4: uuid} = require('uuid');
+const {isAuthenticated} = require('./utils/core');
+const {
+  mountpointResolver,
+  checkMountpointPermission,
+  createError,
+  getErrorStatus,
+  getMountpointScope,
+  validateGroups
+} = require('./utils/vfs');
+const {getMtime, createEtag} = require('./utils/conditional');
+
+/**
+ * Supported methods
+ */
+const allowedMethods = ['OPTIONS', 'PROPFIND', 'GET', 'HEAD', 'PUT', 'MKCOL', 'DELETE', 'COPY', 'MOVE', 'LOCK', 'UNLOCK'];
+
+/**
+ * Methods that are allowed on the root
+ */
+const readMethods = ['PROPFIND', 'GET', 'HEAD'];
+
+/*
+ * Escapes a string for XML
+ */
+const escapeXml = str => String(str).replace(/[<>&'"]/g, c => ({
+  '<': '&lt;',
+  '>': '&gt;',
+  '&': '&amp;',
+  '\'': '&apos;',
+  '"': '&quot;'
+})[c]);
+
+/*
+ * Unescapes the text of an XML node
+ */
+const unescapeXml = str => String(str).replace(/&(lt|gt|amp|apos|quot);/g, (m, name) => ({
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  apos: '\'',
+  quot: '"'
+})[name]);
+
+/*
+ * Creates a multistatus XML document
+ */
+const createMultistatus = responses => '<?xml version="1.0" encoding="utf-8"?>\n' +
+  `<d:multistatus xmlns:d="DAV:">${responses.join('')}</d:multistatus>`;
+
+/*
+ * Gets the parent of a VFS path, or null for a mountpoint root
+ */
+const getParent = file => {
+  const [, root, rest] = file.match(/^([\w-_]+:\/)(.*)$/);
+  const names = rest.split('/').filter(str => str.length > 0);
+
+  return names.length > 0 ? root + names.slice(0, -1).join('/') : null;
+};
+
+/*
+ * Checks if a path is the same as, or inside another path
+ */
+const isWithin = (file, parent) => file === parent || file.startsWith(parent.replace(/\/?$/, '/'));
+
+/**
+ * Converts a WebDAV URL path to a VFS path.
+ * The first segment is the mountpoint, and the root resolves null.
+ * @param {string} pathname URL path relative to the endpoint
+ * @return {string|null}
+ */
+const toVfsPath = pathname => {
+  const names = String(pathname)
+    .split('/')
+    .filter(str => str.length > 0)
+    .map(str => decodeURIComponent(str));
+
+  if (names.length === 0) {
+    return null;
+  } else if (names.some(str => str === '.' || str === '..' || str.indexOf('/') !== -1)) {
+    throw createError(400, 'Invalid path');
+  }
+
+  const [name, ...rest] = names;
+
+  return `${name}:/${rest.join('/')}`;
+};
+
+/**
+ * Converts a VFS path to a WebDAV URL path
+ * @param {string} base Endpoint URL path
+ * @param {string|null} file VFS path
+ * @param {boolean} [isDirectory=false] Adds a trailing slash
+ * @return {string}
+ */
+const toHref = (base, file, isDirectory = false) => {
+  if (!file) {
+    return `${base}/`;
+  }
+
+  const [, name, rest] = file.match(/^([\w-_]+):\/*(.*)$/);
+  const names = [name, ...rest.split('/')]
+    .filter(str => str.length > 0)
+    .map(str => encodeURIComponent(str));
+
+  return `${base}/${names.join('/')}${isDirectory ? '/' : ''}`;
+};
+
+/*
+ * Reads a request body as a string
+ */
+const readBody = (req, limit = 1024 * 64) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  req.on('data', chunk => {
+    size += chunk.length;
+
+    if (size > limit) {
+      req.pause();
+      reject(createError(413, 'Request body is too large'));
+    } else {
+      chunks.push(chunk);
+    }
+  });
+
+  req.on('error', reject);
+  req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+});
+
+/*
+ * Checks if a request has a body
+ */
+const hasBody = req => parseInt(req.headers['content-length'] || '0', 10) > 0 ||
+  !!req.headers['transfer-encoding'];
+
+/**
+ * Creates a store of WebDAV locks.
+ * Locks are held in memory, and a lock on a directory with infinite
+ * depth also covers everything inside it. Paths are locked within the
+ * storage they resolve to, as a mountpoint can be different per user.
+ * @param {number} maxTimeout Maximum lock timeout in seconds
+ * @return {object}
+ */
+const createLocks = (maxTimeout) => {
+  const locks = new Map();
+
+  const prune = () => locks.forEach((lock, token) => {
+    if (lock.expires < Date.now()) {
+      locks.delete(token);
+    }
+  });
+
+  const parseTimeout = header => {
+    const [, seconds] = String(header || '').match(/Second-(\d+)/i) || [];
+    return Math.min(seconds ? parseInt(seconds, 10) : maxTimeout, maxTimeout);
+  };
+
+  const covering = (storage, file) => {
+    prune();
+
+    return Array.from(locks.values())
+      .filter(lock => lock.storage === storage)
+      .filter(lock => lock.path === file || (lock.depth === 'infinity' && isWithin(file, lock.path)));
+  };
+
+  return {
+    covering,
+
+    // Locks that are on, or inside given path
+    inside: (storage, file) => {
+      prune();
+
+      return Array.from(locks.values())
+        .filter(lock => lock.storage === storage && isWithin(lock.path, file));
+    },
+
+    get: token => {
+      prune();
+
+      return locks.get(token);
+    },
+
+    create: (storage, file, username, {scope, depth, owner, timeout}) => {
+      const current = covering(storage, file);
+      if (current.some(lock => lock.scope === 'exclusive') || (scope === 'exclusive' && current.length > 0)) {
+        throw createError(423, 'Resource is locked');
+      }
+
+      const seconds = parseTimeout(timeout);
+      const lock = {
+        token: `opaquelocktoken:${uuid()}`,
+        storage,
+        path: file,
+        username,
+        scope,
+        depth,
+        owner,
+        timeout: seconds,
+        expires: Date.now() + seconds * 1000
+      };
+
+      locks.set(lock.token, lock);
+
+      return lock;
+    },
+
+    refresh: (lock, timeout) => {
+      lock.timeout = parseTimeout(timeout);
+      lock.expires = Date.now() + lock.timeout * 1000;
+
+      return lock;
+    },
+
+    remove: token => locks.delete(token),
+
+    removeInside: (storage, file) => locks.forEach((lock, token) => {
+      if (lock.storage === storage && isWithin(lock.path, file)) {
+        locks.delete(token);
+      }
+    })
+  };
+};
+
+/*
+ * Parses the owner of a lock request into an URL or a text
+ */
+const parseOwner = body => {
+  const [, owner] = body.match(/<(?:\w+:)?owner[^>]*>([\s\S]*?)<\/(?:\w+:)?owner>/) || [];
+  const [, href] = (owner || '').match(/<(?:\w+:)?href[^>]*>([\s\S]*?)<\/(?:\w+:)?href>/) || [];
+  const value = unescapeXml((href === undefined ? owner || '' : href).replace(/<[^>]*>/g, '')).trim();
+
+  return value ? {href: href !== undefined, value} : null;
+};
+
+/*
+ * Creates the XML of an active lock
+ */
+const createActiveLock = (base, lock) => '<d:activelock>' +
+  `<d:locktype><d:write/></d:locktype><d:lockscope><d:${lock.scope}/></d:lockscope>` +
+  `<d:depth>${lock.depth}</d:depth>` +
+  (lock.owner ? `<d:owner>${lock.owner.href
+    ? `<d:href>${escapeXml(lock.owner.value)}</d:href>`
+    : escapeXml(lock.owner.value)}</d:owner>` : '') +
+  `<d:timeout>Second-${lock.timeout}</d:timeout>` +
+  `<d:locktoken><d:href>${escapeXml(lock.token)}</d:href></d:locktoken>` +
+  `<d:lockroot><d:href>${escapeXml(toHref(base, lock.path))}</d:href></d:lockroot>` +
+  '</d:activelock>';
+
+/*
+ * Creates the XML response of an entry in a PROPFIND request
+ */
+const createPropResponse = (base, file, entry, locks = []) => {
+  const props = [
+    `<d:displayname>${escapeXml(entry.filename)}</d:displayname>`,
+    entry.isDirectory ? '<d:resourcetype><d:collection/></d:resourcetype>' : '<d:resourcetype/>'
+  ];
+
+  if (!entry.isDirectory) {
+    props.push(`<d:getcontentlength>${entry.size || 0}</d:getcontentlength>`);
+    props.push(`<d:getcontenttype>${escapeXml(entry.mime || 'application/octet-stream')}</d:getcontenttype>`);
+
+    const etag = createEtag(entry);
+    if (etag) {
+      props.push(`<d:getetag>${escapeXml(etag)}</d:getetag>`);
+    }
+  }
+
+  const mtime = getMtime(entry);
+  if (mtime !== null) {
+    props.push(`<d:getlastmodified>${new Date(mtime).toUTCString()}</d:getlastmodified>`);
+  }
+
+  props.push('<d:supportedlock>' +
+    '<d:lockentry><d:lockscope><d:exclusive/></d:lockscope><d:locktype><d:write/></d:locktype></d:lockentry>' +
+    '<d:lockentry><d:lockscope><d:shared/></d:lockscope><d:locktype><d:write/></d:locktype></d:lockentry>' +
+    '</d:supportedlock>');
+
+  props.push(`<d:lockdiscovery>${locks.map(lock => createActiveLock(base, lock)).join('')}</d:lockdiscovery>`);
+
+  return '<d:response>' +
+    `<d:href>${escapeXml(toHref(base, file, entry.isDirectory))}</d:href>` +
+    `<d:propstat><d:prop>${props.join('')}</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat>` +
+    '</d:response>';
+};
+
+/**
+ * Creates the WebDAV handlers.
+ *
+ * Every method is performed with the VFS requests (the same as the HTTP
+ * routes use), so mountpoint permissions, read-only mountpoints, quotas
+ * and the trash all apply.
+ *
+ * @param {Core} core Core reference
+ * @return {object}
+ */
+const createHandlers = core => {
+  const locks = createLocks(core.config('vfs.webdav.lockTimeout'));
+  const findMountpoint = mountpointResolver(core);
+
+  const request = (user, name, fields, extra = {}, res = {}) => core.make('osjs/vfs')
+    .request(name, {
+      method: 'GET',
+      headers: {},
+      files: {},
+      ...extra,
+      session: {user},
+      fields
+    }, res);
+
+  const stat = (user, file) => request(user, 'stat', {path: file})
+    .catch(error => getErrorStatus(error) === 404 ? null : Promise.reject(error));
+
+  // Checks write permissions before anything else is looked at
+  const assertWritable = async (user, file, method) => {
+    const found = await findMountpoint(file);
+    const strict = found.mount.attributes.strictGroups !== false;
+
+    await checkMountpointPermission({session: {user}}, {}, method, true, strict)(found);
+  };
+
+  // Locks are kept by the storage a path resolves to for the user
+  const getStorage = async (user, file) => {
+    const found = await findMountpoint(file);
+
+    return getMountpointScope(core, found.mount, {user});
+  };
+
+  // Checks that a request has the token of all locks that cover a path
+  const assertUnlocked = async (req, user, file, inside = false) => {
+    const header = req.headers.if || '';
+    const storage = await getStorage(user, file);
+    const found = inside ? locks.inside(storage, file) : [];
+    const locked = [...locks.covering(storage, file), ...found]
+      .filter(lock => !(lock.username === user.username && header.indexOf(`<${lock.token}>`) !== -1));
+
+    if (locked.length > 0) {
+      throw createError(423, 'Resource is locked');
+    }
+  };
+
+  // Checks that the parent of a path is a directory
+  const assertParent = async (user, file) => {
+    const parent = getParent(file);
+    const parentStat = parent ? await stat(user, parent) : {isDirectory: true};
+
+    if (!parentStat || !parentStat.isDirectory) {
+      throw createError(409, 'Parent collection does not exist');
+    }
+  };
+
+  // Copies or moves to a temporary name next to an existing destination,
+  // and only replaces the destination once that has succeeded
+  const replace = async (user, method, file, destination) => {
+    const temporary = getParent(destination).replace(/\/?$/, '/') +
+      `.${path.posix.basename(destination)}.${uuid()}.webdav`;
+
+    try {
+      await request(user, method, {from: file, to: temporary});
+    } catch (e) {
+      // A failed move might have left parts of the source in the temporary path
+      if (method === 'copy') {
+        await request(user, 'unlink', {path: temporary, options: {permanent: true}}).catch(() => {});
+      }
+
+      throw e;
+    }
+
+    await request(user, 'unlink', {path: destination});
+    await request(user, 'rename', {from: temporary, to: destination});
+  };
+
+  const getDestination = req => {
+    const header = req.headers.destination;
+    if (!header) {
+      throw createError(400, 'Missing Destination header');
+    }
+
+    const {pathname} = new URL(header, 'http://localhost');
+    if (!isWithin(pathname, req.baseUrl || '/')) {
+      throw createError(502, 'Destination is on another server');
+    }
+
+    const file = toVfsPath(pathname.substr((req.baseUrl || '').length));
+    if (!file) {
+      throw createError(403, 'Invalid destination');
+    }
+
+    return file;
+  };
+
+  return {
+    PROPFIND: async (req, res, user, file) => {
+      await readBody(req);
+
+      const base = req.baseUrl || '';
+      const depth = req.headers.depth === '0' ? 0 : 1;
+      let responses = [];
+
+      if (!file) {
+        const mountpoints = core.make('osjs/vfs').mountpoints
+          .filter(mount => validateGroups(user.groups || [], 'readdir', mount, mount.attributes.strictGroups !== false));
+
+        responses = [createPropResponse(base, null, {filename: '', isDirectory: true})];
+
+        if (depth) {
+          responses = responses.concat(mountpoints.map(mount => createPropResponse(base, `${mount.name}:/`, {
+            filename: mount.label || mount.name,
+            isDirectory: true
+          }, locks.covering(getMountpointScope(core, mount, {user}), `${mount.name}:/`))));
+        }
+      } else {
+        const entry = await stat(user, file);
+        if (!entry) {
+          throw createError(404, 'Not found');
+        }
+
+        const storage = await getStorage(user, file);
+        responses = [createPropResponse(base, file, {...entry, filename: entry.filename || path.posix.basename(file)}, locks.covering(storage, file))];
+
+        if (depth && entry.isDirectory) {
+          const list = await request(user, 'readdir', {path: file});
+          responses = responses.concat(list.map(child => createPropResponse(base, child.path, child, locks.covering(storage, child.path))));
+        }
+      }
+
+      res.status(207)
+        .set('Content-Type', 'application/xml; charset=utf-8')
+        .send(createMultistatus(responses));
+    },
+
+    GET: async (req, res, user, file) => {
+      const entry = file ? await stat(user, file) : {isDirectory: true};
+      if (!entry) {
+        throw createError(404, 'Not found');
+      } else if (entry.isDirectory) {
+        res.set('Allow', allowedMethods.join(', '));
+        throw createError(405, 'Collections can not be read');
+      }
+
+      const result = await request(user, 'readfile', {path: file}, {method: req.method, headers: req.headers}, res);
+
+      if (result) {
+        result.on('error', error => res.destroy(error));
+        result.pipe(res);
+      } else {
+        res.end();
+      }
+    },
+
+    PUT: async (req, res, user, file) => {
+      await assertWritable(user, file, 'writefile');
+      await assertUnlocked(req, user, file);
+      await assertParent(user, file);
+
+      const existing = await stat(user, file);
+      if (existing && existing.isDirectory) {
+        throw createError(405, 'Can not write to a collection');
+      }
+
+      await request(user, 'writefile', {path: file}, {method: req.method, headers: req.headers, files: {upload: req}}, res);
+
+      res.status(existing ? 204 : 201).end();
+    },
+
+    MKCOL: async (req, res, user, file) => {
+      await assertWritable(user, file, 'mkdir');
+
+      if (hasBody(req)) {
+        throw createError(415, 'MKCOL does not support a body');
+      } else if (await stat(user, file)) {
+        throw createError(405, 'Resource already exists');
+      }
+
+      await assertUnlocked(req, user, file);
+      await assertParent(user, file);
+      await request(user, 'mkdir', {path: file});
+
+      res.status(201).end();
+    },
+
+    DELETE: async (req, res, user, file) => {
+      await assertWritable(user, file, 'unlink');
+
+      if (!await stat(user, file)) {
+        throw createError(404, 'Not found');
+      }
+
+      await assertUnlocked(req, user, file, true);
+      await request(user, 'unlink', {path: file});
+      locks.removeInside(await getStorage(user, file), file);
+
+      res.status(204).end();
+    },
+
+    COPY: async (req, res, user, file) => {
+      const destination = getDestination(req);
+      const overwrite = String(req.headers.overwrite || 'T').toUpperCase() !== 'F';
+      const move = req.method === 'MOVE';
+
+      await assertWritable(user, destination, move ? 'rename' : 'copy');
+      if (move) {
+        await assertWritable(user, file, 'rename');
+      }
+
+      if (!await stat(user, file)) {
+        throw createError(404, 'Not found');
+      } else if (isWithin(destination, file) || isWithin(file, destination)) {
+        throw createError(403, 'Source and destination overlap');
+      }
+
+      const existing = await stat(user, destination);
+      if (existing && !overwrite) {
+        throw createError(412, 'Destination exists');
+      }
+
+      if (move) {
+        await assertUnlocked(req, user, file, true);
+      }
+
+      await assertUnlocked(req, user, destination, true);
+      await assertParent(user, destination);
+
+      await (existing
+        ? replace(user, move ? 'rename' : 'copy', file, destination)
+        : request(user, move ? 'rename' : 'copy', {from: file, to: destination}));
+
+      if (move) {
+        locks.removeInside(await getStorage(user, file), file);
+      }
+
+      res.status(existing ? 204 : 201).end();
+    },
+
+    LOCK: async (req, res, user, file) => {
+      const body = await readBody(req);
+      const base = req.baseUrl || '';
+      const storage = await getStorage(user, file);
+      let lock;
+      let created = false;
+
+      if (!body.trim()) {
+        const [, token] = (req.headers.if || '').match(/<(opaquelocktoken:[^>]+)>/) || [];
+        const current = token ? locks.get(token) : null;
+
+        if (!current || current.username !== user.username || current.storage !== storage || !isWithin(file, current.path)) {
+          throw createError(412, 'No lock to refresh');
+        }
+
+        lock = locks.refresh(current, req.headers.timeout);
+      } else {
+        await assertWritable(user, file, 'writefile');
+
+        const existing = await stat(user, file);
+        if (!existing) {
+          await assertParent(user, file);
+        }
+
+        lock = locks.create(storage, file, user.username, {
+          scope: /<(?:\w+:)?shared\s*\/?>/.test(body) ? 'shared' : 'exclusive',
+          depth: req.headers.depth === '0' ? '0' : 'infinity',
+          owner: parseOwner(body),
+          timeout: req.headers.timeout
+        });
+
+        try {
+          // Locking a missing path creates an empty file
+          if (!existing) {
+            await request(user, 'touch', {path: file});
+            created = true;
+          }
+        } catch (e) {
+          locks.remove(lock.token);
+          throw e;
+        }
+      }
+
+      res.status(created ? 201 : 200)
+        .set('Content-Type', 'application/xml; charset=utf-8')
+        .set('Lock-Token', `<${lock.token}>`)
+        .send('<?xml version="1.0" encoding="utf-8"?>\n' +
+          `<d:prop xmlns:d="DAV:"><d:lockdiscovery>${createActiveLock(base, lock)}</d:lockdiscovery></d:prop>`);
+    },
+
+    UNLOCK: async (req, res, user, file) => {
+      const token = String(req.headers['lock-token'] || '').replace(/^<|>$/g, '');
+      const lock = locks.get(token);
+      const storage = await getStorage(user, file);
+
+      if (!lock || lock.username !== user.username || lock.storage !== storage || !isWithin(file, lock.path)) {
+        throw createError(409, 'Lock token does not match the resource');
+      }
+
+      locks.remove(token);
+      res.status(204).end();
+    }
+  };
+};
+
+/**
+ * Creates the WebDAV router.
+ *
+ * The first segment of a path is the mountpoint. Requests are
+ * authenticated by the session, or with the Authorization header
+ * through the authentication adapter.
+ *
+ * @param {Core} core Core reference
+ * @return {Router}
+ */
+module.exports = core => {
+  const router = express.Router();
+  const handlers = createHandlers(core);
+  const vfsGroups = core.config('auth.vfsGroups', []);
+  const realm = core.config('vfs.webdav.realm');
+  const cacheTime = core.config('vfs.webdav.cacheTime');
+  const cacheSize = core.config('vfs.webdav.cacheSize');
+  const cache = new Map();
+
+  // Forgets expired logins, and the oldest ones when the cache is full
+  const remember = (key, user) => {
+    const now = Date.now();
+
+    cache.forEach((entry, k) => {
+      if (entry.expires <= now) {
+        cache.delete(k);
+      }
+    });
+
+    while (cache.size > 0 && cache.size >= cacheSize) {
+      cache.delete(cache.keys().next().value);
+    }
+
+    cache.set(key, {user, expires: now + cacheTime});
+  };
+
+  handlers.HEAD = handlers.GET;
+  handlers.MOVE = handlers.COPY;
+
+  // Clients send credentials with every request, so logins are kept for a while
+  const authenticate = async (req) => {
+    if (req.session && req.session.user) {
+      return req.session.user;
+    } else if (!req.headers.authorization) {
+      return null;
+    }
+
+    const key = crypto.createHash('sha256')
+      .update(req.headers.authorization)
+      .digest('hex');
+
+    const cached = cache.get(key);
+    if (cached && cached.expires > Date.now()) {
+      return cached.user;
+    }
+
+    const user = await core.make('osjs/auth').authenticate(req);
+    cache.delete(key);
+
+    if (user) {
+      remember(key, user);
+    }
+
+    return user || null;
+  };
+
+  router.use((req, res, next) => {
+    if (req.method === 'OPTIONS') {
+      res.set({
+        DAV: '1, 2',
+        'MS-Author-Via': 'DAV',
+        Allow: allowedMethods.join(', ')
+      });
+
+      res.status(200).end();
+      return;
+    }
+
+    const handler = handlers[req.method];
+    if (!handler) {
+      res.set('Allow', allowedMethods.join(', '));
+      res.status(405).end();
+      return;
+    }
+
+    authenticate(req)
+      .then(user => {
+        if (!user) {
+          res.set('WWW-Authenticate', `Basic realm="${realm}", charset="UTF-8"`);
+          res.status(401).send('Authentication required');
+          return undefined;
+        }
+
+        // Responds with an error by itself if the user is not in the VFS groups
+        let allowed = false;
+        isAuthenticated(vfsGroups)({session: {user}}, res, () => (allowed = true));
+        if (!allowed) {
+          return undefined;
+        }
+
+        const file = toVfsPath(req.path);
+        if (!file && readMethods.indexOf(req.method) === -1) {
+          throw createError(403, 'The root is read-only');
+        }
+
+        return handler(req, res, user, file);
+      })
+      .catch(error => next(error));
+  });
+
+  router.use((error, req, res, next) => {
+    const code = getErrorStatus(error);
+
+    if (code >= 500) {
+      core.logger.warn(error);
+    }
+
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(code).send(error.message);
+    }
+  });
+
+  return router;
+};